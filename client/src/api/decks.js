@@ -1,11 +1,33 @@
 // API utility functions for deck operations
+import { supabase } from '../supabase/supabaseConfig';
+
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Build the Authorization header from the current Supabase session
+// (supabase-js refreshes the access token automatically)
+const getAuthHeaders = async () => {
+  if (!supabase) return {};
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
+// fetch() wrapper that attaches the bearer token to every API request
+const apiFetch = async (path, options = {}) => {
+  const authHeaders = await getAuthHeaders();
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...authHeaders,
+    },
+  });
+};
+
 // Get all decks for a user
 export const getUserDecks = async (userId) => {
   try {
     console.log('Fetching decks for userId:', userId);
-    const response = await fetch(`${API_BASE_URL}/decks/${userId}`);
+    const response = await apiFetch(`/decks/${userId}`);
     console.log('Response status:', response.status);
     if (!response.ok) {
       const errorText = await response.text();
@@ -28,6 +50,11 @@ export const getUserDecks = async (userId) => {
       cardCount: Array.isArray(deck.cards) ? deck.cards.length : 0,
       cards: Array.isArray(deck.cards) ? deck.cards : [],
       isPublic: deck.is_public || false,
+      generateReverse: deck.generate_reverse || false,
+      sourceDeckId: deck.source_deck_id || null,
+      subscribed: deck.subscribed || false,
+      keepLocalEdits: deck.keep_local_edits || false,
+      lastSyncedAt: deck.last_synced_at || null,
       createdAt: deck.created_at,
       downloadCount: deck.download_count || 0
     }));
@@ -40,7 +67,7 @@ export const getUserDecks = async (userId) => {
 // Create a new deck
 export const createDeck = async (userId, deckData, userEmail = null) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks`, {
+    const response = await apiFetch(`/decks`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -76,7 +103,7 @@ export const createDeck = async (userId, deckData, userEmail = null) => {
 // Update a deck
 export const updateDeck = async (deckId, deckData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}`, {
+    const response = await apiFetch(`/decks/${deckId}`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -97,10 +124,30 @@ export const updateDeck = async (deckId, deckData) => {
   }
 };
 
+// Turn automatic reverse cards on or off for a deck (turning it on reverses existing cards too)
+export const setDeckReverse = async (deckId, enabled) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/reverse`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ enabled }),
+    });
+    if (!response.ok) {
+      throw new Error('Failed to update deck reverse cards');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating deck reverse cards:', error);
+    throw error;
+  }
+};
+
 // Delete a deck
 export const deleteDeck = async (deckId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}`, {
+    const response = await apiFetch(`/decks/${deckId}`, {
       method: 'DELETE',
     });
     if (!response.ok) {
@@ -117,7 +164,7 @@ export const deleteDeck = async (deckId) => {
 export const getDeckCards = async (deckId) => {
   try {
     console.log('Fetching cards for deckId:', deckId);
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/cards`);
+    const response = await apiFetch(`/decks/${deckId}/cards`);
     console.log('Cards response status:', response.status);
     if (!response.ok) {
       const errorText = await response.text();
@@ -171,7 +218,14 @@ export const getDeckCards = async (deckId) => {
         id: card.id || card.card_id || `card-${index}`,
         front: front,
         back: back,
-        difficulty: card.difficulty || 'medium'
+        difficulty: card.difficulty || 'medium',
+        hint: card.hint || '',
+        reverse_of: card.reverse_of || null,
+        note_id: card.note_id || null,
+        template_ord: card.template_ord || 0,
+        tags: Array.isArray(card.tags) ? card.tags : [],
+        suspended: card.suspended === true,
+        buried_until: card.buried_until || null
       };
       
       // Verify normalization
@@ -193,7 +247,7 @@ export const getDeckCards = async (deckId) => {
 // Add a card to a deck
 export const addCard = async (deckId, cardData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/cards`, {
+    const response = await apiFetch(`/decks/${deckId}/cards`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -208,10 +262,14 @@ export const addCard = async (deckId, cardData) => {
         frontFontSize: cardData.front?.fontSize || '18',
         backFontSize: cardData.back?.fontSize || '18',
         difficulty: cardData.difficulty || 'medium',
+        reverse: cardData.reverse === true, // Also add a linked back -> front card
+        tags: cardData.tags || [],
+        hint: cardData.hint || '',
       }),
     });
     if (!response.ok) {
-      throw new Error('Failed to add card');
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to add card');
     }
     return await response.json();
   } catch (error) {
@@ -223,7 +281,7 @@ export const addCard = async (deckId, cardData) => {
 // Update a card
 export const updateCard = async (cardId, deckId, cardData) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/cards/${cardId}`, {
+    const response = await apiFetch(`/cards/${cardId}`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -233,10 +291,13 @@ export const updateCard = async (cardId, deckId, cardData) => {
         front: cardData.front?.content || cardData.front,
         back: cardData.back?.content || cardData.back,
         difficulty: cardData.difficulty || 'medium',
+        tags: cardData.tags, // Left unchanged when not given
+        hint: cardData.hint, // Left unchanged when not given ('' clears it)
       }),
     });
     if (!response.ok) {
-      throw new Error('Failed to update card');
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to update card');
     }
     return await response.json();
   } catch (error) {
@@ -248,7 +309,7 @@ export const updateCard = async (cardId, deckId, cardData) => {
 // Delete a card
 export const deleteCard = async (cardId, deckId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/cards/${cardId}?deckId=${deckId}`, {
+    const response = await apiFetch(`/cards/${cardId}?deckId=${deckId}`, {
       method: 'DELETE',
     });
     if (!response.ok) {
@@ -261,10 +322,377 @@ export const deleteCard = async (cardId, deckId) => {
   }
 };
 
+/**
+ * Get the note types the current user can use (built-in ones first)
+ * @returns {Promise<Array>} Note types ({ id, user_id, name, fields, templates })
+ */
+export const getNoteTypes = async () => {
+  try {
+    const response = await apiFetch('/note-types');
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get note types');
+    }
+    const data = await response.json();
+    return data || [];
+  } catch (error) {
+    console.error('Error getting note types:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a note type for the current user
+ * @param {Object} noteType - { name, fields: string[], templates: [{ name, front, back }] }
+ * @returns {Promise<Object>} Created note type
+ */
+export const createNoteType = async (noteType) => {
+  try {
+    const response = await apiFetch('/note-types', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(noteType),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to create note type');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating note type:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a note to a deck (the server creates its cards from the note type templates)
+ * @param {string} deckId - Deck ID
+ * @param {Object} noteData - { noteTypeId, fields, front, back, tags } (front/back: formatting for the cards)
+ * @returns {Promise<Object>} { note, cards }
+ */
+export const addNote = async (deckId, noteData) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/notes`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        noteTypeId: noteData.noteTypeId,
+        fields: noteData.fields,
+        frontAlign: noteData.front?.align || 'center',
+        backAlign: noteData.back?.align || 'center',
+        frontVerticalAlign: noteData.front?.verticalAlign || 'middle',
+        backVerticalAlign: noteData.back?.verticalAlign || 'middle',
+        frontFontSize: noteData.front?.fontSize || '18',
+        backFontSize: noteData.back?.fontSize || '18',
+        difficulty: noteData.difficulty || 'medium',
+        tags: noteData.tags || [],
+      }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to add note');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error adding note:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a note with its note type and cards
+ * @param {string} noteId - Note ID
+ * @returns {Promise<Object>} { note, note_type, cards }
+ */
+export const getNote = async (noteId) => {
+  try {
+    const response = await apiFetch(`/notes/${noteId}`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get note');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error getting note:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a note's fields (the server re-renders its cards)
+ * @param {string} noteId - Note ID
+ * @param {Object} fields - Field values by name
+ * @param {string[]} tags - New tags for all of the note's cards (optional, unchanged when not given)
+ * @returns {Promise<Object>} { note, cards, added }
+ */
+export const updateNote = async (noteId, fields, tags) => {
+  try {
+    const response = await apiFetch(`/notes/${noteId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ fields, tags }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update note');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating note:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the tags of a card
+ * @param {string} cardId - Card ID
+ * @param {string[]} tags - New tags (the server lowercases and dedupes them)
+ * @returns {Promise<Object>} { id, tags }
+ */
+export const setCardTags = async (cardId, tags) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/tags`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ tags }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update tags');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    throw error;
+  }
+};
+
+// Query string for a CSV/TSV import: { delimiter, encoding, header, mapping } (each optional)
+const getImportQuery = (options = {}) => {
+  const params = new URLSearchParams();
+  if (options.delimiter) params.set('delimiter', options.delimiter);
+  if (options.encoding) params.set('encoding', options.encoding);
+  if (typeof options.header === 'boolean') params.set('header', String(options.header));
+  if (options.mapping) {
+    Object.entries(options.mapping).forEach(([field, column]) => {
+      params.set(field, column === null || column === undefined ? '' : String(column));
+    });
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Preview a CSV/TSV import (nothing is added yet)
+ * @param {string} deckId - Deck ID
+ * @param {File} file - CSV/TSV file
+ * @param {Object} options - { delimiter, encoding, header, mapping } (left out = detected)
+ * @returns {Promise<Object>} { encoding, delimiter, header, headers, columns, mapping, total, valid, rows, invalid_rows }
+ */
+export const previewCsvImport = async (deckId, file, options = {}) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/import/csv/preview${getImportQuery(options)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to read file');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import the valid rows of a CSV/TSV file into a deck (invalid rows are skipped)
+ * @param {string} deckId - Deck ID
+ * @param {File} file - CSV/TSV file
+ * @param {Object} options - Same options as the preview
+ * @returns {Promise<Object>} { imported, skipped, skipped_rows }
+ */
+export const importCsv = async (deckId, file, options = {}) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/import/csv${getImportQuery(options)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to import file');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error importing file:', error);
+    throw error;
+  }
+};
+
+/**
+ * Have AI suggest cards from a document (nothing is added to the deck yet)
+ * @param {string} deckId - Deck ID
+ * @param {File} file - Text (.txt), Markdown (.md) or PDF file
+ * @param {number} numCards - Most cards to suggest
+ * @returns {Promise<Object>} { type, suggestions: [{ front, back }], chunks, chunks_used }
+ */
+export const generateCardsFromDocument = async (deckId, file, numCards = 20) => {
+  try {
+    const query = new URLSearchParams({ name: file.name, numCards: String(numCards) });
+    const response = await apiFetch(`/decks/${deckId}/generate-cards?${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to generate cards');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error generating cards from document:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add several cards to a deck at once (nothing is added if any card is invalid)
+ * @param {string} deckId - Deck ID
+ * @param {Array} cards - [{ front, back, hint, tags, difficulty }] (only front and back required)
+ * @returns {Promise<Object>} { added } (including reverse cards)
+ */
+export const addCardsBulk = async (deckId, cards) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/cards/bulk`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ cards }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to add cards');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error adding cards:', error);
+    throw error;
+  }
+};
+
+/**
+ * Import an Anki package: every Anki deck in it becomes a new deck
+ * @param {File} file - .apkg file
+ * @param {string} language - Language of the new decks
+ * @returns {Promise<Object>} { decks: [{ id, name, card_count }], notes, cards, progress, skipped_notes,
+ *   media_skipped: media files used by the cards, which were removed from them }
+ */
+export const importAnkiPackage = async (file, language = 'English') => {
+  try {
+    const response = await apiFetch(`/decks/import/apkg?language=${encodeURIComponent(language)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to import Anki package');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error importing Anki package:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export a deck as an Anki package (with your progress as the scheduling)
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Blob>} .apkg file contents
+ */
+export const exportAnkiPackage = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/export/apkg`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to export deck');
+    }
+    return await response.blob();
+  } catch (error) {
+    console.error('Error exporting deck:', error);
+    throw error;
+  }
+};
+
+/**
+ * Back up a deck as a Kardo JSON file (cards, note types, progress and review history)
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Blob>} .kardo.json file contents
+ */
+export const exportDeckBackup = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/export`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to back up deck');
+    }
+    return await response.blob();
+  } catch (error) {
+    console.error('Error backing up deck:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore a deck backup. Restoring the same backup again updates the restored
+ * deck instead of adding a copy.
+ * @param {File} file - .kardo.json file made by exportDeckBackup
+ * @returns {Promise<Object>} { deck_id, created, cards_added, cards_updated, progress_restored, reviews_restored }
+ */
+export const restoreDeckBackup = async (file) => {
+  try {
+    const response = await apiFetch('/decks/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to restore deck backup');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error restoring deck backup:', error);
+    throw error;
+  }
+};
+
 // Get user stats
 export const getUserStats = async (userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/stats/${userId}`);
+    const response = await apiFetch(`/stats/${userId}`);
     if (!response.ok) {
       throw new Error('Failed to fetch stats');
     }
@@ -272,7 +700,7 @@ export const getUserStats = async (userId) => {
     return {
       cardsStudiedToday: data.cards_studied_today || 0,
       streak: data.streak || 0,
-      lastStudyDate: null
+      lastStudyDate: data.last_study_date || null
     };
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -287,7 +715,7 @@ export const getUserStats = async (userId) => {
 // Update deck public status
 export const updateDeckPublicStatus = async (deckId, isPublic) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/public`, {
+    const response = await apiFetch(`/decks/${deckId}/public`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -304,10 +732,198 @@ export const updateDeckPublicStatus = async (deckId, isPublic) => {
   }
 };
 
+/**
+ * Get a page of public decks (community browsing)
+ * @param {Object} options - { search: full-text search of names, descriptions and cards,
+ *   language, sort: 'popular' (most downloaded), 'rating', 'trending' or 'relevance' (with a search),
+ *   cursor: next_cursor of the previous page, limit }
+ * @returns {Promise<Object>} { decks, total, next_cursor }. Decks have average_rating, rating_count and the
+ *   user's own user_rating; with a search also rank, card_matches and snippets { name, description, card }
+ *   of [{ text, highlight }]. next_cursor is null on the last page.
+ */
+export const getPublicDecks = async ({ search = '', language = 'all', sort, cursor, limit } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    if (language !== 'all') params.set('language', language);
+    if (sort) params.set('sort', sort);
+    if (cursor) params.set('cursor', cursor);
+    if (limit) params.set('limit', String(limit));
+    const response = await apiFetch(`/public-decks?${params}`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to fetch public decks');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching public decks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Copy a deck into the current user's account (downloading a public deck)
+ * @param {string} deckId - Deck to copy
+ * @param {Object} options - { subscribe: get the author's later changes, keepLocalEdits }
+ * @returns {Promise<Object>} The new (private) deck, with source_deck_id set
+ */
+export const cloneDeck = async (deckId, options = {}) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/clone`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(options),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to download deck');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error downloading deck:', error);
+    throw error;
+  }
+};
+
+/**
+ * Subscribe a downloaded deck to its source deck, or stop
+ * @param {string} deckId - Deck ID of the downloaded copy
+ * @param {Object} settings - { subscribed, keepLocalEdits } (each optional)
+ * @returns {Promise<Object>} { subscribed, keep_local_edits, source_deck_id, last_synced_at }
+ */
+export const updateDeckSubscription = async (deckId, settings) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/subscription`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(settings),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to update subscription');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bring the source deck's changes into a subscribed deck
+ * @param {string} deckId - Deck ID of the subscribed copy
+ * @returns {Promise<Object>} { synced_at, added, updated, deleted, local_kept, local_replaced, changes }
+ */
+export const syncDeck = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/sync`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to sync deck');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error syncing deck:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the changelog of a subscribed deck, newest first
+ * @param {string} deckId - Deck ID of the subscribed copy
+ * @returns {Promise<Array>} [{ id, synced_at, change_type, card_id, source_card_id, front }]
+ */
+export const getDeckSyncLog = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/sync-log`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to fetch changelog');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching changelog:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the ratings of a public deck
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Object>} { average_rating, rating_count, user_rating, reviews }
+ */
+export const getDeckRatings = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/ratings`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to fetch ratings');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching ratings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rate a public deck, replacing the user's earlier rating of it
+ * @param {string} deckId - Deck ID
+ * @param {number} rating - 1 to 5 stars
+ * @param {string} review - Optional review text
+ * @returns {Promise<Object>} The rating { id, deck_id, rating, review, created_at, updated_at }
+ */
+export const rateDeck = async (deckId, rating, review = '') => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/rating`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ rating, review }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to rate deck');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error rating deck:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the user's rating of a deck
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Object>} { message }
+ */
+export const deleteDeckRating = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/rating`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to remove rating');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error removing rating:', error);
+    throw error;
+  }
+};
+
 // Get AI suggestions for a deck
 export const getAISuggestions = async (deckId, numSuggestions = 5) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/ai-suggestions`, {
+    const response = await apiFetch(`/decks/${deckId}/ai-suggestions`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -329,7 +945,7 @@ export const getAISuggestions = async (deckId, numSuggestions = 5) => {
 // Get AI explanation for a card
 export const getCardExplanation = async (front, back, language = 'English') => {
   try {
-    const response = await fetch(`${API_BASE_URL}/cards/explain`, {
+    const response = await apiFetch(`/cards/explain`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -354,11 +970,13 @@ export const getCardExplanation = async (front, back, language = 'English') => {
  * Get due cards for a deck (cards that need to be reviewed)
  * @param {string} deckId - Deck ID
  * @param {string} userId - User ID
+ * @param {string} tag - Only practice the cards with this tag (optional)
  * @returns {Promise<Array>} Array of cards with progress data
  */
-export const getDueCards = async (deckId, userId) => {
+export const getDueCards = async (deckId, userId, tag = null) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/due-cards?userId=${userId}`);
+    const tagParam = tag ? `&tag=${encodeURIComponent(tag)}` : '';
+    const response = await apiFetch(`/decks/${deckId}/due-cards?userId=${userId}${tagParam}`);
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(errorData.error || 'Failed to get due cards');
@@ -376,16 +994,18 @@ export const getDueCards = async (deckId, userId) => {
  * @param {string} cardId - Card ID
  * @param {string} userId - User ID
  * @param {string} grade - "again", "hard", "good", or "easy"
+ * @param {number} timeTakenMs - Time from showing the card to answering (optional)
+ * @param {boolean} hintUsed - Whether the card's hint was revealed before answering
  * @returns {Promise<Object>} Updated progress data
  */
-export const reviewCard = async (cardId, userId, grade) => {
+export const reviewCard = async (cardId, userId, grade, timeTakenMs = null, hintUsed = false) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/cards/${cardId}/review`, {
+    const response = await apiFetch(`/cards/${cardId}/review`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ userId, grade }),
+      body: JSON.stringify({ userId, grade, timeTakenMs, hintUsed }),
     });
     if (!response.ok) {
       const errorData = await response.json();
@@ -399,6 +1019,194 @@ export const reviewCard = async (cardId, userId, grade) => {
   }
 };
 
+/**
+ * Undo the latest review of a card (restores its progress from before the review)
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object|null>} Restored progress (null if the card had none)
+ */
+export const undoReview = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/undo-review`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to undo review');
+    }
+    const data = await response.json();
+    return data.progress || null;
+  } catch (error) {
+    console.error('Error undoing review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the review history of a card for the current user
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Array>} Review log entries, most recent first
+ */
+export const getCardReviews = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/reviews`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get review history');
+    }
+    const data = await response.json();
+    return data || [];
+  } catch (error) {
+    console.error('Error getting review history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the cards of a deck that became leeches for the current user
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Array>} Leech cards (with lapses and suspended), most lapses first
+ */
+export const getDeckLeeches = async (deckId) => {
+  try {
+    const response = await apiFetch(`/decks/${deckId}/leeches`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to get leeches');
+    }
+    const data = await response.json();
+    return data || [];
+  } catch (error) {
+    console.error('Error getting leeches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Clear a card's leech mark and unsuspend it (e.g. after rewriting it)
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Response data
+ */
+export const clearLeech = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/leech`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      throw new Error('Failed to clear leech');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error clearing leech:', error);
+    throw error;
+  }
+};
+
+/**
+ * Suspend a card so it is left out of practice
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated progress
+ */
+export const suspendCard = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/suspend`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to suspend card');
+    }
+    const data = await response.json();
+    return data.progress || null;
+  } catch (error) {
+    console.error('Error suspending card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unsuspend a card so it is shown in practice again
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated progress
+ */
+export const unsuspendCard = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/unsuspend`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to unsuspend card');
+    }
+    const data = await response.json();
+    return data.progress || null;
+  } catch (error) {
+    console.error('Error unsuspending card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bury a card until the next study day
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated progress
+ */
+export const buryCard = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/bury`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to bury card');
+    }
+    const data = await response.json();
+    return data.progress || null;
+  } catch (error) {
+    console.error('Error burying card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reset a card to new (its review history is kept)
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated progress
+ */
+export const forgetCard = async (cardId) => {
+  try {
+    const response = await apiFetch(`/cards/${cardId}/forget`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to reset card');
+    }
+    const data = await response.json();
+    return data.progress || null;
+  } catch (error) {
+    console.error('Error resetting card:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the number of review cards due on each upcoming study day (for load balancing)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Map of "YYYY-MM-DD" to number of cards due
+ */
+export const getDueForecast = async (userId) => {
+  try {
+    const response = await apiFetch(`/users/${userId}/due-forecast`);
+    if (!response.ok) {
+      throw new Error('Failed to get due forecast');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error getting due forecast:', error);
+    throw error;
+  }
+};
+
 /**
  * Initialize progress for all cards in a deck (when user starts practicing)
  * @param {string} deckId - Deck ID
@@ -407,7 +1215,7 @@ export const reviewCard = async (cardId, userId, grade) => {
  */
 export const initProgress = async (deckId, userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/init-progress`, {
+    const response = await apiFetch(`/decks/${deckId}/init-progress`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -429,7 +1237,7 @@ export const initProgress = async (deckId, userId) => {
 // Get deck statistics (new, learning, due counts)
 export const getDeckStatistics = async (deckId, userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/decks/${deckId}/statistics?userId=${userId}`);
+    const response = await apiFetch(`/decks/${deckId}/statistics?userId=${userId}`);
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(errorData.error || 'Failed to get deck statistics');
@@ -445,7 +1253,7 @@ export const getDeckStatistics = async (deckId, userId) => {
 // Get user settings
 export const getUserSettings = async (userId) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}/settings`);
+    const response = await apiFetch(`/users/${userId}/settings`);
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(errorData.error || 'Failed to get user settings');
@@ -461,7 +1269,7 @@ export const getUserSettings = async (userId) => {
 // Update user settings
 export const updateUserSettings = async (userId, settings) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/users/${userId}/settings`, {
+    const response = await apiFetch(`/users/${userId}/settings`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
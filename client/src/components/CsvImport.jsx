@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import { previewCsvImport, importCsv } from '../api/decks';
+
+const selectClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const DELIMITER_NAMES = { comma: 'Comma (,)', tab: 'Tab', semicolon: 'Semicolon (;)', pipe: 'Pipe (|)' };
+const ENCODING_NAMES = { 'utf-8': 'UTF-8', 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE', 'windows-1252': 'Windows-1252 (Latin)' };
+const FIELD_NAMES = { front: 'Front', back: 'Back', hint: 'Hint', tags: 'Tags', difficulty: 'Difficulty' };
+
+/**
+ * CSV Import Component
+ * Uploads a CSV/TSV file for a preview (the server detects the encoding, delimiter,
+ * header and column mapping, and validates every row), lets the user correct
+ * those settings, then imports all valid rows at once.
+ */
+const CsvImport = ({ deckId, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const loadPreview = async (selectedFile, options = {}) => {
+    try {
+      setLoading(true);
+      setError('');
+      setPreview(await previewCsvImport(deckId, selectedFile, options));
+    } catch (err) {
+      setError(err.message || 'Failed to read file');
+      setPreview(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    setFile(selectedFile || null);
+    setResult(null);
+    setPreview(null);
+    if (selectedFile) {
+      loadPreview(selectedFile);
+    }
+  };
+
+  // Settings the server detected, with one of them changed by the user
+  const currentOptions = (changes) => ({
+    delimiter: preview.delimiter,
+    encoding: preview.encoding,
+    header: preview.header,
+    mapping: preview.mapping,
+    ...changes
+  });
+
+  const handleOptionChange = (changes) => {
+    // A different header row changes the column names, so let the server guess the mapping again
+    const options = currentOptions(changes);
+    if ('header' in changes) {
+      delete options.mapping;
+    }
+    loadPreview(file, options);
+  };
+
+  const handleMappingChange = (field, value) => {
+    handleOptionChange({ mapping: { ...preview.mapping, [field]: value === '' ? null : parseInt(value) } });
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      setError('');
+      const imported = await importCsv(deckId, file, currentOptions({}));
+      setResult(imported);
+      setPreview(null);
+      setFile(null);
+      onImported();
+    } catch (err) {
+      setError(err.message || 'Failed to import file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const columnName = (index) => (preview.headers && preview.headers[index] ? preview.headers[index] : `Column ${index + 1}`);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 sm:p-6 space-y-6 border border-gray-200 dark:border-gray-700">
+      <div>
+        <h3 className="text-lg font-semibold mb-1 dark:text-white">Import from CSV / TSV</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          One card per row. Columns can hold the front, back, hint, tags (separated by spaces) and difficulty (easy, medium or hard).
+        </p>
+      </div>
+
+      <input
+        type="file"
+        accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+        onChange={handleFileChange}
+        disabled={loading || importing}
+        className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-teal-50 file:text-teal-700 hover:file:bg-teal-100"
+      />
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {result && (
+        <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900 text-green-800 dark:text-green-200 text-sm">
+          Imported {result.imported} {result.imported === 1 ? 'card' : 'cards'}
+          {result.skipped > 0 && `, skipped ${result.skipped} ${result.skipped === 1 ? 'row' : 'rows'} with errors`}.
+        </div>
+      )}
+
+      {loading && (
+        <p className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-2">
+          <span className="material-icons animate-spin text-base">refresh</span>
+          Reading file...
+        </p>
+      )}
+
+      {preview && !loading && (
+        <>
+          {/* File settings */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Delimiter</label>
+              <select value={preview.delimiter} onChange={(e) => handleOptionChange({ delimiter: e.target.value })} className={selectClassName}>
+                {Object.entries(DELIMITER_NAMES).map(([value, name]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Encoding</label>
+              <select value={preview.encoding} onChange={(e) => handleOptionChange({ encoding: e.target.value })} className={selectClassName}>
+                {Object.entries(ENCODING_NAMES).map(([value, name]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 sm:mt-6">
+              <input
+                type="checkbox"
+                checked={preview.header}
+                onChange={(e) => handleOptionChange({ header: e.target.checked })}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              First row is a header
+            </label>
+          </div>
+
+          {/* Column mapping */}
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+            {Object.entries(FIELD_NAMES).map(([field, name]) => (
+              <div key={field}>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">{name}</label>
+                <select
+                  value={preview.mapping[field] === null ? '' : preview.mapping[field]}
+                  onChange={(e) => handleMappingChange(field, e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="">(none)</option>
+                  {Array.from({ length: preview.columns }, (_, index) => (
+                    <option key={index} value={index}>{columnName(index)}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {/* Preview rows */}
+          <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300">Row</th>
+                  {Object.values(FIELD_NAMES).map(name => (
+                    <th key={name} className="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300">{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {preview.rows.map(row => (
+                  <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50 dark:bg-red-900/30' : ''}>
+                    <td className="px-3 py-2 text-gray-500 dark:text-gray-400 whitespace-nowrap">{row.row}</td>
+                    <td className="px-3 py-2 text-gray-900 dark:text-white break-words max-w-[200px]">{row.front}</td>
+                    <td className="px-3 py-2 text-gray-900 dark:text-white break-words max-w-[200px]">{row.back}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300 break-words max-w-[150px]">{row.hint}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.tags.join(' ')}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                      {row.errors.length > 0 ? <span className="text-red-600 dark:text-red-400">{row.errors.join('; ')}</span> : row.difficulty}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {preview.total > preview.rows.length && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">Showing the first {preview.rows.length} of {preview.total} rows</p>
+          )}
+
+          {/* Rows that will be skipped */}
+          {preview.invalid_rows.length > 0 && (
+            <div className="p-4 rounded-lg bg-red-50 dark:bg-red-900/30 text-sm text-red-700 dark:text-red-300">
+              <p className="font-semibold mb-1">
+                {preview.invalid_rows.length} {preview.invalid_rows.length === 1 ? 'row' : 'rows'} will be skipped:
+              </p>
+              <ul className="list-disc list-inside space-y-0.5">
+                {preview.invalid_rows.slice(0, 10).map(row => (
+                  <li key={row.row}>Row {row.row}: {row.errors.join('; ')}</li>
+                ))}
+              </ul>
+              {preview.invalid_rows.length > 10 && <p className="mt-1">...and {preview.invalid_rows.length - 10} more</p>}
+            </div>
+          )}
+
+          <button
+            onClick={handleImport}
+            disabled={importing || preview.valid === 0}
+            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+          >
+            <span className={`material-icons ${importing ? 'animate-spin' : ''}`}>{importing ? 'refresh' : 'file_download'}</span>
+            {importing ? 'Importing...' : `Import ${preview.valid} ${preview.valid === 1 ? 'Row' : 'Rows'}`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CsvImport;
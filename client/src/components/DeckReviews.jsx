@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import { getDeckRatings, rateDeck, deleteDeckRating } from '../api/decks';
+import StarRating from './StarRating';
+
+const MAX_REVIEW_LENGTH = 1000;
+
+/**
+ * Deck Reviews Component
+ * Modal with a public deck's ratings and reviews. Users rate someone else's deck
+ * 1-5 stars with an optional review; rating again replaces their earlier rating.
+ * onRated gets the deck's new { average_rating, rating_count, user_rating }.
+ */
+const DeckReviews = ({ deck, isOwnDeck, onClose, onRated }) => {
+  const [ratings, setRatings] = useState(null);
+  const [rating, setRating] = useState(0);
+  const [review, setReview] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadRatings = async () => {
+    try {
+      const data = await getDeckRatings(deck.id);
+      setRatings(data);
+      setRating(data.user_rating?.rating || 0);
+      setReview(data.user_rating?.review || '');
+      return data;
+    } catch (err) {
+      setError(err.message || 'Failed to load ratings');
+      return null;
+    }
+  };
+
+  useEffect(() => {
+    loadRatings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deck.id]);
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await rateDeck(deck.id, rating, review);
+      const data = await loadRatings();
+      if (data) {
+        onRated(data);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to rate deck');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Remove your rating of this deck?')) {
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      await deleteDeckRating(deck.id);
+      const data = await loadRatings();
+      if (data) {
+        onRated(data);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to remove rating');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 dark:bg-opacity-70 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full p-6 border border-gray-200 dark:border-gray-700 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">{deck.name}</h2>
+            {ratings && (
+              <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 mt-1">
+                <StarRating value={ratings.average_rating} />
+                {ratings.rating_count > 0
+                  ? `${ratings.average_rating.toFixed(1)} from ${ratings.rating_count} ${ratings.rating_count === 1 ? 'rating' : 'ratings'}`
+                  : 'No ratings yet'}
+              </div>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200">
+            <span className="material-icons">close</span>
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400 mb-4">{error}</p>}
+
+        {!ratings ? (
+          !error && <p className="text-gray-600 dark:text-gray-300">Loading ratings...</p>
+        ) : (
+          <>
+            {!isOwnDeck && (
+              <div className="space-y-3 mb-6 pb-6 border-b border-gray-200 dark:border-gray-700">
+                <p className="font-semibold text-gray-900 dark:text-white">
+                  {ratings.user_rating ? 'Your rating' : 'Rate this deck'}
+                </p>
+                <StarRating value={rating} onChange={setRating} size="text-3xl" disabled={saving} />
+                <div>
+                  <textarea
+                    value={review}
+                    onChange={(e) => setReview(e.target.value)}
+                    maxLength={MAX_REVIEW_LENGTH}
+                    rows={3}
+                    placeholder="Write a short review (optional)"
+                    disabled={saving}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <p className="text-xs text-gray-500 dark:text-gray-400 text-right">{review.length}/{MAX_REVIEW_LENGTH}</p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSubmit}
+                    disabled={saving || rating === 0}
+                    className="btn-primary disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : ratings.user_rating ? 'Update Rating' : 'Submit Rating'}
+                  </button>
+                  {ratings.user_rating && (
+                    <button onClick={handleDelete} disabled={saving} className="btn-secondary disabled:opacity-50">
+                      Remove
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <h3 className="font-semibold text-gray-900 dark:text-white mb-3">Reviews</h3>
+            {ratings.reviews.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No reviews yet.</p>
+            ) : (
+              <ul className="space-y-4">
+                {ratings.reviews.map(entry => (
+                  <li key={entry.id} className="text-sm">
+                    <div className="flex items-center gap-2 mb-1">
+                      <StarRating value={entry.rating} size="text-sm" />
+                      <span className="text-gray-500 dark:text-gray-400">
+                        {entry.reviewer} · {new Date(entry.updated_at).toLocaleDateString()}
+                      </span>
+                    </div>
+                    <p className="text-gray-700 dark:text-gray-300 whitespace-pre-line break-words">{entry.review}</p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeckReviews;
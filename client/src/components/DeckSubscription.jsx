@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { updateDeckSubscription, syncDeck, getDeckSyncLog } from '../api/decks';
+
+const CHANGE_LABELS = {
+  added: { label: 'Added', icon: 'add_circle', className: 'text-green-600 dark:text-green-400' },
+  updated: { label: 'Updated', icon: 'edit', className: 'text-blue-600 dark:text-blue-400' },
+  deleted: { label: 'Deleted', icon: 'remove_circle', className: 'text-red-600 dark:text-red-400' },
+  local_kept: { label: 'Kept your edit', icon: 'lock', className: 'text-amber-600 dark:text-amber-400' },
+  local_replaced: { label: 'Replaced your edit', icon: 'sync_problem', className: 'text-orange-600 dark:text-orange-400' }
+};
+
+// "3 added, 1 updated" for a sync result
+const describeSync = (result) => {
+  const parts = [
+    result.added > 0 && `${result.added} added`,
+    result.updated > 0 && `${result.updated} updated`,
+    result.deleted > 0 && `${result.deleted} deleted`,
+    result.local_kept > 0 && `${result.local_kept} of your edits kept`,
+    result.local_replaced > 0 && `${result.local_replaced} of your edits replaced`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'Already up to date';
+};
+
+/**
+ * Deck Subscription Component
+ * For a deck downloaded from the community: subscribe to the author's changes,
+ * choose whether local edits win over them, sync, and read the changelog.
+ * A subscribed deck syncs once when it is opened.
+ */
+const DeckSubscription = ({ deck, onSynced }) => {
+  const [subscribed, setSubscribed] = useState(deck.subscribed);
+  const [keepLocalEdits, setKeepLocalEdits] = useState(deck.keepLocalEdits);
+  const [syncing, setSyncing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [error, setError] = useState('');
+  const [log, setLog] = useState(null);
+  const [showLog, setShowLog] = useState(false);
+
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      setError('');
+      const result = await syncDeck(deck.id);
+      setLastResult(result);
+      if (showLog) {
+        setLog(await getDeckSyncLog(deck.id));
+      }
+      if (result.changes.length > 0) {
+        onSynced();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to sync deck');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (deck.subscribed) {
+      handleSync();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deck.id]);
+
+  const handleSettingsChange = async (settings) => {
+    try {
+      setSaving(true);
+      setError('');
+      const updated = await updateDeckSubscription(deck.id, settings);
+      setSubscribed(updated.subscribed);
+      setKeepLocalEdits(updated.keep_local_edits);
+      if (settings.subscribed) {
+        await handleSync();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update subscription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleLog = async () => {
+    if (!showLog && !log) {
+      try {
+        setLog(await getDeckSyncLog(deck.id));
+      } catch (err) {
+        setError(err.message || 'Failed to load changelog');
+        return;
+      }
+    }
+    setShowLog(!showLog);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 mb-6 border border-gray-200 dark:border-gray-700">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <span className={`material-icons ${subscribed ? 'text-primary-600 dark:text-primary-400' : 'text-gray-400'}`}>
+            {subscribed ? 'sync' : 'sync_disabled'}
+          </span>
+          <div>
+            <p className="font-semibold text-gray-900 dark:text-white">
+              {subscribed ? 'Subscribed to the original deck' : 'Downloaded from the community'}
+            </p>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {subscribed
+                ? 'Changes by the author are synced into this deck. Your progress is kept.'
+                : 'Subscribe to get the author\'s fixes and new cards.'}
+            </p>
+            {lastResult && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">Last sync: {describeSync(lastResult)}</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          {subscribed && (
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300" title="When you have edited a card the author also changed, keep your version">
+              <input
+                type="checkbox"
+                checked={keepLocalEdits}
+                onChange={(e) => handleSettingsChange({ keepLocalEdits: e.target.checked })}
+                disabled={saving}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              Keep my edits
+            </label>
+          )}
+          {subscribed && (
+            <button
+              onClick={handleSync}
+              disabled={syncing || saving}
+              className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50"
+            >
+              <span className={`material-icons text-base ${syncing ? 'animate-spin' : ''}`}>refresh</span>
+              {syncing ? 'Syncing...' : 'Sync Now'}
+            </button>
+          )}
+          <button
+            onClick={() => handleSettingsChange({ subscribed: !subscribed })}
+            disabled={saving || syncing}
+            className={`${subscribed ? 'btn-secondary' : 'btn-primary'} flex items-center gap-2 text-sm disabled:opacity-50`}
+          >
+            <span className="material-icons text-base">{subscribed ? 'notifications_off' : 'notifications_active'}</span>
+            {subscribed ? 'Unsubscribe' : 'Subscribe'}
+          </button>
+          <button
+            onClick={handleToggleLog}
+            className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+          >
+            {showLog ? 'Hide changelog' : 'Changelog'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400 mt-3">{error}</p>}
+
+      {showLog && log && (
+        <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+          {log.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No changes synced yet.</p>
+          ) : (
+            <ul className="space-y-2 max-h-72 overflow-y-auto">
+              {log.map(entry => {
+                const change = CHANGE_LABELS[entry.change_type];
+                return (
+                  <li key={entry.id} className="flex items-start gap-2 text-sm">
+                    <span className={`material-icons text-base ${change.className}`}>{change.icon}</span>
+                    <span className="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {new Date(entry.synced_at).toLocaleDateString()}
+                    </span>
+                    <span className={`font-medium whitespace-nowrap ${change.className}`}>{change.label}</span>
+                    <span className="text-gray-900 dark:text-white break-words min-w-0">{entry.front}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeckSubscription;
@@ -0,0 +1,180 @@
+import { useState } from 'react';
+import { generateCardsFromDocument, addCardsBulk } from '../api/decks';
+
+const CARD_COUNTS = [10, 20, 30, 50];
+
+/**
+ * Document Import Component
+ * Uploads a text, Markdown or PDF document, has AI suggest cards from its content,
+ * and adds the suggestions the user keeps to the deck in one go.
+ */
+const DocumentImport = ({ deckId, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [numCards, setNumCards] = useState(20);
+  const [generated, setGenerated] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [generating, setGenerating] = useState(false);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+  const [added, setAdded] = useState(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setGenerated(null);
+    setAdded(null);
+    setError('');
+  };
+
+  const handleGenerate = async () => {
+    try {
+      setGenerating(true);
+      setError('');
+      setAdded(null);
+      const result = await generateCardsFromDocument(deckId, file, numCards);
+      setGenerated(result);
+      setSelected(result.suggestions.map(() => true));
+    } catch (err) {
+      setError(err.message || 'Failed to generate cards');
+      setGenerated(null);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const toggleCard = (index) => {
+    setSelected(selected.map((value, i) => (i === index ? !value : value)));
+  };
+
+  const handleAdd = async () => {
+    try {
+      setAdding(true);
+      setError('');
+      const cards = generated.suggestions.filter((_, index) => selected[index]);
+      const result = await addCardsBulk(deckId, cards);
+      setAdded(result.added);
+      setGenerated(null);
+      setFile(null);
+      onImported();
+    } catch (err) {
+      setError(err.message || 'Failed to add cards');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const selectedCount = selected.filter(Boolean).length;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 sm:p-6 space-y-6 border border-gray-200 dark:border-gray-700">
+      <div>
+        <h3 className="text-lg font-semibold mb-1 dark:text-white">Generate from a Document</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          AI reads a text, Markdown or PDF file and suggests cards about its content. Pick the ones to keep before they are added.
+        </p>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 sm:items-end">
+        <input
+          type="file"
+          accept=".txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf"
+          onChange={handleFileChange}
+          disabled={generating || adding}
+          className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-teal-50 file:text-teal-700 hover:file:bg-teal-100"
+        />
+        <div className="shrink-0">
+          <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Cards</label>
+          <select
+            value={numCards}
+            onChange={(e) => setNumCards(parseInt(e.target.value))}
+            disabled={generating}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {CARD_COUNTS.map(count => (
+              <option key={count} value={count}>Up to {count}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleGenerate}
+          disabled={!file || generating || adding}
+          className="btn-primary flex items-center justify-center gap-2 shrink-0 disabled:opacity-50"
+        >
+          <span className={`material-icons ${generating ? 'animate-spin' : ''}`}>{generating ? 'refresh' : 'smart_toy'}</span>
+          {generating ? 'Generating...' : 'Generate Cards'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {added !== null && (
+        <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900 text-green-800 dark:text-green-200 text-sm">
+          Added {added} {added === 1 ? 'card' : 'cards'}.
+        </div>
+      )}
+
+      {generated && (
+        <>
+          {generated.chunks > generated.chunks_used && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The document is long: cards were made from the first {generated.chunks_used} of its {generated.chunks} parts.
+            </p>
+          )}
+
+          {generated.suggestions.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              No new cards were suggested. The deck may already have cards for this document; try again or another file.
+            </p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between">
+                <h4 className="font-semibold dark:text-white">Suggested Cards ({generated.suggestions.length})</h4>
+                <button
+                  onClick={() => setSelected(selected.map(() => selectedCount < selected.length))}
+                  className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {selectedCount < selected.length ? 'Select all' : 'Select none'}
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {generated.suggestions.map((suggestion, index) => (
+                  <label
+                    key={index}
+                    className={`flex gap-3 rounded-lg p-4 border cursor-pointer transition-colors ${
+                      selected[index]
+                        ? 'border-teal-400 dark:border-teal-600 bg-teal-50 dark:bg-teal-900/30'
+                        : 'border-gray-200 dark:border-gray-700'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected[index]}
+                      onChange={() => toggleCard(index)}
+                      className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <div className="min-w-0">
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Front</p>
+                      <p className="font-semibold text-gray-900 dark:text-white break-words mb-2">{suggestion.front}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Back</p>
+                      <p className="text-gray-700 dark:text-gray-300 break-words">{suggestion.back}</p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+
+              <button
+                onClick={handleAdd}
+                disabled={adding || selectedCount === 0}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50"
+              >
+                <span className={`material-icons ${adding ? 'animate-spin' : ''}`}>{adding ? 'refresh' : 'add'}</span>
+                {adding ? 'Adding...' : `Add ${selectedCount} ${selectedCount === 1 ? 'Card' : 'Cards'}`}
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DocumentImport;
@@ -1,50 +1,23 @@
-// Simple markdown renderer component
-const SimpleMarkdown = ({ text, invert = false }) => {
-  if (!text) return null;
-  
-  const textColor = invert ? 'text-white' : 'text-gray-900';
-  const codeBg = invert ? 'bg-white/20' : 'bg-gray-200';
-  
-  // Convert markdown to HTML - process in order
-  // First, protect code blocks
-  const codePlaceholder = '__CODE_BLOCK__';
-  const codes = [];
-  let html = text.replace(/`([^`]+)`/g, (match, content) => {
-    const placeholder = `${codePlaceholder}${codes.length}`;
-    codes.push(`<code class="${codeBg} px-1 rounded font-mono">${content}</code>`);
-    return placeholder;
-  });
-  
-  // Process bold (double asterisks)
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold">$1</strong>');
-  
-  // Process italic (single asterisks that are not part of bold)
-  html = html.replace(/\*([^*]+?)\*/g, '<em class="italic">$1</em>');
-  
-  // Restore code blocks
-  codes.forEach((code, index) => {
-    html = html.replace(`${codePlaceholder}${index}`, code);
-  });
-  
-  // Process headings and line breaks
-  html = html
-    .replace(/^## (.*)$/gm, '<h2 class="text-xl font-bold mb-2 mt-4">$1</h2>')
-    .replace(/^# (.*)$/gm, '<h1 class="text-2xl font-bold mb-2 mt-4">$1</h1>')
-    .replace(/\n/g, '<br />');
-  
-  return <div className={textColor} dangerouslySetInnerHTML={{ __html: html }} />;
-};
+import SimpleMarkdown from './SimpleMarkdown';
+import { renderCard } from '../utils/notes';
 
 /**
  * Flashcard component with flip animation
+ * A card with a hint shows a "Show hint" button on the front; hintShown/onShowHint
+ * let the parent record whether it was used
  */
-const Flashcard = ({ card, isFlipped, onFlip }) => {
+const Flashcard = ({ card, isFlipped, onFlip, hintShown = false, onShowHint }) => {
   // Extract content from card object (handles both formats)
   // Always ensure we get a string, never render objects
   let frontContent = 'Empty';
   let backContent = 'Empty';
   
-  if (card) {
+  if (card?.note) {
+    // Render from the card's note (same renderer as the editor preview; cloze cards blank their cloze)
+    const rendered = renderCard({ templates: card.note.templates }, card.note.fields, card.note.ord);
+    frontContent = (rendered && rendered.front) || 'Empty';
+    backContent = (rendered && rendered.back) || 'Empty';
+  } else if (card) {
     if (typeof card.front === 'string') {
       frontContent = card.front;
     } else if (card.front && typeof card.front === 'object') {
@@ -102,6 +75,23 @@ const Flashcard = ({ card, isFlipped, onFlip }) => {
               }`} style={{ fontSize: `${frontFontSize}px` }}>
                 <SimpleMarkdown text={frontContent} invert={true} />
               </div>
+              {card.hint && onShowHint && (
+                hintShown ? (
+                  <p className="text-sm text-primary-100 italic text-center mb-2">Hint: {card.hint}</p>
+                ) : (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onShowHint();
+                    }}
+                    className="bg-white/20 hover:bg-white/30 text-white px-3 py-1 rounded-lg flex items-center gap-1 self-center text-sm mb-2 transition-colors"
+                    title="Show hint (H)"
+                  >
+                    <span className="material-icons text-base">lightbulb</span>
+                    Show hint
+                  </button>
+                )
+              )}
               <p className="text-sm text-primary-100 text-center">Click to flip</p>
             </div>
           </div>
@@ -0,0 +1,102 @@
+import SimpleMarkdown from './SimpleMarkdown';
+import { renderCard, getCardName, getCardOrds, getClozeNumbers, getClozeFields, isClozeNoteType } from '../utils/notes';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+/**
+ * Note Editor Component
+ * Edits the fields of a note and previews every card its note type's templates
+ * render from them (with the same renderer the flashcards use)
+ * Cloze note types preview one card per cloze number instead of one per template.
+ */
+const NoteEditor = ({ noteType, fields, onChange }) => {
+  const cardOrds = getCardOrds(noteType, fields);
+  const isCloze = isClozeNoteType(noteType);
+  const clozeFields = isCloze ? getClozeFields(noteType.templates[0].front) : [];
+  const previewOrds = isCloze ? cardOrds : noteType.templates.map((template, ord) => ord);
+
+  // Wrap the selected text of a field in the next cloze deletion ({{c1::...}}, {{c2::...}}, ...)
+  const handleAddCloze = (fieldName) => {
+    const textarea = document.getElementById(`note-field-${fieldName}`);
+    const value = fields[fieldName] || '';
+    const start = textarea ? textarea.selectionStart : value.length;
+    const end = textarea ? textarea.selectionEnd : value.length;
+    const number = Math.max(0, ...getClozeNumbers(value)) + 1;
+    const selected = value.substring(start, end) || '...';
+    onChange({
+      ...fields,
+      [fieldName]: `${value.substring(0, start)}{{c${number}::${selected}}}${value.substring(end)}`
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+      {/* Fields */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 sm:p-6 space-y-4">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white">{noteType.name}</h2>
+        {noteType.fields.map(fieldName => (
+          <div key={fieldName}>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                {fieldName}
+              </label>
+              {clozeFields.includes(fieldName) && (
+                <button
+                  type="button"
+                  onClick={() => handleAddCloze(fieldName)}
+                  className="text-xs px-2 py-1 rounded bg-primary-100 dark:bg-primary-900 text-primary-700 dark:text-primary-300 hover:bg-primary-200"
+                  title="Turn the selected text into a cloze deletion"
+                >
+                  [...] Cloze
+                </button>
+              )}
+            </div>
+            <textarea
+              id={`note-field-${fieldName}`}
+              rows={isCloze ? 4 : 2}
+              value={fields[fieldName] || ''}
+              onChange={(e) => onChange({ ...fields, [fieldName]: e.target.value })}
+              className={inputClassName}
+            />
+          </div>
+        ))}
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {isCloze
+            ? 'Select text and press [...] Cloze, or type {{c1::answer}} (optionally {{c1::answer::hint}}). Each cloze number becomes its own card.'
+            : 'Fields support markdown. For audio, enter a link to the sound file (https://...).'}
+        </p>
+      </div>
+
+      {/* Card previews */}
+      <div className="space-y-4">
+        {isCloze && previewOrds.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 italic">Add a cloze deletion to create cards</p>
+        )}
+        {previewOrds.map(ord => {
+          const rendered = renderCard(noteType, fields, ord);
+          const willCreate = cardOrds.includes(ord);
+          return (
+            <div key={ord} className={willCreate ? '' : 'opacity-50'}>
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-semibold text-gray-700 dark:text-gray-300">{getCardName(noteType, ord)}</span>
+                {!willCreate && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">No card (front is empty)</span>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div className="bg-gradient-to-br from-primary-500 to-primary-700 rounded-lg p-4 min-h-[100px] flex items-center justify-center text-center">
+                  <SimpleMarkdown text={rendered.front} invert={true} />
+                </div>
+                <div className="bg-white dark:bg-gray-100 border-2 border-primary-500 rounded-lg p-4 min-h-[100px] flex items-center justify-center text-center">
+                  <SimpleMarkdown text={rendered.back} invert={false} />
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default NoteEditor;
@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { createNoteType } from '../api/decks';
+import { validateNoteType } from '../utils/notes';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+/**
+ * Note Type Form Component
+ * Creates a note type: its fields and the templates that turn a note into cards
+ */
+const NoteTypeForm = ({ onCreated, onCancel }) => {
+  const [name, setName] = useState('');
+  const [fieldNames, setFieldNames] = useState('Word, Translation');
+  const [templates, setTemplates] = useState([
+    { name: 'Card 1', front: '{{Word}}', back: '{{Translation}}' }
+  ]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleTemplateChange = (index, key, value) => {
+    setTemplates(templates.map((template, i) => (i === index ? { ...template, [key]: value } : template)));
+  };
+
+  const handleSave = async () => {
+    const noteType = {
+      name,
+      fields: fieldNames.split(',').map(field => field.trim()).filter(field => field !== ''),
+      templates
+    };
+    const validationError = validateNoteType(noteType);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      onCreated(await createNoteType(noteType));
+    } catch (err) {
+      setError(err.message || 'Failed to create note type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 sm:p-6 mb-6 space-y-4">
+      <h2 className="text-lg font-bold text-gray-900 dark:text-white">New Note Type</h2>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Name</label>
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClassName} />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Fields</label>
+        <input type="text" value={fieldNames} onChange={(e) => setFieldNames(e.target.value)} className={inputClassName} />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Comma-separated, e.g. Word, Translation, Gender, IPA</p>
+      </div>
+
+      {templates.map((template, index) => (
+        <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={template.name}
+              onChange={(e) => handleTemplateChange(index, 'name', e.target.value)}
+              className={inputClassName}
+            />
+            {templates.length > 1 && (
+              <button
+                onClick={() => setTemplates(templates.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800 dark:text-red-400"
+                title="Remove template"
+              >
+                <span className="material-icons">delete</span>
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <textarea
+              rows={3}
+              value={template.front}
+              onChange={(e) => handleTemplateChange(index, 'front', e.target.value)}
+              placeholder="Front, e.g. {{Word}}"
+              className={`${inputClassName} font-mono text-sm`}
+            />
+            <textarea
+              rows={3}
+              value={template.back}
+              onChange={(e) => handleTemplateChange(index, 'back', e.target.value)}
+              placeholder="Back, e.g. {{Translation}}{{#Gender}} ({{Gender}}){{/Gender}}"
+              className={`${inputClassName} font-mono text-sm`}
+            />
+          </div>
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {'Templates show fields with {{Field}}. {{#Field}}...{{/Field}} is only shown when the field is filled in, {{^Field}}...{{/Field}} only when it is empty. Each template makes one card per note. A note type whose template shows {{cloze:Field}} makes one card per cloze deletion instead.'}
+      </p>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => setTemplates([...templates, { name: `Card ${templates.length + 1}`, front: '', back: '' }])}
+          className="btn-secondary text-sm flex items-center gap-1"
+        >
+          <span className="material-icons text-base">add</span>
+          Add Template
+        </button>
+        <button onClick={handleSave} disabled={saving} className="btn-primary text-sm disabled:opacity-50">
+          {saving ? 'Saving...' : 'Create Note Type'}
+        </button>
+        <button onClick={onCancel} disabled={saving} className="btn-secondary text-sm">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NoteTypeForm;
@@ -13,9 +13,20 @@ const SRSSettingsView = ({ currentUser, userSettings, onSettingsUpdated, onBack
     interval_modifier: 1.0,
     hard_interval_factor: 1.0,
     new_cards_per_day: 20,
-    learning_steps: '1m,6m,10m,12d'
+    max_reviews_per_day: 200,
+    learning_steps: '1m,6m,10m,12d',
+    timezone: 'UTC',
+    day_starts_at: 4,
+    fuzz_percent: 5,
+    load_balance: false,
+    leech_threshold: 8,
+    leech_action: 'tag',
+    scheduler: 'sm2',
+    desired_retention: 0.9
   });
   const [saving, setSaving] = useState(false);
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
   const [saveMessage, setSaveMessage] = useState('');
 
   useEffect(() => {
@@ -66,6 +77,43 @@ const SRSSettingsView = ({ currentUser, userSettings, onSettingsUpdated, onBack
 
       <div className="bg-white dark:bg-gray-800/95 dark:backdrop-blur-sm rounded-lg shadow-lg p-8 border border-gray-200 dark:border-gray-700">
         <div className="space-y-6">
+          {/* Scheduler */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Scheduler
+            </label>
+            <select
+              value={settings.scheduler || 'sm2'}
+              onChange={(e) => handleChange('scheduler', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="sm2">SM-2 (ease factor)</option>
+              <option value="fsrs">FSRS (stability &amp; difficulty)</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              FSRS ignores the ease, bonus and modifier settings below and only uses the learning steps shorter than a day
+            </p>
+          </div>
+
+          {/* Desired Retention (FSRS only) */}
+          {settings.scheduler === 'fsrs' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Desired Retention
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.7"
+                max="0.97"
+                value={settings.desired_retention || 0.9}
+                onChange={(e) => handleChange('desired_retention', parseFloat(e.target.value) || 0.9)}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Chance of remembering a card when it comes due (0.7-0.97). Higher means more reviews</p>
+            </div>
+          )}
+
           {/* Max Interval */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -163,7 +211,23 @@ const SRSSettingsView = ({ currentUser, userSettings, onSettingsUpdated, onBack
               onChange={(e) => handleChange('new_cards_per_day', parseInt(e.target.value) || 20)}
               className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
             />
-            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Daily limit for new cards (1-200)</p>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Daily limit for new cards across all decks (1-200)</p>
+          </div>
+
+          {/* Max Reviews Per Day */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Maximum Reviews Per Day
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="9999"
+              value={settings.max_reviews_per_day}
+              onChange={(e) => handleChange('max_reviews_per_day', e.target.value === '' ? 200 : Math.max(0, parseInt(e.target.value) || 0))}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Daily limit for review cards across all decks (0-9999). Cards still in learning steps are always shown</p>
           </div>
 
           {/* Learning Steps */}
@@ -181,6 +245,127 @@ const SRSSettingsView = ({ currentUser, userSettings, onSettingsUpdated, onBack
             <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Comma-separated steps (e.g., "1m,6m,10m,12d"). Use m=minutes, h=hours, d=days</p>
           </div>
 
+          {/* Interval Fuzz */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Interval Fuzz (%)
+            </label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              max="25"
+              value={settings.fuzz_percent !== undefined && settings.fuzz_percent !== null ? settings.fuzz_percent : 5}
+              onChange={(e) => handleChange('fuzz_percent', e.target.value === '' ? 5 : Math.min(25, Math.max(0, parseFloat(e.target.value) || 0)))}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Intervals of 3+ days are moved by up to this much so cards learned together don't stay bunched (0-25, 0 = off)</p>
+          </div>
+
+          {/* Load Balancing */}
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={settings.load_balance === true}
+                onChange={(e) => handleChange('load_balance', e.target.checked)}
+                className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 text-primary-500 focus:ring-primary-500"
+              />
+              Load Balancing
+            </label>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Within the fuzz range, schedule cards on the day with the fewest reviews due</p>
+          </div>
+
+          {/* Leech Threshold */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Leech Threshold
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="99"
+              value={settings.leech_threshold !== undefined && settings.leech_threshold !== null ? settings.leech_threshold : 8}
+              onChange={(e) => handleChange('leech_threshold', e.target.value === '' ? 8 : Math.min(99, Math.max(0, parseInt(e.target.value) || 0)))}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Times a learned card can be forgotten ("Again") before it becomes a leech (0-99, 0 = off)</p>
+          </div>
+
+          {/* Leech Action */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Leech Action
+            </label>
+            <select
+              value={settings.leech_action || 'tag'}
+              onChange={(e) => handleChange('leech_action', e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="tag">Tag only</option>
+              <option value="suspend">Suspend card</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Leeches are listed in each deck so you can rewrite them; suspended leeches stay out of practice until you mark them as done</p>
+          </div>
+
+          {/* Timezone */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Timezone
+            </label>
+            <div className="flex gap-2">
+              {timezones.length > 0 ? (
+                <select
+                  value={settings.timezone || 'UTC'}
+                  onChange={(e) => handleChange('timezone', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {!timezones.includes(settings.timezone || 'UTC') && (
+                    <option value={settings.timezone || 'UTC'}>{settings.timezone || 'UTC'}</option>
+                  )}
+                  {timezones.map(zone => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={settings.timezone || 'UTC'}
+                  onChange={(e) => handleChange('timezone', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Europe/Berlin"
+                />
+              )}
+              {browserTimezone && settings.timezone !== browserTimezone && (
+                <button
+                  type="button"
+                  onClick={() => handleChange('timezone', browserTimezone)}
+                  className="px-3 py-2 text-sm whitespace-nowrap border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                >
+                  Use {browserTimezone}
+                </button>
+              )}
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Used to decide when a new study day begins</p>
+          </div>
+
+          {/* Next Day Starts At */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Next Day Starts At
+            </label>
+            <select
+              value={settings.day_starts_at !== undefined && settings.day_starts_at !== null ? settings.day_starts_at : 4}
+              onChange={(e) => handleChange('day_starts_at', parseInt(e.target.value))}
+              className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Cards due in a day or more become available at this hour; daily limits and streaks reset then too</p>
+          </div>
+
           {/* Save Button */}
           <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
             <div className="text-sm text-gray-600 dark:text-gray-400">
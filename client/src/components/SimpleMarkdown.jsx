@@ -0,0 +1,55 @@
+const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+/**
+ * Simple markdown renderer for card content (shared by the flashcards and the card editor)
+ * Supports `code`, **bold**, *italic*, # headings, line breaks and [sound:https://...] audio
+ */
+const SimpleMarkdown = ({ text, invert = false }) => {
+  if (!text) return null;
+
+  const textColor = invert ? 'text-white' : 'text-gray-900';
+  const codeBg = invert ? 'bg-white/20' : 'bg-gray-200';
+
+  // Convert markdown to HTML - process in order
+  // First, protect code blocks and audio
+  const codePlaceholder = '__CODE_BLOCK__';
+  const codes = [];
+  let html = text.replace(/`([^`]+)`/g, (match, content) => {
+    const placeholder = `${codePlaceholder}${codes.length}`;
+    codes.push(`<code class="${codeBg} px-1 rounded font-mono">${content}</code>`);
+    return placeholder;
+  });
+  html = html.replace(/\[sound:(https?:\/\/[^\]\s]+)\]/g, (match, url) => {
+    const placeholder = `${codePlaceholder}${codes.length}`;
+    codes.push(`<audio controls preload="none" class="inline-block max-w-full align-middle" src="${escapeAttribute(url)}"></audio>`);
+    return placeholder;
+  });
+
+  // Process bold (double asterisks)
+  html = html.replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold">$1</strong>');
+
+  // Process italic (single asterisks that are not part of bold)
+  html = html.replace(/\*([^*]+?)\*/g, '<em class="italic">$1</em>');
+
+  // Restore code blocks and audio
+  codes.forEach((code, index) => {
+    html = html.replace(`${codePlaceholder}${index}`, code);
+  });
+
+  // Process headings and line breaks
+  html = html
+    .replace(/^## (.*)$/gm, '<h2 class="text-xl font-bold mb-2 mt-4">$1</h2>')
+    .replace(/^# (.*)$/gm, '<h1 class="text-2xl font-bold mb-2 mt-4">$1</h1>')
+    .replace(/\n/g, '<br />');
+
+  // Using the audio controls shouldn't flip the card underneath
+  const handleClick = (e) => {
+    if (e.target.closest('audio')) {
+      e.stopPropagation();
+    }
+  };
+
+  return <div className={textColor} onClick={handleClick} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default SimpleMarkdown;
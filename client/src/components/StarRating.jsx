@@ -0,0 +1,50 @@
+import { useState } from 'react';
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Star Rating Component
+ * Shows a 1-5 star rating (halves rounded to the nearest half star), or lets the
+ * user pick one when onChange is given.
+ */
+const StarRating = ({ value, onChange, size = 'text-base', disabled = false }) => {
+  const [hovered, setHovered] = useState(null);
+  const shown = hovered ?? value ?? 0;
+  const rounded = Math.round(shown * 2) / 2;
+
+  const icon = (star) => {
+    if (rounded >= star) return 'star';
+    if (rounded >= star - 0.5) return 'star_half';
+    return 'star_border';
+  };
+
+  if (!onChange) {
+    return (
+      <span className="inline-flex text-amber-500" title={value ? `${value} out of 5` : 'Not rated yet'}>
+        {STARS.map(star => (
+          <span key={star} className={`material-icons ${size}`}>{icon(star)}</span>
+        ))}
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex text-amber-500" onMouseLeave={() => setHovered(null)}>
+      {STARS.map(star => (
+        <button
+          key={star}
+          type="button"
+          onClick={() => onChange(star)}
+          onMouseEnter={() => setHovered(star)}
+          disabled={disabled}
+          className="disabled:opacity-50"
+          title={`${star} ${star === 1 ? 'star' : 'stars'}`}
+        >
+          <span className={`material-icons ${size}`}>{icon(star)}</span>
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
-import { getUserDecks, createDeck, deleteDeck, getUserStats, updateDeckPublicStatus, getDeckStatistics } from '../api/decks';
+import { getUserDecks, createDeck, deleteDeck, getUserStats, updateDeckPublicStatus, getDeckStatistics, importAnkiPackage, restoreDeckBackup } from '../api/decks';
 
 /**
  * User dashboard showing decks, stats, and options to create/import decks
@@ -26,6 +26,8 @@ const Dashboard = () => {
   const [deckStats, setDeckStats] = useState({}); // { deckId: { new, learning, due, total } }
   const [loading, setLoading] = useState(true);
   const [creatingDeck, setCreatingDeck] = useState(false);
+  const [importingAnki, setImportingAnki] = useState(false);
+  const [restoringBackup, setRestoringBackup] = useState(false);
 
   useEffect(() => {
     if (currentUser) {
@@ -114,6 +116,57 @@ const Dashboard = () => {
     }
   };
 
+  const handleImportAnki = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !currentUser || importingAnki) return;
+    
+    try {
+      setImportingAnki(true);
+      // Anki packages don't say which language they teach
+      const result = await importAnkiPackage(file, 'Other');
+      await loadUserData();
+      
+      const deckNames = result.decks.map(deck => deck.name).join(', ');
+      let message = `Imported ${result.cards} cards into ${result.decks.length === 1 ? 'deck' : 'decks'}: ${deckNames}.`;
+      if (result.skipped_notes > 0) {
+        message += `\n${result.skipped_notes} notes without any card were skipped.`;
+      }
+      if (result.media_skipped > 0) {
+        message += `\n${result.media_skipped} media ${result.media_skipped === 1 ? 'file' : 'files'} (images, sounds) used by the cards ${result.media_skipped === 1 ? 'was' : 'were'} skipped and removed from the cards, as Kardo doesn't store files.`;
+      }
+      alert(message);
+    } catch (error) {
+      console.error('Error importing Anki package:', error);
+      alert(error.message || 'Failed to import Anki package. Please try again.');
+    } finally {
+      setImportingAnki(false);
+    }
+  };
+
+  const handleRestoreBackup = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !currentUser || restoringBackup) return;
+    
+    try {
+      setRestoringBackup(true);
+      const result = await restoreDeckBackup(file);
+      await loadUserData();
+      
+      let message = result.created
+        ? `Restored the deck with ${result.cards_added} cards.`
+        : `Updated the deck: ${result.cards_updated} cards updated, ${result.cards_added} cards added.`;
+      message += `\nRestored progress for ${result.progress_restored} cards and ${result.reviews_restored} reviews.`;
+      alert(message);
+    } catch (error) {
+      console.error('Error restoring deck backup:', error);
+      alert(error.message || 'Failed to restore deck backup. Please try again.');
+    } finally {
+      setRestoringBackup(false);
+    }
+  };
+
   const handleDeleteDeck = async (deckId, deckName) => {
     if (window.confirm(`Are you sure you want to delete "${deckName}"?`)) {
       if (!currentUser) return;
@@ -205,6 +258,28 @@ const Dashboard = () => {
                 <span className="material-icons text-lg">add</span>
                 Create New Deck
               </button>
+              <label className={`btn-secondary flex items-center gap-2 ${importingAnki ? 'opacity-50 cursor-wait' : 'cursor-pointer'}`}>
+                <span className={`material-icons text-lg ${importingAnki ? 'animate-spin' : ''}`}>{importingAnki ? 'refresh' : 'file_download'}</span>
+                {importingAnki ? 'Importing...' : 'Import from Anki'}
+                <input
+                  type="file"
+                  accept=".apkg"
+                  onChange={handleImportAnki}
+                  disabled={importingAnki}
+                  className="hidden"
+                />
+              </label>
+              <label className={`btn-secondary flex items-center gap-2 ${restoringBackup ? 'opacity-50 cursor-wait' : 'cursor-pointer'}`}>
+                <span className={`material-icons text-lg ${restoringBackup ? 'animate-spin' : ''}`}>{restoringBackup ? 'refresh' : 'settings_backup_restore'}</span>
+                {restoringBackup ? 'Restoring...' : 'Restore Backup'}
+                <input
+                  type="file"
+                  accept=".json"
+                  onChange={handleRestoreBackup}
+                  disabled={restoringBackup}
+                  className="hidden"
+                />
+              </label>
               <Link 
                 to="/public-decks"
                 className="btn-secondary flex items-center gap-2"
@@ -300,6 +375,9 @@ const Dashboard = () => {
                       {deckStats[deck.id].mature > 0 && (
                         <span className="ml-2">• Mature: {deckStats[deck.id].mature}</span>
                       )}
+                      {(deckStats[deck.id].new_total > deckStats[deck.id].new || deckStats[deck.id].due_total > deckStats[deck.id].due) && (
+                        <span className="ml-2" title="New cards and reviews beyond today's limits wait until tomorrow">• Daily limit reached</span>
+                      )}
                     </div>
                   </div>
                 )}
@@ -1,48 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
 import Flashcard from '../components/Flashcard';
-import { getUserDecks, getDeckCards, addCard, updateCard, deleteCard, deleteDeck, getAISuggestions, getDueCards, reviewCard as reviewCardAPI, initProgress, getUserSettings, getDeckStatistics, updateUserSettings } from '../api/decks';
-import { calculateNextReviewTime, formatNextReviewTime } from '../utils/srs';
+import SimpleMarkdown from '../components/SimpleMarkdown';
+import { getUserDecks, getDeckCards, addCard, updateCard, deleteCard, deleteDeck, getAISuggestions, getDueCards, reviewCard as reviewCardAPI, undoReview as undoReviewAPI, initProgress, getUserSettings, getDeckStatistics, updateUserSettings, getDueForecast, getDeckLeeches, clearLeech, suspendCard as suspendCardAPI, unsuspendCard as unsuspendCardAPI, buryCard as buryCardAPI, forgetCard as forgetCardAPI, setDeckReverse, getNoteTypes, addNote, getNote, updateNote as updateNoteAPI, setCardTags, exportAnkiPackage, exportDeckBackup } from '../api/decks';
+import { calculateNextReviewTime, formatNextReviewTime, getFuzzSeed, getReviewType } from '../utils/srs';
+import { BUILT_IN_NOTE_TYPES, getCardOrds, getFieldsFromCardEdit, isClozeNoteType } from '../utils/notes';
 import SRSSettingsView from '../components/SRSSettingsView';
+import NoteEditor from '../components/NoteEditor';
+import NoteTypeForm from '../components/NoteTypeForm';
+import CsvImport from '../components/CsvImport';
+import DocumentImport from '../components/DocumentImport';
+import DeckSubscription from '../components/DeckSubscription';
 
-// Simple markdown renderer component
-const SimpleMarkdown = ({ text, invert = false }) => {
-  if (!text) return null;
-  
-  const textColor = invert ? 'text-white' : 'text-gray-900';
-  const codeBg = invert ? 'bg-white/20' : 'bg-gray-200';
-  
-  // Convert markdown to HTML - process in order
-  // First, protect code blocks
-  const codePlaceholder = '__CODE_BLOCK__';
-  const codes = [];
-  let html = text.replace(/`([^`]+)`/g, (match, content) => {
-    const placeholder = `${codePlaceholder}${codes.length}`;
-    codes.push(`<code class="${codeBg} px-1 rounded font-mono">${content}</code>`);
-    return placeholder;
-  });
-  
-  // Process bold (double asterisks)
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold">$1</strong>');
-  
-  // Process italic (single asterisks that are not part of bold)
-  html = html.replace(/\*([^*]+?)\*/g, '<em class="italic">$1</em>');
-  
-  // Restore code blocks
-  codes.forEach((code, index) => {
-    html = html.replace(`${codePlaceholder}${index}`, code);
-  });
-  
-  // Process headings and line breaks
-  html = html
-    .replace(/^## (.*)$/gm, '<h2 class="text-xl font-bold mb-2 mt-4">$1</h2>')
-    .replace(/^# (.*)$/gm, '<h1 class="text-2xl font-bold mb-2 mt-4">$1</h1>')
-    .replace(/\n/g, '<br />');
-  
-  return <div className={textColor} dangerouslySetInnerHTML={{ __html: html }} />;
-};
+// Split a comma-separated tags input (the server normalizes the tags)
+const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(tag => tag !== '');
 
 /**
  * Deck page with tabs for cards management, editing, and study modes
@@ -53,7 +26,7 @@ const DeckPage = () => {
   const { currentUser } = useAuth();
   const [deck, setDeck] = useState(null);
   const [cards, setCards] = useState([]);
-  const [deckMode, setDeckMode] = useState(null); // null = mode selector, 'add-cards', 'edit-cards', 'practice', 'ai-suggestions', 'game-modes'
+  const [deckMode, setDeckMode] = useState(null); // null = mode selector, 'add-cards', 'edit-cards', 'practice', 'ai-suggestions', 'game-modes', 'leeches'
   const [loadingCards, setLoadingCards] = useState(false);
   
   // Review mode state
@@ -64,8 +37,15 @@ const DeckPage = () => {
   const [dueCards, setDueCards] = useState([]);
   const [loadingDueCards, setLoadingDueCards] = useState(false);
   const [userSettings, setUserSettings] = useState(null);
+  const [dueForecast, setDueForecast] = useState(null); // Reviews due per study day (only loaded when load balancing is on)
   const [matureCount, setMatureCount] = useState(0);
   const [deckStats, setDeckStats] = useState(null); // Full deck statistics
+  const [cardShownAt, setCardShownAt] = useState(null); // When the current practice card appeared (for review timing)
+  const [hintShown, setHintShown] = useState(false); // Whether the current practice card's hint was revealed
+  const [lastReview, setLastReview] = useState(null); // Last answered card and its pending save (for undo)
+  const [undoingReview, setUndoingReview] = useState(false);
+  const [leeches, setLeeches] = useState([]); // Cards the user keeps failing (for rewriting)
+  const [loadingLeeches, setLoadingLeeches] = useState(false);
 
   // Card editor mode (full-screen card creation)
   const [cardEditorMode, setCardEditorMode] = useState(false);
@@ -80,11 +60,19 @@ const DeckPage = () => {
     frontVerticalAlign: 'middle', // 'top', 'middle', 'bottom'
     backVerticalAlign: 'middle', // 'top', 'middle', 'bottom'
     frontFontSize: '18', // Font size in pixels
-    backFontSize: '18' // Font size in pixels
+    backFontSize: '18', // Font size in pixels
+    tags: '', // Comma-separated tags
+    hint: '' // Shown on request during practice
   });
   const [savingCard, setSavingCard] = useState(false);
+  const [noteTypes, setNoteTypes] = useState([]); // Note types the user can pick in the editor
+  const [noteEditor, setNoteEditor] = useState(null); // { noteType, noteId, fields } while editing a note by its fields
+  const [showNoteTypeForm, setShowNoteTypeForm] = useState(false);
   const [showPreview, setShowPreview] = useState({ front: false, back: false });
   const [activeTextarea, setActiveTextarea] = useState('front'); // Track which textarea is active
+  const [tagFilter, setTagFilter] = useState(''); // Only show and practice cards with this tag ('' = all cards)
+  const [exporting, setExporting] = useState(false);
+  const [backingUp, setBackingUp] = useState(false);
 
   useEffect(() => {
     if (currentUser && deckId) {
@@ -94,6 +82,22 @@ const DeckPage = () => {
     }
   }, [currentUser, deckId]);
   
+  // Restart the answer timer whenever a different card is shown in practice
+  const currentPracticeCardId = deckMode === 'practice' ? dueCards[currentCardIndex]?.id : null;
+  useEffect(() => {
+    setCardShownAt(currentPracticeCardId ? Date.now() : null);
+    setHintShown(false);
+  }, [currentPracticeCardId]);
+  
+  // Load balancing picks the least busy day, so previews need the same forecast the server uses
+  useEffect(() => {
+    if (userSettings?.load_balance) {
+      loadDueForecast();
+    } else {
+      setDueForecast(null);
+    }
+  }, [userSettings?.load_balance]);
+  
   const loadUserSettings = async () => {
     if (!currentUser) return;
     try {
@@ -106,6 +110,49 @@ const DeckPage = () => {
     }
   };
   
+  const loadDueForecast = async () => {
+    if (!currentUser) return;
+    try {
+      const userId = currentUser.id || currentUser.uid || currentUser.email;
+      const forecast = await getDueForecast(userId);
+      setDueForecast(forecast);
+    } catch (error) {
+      console.warn('Error loading due forecast, previews may differ by a day:', error);
+      setDueForecast(null);
+    }
+  };
+  
+  const loadLeeches = async () => {
+    if (!deckId) return;
+    try {
+      setLoadingLeeches(true);
+      const leechCards = await getDeckLeeches(deckId);
+      setLeeches(leechCards);
+    } catch (error) {
+      console.error('Error loading leeches:', error);
+      setLeeches([]);
+    } finally {
+      setLoadingLeeches(false);
+    }
+  };
+  
+  const handleOpenLeeches = () => {
+    setDeckMode('leeches');
+    loadLeeches();
+  };
+  
+  const handleClearLeech = async (cardId) => {
+    try {
+      await clearLeech(cardId);
+      setLeeches(prev => prev.filter(card => card.id !== cardId));
+      loadMatureCount().catch(() => {
+        // Silently fail - counts are not critical
+      });
+    } catch (error) {
+      alert('Failed to clear leech. Please try again.');
+    }
+  };
+  
   const loadMatureCount = async () => {
     if (!currentUser || !deckId) return;
     try {
@@ -150,10 +197,40 @@ const DeckPage = () => {
       id: card.id || `card-${Date.now()}-${Math.random()}`,
       front: front,
       back: back,
-      difficulty: card.difficulty || 'medium'
+      difficulty: card.difficulty || 'medium',
+      reverse_of: card.reverse_of || null,
+      note_id: card.note_id || null,
+      template_ord: card.template_ord || 0,
+      hint: card.hint || '',
+      tags: Array.isArray(card.tags) ? card.tags : [],
+      suspended: card.suspended === true,
+      buried_until: card.buried_until || null
     };
   };
 
+  // Tags used in the deck, and the cards the tag filter leaves
+  const deckTags = [...new Set(cards.flatMap(card => card.tags))].sort();
+  const filteredCards = tagFilter ? cards.filter(card => card.tags.includes(tagFilter)) : cards;
+
+  const tagFilterSelect = (
+    <div className="flex items-center gap-2">
+      <span className="material-icons text-base text-gray-500 dark:text-gray-400">label</span>
+      <select
+        value={tagFilter}
+        onChange={(e) => setTagFilter(e.target.value)}
+        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        title="Only show and practice cards with this tag"
+      >
+        <option value="">All cards</option>
+        {deckTags.map(tag => (
+          <option key={tag} value={tag}>
+            {tag} ({cards.filter(card => card.tags.includes(tag)).length})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
   const loadDeckData = async () => {
     if (!currentUser || !deckId) return;
     
@@ -217,16 +294,62 @@ const DeckPage = () => {
       frontVerticalAlign: 'middle',
       backVerticalAlign: 'middle',
       frontFontSize: '18',
-      backFontSize: '18'
+      backFontSize: '18',
+      tags: '',
+      hint: ''
     });
     setEditingCardId(null); // Not editing an existing card
+    setNoteEditor(null);
+    setShowNoteTypeForm(false);
     setCardEditorMode(true);
     setIsFlipped(false);
     setShowPreview({ front: false, back: false });
     setDeckMode(null); // Reset mode when entering card editor
+    loadNoteTypes();
+  };
+
+  const loadNoteTypes = async () => {
+    try {
+      setNoteTypes(await getNoteTypes());
+    } catch (error) {
+      // Note types not set up yet: only Basic cards can be added
+      console.warn('Error loading note types:', error);
+      setNoteTypes([]);
+    }
   };
 
-  const handleEditCard = (card) => {
+  // Note types other than the two Basic ones are edited by their fields instead of front/back
+  const fieldNoteTypes = noteTypes.filter(noteType =>
+    noteType.user_id !== null ||
+    (noteType.name !== BUILT_IN_NOTE_TYPES.BASIC && noteType.name !== BUILT_IN_NOTE_TYPES.BASIC_REVERSED)
+  );
+
+  const handleNoteTypeCreated = (noteType) => {
+    setNoteTypes([...noteTypes, noteType]);
+    setShowNoteTypeForm(false);
+    setNoteEditor({ noteType, noteId: null, fields: {} });
+  };
+
+  const handleEditCard = async (card) => {
+    // Cards whose template isn't plain front/back (e.g. Vocabulary) are edited through their note's fields
+    if (card.note_id) {
+      try {
+        const { note, note_type } = await getNote(card.note_id);
+        if (!getFieldsFromCardEdit(note_type, note.fields, card.template_ord || 0, '', '')) {
+          setNoteEditor({ noteType: note_type, noteId: note.id, fields: note.fields });
+          setShowNoteTypeForm(false);
+          setEditingCard({ ...editingCard, difficulty: card.difficulty || 'medium', tags: card.tags.join(', ') });
+          setEditingCardId(card.id);
+          setCardEditorMode(true);
+          return;
+        }
+      } catch (error) {
+        console.warn('Error loading note, editing the card directly:', error);
+      }
+    }
+    setNoteEditor(null);
+    setShowNoteTypeForm(false);
+    
     // Pre-fill the editor with the card's data
     const frontContent = typeof card.front === 'string' ? card.front : (card.front?.content || '');
     const backContent = typeof card.back === 'string' ? card.back : (card.back?.content || '');
@@ -247,7 +370,9 @@ const DeckPage = () => {
       frontVerticalAlign: frontVerticalAlign,
       backVerticalAlign: backVerticalAlign,
       frontFontSize: frontFontSize,
-      backFontSize: backFontSize
+      backFontSize: backFontSize,
+      tags: card.tags.join(', '),
+      hint: card.hint || ''
     });
     setEditingCardId(card.id); // Track which card we're editing
     setCardEditorMode(true);
@@ -256,7 +381,64 @@ const DeckPage = () => {
     // Keep deckMode as 'edit-cards' so we return to the table
   };
 
+  const handleSaveNote = async (addMore = false) => {
+    const { noteType, noteId, fields } = noteEditor;
+    if (getCardOrds(noteType, fields).length === 0) {
+      alert(isClozeNoteType(noteType)
+        ? 'Please add at least one cloze deletion, e.g. {{c1::answer}}'
+        : 'Please fill in the fields shown on the front of at least one card');
+      return;
+    }
+
+    try {
+      setSavingCard(true);
+      
+      if (noteId) {
+        // Update the note; the server re-renders all of its cards
+        await updateNoteAPI(noteId, fields, parseTags(editingCard.tags));
+        await loadDeckData();
+        
+        setCardEditorMode(false);
+        setEditingCardId(null);
+        setNoteEditor(null);
+        if (deckMode === 'leeches') {
+          loadLeeches();
+        } else {
+          setDeckMode('edit-cards');
+        }
+        return;
+      }
+      
+      await addNote(deckId, {
+        noteTypeId: noteType.id,
+        fields,
+        front: { align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' },
+        back: { align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' },
+        difficulty: editingCard.difficulty,
+        tags: parseTags(editingCard.tags)
+      });
+      await loadDeckData();
+      
+      if (addMore) {
+        // Same note type, empty fields for the next note
+        setNoteEditor({ noteType, noteId: null, fields: {} });
+      } else {
+        setCardEditorMode(false);
+        setNoteEditor(null);
+      }
+    } catch (error) {
+      console.error('Error saving note:', error);
+      alert(error.message || 'Failed to save note. Please try again.');
+    } finally {
+      setSavingCard(false);
+    }
+  };
+
   const handleSaveCard = async (addMore = false, returnToTable = false) => {
+    if (noteEditor) {
+      return handleSaveNote(addMore);
+    }
+    
     if (!editingCard.front.trim() || !editingCard.back.trim()) {
       alert('Please fill in both the front and back of the card');
       return;
@@ -271,17 +453,23 @@ const DeckPage = () => {
         await updateCard(editingCardId, deckId, {
           front: { content: editingCard.front.trim(), align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' },
           back: { content: editingCard.back.trim(), align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' },
-          difficulty: editingCard.difficulty
+          difficulty: editingCard.difficulty,
+          tags: parseTags(editingCard.tags),
+          hint: editingCard.hint.trim()
         });
         
         // Reload cards
         await loadDeckData();
         
-        // Return to table if we came from edit mode
-        if (returnToTable || deckMode === 'edit-cards') {
+        // Return to table if we came from edit mode (or to the leeches list)
+        if (returnToTable || deckMode === 'edit-cards' || deckMode === 'leeches') {
           setCardEditorMode(false);
           setEditingCardId(null);
-          setDeckMode('edit-cards'); // Return to edit cards table
+          if (deckMode === 'leeches') {
+            loadLeeches();
+          } else {
+            setDeckMode('edit-cards'); // Return to edit cards table
+          }
           setEditingCard({
             front: '',
             back: '',
@@ -292,7 +480,9 @@ const DeckPage = () => {
             frontVerticalAlign: 'middle',
             backVerticalAlign: 'middle',
             frontFontSize: '18',
-            backFontSize: '18'
+            backFontSize: '18',
+            tags: '',
+            hint: ''
           });
           setShowPreview({ front: false, back: false });
           return;
@@ -301,25 +491,23 @@ const DeckPage = () => {
         // Creating new card(s)
         // Handle different card types
         if (editingCard.cardType === 'basic-reversed') {
-          // Create two cards: original and reversed
-          await Promise.all([
-            addCard(deckId, {
-              front: { content: editingCard.front.trim(), align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' },
-              back: { content: editingCard.back.trim(), align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' },
-              difficulty: editingCard.difficulty
-            }),
-            addCard(deckId, {
-              front: { content: editingCard.back.trim(), align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' }, // Reversed: back becomes front
-              back: { content: editingCard.front.trim(), align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' }, // Reversed: front becomes back
-              difficulty: editingCard.difficulty
-            })
-          ]);
+          // Create the card plus a linked reverse card (back -> front) that shares its content
+          await addCard(deckId, {
+            front: { content: editingCard.front.trim(), align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' },
+            back: { content: editingCard.back.trim(), align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' },
+            difficulty: editingCard.difficulty,
+            reverse: true,
+            tags: parseTags(editingCard.tags),
+            hint: editingCard.hint.trim()
+          });
         } else {
           // Basic card type - single card
           await addCard(deckId, {
             front: { content: editingCard.front.trim(), align: editingCard.frontAlign, verticalAlign: editingCard.frontVerticalAlign, fontSize: editingCard.frontFontSize || '18' },
             back: { content: editingCard.back.trim(), align: editingCard.backAlign, verticalAlign: editingCard.backVerticalAlign, fontSize: editingCard.backFontSize || '18' },
-            difficulty: editingCard.difficulty
+            difficulty: editingCard.difficulty,
+            tags: parseTags(editingCard.tags),
+            hint: editingCard.hint.trim()
           });
         }
 
@@ -338,7 +526,9 @@ const DeckPage = () => {
             frontVerticalAlign: editingCard.frontVerticalAlign, // Keep vertical alignment preferences
             backVerticalAlign: editingCard.backVerticalAlign,
             frontFontSize: editingCard.frontFontSize || '18', // Keep font size preferences
-            backFontSize: editingCard.backFontSize || '18'
+            backFontSize: editingCard.backFontSize || '18',
+            tags: editingCard.tags, // Keep tagging the next cards alike
+            hint: ''
           });
           setIsFlipped(false);
           setShowPreview({ front: false, back: false });
@@ -355,14 +545,16 @@ const DeckPage = () => {
             frontVerticalAlign: 'middle',
             backVerticalAlign: 'middle',
             frontFontSize: '18',
-            backFontSize: '18'
+            backFontSize: '18',
+            tags: '',
+            hint: ''
           });
           setShowPreview({ front: false, back: false });
         }
       }
     } catch (error) {
       console.error('Error saving card:', error);
-      alert('Failed to save card. Please try again.');
+      alert(error.message || 'Failed to save card. Please try again.');
     } finally {
       setSavingCard(false);
     }
@@ -371,6 +563,8 @@ const DeckPage = () => {
   const handleCancelCardEditor = () => {
     setCardEditorMode(false);
     setEditingCardId(null);
+    setNoteEditor(null);
+    setShowNoteTypeForm(false);
     setEditingCard({
       front: '',
       back: '',
@@ -381,7 +575,9 @@ const DeckPage = () => {
       frontVerticalAlign: 'middle',
       backVerticalAlign: 'middle',
       frontFontSize: '18',
-      backFontSize: '18'
+      backFontSize: '18',
+      tags: '',
+      hint: ''
     });
     setIsFlipped(false);
     setShowPreview({ front: false, back: false });
@@ -736,6 +932,115 @@ const DeckPage = () => {
     }
   };
 
+  const handleEditTags = async (card) => {
+    const input = window.prompt('Tags for this card (comma-separated):', card.tags.join(', '));
+    if (input === null) return;
+    try {
+      const updated = await setCardTags(card.id, parseTags(input));
+      setCards(prev => prev.map(c => c.id === card.id ? { ...c, tags: updated.tags } : c));
+    } catch (error) {
+      alert(error.message || 'Failed to update tags. Please try again.');
+    }
+  };
+
+  const handleToggleSuspend = async (card) => {
+    try {
+      if (card.suspended) {
+        await unsuspendCardAPI(card.id);
+      } else {
+        await suspendCardAPI(card.id);
+      }
+      setCards(prev => prev.map(c => c.id === card.id ? { ...c, suspended: !card.suspended } : c));
+      loadMatureCount().catch(() => {
+        // Silently fail - counts are not critical
+      });
+    } catch (error) {
+      alert(`Failed to ${card.suspended ? 'unsuspend' : 'suspend'} card. Please try again.`);
+    }
+  };
+
+  const handleBuryCard = async (card) => {
+    try {
+      const progress = await buryCardAPI(card.id);
+      setCards(prev => prev.map(c => c.id === card.id ? { ...c, buried_until: progress ? progress.buried_until : null } : c));
+      loadMatureCount().catch(() => {
+        // Silently fail - counts are not critical
+      });
+    } catch (error) {
+      alert('Failed to bury card. Please try again.');
+    }
+  };
+
+  const handleForgetCard = async (card) => {
+    if (window.confirm('Reset this card to new? Its learning progress will start over.')) {
+      try {
+        await forgetCardAPI(card.id);
+        setCards(prev => prev.map(c => c.id === card.id ? { ...c, buried_until: null } : c));
+        loadMatureCount().catch(() => {
+          // Silently fail - counts are not critical
+        });
+      } catch (error) {
+        alert('Failed to reset card. Please try again.');
+      }
+    }
+  };
+
+  // Reload the cards (and the counts) after a file import, staying on the upload page
+  const handleCardsImported = async () => {
+    await loadDeckData();
+    loadMatureCount().catch(() => {
+      // Silently fail - counts are not critical
+    });
+  };
+
+  const handleToggleDeckReverse = async () => {
+    const enabled = !deck.generateReverse;
+    try {
+      const result = await setDeckReverse(deckId, enabled);
+      setDeck(prev => ({ ...prev, generateReverse: enabled }));
+      if (result.added > 0) {
+        await loadDeckData();
+        setDeckMode('edit-cards');
+      }
+    } catch (error) {
+      alert('Failed to update reverse cards. Please try again.');
+    }
+  };
+
+  const handleExportDeck = async () => {
+    try {
+      setExporting(true);
+      const file = await exportAnkiPackage(deckId);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${deck.name}.apkg`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message || 'Failed to export deck. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleBackupDeck = async () => {
+    try {
+      setBackingUp(true);
+      const file = await exportDeckBackup(deckId);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${deck.name}.kardo.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(error.message || 'Failed to back up deck. Please try again.');
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
   const handleDeleteDeck = async () => {
     if (window.confirm('Are you sure you want to delete this deck?')) {
       try {
@@ -753,8 +1058,13 @@ const DeckPage = () => {
       alert('Add some cards first before starting a review!');
       return;
     }
+    if (filteredCards.length === 0) {
+      alert(`No cards are tagged "${tagFilter}".`);
+      return;
+    }
     
     setDeckMode('practice');
+    setLastReview(null);
     setCurrentCardIndex(0);
     setShowAnswer(false);
     setIsFlipped(false);
@@ -771,16 +1081,16 @@ const DeckPage = () => {
       }
       
       // Fetch due cards
-      const due = await getDueCards(deckId, userId);
+      const due = await getDueCards(deckId, userId, tagFilter || null);
       console.log('Due cards received:', due);
       
       // If no due cards but we have cards in the deck, it might be because:
       // 1. Cards are in old format (not migrated)
       // 2. All cards have progress but none are due
       // For now, if we have cards but no due cards, show them anyway (first-time practice)
-      if (due.length === 0 && cards.length > 0) {
+      if (due.length === 0 && filteredCards.length > 0) {
         // Convert existing cards to due cards format for first-time practice
-        const cardsForPractice = cards.map(card => ({
+        const cardsForPractice = filteredCards.map(card => ({
           ...card,
           progress: {
             interval: 0,
@@ -816,10 +1126,18 @@ const DeckPage = () => {
     
     const currentCard = dueCards[currentCardIndex];
     const userId = currentUser.id || currentUser.uid || currentUser.email;
+    const timeTakenMs = cardShownAt ? Date.now() - cardShownAt : null;
     
     // Immediately move to next card for better UX (optimistic update)
+    // The card's siblings (the other cards of its note, or its other direction) are buried
+    // until tomorrow, unless in learning steps
     const nextIndex = currentCardIndex + 1;
-    const remainingCards = dueCards.filter((_, index) => index !== currentCardIndex);
+    const getSiblingKey = (card) => (card.note_id ? `note-${card.note_id}` : `card-${card.reverse_of || card.id}`);
+    const siblingKey = getSiblingKey(currentCard);
+    const remainingCards = dueCards.filter((card, index) =>
+      index !== currentCardIndex &&
+      !(getSiblingKey(card) === siblingKey && getReviewType(card.progress) !== 'learning')
+    );
     
     // Update UI immediately
     if (remainingCards.length === 0) {
@@ -839,15 +1157,31 @@ const DeckPage = () => {
     }
     
     // Save progress in background (don't wait for it)
+    // Remember the card (with its progress before the review) so the answer can be undone
     if (currentCard.id && typeof currentCard.id === 'number') {
-      reviewCardAPI(currentCard.id, userId, grade).catch(reviewError => {
-        console.warn('Error saving progress:', reviewError);
-      });
+      // The review changes the load of the coming days: previews are approximate until it's saved
+      if (userSettings?.load_balance) {
+        setDueForecast(null);
+      }
+      const saving = reviewCardAPI(currentCard.id, userId, grade, timeTakenMs, hintShown)
+        .then(() => true)
+        .catch(reviewError => {
+          console.warn('Error saving progress:', reviewError);
+          return false;
+        })
+        .then(saved => {
+          // Refresh the load for the next preview
+          if (userSettings?.load_balance) {
+            loadDueForecast();
+          }
+          return saved;
+        });
+      setLastReview({ card: currentCard, saving });
     }
     
     // Refresh cards in background to update counts (but don't wait)
     setTimeout(() => {
-      getDueCards(deckId, userId)
+      getDueCards(deckId, userId, tagFilter || null)
         .then(refreshedCards => {
           // Only update if we're still in practice mode
           if (deckMode === 'practice') {
@@ -871,6 +1205,77 @@ const DeckPage = () => {
     }, 300); // Reduced delay for faster updates
   };
 
+  const handleUndoReview = async () => {
+    if (!lastReview || undoingReview) {
+      return;
+    }
+    
+    setUndoingReview(true);
+    try {
+      // Wait for the review to reach the server before undoing it
+      const saved = await lastReview.saving;
+      if (saved) {
+        await undoReviewAPI(lastReview.card.id);
+      }
+      
+      // Put the card back in front of the user, with its progress from before the answer
+      const card = lastReview.card;
+      const others = dueCards.filter(c => c.id !== card.id);
+      const index = Math.min(currentCardIndex, others.length);
+      setDueCards([...others.slice(0, index), card, ...others.slice(index)]);
+      setCurrentCardIndex(index);
+      setIsFlipped(false);
+      setShowAnswer(false);
+      setLastReview(null);
+      
+      if (userSettings?.load_balance) {
+        loadDueForecast();
+      }
+      loadMatureCount().catch(() => {
+        // Silently fail - counts are not critical
+      });
+    } catch (error) {
+      console.error('Error undoing review:', error);
+      alert(`Failed to undo review: ${error.message}`);
+    } finally {
+      setUndoingReview(false);
+    }
+  };
+  
+  // "Z" (also with Ctrl/Cmd) undoes the last answer during practice, "H" reveals the hint
+  useEffect(() => {
+    if (deckMode !== 'practice') return;
+    
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === 'z' || e.key === 'Z') {
+        e.preventDefault();
+        handleUndoReview();
+      } else if ((e.key === 'h' || e.key === 'H') && !isFlipped && dueCards[currentCardIndex]?.hint) {
+        e.preventDefault();
+        setHintShown(true);
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [deckMode, lastReview, undoingReview, dueCards, currentCardIndex, isFlipped]);
+
+  // Next review time of each grade for the flipped practice card (with user settings)
+  // Same fuzz seed and forecast as the server, so the preview is the stored result.
+  // Only recomputed when the card, settings or forecast change: load balancing scans the fuzz window
+  const practiceCard = isFlipped ? dueCards[currentCardIndex] : null;
+  const answerPreviews = useMemo(() => {
+    if (!practiceCard) {
+      return null;
+    }
+    const cardProgress = practiceCard.progress || null;
+    const now = new Date();
+    const fuzzOptions = { seed: getFuzzSeed(practiceCard.id, cardProgress), dueCounts: dueForecast };
+    return Object.fromEntries(['again', 'hard', 'good', 'easy']
+      .map(grade => [grade, calculateNextReviewTime(cardProgress, grade, userSettings, now, fuzzOptions)]));
+  }, [practiceCard, userSettings, dueForecast]);
+
   // Add error boundary state
   if (!deck && currentUser && deckId) {
     return (
@@ -912,7 +1317,7 @@ const DeckPage = () => {
                 {editingCardId && (
                   <div className="flex items-center gap-2 px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 rounded-lg text-sm font-semibold">
                     <span className="material-icons text-base">edit</span>
-                    Editing Card
+                    {noteEditor ? `Editing Note (${noteEditor.noteType.name})` : 'Editing Card'}
                   </div>
                 )}
                 {!editingCardId && (
@@ -920,9 +1325,9 @@ const DeckPage = () => {
                     <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">Card Type:</span>
                     <div className="flex gap-2">
                       <button
-                        onClick={() => setEditingCard({ ...editingCard, cardType: 'basic' })}
+                        onClick={() => { setNoteEditor(null); setEditingCard({ ...editingCard, cardType: 'basic' }); }}
                         className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg border-2 transition-all text-xs sm:text-sm ${
-                          editingCard.cardType === 'basic'
+                          !noteEditor && editingCard.cardType === 'basic'
                             ? 'border-primary-500 bg-primary-50 dark:bg-primary-900 text-primary-700 dark:text-primary-300 font-semibold'
                             : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500 text-gray-700 dark:text-gray-300'
                         }`}
@@ -930,10 +1335,10 @@ const DeckPage = () => {
                         Basic
                       </button>
                       <button
-                        onClick={() => setEditingCard({ ...editingCard, cardType: 'basic-reversed' })}
+                        onClick={() => { setNoteEditor(null); setEditingCard({ ...editingCard, cardType: 'basic-reversed' }); }}
                         disabled={editingCardId !== null} // Disable reversed card option when editing
                         className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg border-2 transition-all text-xs sm:text-sm ${
-                          editingCard.cardType === 'basic-reversed'
+                          !noteEditor && editingCard.cardType === 'basic-reversed'
                             ? 'border-primary-500 bg-primary-50 dark:bg-primary-900 text-primary-700 dark:text-primary-300 font-semibold'
                             : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500 text-gray-700 dark:text-gray-300'
                         } ${editingCardId !== null ? 'opacity-50 cursor-not-allowed' : ''}`}
@@ -941,6 +1346,28 @@ const DeckPage = () => {
                         <span className="hidden sm:inline">Basic (Reversed)</span>
                         <span className="sm:hidden">Reversed</span>
                       </button>
+                      {fieldNoteTypes.map(noteType => (
+                        <button
+                          key={noteType.id}
+                          onClick={() => { setShowNoteTypeForm(false); setNoteEditor({ noteType, noteId: null, fields: {} }); }}
+                          className={`px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg border-2 transition-all text-xs sm:text-sm ${
+                            noteEditor && noteEditor.noteType.id === noteType.id
+                              ? 'border-primary-500 bg-primary-50 dark:bg-primary-900 text-primary-700 dark:text-primary-300 font-semibold'
+                              : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500 text-gray-700 dark:text-gray-300'
+                          }`}
+                        >
+                          {noteType.name}
+                        </button>
+                      ))}
+                      {noteTypes.length > 0 && (
+                        <button
+                          onClick={() => setShowNoteTypeForm(!showNoteTypeForm)}
+                          className="px-2 py-1.5 sm:py-2 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-gray-400 transition-all text-xs sm:text-sm flex items-center"
+                          title="New note type"
+                        >
+                          <span className="material-icons text-base">add</span>
+                        </button>
+                      )}
                     </div>
                   </>
                 )}
@@ -954,6 +1381,19 @@ const DeckPage = () => {
               </button>
             </div>
 
+            {showNoteTypeForm && (
+              <NoteTypeForm onCreated={handleNoteTypeCreated} onCancel={() => setShowNoteTypeForm(false)} />
+            )}
+
+            {/* Note fields with a preview of every card (note types other than Basic) */}
+            {noteEditor ? (
+              <NoteEditor
+                noteType={noteEditor.noteType}
+                fields={noteEditor.fields}
+                onChange={(fields) => setNoteEditor({ ...noteEditor, fields })}
+              />
+            ) : (
+            <>
             {/* Card with Flip Animation */}
             <div className="card-editor-flip mb-6 h-[400px] sm:h-[600px]" style={{ perspective: '1000px' }}>
               <div 
@@ -1109,11 +1549,49 @@ const DeckPage = () => {
               </div>
             </div>
 
+            </>
+            )}
+
+            {/* Hint (note types show their own hints, e.g. {{c1::answer::hint}}) */}
+            {!noteEditor && (
+              <div className="mb-4 flex flex-col sm:flex-row sm:items-center gap-2">
+                <label htmlFor="card-hint" className="text-sm font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                  Hint:
+                </label>
+                <input
+                  id="card-hint"
+                  type="text"
+                  value={editingCard.hint}
+                  onChange={(e) => setEditingCard({ ...editingCard, hint: e.target.value })}
+                  placeholder="Optional, can be revealed on the front during practice"
+                  maxLength={500}
+                  className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            )}
+
+            {/* Tags (a note's tags go on all of its cards) */}
+            <div className="mb-6 flex flex-col sm:flex-row sm:items-center gap-2">
+              <label htmlFor="card-tags" className="text-sm font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                {noteEditor ? 'Note Tags:' : 'Tags:'}
+              </label>
+              <input
+                id="card-tags"
+                type="text"
+                value={editingCard.tags}
+                onChange={(e) => setEditingCard({ ...editingCard, tags: e.target.value })}
+                placeholder="Comma-separated, e.g. verbs, chapter 3"
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row gap-2 sm:gap-4 justify-center">
               <button
                 onClick={() => handleSaveCard(false, editingCardId !== null)}
-                disabled={savingCard || !editingCard.front.trim() || !editingCard.back.trim()}
+                disabled={savingCard || (noteEditor
+                  ? getCardOrds(noteEditor.noteType, noteEditor.fields).length === 0
+                  : !editingCard.front.trim() || !editingCard.back.trim())}
                 className="btn-primary px-4 sm:px-8 py-2 sm:py-3 flex items-center justify-center gap-2 disabled:opacity-50 text-sm sm:text-base"
               >
                 {savingCard ? (
@@ -1130,7 +1608,9 @@ const DeckPage = () => {
               </button>
               <button
                 onClick={() => handleSaveCard(true)}
-                disabled={savingCard || !editingCard.front.trim() || !editingCard.back.trim()}
+                disabled={savingCard || (noteEditor
+                  ? getCardOrds(noteEditor.noteType, noteEditor.fields).length === 0
+                  : !editingCard.front.trim() || !editingCard.back.trim())}
                 className="btn-secondary px-4 sm:px-8 py-2 sm:py-3 flex items-center justify-center gap-2 disabled:opacity-50 text-sm sm:text-base"
               >
                 {savingCard ? (
@@ -1212,6 +1692,24 @@ const DeckPage = () => {
         </div>
               </div>
               <div className="flex gap-2">
+                <button
+                  onClick={handleExportDeck}
+                  disabled={exporting}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                  title="Download this deck as an Anki package (.apkg)"
+                >
+                  <span className={`material-icons ${exporting ? 'animate-spin' : ''}`}>{exporting ? 'refresh' : 'ios_share'}</span>
+                  Export to Anki
+                </button>
+                <button
+                  onClick={handleBackupDeck}
+                  disabled={backingUp}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                  title="Download a full backup of this deck, including your progress and review history"
+                >
+                  <span className={`material-icons ${backingUp ? 'animate-spin' : ''}`}>{backingUp ? 'refresh' : 'backup'}</span>
+                  Back Up
+                </button>
                 <button
                   onClick={handleDeleteDeck} 
                   className="btn-danger flex items-center gap-2"
@@ -1223,14 +1721,21 @@ const DeckPage = () => {
             </div>
           </div>
 
+          {/* Downloaded decks can follow the original */}
+          {deck.sourceDeckId && (
+            <DeckSubscription key={deck.id} deck={deck} onSynced={handleCardsImported} />
+          )}
         </div>
 
         {/* Mode Selector - Main View */}
         {deckMode === null && (
           <div>
-            <div className="mb-6">
-              <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">What would you like to do?</h2>
-              <p className="text-gray-600 dark:text-gray-300">Choose an option to get started</p>
+            <div className="mb-6 flex flex-col sm:flex-row items-start sm:items-end justify-between gap-4">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">What would you like to do?</h2>
+                <p className="text-gray-600 dark:text-gray-300">Choose an option to get started</p>
+              </div>
+              {deckTags.length > 0 && tagFilterSelect}
             </div>
 
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
@@ -1315,8 +1820,24 @@ const DeckPage = () => {
                   </div>
                   <h3 className="text-xl font-bold text-gray-900 dark:text-white">Upload File</h3>
                 </div>
-                <p className="text-gray-600 dark:text-gray-300">Create cards automatically from a file</p>
+                <p className="text-gray-600 dark:text-gray-300">Import cards from a CSV file, or generate them from a document</p>
               </button>
+
+              {/* Leeches (only when there are any) */}
+              {deckStats && deckStats.leeches > 0 && (
+                <button
+                  onClick={handleOpenLeeches}
+                  className="bg-gradient-to-br from-red-50 to-red-100 dark:from-red-900 dark:to-red-800 rounded-lg shadow-lg p-6 hover:shadow-xl transition-all hover:scale-105 text-left group border-2 border-red-200 dark:border-red-700"
+                >
+                  <div className="flex items-center gap-4 mb-3">
+                    <div className="bg-gradient-to-br from-red-500 to-red-600 rounded-lg p-3 group-hover:from-red-600 group-hover:to-red-700 transition-all shadow-md">
+                      <span className="material-icons text-white text-3xl">bug_report</span>
+                    </div>
+                    <h3 className="text-xl font-bold text-gray-900 dark:text-white">Leeches ({deckStats.leeches})</h3>
+                  </div>
+                  <p className="text-gray-600 dark:text-gray-300">Rewrite the cards you keep forgetting</p>
+                </button>
+              )}
                   </div>
           </div>
         )}
@@ -1335,10 +1856,25 @@ const DeckPage = () => {
                 </button>
                 <h2 className="text-xl font-semibold dark:text-white">Edit Cards</h2>
               </div>
-              <button onClick={handleAddCard} className="btn-primary flex items-center gap-2 w-full sm:w-auto">
-                <span className="material-icons">add</span>
-                Add New Card
-              </button>
+              <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2 w-full sm:w-auto">
+                {deckTags.length > 0 && tagFilterSelect}
+                <button
+                  onClick={handleToggleDeckReverse}
+                  className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg border-2 transition-all text-sm ${
+                    deck.generateReverse
+                      ? 'border-primary-500 bg-primary-50 dark:bg-primary-900 text-primary-700 dark:text-primary-300 font-semibold'
+                      : 'border-gray-200 dark:border-gray-600 hover:border-gray-300 dark:hover:border-gray-500 text-gray-700 dark:text-gray-300'
+                  }`}
+                  title="Add a back -> front card for every card in this deck"
+                >
+                  <span className="material-icons text-base">swap_horiz</span>
+                  {deck.generateReverse ? 'Reverse Cards: On' : 'Reverse Cards: Off'}
+                </button>
+                <button onClick={handleAddCard} className="btn-primary flex items-center gap-2 w-full sm:w-auto">
+                  <span className="material-icons">add</span>
+                  Add New Card
+                </button>
+              </div>
             </div>
 
             {loadingCards ? (
@@ -1355,6 +1891,14 @@ const DeckPage = () => {
                   Add Your First Card
                 </button>
               </div>
+            ) : filteredCards.length === 0 ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-12 text-center">
+                <span className="material-icons text-6xl text-gray-400 dark:text-gray-500 mb-4">label_off</span>
+                <h3 className="text-xl font-semibold mb-2 dark:text-white">No cards tagged "{tagFilter}"</h3>
+                <button onClick={() => setTagFilter('')} className="btn-primary mt-4">
+                  Show All Cards
+                </button>
+              </div>
             ) : (
               <div className="w-full bg-white dark:bg-gray-800 rounded-lg shadow-lg overflow-hidden">
                 <div className="overflow-x-auto">
@@ -1364,11 +1908,12 @@ const DeckPage = () => {
                         <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider whitespace-nowrap">#</th>
                         <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider min-w-[200px]">Front</th>
                         <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider min-w-[200px]">Back</th>
+                        <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider">Tags</th>
                         <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider whitespace-nowrap">Actions</th>
                       </tr>
                     </thead>
                     <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                      {cards.map((card, index) => {
+                      {filteredCards.map((card, index) => {
                         const frontContent = typeof card.front === 'string' ? card.front : (card.front?.content || '');
                         const backContent = typeof card.back === 'string' ? card.back : (card.back?.content || '');
                         return (
@@ -1379,7 +1924,158 @@ const DeckPage = () => {
                           >
                             <td className="px-4 sm:px-6 lg:px-8 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
                               {index + 1}
+                              {card.reverse_of && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300" title="Reverse of another card - edits are copied to both">Reverse</span>
+                              )}
+                              {card.suspended && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300">Suspended</span>
+                              )}
+                              {!card.suspended && card.buried_until && new Date(card.buried_until) > new Date() && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">Buried</span>
+                              )}
+                            </td>
+                            <td className="px-4 sm:px-6 lg:px-8 py-4">
+                              <div className="text-sm text-gray-900 dark:text-white break-words max-w-[300px] sm:max-w-[400px] lg:max-w-[500px]">
+                                {frontContent || <span className="text-gray-400 dark:text-gray-500 italic">Empty</span>}
+                              </div>
                             </td>
+                            <td className="px-4 sm:px-6 lg:px-8 py-4">
+                              <div className="text-sm text-gray-700 dark:text-gray-300 break-words max-w-[300px] sm:max-w-[400px] lg:max-w-[500px]">
+                                {backContent || <span className="text-gray-400 dark:text-gray-500 italic">Empty</span>}
+                              </div>
+                            </td>
+                            <td className="px-4 sm:px-6 lg:px-8 py-4">
+                              <div className="flex flex-wrap gap-1 max-w-[200px]">
+                                {card.tags.map(tag => (
+                                  <button
+                                    key={tag}
+                                    onClick={(e) => {
+                                      e.stopPropagation(); // Prevent row click
+                                      setTagFilter(tag);
+                                    }}
+                                    className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300 hover:bg-primary-200"
+                                    title="Only show cards with this tag"
+                                  >
+                                    {tag}
+                                  </button>
+                                ))}
+                              </div>
+                            </td>
+                            <td className="px-4 sm:px-6 lg:px-8 py-4 whitespace-nowrap text-sm">
+                              <div className="flex items-center gap-3">
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleEditTags(card);
+                                  }}
+                                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                                  title="Edit tags"
+                                >
+                                  <span className="material-icons">label</span>
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleToggleSuspend(card);
+                                  }}
+                                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                                  title={card.suspended ? 'Unsuspend card' : 'Suspend card'}
+                                >
+                                  <span className="material-icons">{card.suspended ? 'play_circle' : 'pause_circle'}</span>
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleBuryCard(card);
+                                  }}
+                                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                                  title="Bury until tomorrow"
+                                >
+                                  <span className="material-icons">bedtime</span>
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleForgetCard(card);
+                                  }}
+                                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+                                  title="Reset to new"
+                                >
+                                  <span className="material-icons">restart_alt</span>
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click when clicking delete
+                                    handleDeleteCard(card.id);
+                                  }}
+                                  className="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors"
+                                  title="Delete card"
+                                >
+                                  <span className="material-icons">delete</span>
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Leeches - cards the user keeps failing */}
+        {deckMode === 'leeches' && (
+          <div>
+            <div className="mb-6 flex items-center gap-4">
+              <button
+                onClick={() => setDeckMode(null)}
+                className="text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors"
+                title="Back to options"
+              >
+                <span className="material-icons text-2xl">arrow_back</span>
+              </button>
+              <div>
+                <h2 className="text-xl font-semibold dark:text-white">Leeches</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Cards you keep forgetting. Rewrite them (split, add context or a mnemonic), then mark them as done to study them again.</p>
+              </div>
+            </div>
+
+            {loadingLeeches ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-12 text-center">
+                <span className="material-icons text-6xl text-gray-400 dark:text-gray-500 mb-4 animate-spin">refresh</span>
+                <p className="text-gray-600 dark:text-gray-300">Loading leeches...</p>
+              </div>
+            ) : leeches.length === 0 ? (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-12 text-center">
+                <span className="material-icons text-6xl text-gray-400 dark:text-gray-500 mb-4">check_circle</span>
+                <h3 className="text-xl font-semibold mb-2 dark:text-white">No leeches</h3>
+                <p className="text-gray-600 dark:text-gray-300">None of the cards in this deck are giving you trouble</p>
+              </div>
+            ) : (
+              <div className="w-full bg-white dark:bg-gray-800 rounded-lg shadow-lg overflow-hidden">
+                <div className="overflow-x-auto">
+                  <table className="w-full min-w-[600px]">
+                    <thead className="bg-gradient-to-r from-red-500 to-red-600 dark:from-red-700 dark:to-red-800">
+                      <tr>
+                        <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider min-w-[200px]">Front</th>
+                        <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider min-w-[200px]">Back</th>
+                        <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider whitespace-nowrap">Lapses</th>
+                        <th className="px-4 sm:px-6 lg:px-8 py-4 text-left text-sm font-medium text-white uppercase tracking-wider whitespace-nowrap">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                      {leeches.map(card => {
+                        const frontContent = typeof card.front === 'string' ? card.front : (card.front?.content || '');
+                        const backContent = typeof card.back === 'string' ? card.back : (card.back?.content || '');
+                        return (
+                          <tr
+                            key={card.id}
+                            onClick={() => handleEditCard(card)}
+                            className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors cursor-pointer"
+                          >
                             <td className="px-4 sm:px-6 lg:px-8 py-4">
                               <div className="text-sm text-gray-900 dark:text-white break-words max-w-[300px] sm:max-w-[400px] lg:max-w-[500px]">
                                 {frontContent || <span className="text-gray-400 dark:text-gray-500 italic">Empty</span>}
@@ -1390,17 +2086,35 @@ const DeckPage = () => {
                                 {backContent || <span className="text-gray-400 dark:text-gray-500 italic">Empty</span>}
                               </div>
                             </td>
+                            <td className="px-4 sm:px-6 lg:px-8 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                              {card.lapses}
+                              {card.suspended && (
+                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300">Suspended</span>
+                              )}
+                            </td>
                             <td className="px-4 sm:px-6 lg:px-8 py-4 whitespace-nowrap text-sm">
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation(); // Prevent row click when clicking delete
-                                  handleDeleteCard(card.id);
-                                }}
-                                className="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors"
-                                title="Delete card"
-                              >
-                                <span className="material-icons">delete</span>
-                              </button>
+                              <div className="flex items-center gap-3">
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleEditCard(card);
+                                  }}
+                                  className="text-blue-500 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+                                  title="Rewrite card"
+                                >
+                                  <span className="material-icons">edit</span>
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation(); // Prevent row click
+                                    handleClearLeech(card.id);
+                                  }}
+                                  className="text-green-500 hover:text-green-700 dark:text-green-400 dark:hover:text-green-300 transition-colors"
+                                  title={card.suspended ? 'Done - unsuspend and study again' : 'Done - remove leech mark'}
+                                >
+                                  <span className="material-icons">task_alt</span>
+                                </button>
+                              </div>
                             </td>
                           </tr>
                         );
@@ -1429,6 +2143,20 @@ const DeckPage = () => {
                 <span className="material-icons text-2xl">arrow_back</span>
               </button>
               <h2 className="text-xl font-semibold dark:text-white">Practice</h2>
+              {tagFilter && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300">#{tagFilter}</span>
+              )}
+              {lastReview && (
+                <button
+                  onClick={handleUndoReview}
+                  disabled={undoingReview}
+                  className="ml-auto flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Undo last answer (Z)"
+                >
+                  <span className="material-icons text-base">undo</span>
+                  {undoingReview ? 'Undoing...' : 'Undo'}
+                </button>
+              )}
             </div>
 
             <div className="max-w-2xl mx-auto">
@@ -1533,18 +2261,17 @@ const DeckPage = () => {
                           card={dueCards[currentCardIndex]}
                           isFlipped={isFlipped}
                           onFlip={handleFlip}
+                          hintShown={hintShown}
+                          onShowHint={() => setHintShown(true)}
                         />
                       </div>
 
-                      {isFlipped && (() => {
-                        const currentCard = dueCards[currentCardIndex];
-                        const cardProgress = currentCard?.progress || null;
-                        
-                        // Calculate next review times for each button (with user settings)
-                        const againTime = calculateNextReviewTime(cardProgress, 'again', userSettings);
-                        const hardTime = calculateNextReviewTime(cardProgress, 'hard', userSettings);
-                        const goodTime = calculateNextReviewTime(cardProgress, 'good', userSettings);
-                        const easyTime = calculateNextReviewTime(cardProgress, 'easy', userSettings);
+                      {isFlipped && answerPreviews && (() => {
+                        // Without a current forecast, load balancing can't be previewed: the days shown are approximate
+                        const { again: againTime, hard: hardTime, good: goodTime, easy: easyTime } = answerPreviews;
+                        const approximate = Boolean(userSettings?.load_balance) && !dueForecast
+                          && [againTime, hardTime, goodTime, easyTime].some(time => time.interval >= 1);
+                        const formatTime = (time) => `${approximate && time.interval >= 1 ? '~' : ''}${formatNextReviewTime(time.nextDueDate)}`;
                         
                         return (
                           <div className="mt-6 space-y-3 relative z-10">
@@ -1553,31 +2280,36 @@ const DeckPage = () => {
                                 onClick={() => handleAnswer('again')}
                                 className="px-4 sm:px-6 py-3 bg-white dark:bg-gray-700 border-2 border-red-500 dark:border-red-600 text-red-600 dark:text-red-400 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors flex flex-col items-center gap-1 text-sm sm:text-base shadow-md min-w-[80px] sm:min-w-[100px]"
                               >
-                                <span className="font-semibold text-red-600 dark:text-red-400">{formatNextReviewTime(againTime.nextDueDate)}</span>
+                                <span className="font-semibold text-red-600 dark:text-red-400">{formatTime(againTime)}</span>
                                 <span className="text-xs font-medium text-red-600 dark:text-red-400">Again</span>
                               </button>
                               <button
                                 onClick={() => handleAnswer('hard')}
                                 className="px-4 sm:px-6 py-3 bg-white dark:bg-gray-700 border-2 border-gray-400 dark:border-gray-500 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors flex flex-col items-center gap-1 text-sm sm:text-base shadow-md min-w-[80px] sm:min-w-[100px]"
                               >
-                                <span className="font-semibold text-gray-700 dark:text-gray-300">{formatNextReviewTime(hardTime.nextDueDate)}</span>
+                                <span className="font-semibold text-gray-700 dark:text-gray-300">{formatTime(hardTime)}</span>
                                 <span className="text-xs font-medium text-gray-700 dark:text-gray-300">Hard</span>
                               </button>
                               <button
                                 onClick={() => handleAnswer('good')}
                                 className="px-4 sm:px-6 py-3 bg-white dark:bg-gray-700 border-2 border-green-500 dark:border-green-600 text-green-600 dark:text-green-400 rounded-lg hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors flex flex-col items-center gap-1 text-sm sm:text-base shadow-md min-w-[80px] sm:min-w-[100px]"
                               >
-                                <span className="font-semibold text-green-600 dark:text-green-400">{formatNextReviewTime(goodTime.nextDueDate)}</span>
+                                <span className="font-semibold text-green-600 dark:text-green-400">{formatTime(goodTime)}</span>
                                 <span className="text-xs font-medium text-green-600 dark:text-green-400">Good</span>
                               </button>
                               <button
                                 onClick={() => handleAnswer('easy')}
                                 className="px-4 sm:px-6 py-3 bg-white dark:bg-gray-700 border-2 border-blue-500 dark:border-blue-600 text-blue-600 dark:text-blue-400 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors flex flex-col items-center gap-1 text-sm sm:text-base shadow-md min-w-[80px] sm:min-w-[100px]"
                               >
-                                <span className="font-semibold text-blue-600 dark:text-blue-400">{formatNextReviewTime(easyTime.nextDueDate)}</span>
+                                <span className="font-semibold text-blue-600 dark:text-blue-400">{formatTime(easyTime)}</span>
                                 <span className="text-xs font-medium text-blue-600 dark:text-blue-400">Easy</span>
                               </button>
                             </div>
+                            {approximate && (
+                              <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+                                ~ Approximate: load balancing picks the exact day when you answer
+                              </p>
+                            )}
                           </div>
                         );
                       })()}
@@ -1644,11 +2376,9 @@ const DeckPage = () => {
               </button>
               <h2 className="text-xl font-semibold dark:text-white">Upload File</h2>
             </div>
-            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-12 text-center border border-gray-200 dark:border-gray-700">
-              <span className="material-icons text-6xl text-teal-400 dark:text-teal-500 mb-4">upload_file</span>
-              <h3 className="text-2xl font-semibold mb-2 dark:text-white">File Upload Coming Soon!</h3>
-              <p className="text-gray-600 dark:text-gray-300 mb-6">Upload a file and automatically generate flashcards from its content</p>
-              <p className="text-sm text-gray-500 dark:text-gray-400">This feature will allow you to upload documents, PDFs, or text files and have cards created automatically based on the content</p>
+            <div className="space-y-6">
+              <DocumentImport deckId={deckId} onImported={handleCardsImported} />
+              <CsvImport deckId={deckId} onImported={handleCardsImported} />
             </div>
           </div>
         )}
@@ -1,119 +1,154 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
-import { createDeck, addCard } from '../api/decks';
+import DeckReviews from '../components/DeckReviews';
+import StarRating from '../components/StarRating';
+import { getPublicDecks, cloneDeck } from '../api/decks';
+
+const SORT_OPTIONS = [
+  { value: 'popular', label: 'Most Downloaded' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'trending', label: 'Trending' }
+];
+const RELEVANCE_OPTION = { value: 'relevance', label: 'Best Match' };
+
+const LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Japanese', 'Chinese', 'Korean', 'Arabic', 'Russian', 'Other'];
+
+// Wait for typing to pause before searching
+const SEARCH_DELAY_MS = 300;
+const PAGE_SIZE = 20;
+
+// Text of a search result with the matched words highlighted
+const Snippet = ({ segments }) => segments.map((segment, index) => (
+  segment.highlight
+    ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-600 text-inherit rounded px-0.5">{segment.text}</mark>
+    : <span key={index}>{segment.text}</span>
+));
 
 /**
  * Public decks page - browse and search community decks
+ * Pages load from the server as the user scrolls down.
  */
 const PublicDecks = () => {
   const { currentUser } = useAuth();
   const navigate = useNavigate();
   const [decks, setDecks] = useState([]);
-  const [filteredDecks, setFilteredDecks] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState('');
   const [filterLanguage, setFilterLanguage] = useState('all');
+  // null = the default: best match when searching, most downloaded otherwise
+  const [sort, setSort] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // A failed next page stops loading on scroll until the user retries
+  const [loadMoreError, setLoadMoreError] = useState('');
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [reviewDeck, setReviewDeck] = useState(null);
+  const latestRequest = useRef(0);
+  const loadMoreTrigger = useRef(null);
+
+  // Best match only applies to a search
+  const requestedSort = sort === RELEVANCE_OPTION.value && !search ? null : sort;
+  const sortOptions = search ? [RELEVANCE_OPTION, ...SORT_OPTIONS] : SORT_OPTIONS;
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchTerm.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   useEffect(() => {
     fetchPublicDecks();
-  }, []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search, filterLanguage, requestedSort]);
 
+  // Load the next page when the end of the list scrolls into view
   useEffect(() => {
-    if (decks.length > 0 || loading === false) {
-      filterDecks();
+    if (!nextCursor || loading || loadingMore || loadMoreError || !loadMoreTrigger.current) {
+      return;
     }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchPublicDecks(nextCursor);
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(loadMoreTrigger.current);
+    return () => observer.disconnect();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [searchTerm, filterLanguage]);
+  }, [nextCursor, loading, loadingMore, loadMoreError]);
 
-  const fetchPublicDecks = async () => {
+  // Search, language and sort are applied by the server. Without a cursor the list
+  // starts over; a response to an older search or filter is ignored.
+  const fetchPublicDecks = async (cursor = null) => {
+    const request = cursor ? latestRequest.current : ++latestRequest.current;
+    setLoadMoreError('');
     try {
-      const response = await fetch('http://localhost:5000/api/public-decks');
-      if (!response.ok) {
-        throw new Error('Failed to fetch public decks');
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const data = await getPublicDecks({ search, language: filterLanguage, sort: requestedSort, cursor, limit: PAGE_SIZE });
+      if (request === latestRequest.current) {
+        setDecks(previous => (cursor ? [...previous, ...data.decks] : data.decks));
+        setTotal(data.total);
+        setNextCursor(data.next_cursor);
       }
-      const data = await response.json();
-      setDecks(data || []);
-      setFilteredDecks(data || []);
     } catch (error) {
       console.error('Error fetching public decks:', error);
-      // If API fails, use empty array
-      setDecks([]);
-      setFilteredDecks([]);
+      // If the first page fails, show no decks; a failed next page can be retried
+      if (request === latestRequest.current && !cursor) {
+        setDecks([]);
+        setTotal(0);
+        setNextCursor(null);
+      } else if (request === latestRequest.current) {
+        setLoadMoreError(error.message || 'Failed to load more decks');
+      }
     } finally {
-      setLoading(false);
+      if (request === latestRequest.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   };
 
-  const filterDecks = () => {
-    let filtered = decks;
-
-    // Filter by search term (searches in name and description)
-    if (searchTerm) {
-      filtered = filtered.filter(deck => 
-        deck.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        deck.description?.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    // Filter by language
-    if (filterLanguage !== 'all') {
-      filtered = filtered.filter(deck => deck.language === filterLanguage);
-    }
-
-    // Sort by download count (most downloaded first)
-    filtered.sort((a, b) => b.download_count - a.download_count);
-
-    setFilteredDecks(filtered);
+  const handleRated = (deckId, ratings) => {
+    setDecks(decks.map(deck => (deck.id === deckId
+      ? {
+          ...deck,
+          average_rating: ratings.average_rating,
+          rating_count: ratings.rating_count,
+          user_rating: ratings.user_rating?.rating ?? null
+        }
+      : deck)));
   };
 
-  const handleDownloadDeck = async (deckId) => {
+  const handleDownloadDeck = async (deckId, subscribe = false) => {
     try {
-      // First, download the deck (increments download count)
-      const response = await fetch(`http://localhost:5000/api/decks/${deckId}/download`, {
-        method: 'POST'
-      });
-      const downloadedDeck = await response.json();
-      
       if (!currentUser) {
         alert('Please log in to download decks');
         return;
       }
       
-      const userId = currentUser?.id || currentUser?.uid || currentUser?.email;
-      
-      const userEmail = currentUser?.email || null;
-      // Create a new deck for the user with the downloaded deck's cards
-      const newDeck = await createDeck(userId, {
-        name: `${downloadedDeck.name} (Downloaded)`,
-        description: downloadedDeck.description || 'Downloaded from community',
-        language: downloadedDeck.language,
-        isPublic: false // Downloaded decks become private
-      }, userEmail);
-      
-      // Add all cards from the downloaded deck to the new deck
-      if (downloadedDeck.cards && Array.isArray(downloadedDeck.cards) && downloadedDeck.cards.length > 0) {
-        for (const card of downloadedDeck.cards) {
-          await addCard(newDeck.id, {
-            front: card.front || { content: card.front?.content || '' },
-            back: card.back || { content: card.back?.content || '' },
-            difficulty: card.difficulty || 'medium'
-          });
-        }
-      }
+      // The server copies the deck with all its cards (and counts the download)
+      setDownloadingId(deckId);
+      await cloneDeck(deckId, { subscribe });
       
-      alert('Deck downloaded successfully! Redirecting to dashboard...');
+      alert(subscribe
+        ? 'Deck downloaded! Changes by the author will be synced into your copy. Redirecting to dashboard...'
+        : 'Deck downloaded successfully! Redirecting to dashboard...');
       navigate('/dashboard');
     } catch (error) {
       console.error('Error downloading deck:', error);
       alert('Error downloading deck. Please try again.');
+    } finally {
+      setDownloadingId(null);
     }
   };
 
-  const languages = [...new Set(decks.map(deck => deck.language))];
-
   return (
     <div className="min-h-screen flex flex-col bg-gradient-to-br from-gray-50 via-blue-50 to-purple-50 dark:from-gray-900 dark:via-gray-800 dark:to-gray-900 transition-colors">
       <Navbar />
@@ -129,10 +164,12 @@ const PublicDecks = () => {
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 mb-8 border border-gray-200 dark:border-gray-700">
           <div className="flex flex-col md:flex-row gap-4">
             <div className="flex-1 relative">
-              <span className="material-icons absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 dark:text-gray-500">search</span>
+              <span className={`material-icons absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 dark:text-gray-500 ${loading ? 'animate-spin' : ''}`}>
+                {loading ? 'refresh' : 'search'}
+              </span>
               <input
                 type="text"
-                placeholder="Search decks by name or description..."
+                placeholder="Search deck names, descriptions and cards..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-400"
@@ -144,20 +181,29 @@ const PublicDecks = () => {
               className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
             >
               <option value="all">All Languages</option>
-              {languages.map(lang => (
+              {LANGUAGES.map(lang => (
                 <option key={lang} value={lang}>{lang}</option>
               ))}
             </select>
+            <select
+              value={requestedSort ?? (search ? RELEVANCE_OPTION.value : 'popular')}
+              onChange={(e) => setSort(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {sortOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
           </div>
         </div>
 
         {/* Results */}
-        {loading ? (
+        {loading && decks.length === 0 ? (
           <div className="text-center py-12">
             <span className="material-icons text-6xl text-gray-400 dark:text-gray-500 animate-spin">refresh</span>
             <p className="mt-4 text-gray-600 dark:text-gray-300">Loading public decks...</p>
           </div>
-        ) : filteredDecks.length === 0 ? (
+        ) : decks.length === 0 ? (
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-12 text-center border border-gray-200 dark:border-gray-700">
             <span className="material-icons text-6xl text-gray-400 dark:text-gray-500 mb-4">search_off</span>
             <h3 className="text-xl font-semibold mb-2 dark:text-white">No decks found</h3>
@@ -166,47 +212,113 @@ const PublicDecks = () => {
             </p>
           </div>
         ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredDecks.map(deck => (
-              <div
-                key={deck.id}
-                className="bg-white dark:bg-gray-800 rounded-lg shadow-lg hover:shadow-xl transition-all border-2 border-gray-100 dark:border-gray-700 hover:border-primary-300 dark:hover:border-primary-600 p-6 transform hover:-translate-y-1"
-              >
-                <div className="flex items-start justify-between mb-3">
-                  <h3 className="text-xl font-semibold text-gray-900 dark:text-white">{deck.name}</h3>
-                  <span className="text-xs bg-gradient-to-r from-primary-500 to-primary-600 dark:from-primary-600 dark:to-primary-700 text-white px-3 py-1 rounded-full font-semibold shadow-sm">
-                    {deck.language}
-                  </span>
-                </div>
-                <p className="text-gray-600 dark:text-gray-300 text-sm mb-4">{deck.description}</p>
-                <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400 mb-4">
-                  <span className="flex items-center gap-1 min-w-[100px]">
-                    <span className="material-icons text-base">description</span>
-                    <span className="inline-block min-w-[60px]">{deck.card_count || 0} cards</span>
-                  </span>
-                  <span className="flex items-center gap-1 min-w-[120px]">
-                    <span className="material-icons text-base">download</span>
-                    <span className="inline-block min-w-[70px]">{deck.download_count || 0} downloads</span>
-                  </span>
-                </div>
-                <div className="flex flex-col gap-2">
+          <>
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+              Showing {decks.length} of {total} {total === 1 ? 'deck' : 'decks'}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {decks.map(deck => (
+                <div
+                  key={deck.id}
+                  className="bg-white dark:bg-gray-800 rounded-lg shadow-lg hover:shadow-xl transition-all border-2 border-gray-100 dark:border-gray-700 hover:border-primary-300 dark:hover:border-primary-600 p-6 transform hover:-translate-y-1"
+                >
+                  <div className="flex items-start justify-between mb-3">
+                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                      {deck.snippets ? <Snippet segments={deck.snippets.name} /> : deck.name}
+                    </h3>
+                    <span className="text-xs bg-gradient-to-r from-primary-500 to-primary-600 dark:from-primary-600 dark:to-primary-700 text-white px-3 py-1 rounded-full font-semibold shadow-sm">
+                      {deck.language}
+                    </span>
+                  </div>
+                  <p className="text-gray-600 dark:text-gray-300 text-sm mb-3">
+                    {deck.snippets?.description ? <Snippet segments={deck.snippets.description} /> : deck.description}
+                  </p>
+                  {deck.snippets?.card && (
+                    <div className="text-sm bg-gray-50 dark:bg-gray-700 rounded-lg p-3 mb-3">
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                        {deck.card_matches} matching {deck.card_matches === 1 ? 'card' : 'cards'}
+                      </p>
+                      <p className="text-gray-700 dark:text-gray-300 break-words"><Snippet segments={deck.snippets.card} /></p>
+                    </div>
+                  )}
                   <button
-                    onClick={() => handleDownloadDeck(deck.id)}
-                    className="btn-primary w-full flex items-center justify-center gap-2"
+                    onClick={() => setReviewDeck(deck)}
+                    className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 mb-4"
+                    title={deck.user_rating ? `You rated this deck ${deck.user_rating} out of 5` : 'See reviews and rate this deck'}
                   >
-                    <span className="material-icons text-lg">download</span>
-                    Download Deck
+                    <StarRating value={deck.average_rating} />
+                    <span>
+                      {deck.rating_count > 0
+                        ? `${deck.average_rating.toFixed(1)} (${deck.rating_count})`
+                        : 'No ratings yet'}
+                    </span>
+                    <span className="underline">Reviews</span>
                   </button>
-                  <div className="text-xs text-gray-500 dark:text-gray-400">
-                    by {deck.creator_email}
+                  <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    <span className="flex items-center gap-1 min-w-[100px]">
+                      <span className="material-icons text-base">description</span>
+                      <span className="inline-block min-w-[60px]">{deck.card_count || 0} cards</span>
+                    </span>
+                    <span className="flex items-center gap-1 min-w-[120px]">
+                      <span className="material-icons text-base">download</span>
+                      <span className="inline-block min-w-[70px]">{deck.download_count || 0} downloads</span>
+                    </span>
+                  </div>
+                  <div className="flex flex-col gap-2">
+                    <button
+                      onClick={() => handleDownloadDeck(deck.id)}
+                      disabled={downloadingId !== null}
+                      className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+                    >
+                      <span className={`material-icons text-lg ${downloadingId === deck.id ? 'animate-spin' : ''}`}>{downloadingId === deck.id ? 'refresh' : 'download'}</span>
+                      {downloadingId === deck.id ? 'Downloading...' : 'Download Deck'}
+                    </button>
+                    <button
+                      onClick={() => handleDownloadDeck(deck.id, true)}
+                      disabled={downloadingId !== null}
+                      className="btn-secondary w-full flex items-center justify-center gap-2 text-sm disabled:opacity-50"
+                      title="Download a copy that receives the author's later fixes and new cards"
+                    >
+                      <span className="material-icons text-lg">notifications_active</span>
+                      Download & Subscribe
+                    </button>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      by {deck.creator_email}
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+
+            <div ref={loadMoreTrigger} className="flex justify-center mt-8">
+              {loadingMore ? (
+                <span className="material-icons text-4xl text-gray-400 dark:text-gray-500 animate-spin">refresh</span>
+              ) : loadMoreError ? (
+                <div className="flex items-center gap-3">
+                  <p className="text-sm text-red-600 dark:text-red-400">{loadMoreError}</p>
+                  <button onClick={() => fetchPublicDecks(nextCursor)} className="btn-secondary">
+                    Retry
+                  </button>
+                </div>
+              ) : nextCursor && (
+                <button onClick={() => fetchPublicDecks(nextCursor)} className="btn-secondary">
+                  Load More
+                </button>
+              )}
+            </div>
+          </>
         )}
       </div>
 
+      {reviewDeck && (
+        <DeckReviews
+          deck={reviewDeck}
+          isOwnDeck={currentUser?.id === reviewDeck.user_id}
+          onClose={() => setReviewDeck(null)}
+          onRated={(ratings) => handleRated(reviewDeck.id, ratings)}
+        />
+      )}
+
       <Footer />
     </div>
   );
@@ -0,0 +1,17 @@
+/**
+ * Client-side note utilities
+ * Templates are rendered with @kardo/notes, the same module the server uses to
+ * store each card's content, so the editor preview shows exactly what is saved
+ */
+
+export {
+  BUILT_IN_NOTE_TYPES,
+  renderCard,
+  getCardName,
+  getCardOrds,
+  getClozeNumbers,
+  getClozeFields,
+  isClozeNoteType,
+  getFieldsFromCardEdit,
+  validateNoteType
+} from '@kardo/notes';
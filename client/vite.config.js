@@ -4,5 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Allow serving the shared @kardo/* packages (linked from ../shared)
+      allow: ['..'],
+    },
+  },
 })
 
@@ -0,0 +1,23 @@
+-- Migration: Add deck backup keys
+-- Run this after migration_hints.sql
+-- A deck backup (GET /api/decks/:id/export) gives the deck and each card a key.
+-- Restoring it stores those keys on the restored deck and cards, so restoring
+-- the same backup again updates them instead of adding a second copy.
+
+-- Step 1: Keys of restored decks and cards (NULL = not restored: the key is "kardo-deck-<id>" / "kardo-card-<id>")
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS external_id TEXT;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+COMMENT ON COLUMN decks.external_id IS 'Key of the backed-up deck this deck was restored from';
+COMMENT ON COLUMN cards.external_id IS 'Key of the backed-up card this card was restored from';
+
+-- Step 2: A key is restored at most once per user / per deck
+CREATE UNIQUE INDEX IF NOT EXISTS idx_decks_user_external_id ON decks(user_id, external_id) WHERE external_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_deck_external_id ON cards(deck_id, external_id) WHERE external_id IS NOT NULL;
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Added external_id columns to decks and cards';
+END $$;
@@ -0,0 +1,15 @@
+-- Migration: Add burying cards until the next study day
+-- Run this after migration_leeches.sql (which adds user_progress.suspended)
+-- A buried card is left out of the study queue until buried_until has passed
+
+-- Step 1: Add buried_until to user_progress
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS buried_until TIMESTAMP;
+
+COMMENT ON COLUMN user_progress.buried_until IS 'Card is left out of the study queue until this time (start of the next study day)';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'buried_until column added to user_progress';
+END $$;
@@ -0,0 +1,19 @@
+-- Migration: Record where a cloned deck came from
+-- Run this after migration_backups.sql
+-- Downloading a public deck (POST /api/decks/:deckId/clone) copies it into the
+-- caller's account; the copy keeps the id of the deck it was copied from.
+
+-- Step 1: Source deck of a copy (NULL = not a copy, or the source was deleted)
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS source_deck_id INTEGER REFERENCES decks(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN decks.source_deck_id IS 'Deck this deck was cloned from';
+
+-- Step 2: Find the copies of a deck
+CREATE INDEX IF NOT EXISTS idx_decks_source_deck_id ON decks(source_deck_id) WHERE source_deck_id IS NOT NULL;
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Added source_deck_id column to decks';
+END $$;
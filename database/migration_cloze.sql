@@ -0,0 +1,21 @@
+-- Migration: Add the built-in Cloze note type
+-- Run this after migration_note_types.sql
+-- Cloze notes hold a text with cloze deletions ({{c1::answer}} or {{c1::answer::hint}}).
+-- Each cloze number becomes its own card (cards.template_ord = cloze number - 1), so
+-- every cloze has its own user_progress and is scheduled independently.
+
+INSERT INTO note_types (user_id, name, fields, templates)
+SELECT NULL, 'Cloze', '["Text", "Extra"]'::jsonb,
+    '[{"name": "Cloze",
+       "front": "{{cloze:Text}}",
+       "back": "{{cloze:Text}}{{#Extra}}\n\n{{Extra}}{{/Extra}}"}]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM note_types WHERE user_id IS NULL AND name = 'Cloze');
+
+COMMENT ON COLUMN cards.template_ord IS 'Index of the note type template this card was rendered with (cloze note types: cloze number - 1)';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Cloze note type created';
+END $$;
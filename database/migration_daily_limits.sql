@@ -0,0 +1,27 @@
+-- Migration: Add daily review limit
+-- Run this after migration_review_log.sql
+-- new_cards_per_day (already in user_settings) and the new max_reviews_per_day are
+-- enforced by the due-cards queue using today's rows in review_log
+
+-- Step 1: Add max_reviews_per_day to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS max_reviews_per_day INTEGER DEFAULT 200;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_max_reviews_per_day_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_max_reviews_per_day_check CHECK (max_reviews_per_day >= 0 AND max_reviews_per_day <= 9999);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_settings.max_reviews_per_day IS 'Daily limit for review (graduated) cards across all decks; learning cards are never limited';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'max_reviews_per_day column added to user_settings';
+END $$;
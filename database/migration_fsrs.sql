@@ -0,0 +1,56 @@
+-- Migration: Add FSRS scheduler support
+-- Run this after run_migration_learning_steps.sql
+-- Adds FSRS memory state (stability/difficulty) to user_progress, lets users pick
+-- their scheduler in user_settings, and converts existing SM-2 progress into an
+-- initial FSRS state (same conversion as memoryStateFromSM2 in shared/srs/fsrs.js)
+
+-- Step 1: Add FSRS memory state columns to user_progress
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS stability FLOAT;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS difficulty FLOAT;
+
+COMMENT ON COLUMN user_progress.stability IS 'FSRS: days until recall probability drops to 90% (NULL = derive from ease_factor/interval)';
+COMMENT ON COLUMN user_progress.difficulty IS 'FSRS: card difficulty from 1 (easiest) to 10 (hardest)';
+
+-- Step 2: Add scheduler choice to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS scheduler VARCHAR(10) DEFAULT 'sm2';
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS desired_retention FLOAT DEFAULT 0.9;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_scheduler_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_scheduler_check CHECK (scheduler IN ('sm2', 'fsrs'));
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_desired_retention_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_desired_retention_check CHECK (desired_retention >= 0.7 AND desired_retention <= 0.97);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_settings.scheduler IS 'Scheduling algorithm: sm2 (default) or fsrs';
+COMMENT ON COLUMN user_settings.desired_retention IS 'FSRS: target recall probability when a card comes due (0.7-0.97)';
+
+-- Step 3: Convert existing SM-2 progress into initial FSRS state
+-- stability = current interval (at least 0.1 day)
+-- difficulty = ease 1.3 -> 10 ... ease 3.0 -> 1
+UPDATE user_progress
+SET
+    stability = GREATEST(0.1, COALESCE(interval, 0)::FLOAT),
+    difficulty = GREATEST(1, LEAST(10, 10 - (COALESCE(ease_factor, 2.5) - 1.3) * 9 / 1.7))
+WHERE last_review IS NOT NULL
+  AND stability IS NULL;
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'stability/difficulty columns added to user_progress';
+    RAISE NOTICE 'scheduler/desired_retention columns added to user_settings';
+END $$;
@@ -0,0 +1,29 @@
+-- Migration: Add interval fuzz and load balancing settings
+-- Run this after migration_study_day.sql
+-- Graduated intervals are spread over a small window of days; with load balancing
+-- on, the least busy day in that window is chosen
+
+-- Step 1: Add fuzz_percent and load_balance to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS fuzz_percent FLOAT DEFAULT 5;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS load_balance BOOLEAN DEFAULT false;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_fuzz_percent_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_fuzz_percent_check CHECK (fuzz_percent >= 0 AND fuzz_percent <= 25);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_settings.fuzz_percent IS 'Graduated intervals of 3+ days are moved by up to this percentage (0 = off)';
+COMMENT ON COLUMN user_settings.load_balance IS 'Within the fuzz window, schedule on the day with the fewest reviews due';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'fuzz_percent/load_balance columns added to user_settings';
+END $$;
@@ -0,0 +1,22 @@
+-- Migration: Add card hints to practice
+-- Run this after migration_tags.sql
+-- A card's hint (cards.hint, from migration_srs*.sql) can be revealed on the front
+-- during practice. The review log records whether it was, so hinted answers can be
+-- told apart (e.g. scored differently) later.
+
+-- Step 1: Make sure cards have a hint column (older schemas may not)
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS hint TEXT;
+
+COMMENT ON COLUMN cards.hint IS 'Optional hint that can be revealed on the front during practice';
+
+-- Step 2: Record hint use on each review
+ALTER TABLE review_log ADD COLUMN IF NOT EXISTS hint_used BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN review_log.hint_used IS 'Whether the hint was revealed before answering';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'hint_used column added to review_log';
+END $$;
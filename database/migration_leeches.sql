@@ -0,0 +1,72 @@
+-- Migration: Add leech detection
+-- Run this after migration_fuzz.sql
+-- Counts lapses ("again" on a graduated card) per card and user, marks cards that
+-- keep lapsing as leeches, and lets users choose to have leeches suspended
+
+-- Step 1: Add lapse counter and leech/suspended flags to user_progress
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS is_leech BOOLEAN DEFAULT false;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS suspended BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN user_progress.lapses IS 'Times the card was answered "again" after graduating';
+COMMENT ON COLUMN user_progress.is_leech IS 'Card reached the user''s leech threshold';
+COMMENT ON COLUMN user_progress.suspended IS 'Card is left out of the study queue';
+
+-- Step 2: Add leech settings to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS leech_threshold INTEGER DEFAULT 8;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS leech_action VARCHAR(10) DEFAULT 'tag';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_leech_threshold_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_leech_threshold_check CHECK (leech_threshold >= 0 AND leech_threshold <= 99);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_leech_action_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_leech_action_check CHECK (leech_action IN ('tag', 'suspend'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_settings.leech_threshold IS 'Lapses before a card is marked as a leech (0 = off)';
+COMMENT ON COLUMN user_settings.leech_action IS 'What happens to leeches: tag (only mark) or suspend';
+
+-- Step 3: Count past lapses from the review log
+UPDATE user_progress up
+SET lapses = counts.lapses
+FROM (
+    SELECT user_id, card_id, COUNT(*) as lapses
+    FROM review_log
+    WHERE review_type = 'review' AND grade = 'again'
+    GROUP BY user_id, card_id
+) counts
+WHERE counts.user_id::text = up.user_id::text
+  AND counts.card_id = up.card_id
+  AND COALESCE(up.lapses, 0) = 0;
+
+-- Cards already past the user's threshold are marked (but not suspended);
+-- a threshold of 0 turns leeches off (NULLIF makes the comparison fail)
+UPDATE user_progress up
+SET is_leech = true
+WHERE up.lapses >= NULLIF(COALESCE(
+    (SELECT us.leech_threshold FROM user_settings us WHERE us.user_id::text = up.user_id::text),
+    8
+), 0);
+
+-- Step 4: Index for the leeches list
+CREATE INDEX IF NOT EXISTS idx_user_progress_user_leech ON user_progress(user_id) WHERE is_leech = true;
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'lapses/is_leech/suspended columns added to user_progress';
+    RAISE NOTICE 'leech_threshold/leech_action columns added to user_settings';
+END $$;
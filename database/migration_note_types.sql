@@ -0,0 +1,132 @@
+-- Migration: Add note types and notes
+-- Run this after migration_reverse_cards.sql
+-- A note holds field values (e.g. word, translation, gender, example, audio, IPA).
+-- Its note type lists the fields and the templates that turn the note into cards:
+-- one card per template (templates use {{Field}}, {{#Field}}...{{/Field}},
+-- {{^Field}}...{{/Field}} and {{FrontSide}}, see shared/notes).
+-- cards.front/back keep the rendered content, so everything that reads cards still works.
+
+-- Step 1: Create note_types table (user_id NULL = built-in, available to everyone)
+CREATE TABLE IF NOT EXISTS note_types (
+    id SERIAL PRIMARY KEY,
+    user_id UUID,  -- UUID for Supabase auth.users (same as decks)
+    name VARCHAR(100) NOT NULL,
+    fields JSONB NOT NULL,  -- ["Front", "Back"]
+    templates JSONB NOT NULL,  -- [{"name": "Card 1", "front": "{{Front}}", "back": "{{Back}}"}]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE note_types IS 'Fields and card templates of a kind of note; user_id NULL for built-in types';
+
+CREATE INDEX IF NOT EXISTS idx_note_types_user ON note_types(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_types_built_in_name ON note_types(name) WHERE user_id IS NULL;
+
+-- Step 2: Create the built-in note types
+INSERT INTO note_types (user_id, name, fields, templates)
+SELECT NULL, 'Basic', '["Front", "Back"]'::jsonb,
+    '[{"name": "Card 1", "front": "{{Front}}", "back": "{{Back}}"}]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM note_types WHERE user_id IS NULL AND name = 'Basic');
+
+INSERT INTO note_types (user_id, name, fields, templates)
+SELECT NULL, 'Basic (and reversed card)', '["Front", "Back"]'::jsonb,
+    '[{"name": "Card 1", "front": "{{Front}}", "back": "{{Back}}"},
+      {"name": "Card 2", "front": "{{Back}}", "back": "{{Front}}"}]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM note_types WHERE user_id IS NULL AND name = 'Basic (and reversed card)');
+
+INSERT INTO note_types (user_id, name, fields, templates)
+SELECT NULL, 'Vocabulary', '["Word", "Translation", "Gender", "Example", "Audio", "IPA"]'::jsonb,
+    '[{"name": "Recognition",
+       "front": "{{Word}}{{#IPA}}\n\n/{{IPA}}/{{/IPA}}{{#Audio}}\n\n[sound:{{Audio}}]{{/Audio}}",
+       "back": "**{{Translation}}**{{#Gender}} ({{Gender}}){{/Gender}}{{#Example}}\n\n*{{Example}}*{{/Example}}"},
+      {"name": "Production",
+       "front": "{{Translation}}",
+       "back": "**{{#Gender}}{{Gender}} {{/Gender}}{{Word}}**{{#IPA}}\n\n/{{IPA}}/{{/IPA}}{{#Audio}}\n\n[sound:{{Audio}}]{{/Audio}}{{#Example}}\n\n*{{Example}}*{{/Example}}"}]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM note_types WHERE user_id IS NULL AND name = 'Vocabulary');
+
+-- Step 3: Create notes table
+CREATE TABLE IF NOT EXISTS notes (
+    id SERIAL PRIMARY KEY,
+    deck_id INTEGER NOT NULL,
+    note_type_id INTEGER NOT NULL,
+    fields JSONB NOT NULL DEFAULT '{}'::jsonb,  -- {"Front": "...", "Back": "..."}
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notes_deck FOREIGN KEY (deck_id) REFERENCES decks(id) ON DELETE CASCADE,
+    CONSTRAINT fk_notes_note_type FOREIGN KEY (note_type_id) REFERENCES note_types(id)
+);
+
+COMMENT ON TABLE notes IS 'Field values of a note; its cards are rendered from them with the note type templates';
+
+CREATE INDEX IF NOT EXISTS idx_notes_deck ON notes(deck_id);
+CREATE INDEX IF NOT EXISTS idx_notes_note_type ON notes(note_type_id);
+
+-- Step 4: Link cards to the note and template they were rendered from
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS note_id INTEGER;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS template_ord INTEGER DEFAULT 0;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'notes' AND constraint_name = 'fk_cards_note'
+    ) THEN
+        ALTER TABLE cards
+        ADD CONSTRAINT fk_cards_note FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE CASCADE;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_cards_note ON cards(note_id);
+
+COMMENT ON COLUMN cards.note_id IS 'Note this card was rendered from; deleted with it';
+COMMENT ON COLUMN cards.template_ord IS 'Index of the note type template this card was rendered with';
+
+-- Step 5: Move existing cards into notes
+-- Every card becomes a "Basic" note (Front/Back = its content). A card with a reverse
+-- card becomes a "Basic (and reversed card)" note, with the reverse as its second card.
+DO $$
+DECLARE
+    basic_id INTEGER;
+    reversed_id INTEGER;
+    card RECORD;
+    new_note_id INTEGER;
+BEGIN
+    SELECT id INTO basic_id FROM note_types WHERE user_id IS NULL AND name = 'Basic';
+    SELECT id INTO reversed_id FROM note_types WHERE user_id IS NULL AND name = 'Basic (and reversed card)';
+
+    FOR card IN
+        SELECT c.*, EXISTS (SELECT 1 FROM cards r WHERE r.reverse_of = c.id) AS has_reverse
+        FROM cards c
+        WHERE c.note_id IS NULL AND c.reverse_of IS NULL
+        ORDER BY c.id
+    LOOP
+        INSERT INTO notes (deck_id, note_type_id, fields, created_at, updated_at)
+        VALUES (
+            card.deck_id,
+            CASE WHEN card.has_reverse THEN reversed_id ELSE basic_id END,
+            jsonb_build_object(
+                'Front', CASE WHEN jsonb_typeof(card.front) = 'object'
+                    THEN COALESCE(card.front->>'content', card.front->>'text', '')
+                    ELSE COALESCE(card.front #>> '{}', '') END,
+                'Back', CASE WHEN jsonb_typeof(card.back) = 'object'
+                    THEN COALESCE(card.back->>'content', card.back->>'text', '')
+                    ELSE COALESCE(card.back #>> '{}', '') END
+            ),
+            card.created_at,
+            card.updated_at
+        )
+        RETURNING id INTO new_note_id;
+
+        UPDATE cards SET note_id = new_note_id, template_ord = 0 WHERE id = card.id;
+        UPDATE cards SET note_id = new_note_id, template_ord = 1 WHERE reverse_of = card.id;
+    END LOOP;
+END $$;
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'note_types table created with the Basic, Basic (and reversed card) and Vocabulary types';
+    RAISE NOTICE 'notes table created and existing cards moved into notes';
+    RAISE NOTICE 'note_id and template_ord columns added to cards';
+END $$;
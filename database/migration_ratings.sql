@@ -0,0 +1,32 @@
+-- Migration: Ratings and reviews of public decks
+-- Run this after migration_subscriptions.sql
+-- Users rate a public deck 1-5 stars with an optional short review. A user has one
+-- rating per deck; rating again replaces it.
+
+-- Step 1: Ratings
+CREATE TABLE IF NOT EXISTS deck_ratings (
+    id SERIAL PRIMARY KEY,
+    deck_id INTEGER NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    review TEXT CHECK (review IS NULL OR char_length(review) <= 1000),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_deck_ratings_deck FOREIGN KEY (deck_id) REFERENCES decks(id) ON DELETE CASCADE,
+    CONSTRAINT uq_deck_ratings_deck_user UNIQUE (deck_id, user_id)
+);
+
+COMMENT ON TABLE deck_ratings IS 'Star ratings and reviews of public decks, one per user and deck';
+COMMENT ON COLUMN deck_ratings.rating IS '1 to 5 stars';
+COMMENT ON COLUMN deck_ratings.review IS 'Optional review text (up to 1000 characters)';
+COMMENT ON COLUMN deck_ratings.updated_at IS 'When the rating was last given; trending counts recent ratings by this';
+
+-- Step 2: Rating summaries (the unique constraint covers lookups by deck) and trending
+CREATE INDEX IF NOT EXISTS idx_deck_ratings_updated_at ON deck_ratings(updated_at);
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Created deck_ratings table';
+END $$;
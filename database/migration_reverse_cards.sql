@@ -0,0 +1,36 @@
+-- Migration: Add reverse cards
+-- Run this after migration_undo.sql
+-- A reverse card (back -> front) is a row in cards linked to its original through
+-- reverse_of. It keeps a swapped copy of the original's content (kept in sync by the
+-- server when either one is edited) and has its own user_progress rows.
+
+-- Step 1: Link reverse cards to their original
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS reverse_of INTEGER;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'cards' AND constraint_name = 'fk_cards_reverse_of'
+    ) THEN
+        ALTER TABLE cards
+        ADD CONSTRAINT fk_cards_reverse_of FOREIGN KEY (reverse_of) REFERENCES cards(id) ON DELETE CASCADE;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_cards_reverse_of ON cards(reverse_of);
+
+COMMENT ON COLUMN cards.reverse_of IS 'Original card this card is the reverse (back -> front) of; deleted with it';
+
+-- Step 2: Let decks add a reverse card for every card automatically
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS generate_reverse BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN decks.generate_reverse IS 'Add a reverse card for every card added to the deck';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'reverse_of column added to cards';
+    RAISE NOTICE 'generate_reverse column added to decks';
+END $$;
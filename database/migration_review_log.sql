@@ -0,0 +1,50 @@
+-- Migration: Add Review Log (per-review history)
+-- Run this after run_migration_learning_steps.sql
+-- Every POST /api/cards/:cardId/review appends one row here, in the same
+-- transaction as the user_progress upsert, so past answers are never lost
+
+-- Step 1: Create review_log table
+CREATE TABLE IF NOT EXISTS review_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL,  -- UUID for Supabase auth.users (same as user_progress)
+    card_id INTEGER NOT NULL,
+    grade VARCHAR(10) NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+    review_type VARCHAR(20) NOT NULL CHECK (review_type IN ('new', 'learning', 'review', 'relearning')),
+    time_taken_ms INTEGER CHECK (time_taken_ms >= 0),  -- Time from showing the card to answering
+    previous_interval NUMERIC(10, 6),  -- NULL if the card had no progress yet
+    next_interval NUMERIC(10, 6) NOT NULL,
+    previous_ease_factor FLOAT,
+    ease_factor FLOAT NOT NULL,
+    previous_learning_step INTEGER,
+    learning_step INTEGER,  -- -1 = graduated
+    due_date TIMESTAMP NOT NULL,  -- Due date scheduled by this review
+    reviewed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_review_log_card FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE review_log IS 'One row per review: grade, timing and the scheduling state before/after';
+COMMENT ON COLUMN review_log.review_type IS 'State of the card when it was answered: new, learning, review or relearning';
+
+CREATE INDEX IF NOT EXISTS idx_review_log_user_reviewed_at ON review_log(user_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_review_log_card_user ON review_log(card_id, user_id, reviewed_at);
+
+-- Step 2: Enable RLS on review_log
+ALTER TABLE review_log ENABLE ROW LEVEL SECURITY;
+
+-- Step 3: Drop existing policies if they exist (to avoid conflicts)
+DROP POLICY IF EXISTS "Users can view their own review log" ON review_log;
+DROP POLICY IF EXISTS "Users can insert their own review log" ON review_log;
+
+-- Step 4: Create RLS policies (the log is append-only for users)
+CREATE POLICY "Users can view their own review log" ON review_log
+    FOR SELECT USING (user_id::text = auth.uid()::text);
+
+CREATE POLICY "Users can insert their own review log" ON review_log
+    FOR INSERT WITH CHECK (user_id::text = auth.uid()::text);
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'review_log table created (if it did not exist)';
+END $$;
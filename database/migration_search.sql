@@ -0,0 +1,128 @@
+-- Migration: Full-text search of public decks
+-- Run this after migration_ratings.sql
+-- Deck names, descriptions and card contents are indexed with the text search
+-- configuration of the deck's language (English decks are stemmed in English, and so
+-- on). Languages without a built-in configuration (Japanese, Chinese, Korean, Other)
+-- use 'simple', which matches whole words only. Triggers keep the index current.
+
+-- Step 1: Text search configuration for a deck language ('simple' if there is none)
+CREATE OR REPLACE FUNCTION deck_search_config(deck_language TEXT)
+RETURNS regconfig AS $$
+    SELECT COALESCE(
+        (SELECT oid::regconfig FROM pg_ts_config WHERE cfgname = lower(deck_language)),
+        'simple'::regconfig
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Searchable text of a card: front, back and hint, with cloze markup removed
+CREATE OR REPLACE FUNCTION card_search_text(front JSONB, back JSONB, hint TEXT)
+RETURNS TEXT AS $$
+    SELECT regexp_replace(
+        concat_ws(' ',
+            CASE WHEN jsonb_typeof(front) = 'object' THEN front->>'content' ELSE front #>> '{}' END,
+            CASE WHEN jsonb_typeof(back) = 'object' THEN back->>'content' ELSE back #>> '{}' END,
+            hint
+        ),
+        '\{\{c\d+::([^:}]*)(::[^}]*)?\}\}', '\1', 'g'
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Step 2: Search vector of a deck (name weighted above description)
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS search_config regconfig NOT NULL DEFAULT 'simple';
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+COMMENT ON COLUMN decks.search_config IS 'Text search configuration of the deck language (set by trigger)';
+COMMENT ON COLUMN decks.search_vector IS 'Name (weight A) and description (weight B) for full-text search (set by trigger)';
+
+CREATE OR REPLACE FUNCTION update_deck_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_config = deck_search_config(NEW.language);
+    NEW.search_vector =
+        setweight(to_tsvector(NEW.search_config, COALESCE(NEW.name, '')), 'A') ||
+        setweight(to_tsvector(NEW.search_config, COALESCE(NEW.description, '')), 'B');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_deck_search_vector ON decks;
+CREATE TRIGGER update_deck_search_vector
+    BEFORE INSERT OR UPDATE OF name, description, language ON decks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_deck_search_vector();
+
+UPDATE decks SET
+    search_config = deck_search_config(language),
+    search_vector =
+        setweight(to_tsvector(deck_search_config(language), COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector(deck_search_config(language), COALESCE(description, '')), 'B');
+
+CREATE INDEX IF NOT EXISTS idx_decks_search_vector ON decks USING GIN (search_vector);
+
+-- Step 3: Search vectors of cards
+-- Kept in their own table, so indexing never changes cards.updated_at
+CREATE TABLE IF NOT EXISTS card_search (
+    card_id INTEGER PRIMARY KEY,
+    deck_id INTEGER NOT NULL,
+    search_vector tsvector NOT NULL,
+    CONSTRAINT fk_card_search_card FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE card_search IS 'Full-text search vector of each card, in its deck''s search configuration (set by trigger)';
+
+CREATE OR REPLACE FUNCTION update_card_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO card_search (card_id, deck_id, search_vector)
+    SELECT NEW.id, NEW.deck_id, to_tsvector(d.search_config, card_search_text(NEW.front, NEW.back, NEW.hint))
+    FROM decks d WHERE d.id = NEW.deck_id
+    ON CONFLICT (card_id) DO UPDATE SET
+        deck_id = EXCLUDED.deck_id,
+        search_vector = EXCLUDED.search_vector;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_card_search_vector ON cards;
+CREATE TRIGGER update_card_search_vector
+    AFTER INSERT OR UPDATE OF front, back, hint, deck_id ON cards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_card_search_vector();
+
+-- A deck's language change re-indexes its cards
+CREATE OR REPLACE FUNCTION update_deck_card_search_vectors()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.search_config IS DISTINCT FROM OLD.search_config THEN
+        UPDATE card_search cs SET
+            search_vector = to_tsvector(NEW.search_config, card_search_text(c.front, c.back, c.hint))
+        FROM cards c
+        WHERE c.id = cs.card_id AND cs.deck_id = NEW.id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_deck_card_search_vectors ON decks;
+CREATE TRIGGER update_deck_card_search_vectors
+    AFTER UPDATE OF language ON decks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_deck_card_search_vectors();
+
+INSERT INTO card_search (card_id, deck_id, search_vector)
+SELECT c.id, c.deck_id, to_tsvector(d.search_config, card_search_text(c.front, c.back, c.hint))
+FROM cards c
+INNER JOIN decks d ON d.id = c.deck_id
+ON CONFLICT (card_id) DO UPDATE SET
+    deck_id = EXCLUDED.deck_id,
+    search_vector = EXCLUDED.search_vector;
+
+CREATE INDEX IF NOT EXISTS idx_card_search_vector ON card_search USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_card_search_deck_id ON card_search(deck_id);
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Added search_config and search_vector to decks, and the card_search table';
+END $$;
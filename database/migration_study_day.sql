@@ -0,0 +1,29 @@
+-- Migration: Add study day settings (timezone and "next day starts at")
+-- Run this after migration_daily_limits.sql
+-- Review intervals of a day or more become due at the start of a study day in the
+-- user's timezone; daily limits, cards studied today and streaks use the same boundary
+
+-- Step 1: Add timezone and day_starts_at to user_settings
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'UTC';
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS day_starts_at INTEGER DEFAULT 4;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.constraint_column_usage
+        WHERE table_name = 'user_settings' AND constraint_name = 'user_settings_day_starts_at_check'
+    ) THEN
+        ALTER TABLE user_settings
+        ADD CONSTRAINT user_settings_day_starts_at_check CHECK (day_starts_at >= 0 AND day_starts_at <= 23);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_settings.timezone IS 'IANA timezone (e.g. Europe/Berlin) used for study day boundaries';
+COMMENT ON COLUMN user_settings.day_starts_at IS 'Hour (0-23, local time) at which the next study day starts';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'timezone/day_starts_at columns added to user_settings';
+END $$;
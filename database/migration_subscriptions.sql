@@ -0,0 +1,56 @@
+-- Migration: Subscribe to public decks
+-- Run this after migration_clone.sql
+-- A copy of a public deck can follow its source: syncing brings the author's
+-- edits, new cards and deletions into the copy, keeping the subscriber's progress.
+-- Copies made before this migration have no links to the source's cards and
+-- can't be subscribed to; download the deck again instead.
+
+-- Step 1: Subscription settings of a copy
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS subscribed BOOLEAN DEFAULT false;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS keep_local_edits BOOLEAN DEFAULT false;
+ALTER TABLE decks ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP;
+
+COMMENT ON COLUMN decks.subscribed IS 'Sync changes of the source deck (source_deck_id) into this copy';
+COMMENT ON COLUMN decks.keep_local_edits IS 'On sync, keep cards edited in this copy instead of taking the source version';
+COMMENT ON COLUMN decks.last_synced_at IS 'When this copy was last synced with its source';
+
+-- Step 2: Links from copied cards and notes to the source's
+-- (no foreign keys: a deleted source card is how sync notices the deletion)
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS source_card_id INTEGER;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS source_version TIMESTAMP;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS source_note_id INTEGER;
+
+COMMENT ON COLUMN cards.source_card_id IS 'Card of the source deck this card was copied from';
+COMMENT ON COLUMN cards.source_version IS 'updated_at of the source card when this card last took (or skipped) its changes';
+COMMENT ON COLUMN cards.synced_at IS 'When this card was last written from its source card (updated_at after this = edited locally)';
+COMMENT ON COLUMN notes.source_note_id IS 'Note of the source deck this note was copied from';
+
+CREATE INDEX IF NOT EXISTS idx_cards_deck_source_card ON cards(deck_id, source_card_id) WHERE source_card_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notes_deck_source_note ON notes(deck_id, source_note_id) WHERE source_note_id IS NOT NULL;
+
+-- Step 3: Changelog of every sync
+CREATE TABLE IF NOT EXISTS deck_sync_log (
+    id SERIAL PRIMARY KEY,
+    deck_id INTEGER NOT NULL,
+    synced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('added', 'updated', 'deleted', 'local_kept', 'local_replaced')),
+    card_id INTEGER,
+    source_card_id INTEGER,
+    front TEXT,
+    CONSTRAINT fk_deck_sync_log_deck FOREIGN KEY (deck_id) REFERENCES decks(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE deck_sync_log IS 'Changes synced from a source deck into a subscribed copy';
+COMMENT ON COLUMN deck_sync_log.change_type IS 'added / updated / deleted; local_kept = a source change or deletion skipped to keep a local edit; local_replaced = a local edit replaced by the source version';
+COMMENT ON COLUMN deck_sync_log.card_id IS 'Card of the copy (NULL once deleted)';
+COMMENT ON COLUMN deck_sync_log.front IS 'Front of the card at the time of the change';
+
+CREATE INDEX IF NOT EXISTS idx_deck_sync_log_deck ON deck_sync_log(deck_id, synced_at DESC);
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Added subscription columns to decks, source links to cards and notes, and deck_sync_log';
+END $$;
@@ -0,0 +1,26 @@
+-- Migration: Remember the synced cards a subscriber deleted
+-- Run this after migration_subscriptions.sql
+-- Deleting a card copied from the source is a local edit. Without a record of it,
+-- the next sync finds the source card without a copy and adds it again. Sync skips
+-- the source cards listed here: with keep_local_edits always, otherwise until the
+-- author changes the card again.
+
+-- Step 1: Source cards deleted from a copy
+CREATE TABLE IF NOT EXISTS deck_sync_deleted_cards (
+    deck_id INTEGER NOT NULL,
+    source_card_id INTEGER NOT NULL,
+    source_version TIMESTAMP,
+    deleted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (deck_id, source_card_id),
+    CONSTRAINT fk_deck_sync_deleted_cards_deck FOREIGN KEY (deck_id) REFERENCES decks(id) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE deck_sync_deleted_cards IS 'Cards of the source deck whose copy the subscriber deleted, so sync does not add them again';
+COMMENT ON COLUMN deck_sync_deleted_cards.source_version IS 'updated_at of the source card as last synced (or skipped): a later change brings the card back without keep_local_edits';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'deck_sync_deleted_cards table created';
+END $$;
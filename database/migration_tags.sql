@@ -0,0 +1,18 @@
+-- Migration: Add tags to cards
+-- Run this after migration_cloze.sql
+-- Tags group cards inside a deck (e.g. "verbs", "chapter-3"). They are stored
+-- lowercase on each card; the card list and practice can be limited to one tag.
+
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN cards.tags IS 'Lowercase tags of the card (see server/tags.js for the rules)';
+
+-- "tag = ANY(tags)" filters on the card list and due-cards
+CREATE INDEX IF NOT EXISTS idx_cards_tags ON cards USING GIN (tags);
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'Added tags column to cards';
+END $$;
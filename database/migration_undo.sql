@@ -0,0 +1,19 @@
+-- Migration: Add undo for reviews
+-- Run this after migration_card_state.sql
+-- Each review log entry keeps a snapshot of the card's user_progress row from before
+-- the review, so the server can put it back when the user undoes the review.
+-- Undo deletes the entry (server side only - the log stays append-only for users).
+
+-- Step 1: Add the progress snapshot to review_log
+-- SQL NULL = logged before this migration (cannot be undone)
+-- JSON null = the card had no progress row yet
+ALTER TABLE review_log ADD COLUMN IF NOT EXISTS previous_progress JSONB;
+
+COMMENT ON COLUMN review_log.previous_progress IS 'user_progress row before the review (JSON null = no row), used to undo it';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'previous_progress column added to review_log';
+END $$;
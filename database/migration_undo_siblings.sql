@@ -0,0 +1,21 @@
+-- Migration: Undo the burying of siblings with a review
+-- Run this after migration_reverse_cards.sql
+-- Reviewing a card buries its siblings (e.g. its reverse) until the next study day.
+-- The review log entry keeps which siblings it buried, so undoing the review
+-- unburies them again. Siblings that had no progress yet get a progress row to
+-- hold the burial; undoing the review deletes those rows, so the cards are new again.
+
+-- Step 1: Siblings buried by a review
+ALTER TABLE review_log ADD COLUMN IF NOT EXISTS buried_siblings INTEGER[] DEFAULT '{}';
+
+ALTER TABLE review_log ADD COLUMN IF NOT EXISTS created_siblings INTEGER[] DEFAULT '{}';
+
+COMMENT ON COLUMN review_log.buried_siblings IS 'Sibling cards this review buried, unburied again when the review is undone';
+COMMENT ON COLUMN review_log.created_siblings IS 'Buried siblings that had no progress before, whose progress is deleted when the review is undone';
+
+-- Success message
+DO $$
+BEGIN
+    RAISE NOTICE 'Migration completed successfully!';
+    RAISE NOTICE 'buried_siblings and created_siblings columns added to review_log';
+END $$;
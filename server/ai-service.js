@@ -19,6 +19,55 @@ function getAIClient() {
   );
 }
 
+/**
+ * Read the cards out of a model response
+ * The model is asked for a JSON array of { front, back }; if it answers with
+ * something else, "Front → Back" / "Front: Back" lines are used instead.
+ * @param {string} content - Model response
+ * @param {number} limit - Most cards to return
+ * @returns {Array} Array of { front, back } (empty if nothing could be read)
+ */
+function parseCardList(content, limit) {
+  // Try to parse JSON from the response
+  try {
+    // Extract JSON from markdown code blocks if present
+    const jsonMatch = content.match(/```(?:json)?\s*(\[[\s\S]*?\])/);
+    const jsonString = jsonMatch ? jsonMatch[1] : content;
+    const cards = JSON.parse(jsonString);
+    
+    // Validate and format cards
+    if (Array.isArray(cards)) {
+      return cards
+        .filter(s => s.front && s.back)
+        .slice(0, limit)
+        .map(s => ({
+          front: String(s.front).trim(),
+          back: String(s.back).trim()
+        }));
+    }
+  } catch (parseError) {
+    console.warn('Failed to parse JSON, trying to extract from text:', parseError);
+    
+    // Fallback: Try to extract card pairs from text
+    const lines = content.split('\n').filter(line => line.trim());
+    const extracted = [];
+    
+    for (let i = 0; i < lines.length && extracted.length < limit; i++) {
+      const line = lines[i];
+      // Look for patterns like "Front → Back" or "Front: Back"
+      const match = line.match(/(.+?)(?:\s*[→:]\s*|->\s*)(.+)/);
+      if (match) {
+        extracted.push({
+          front: match[1].trim().replace(/^\d+\.\s*/, ''), // Remove numbering
+          back: match[2].trim()
+        });
+      }
+    }
+    return extracted;
+  }
+  return [];
+}
+
 /**
  * Get AI suggestions for flashcards based on deck context
  * @param {string} deckName - Name of the deck
@@ -76,46 +125,9 @@ Format your response as a JSON array where each object has "front" and "back" pr
     }
 
     const content = response.body.choices[0]?.message?.content || '';
-    
-    // Try to parse JSON from the response
-    try {
-      // Extract JSON from markdown code blocks if present
-      const jsonMatch = content.match(/```(?:json)?\s*(\[[\s\S]*?\])/);
-      const jsonString = jsonMatch ? jsonMatch[1] : content;
-      const suggestions = JSON.parse(jsonString);
-      
-      // Validate and format suggestions
-      if (Array.isArray(suggestions)) {
-        return suggestions
-          .filter(s => s.front && s.back)
-          .slice(0, numSuggestions)
-          .map(s => ({
-            front: String(s.front).trim(),
-            back: String(s.back).trim()
-          }));
-      }
-    } catch (parseError) {
-      console.warn('Failed to parse JSON, trying to extract from text:', parseError);
-      
-      // Fallback: Try to extract card pairs from text
-      const lines = content.split('\n').filter(line => line.trim());
-      const extracted = [];
-      
-      for (let i = 0; i < lines.length && extracted.length < numSuggestions; i++) {
-        const line = lines[i];
-        // Look for patterns like "Front → Back" or "Front: Back"
-        const match = line.match(/(.+?)(?:\s*[→:]\s*|->\s*)(.+)/);
-        if (match) {
-          extracted.push({
-            front: match[1].trim().replace(/^\d+\.\s*/, ''), // Remove numbering
-            back: match[2].trim()
-          });
-        }
-      }
-      
-      if (extracted.length > 0) {
-        return extracted;
-      }
+    const suggestions = parseCardList(content, numSuggestions);
+    if (suggestions.length > 0) {
+      return suggestions;
     }
 
     // If all parsing fails, return a default message
@@ -130,6 +142,57 @@ Format your response as a JSON array where each object has "front" and "back" pr
   }
 }
 
+/**
+ * Get AI flashcards for a passage of an uploaded document
+ * @param {string} text - Passage of the document
+ * @param {string} deckName - Name of the deck
+ * @param {string} language - Language of the deck
+ * @param {number} numCards - Most cards to generate
+ * @returns {Promise<Array>} Array of suggested card objects (empty if the answer couldn't be read)
+ */
+export async function getCardsFromText(text, deckName, language, numCards = 10) {
+  try {
+    const client = getAIClient();
+
+    const systemPrompt = `You are an expert learning assistant. Your task is to turn study material into high-quality flashcards.
+
+Context:
+- Deck Name: ${deckName}
+- Language: ${language}
+
+Write up to ${numCards} flashcards about the most important facts, terms and ideas of the passage the user sends. Each card:
+1. Asks about one thing only
+2. Can be answered from the passage alone
+3. Has a short answer on the back
+4. Is written in the language of the passage
+
+Format your response as a JSON array where each object has "front" and "back" properties. Answer with the JSON array only.`;
+
+    const response = await client.path("/chat/completions").post({
+      body: {
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: text }
+        ],
+        temperature: 0.4,
+        top_p: 0.9,
+        max_tokens: 2048,
+        model: model
+      }
+    });
+
+    if (isUnexpected(response)) {
+      throw new Error(response.body.error?.message || 'AI API error');
+    }
+
+    return parseCardList(response.body.choices[0]?.message?.content || '', numCards);
+    
+  } catch (error) {
+    console.error('Error getting cards from text:', error);
+    throw error;
+  }
+}
+
 /**
  * Get AI explanation for a specific card
  * @param {string} front - Front of the card
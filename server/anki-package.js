@@ -0,0 +1,807 @@
+/**
+ * Anki Packages (.apkg)
+ * An .apkg is a zip holding an Anki collection (a SQLite database) and its media.
+ * Importing turns every Anki deck with notes into a Kardo deck: Anki note types
+ * become Kardo note types (Kardo templates use a subset of Anki's syntax), notes
+ * become notes with their cards, and each card's scheduling becomes the importing
+ * user's progress. Exporting writes one deck back as a package Anki can import.
+ *
+ * Media files are not carried over, as Kardo doesn't store files: images and
+ * local sounds are dropped from the fields ([sound:https://...] links are kept),
+ * and the import result counts the files dropped that way.
+ * Packages in Anki's newer format (collection.anki21b) can't be read; Anki writes
+ * the older format when "Support older Anki versions" is ticked on export.
+ */
+
+import initSqlJs from 'sql.js';
+import { unzipSync, zipSync, strToU8 } from 'fflate';
+import { createHash } from 'crypto';
+import {
+  BUILT_IN_NOTE_TYPES,
+  FRONT_SIDE,
+  validateNoteType,
+  normalizeNoteType,
+  renderCard,
+  getCardOrds,
+  getTemplateFields,
+  isClozeNoteType
+} from '@kardo/notes';
+import { getNoteTypes, findOrCreateNoteType } from './notes.js';
+import { normalizeTags, limitTags } from './tags.js';
+
+export const MAX_APKG_BYTES = 100 * 1024 * 1024;
+// Unzipped size of the collection, checked before unzipping (a small zip can unzip to gigabytes)
+const MAX_COLLECTION_BYTES = 500 * 1024 * 1024;
+const MAX_APKG_NOTES = 20000;
+
+const NOT_A_PACKAGE_ERROR = 'The file is not an Anki package (.apkg)';
+const NEWER_FORMAT_ERROR = 'This package uses Anki\'s newer format. Export it again from Anki with "Support older Anki versions" ticked';
+
+// Anki card types and queues (cards.type, cards.queue)
+const CARD_TYPE = { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 };
+const QUEUE = { SUSPENDED: -1, NEW: 0, LEARNING: 1, REVIEW: 2 };
+const MODEL_TYPE = { STANDARD: 0, CLOZE: 1 };
+const FIELD_SEPARATOR = '\x1f';
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Exported model and deck ids are derived from Kardo ids (Anki ids are millisecond timestamps)
+const EXPORT_ID_BASE = 1500000000000;
+
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn ON notes (usn);
+CREATE INDEX ix_cards_usn ON cards (usn);
+CREATE INDEX ix_revlog_usn ON revlog (usn);
+CREATE INDEX ix_cards_nid ON cards (nid);
+CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+CREATE INDEX ix_revlog_cid ON revlog (cid);
+CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+const ANKI_CSS = '.card {\n  font-family: arial;\n  font-size: 20px;\n  text-align: center;\n  color: black;\n  background-color: white;\n}\n';
+const ANKI_LATEX_PRE = '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n';
+const ANKI_LATEX_POST = '\\end{document}';
+
+// sql.js loads its WebAssembly build once, on first use
+let sqlJsPromise = null;
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs();
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Run a query on a sql.js database
+ * @returns {Object[]} Rows as objects
+ */
+function queryRows(db, sql) {
+  const [result] = db.exec(sql);
+  if (!result) {
+    return [];
+  }
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, index) => [column, values[index]])));
+}
+
+const ENTITIES = { nbsp: ' ', amp: '&', quot: '"', apos: '\'' };
+
+function decodeEntity(entity, name) {
+  // &lt; and &gt; stay encoded: card content is shown as HTML, so a decoded "<" could turn into markup
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    if (code === 60 || code === 62 || !code || code > 0x10ffff) {
+      return code === 60 ? '&lt;' : code === 62 ? '&gt;' : entity;
+    }
+    return String.fromCodePoint(code);
+  }
+  const value = ENTITIES[name.toLowerCase()];
+  return value === undefined ? entity : value;
+}
+
+/**
+ * Media files an Anki field uses, which htmlToText drops
+ * @param {string} html - Anki field value
+ * @returns {string[]} Image sources and local sound file names
+ */
+function getMediaReferences(html) {
+  const text = String(html || '');
+  return [
+    ...[...text.matchAll(/<img[^>]*?\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)].map(match => match[1] ?? match[2] ?? match[3]),
+    ...[...text.matchAll(/\[sound:(?!https?:\/\/)([^\]]*)\]/g)].map(match => match[1])
+  ];
+}
+
+/**
+ * Turn Anki's HTML into Kardo's markdown: bold, italics, code, headings and line
+ * breaks are kept, other markup and media are dropped
+ * @param {string} html - Anki field value or template
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<img[^>]*>/gi, '')
+    .replace(/\[sound:(?!https?:\/\/)[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<h1[^>]*>/gi, '\n# ')
+    .replace(/<h2[^>]*>/gi, '\n## ')
+    .replace(/<(div|p|li|tr)(\s[^>]*)?>/gi, '\n')
+    .replace(/<\/h[1-6]\s*>/gi, '\n')
+    .replace(/<\/?(b|strong)(\s[^>]*)?>/gi, '**')
+    .replace(/<\/?(i|em)(\s[^>]*)?>/gi, '*')
+    .replace(/<\/?code(\s[^>]*)?>/gi, '`')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, decodeEntity)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Turn Kardo's markdown into HTML for Anki (the reverse of htmlToText)
+ * @param {string} text - Field value or template
+ * @returns {string}
+ */
+export function textToHtml(text) {
+  return String(text || '')
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
+    .replace(/\*([^*]+?)\*/g, '<i>$1</i>')
+    .replace(/^## (.*)$/gm, '<h2>$1</h2>')
+    .replace(/^# (.*)$/gm, '<h1>$1</h1>')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Convert one side of an Anki card template
+ * Anki's special fields ({{Tags}}, {{Deck}}, ...), text-to-speech and type-in
+ * fields on the front are dropped; other filters show the field as-is.
+ */
+function convertTemplate(source, fieldNames, side) {
+  let template = String(source || '');
+  if (side === 'back') {
+    // Kardo shows the back after the front, so Anki's usual "{{FrontSide}}<hr id=answer>" isn't needed
+    template = template.replace(/^\s*\{\{\s*FrontSide\s*\}\}(\s|<br\s*\/?>)*(<hr[^>]*>)?/i, '');
+  }
+  template = template.replace(/\{\{([^{}]*)\}\}/g, (tag, inner) => {
+    const name = inner.trim();
+    const type = /^[#^/]/.test(name) ? name[0] : '';
+    const parts = name.slice(type.length).split(':').map(part => part.trim());
+    const field = parts[parts.length - 1];
+    const filters = parts.slice(0, -1);
+
+    if (field === FRONT_SIDE && !type) {
+      return '{{FrontSide}}';
+    }
+    if (!fieldNames.includes(field) || filters.some(filter => filter.startsWith('tts'))) {
+      return '';
+    }
+    if (type) {
+      return `{{${type}${field}}}`;
+    }
+    if (filters.includes('cloze')) {
+      return `{{cloze:${field}}}`;
+    }
+    if (filters.includes('type')) {
+      return side === 'front' ? '' : `{{${field}}}`;
+    }
+    return `{{${field}}}`;
+  });
+  return htmlToText(template);
+}
+
+/**
+ * Convert an Anki note type (model) into a Kardo note type definition
+ * @param {Object} model - Anki model
+ * @returns {Object|null} { name, fields, templates }, or null if it doesn't fit Kardo's note types
+ */
+function convertModel(model) {
+  const byOrd = (a, b) => a.ord - b.ord;
+  const fields = [...(model.flds || [])].sort(byOrd).map(field => field.name);
+  const tmpls = [...(model.tmpls || [])].sort(byOrd);
+  const noteType = {
+    name: String(model.name || 'Anki').slice(0, 100),
+    fields,
+    // Cloze models have one template; each cloze number makes its own card
+    templates: (model.type === MODEL_TYPE.CLOZE ? tmpls.slice(0, 1) : tmpls).map(tmpl => ({
+      name: tmpl.name,
+      front: convertTemplate(tmpl.qfmt, fields, 'front'),
+      back: convertTemplate(tmpl.afmt, fields, 'back')
+    }))
+  };
+  return validateNoteType(noteType) ? null : normalizeNoteType(noteType);
+}
+
+/**
+ * Read an uploaded .apkg
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} { error } or { collectionStart, models, decks, notes }
+ *   (notes: { id, mid, fields, tags, cards }, cards: { ord, deckId, type, queue, due, ivl, factor, reps, lapses, lastReview })
+ */
+export async function readAnkiPackage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  let files;
+  let tooLarge = false;
+  try {
+    const wanted = ['collection.anki21', 'collection.anki21b', 'collection.anki2'];
+    files = unzipSync(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length), {
+      filter: file => {
+        if (!wanted.includes(file.name)) {
+          return false;
+        }
+        if (file.originalSize > MAX_COLLECTION_BYTES) {
+          tooLarge = true;
+          return false;
+        }
+        return true;
+      }
+    });
+  } catch (err) {
+    return { error: NOT_A_PACKAGE_ERROR };
+  }
+  if (tooLarge) {
+    return { error: `The package is too large: its collection can be at most ${MAX_COLLECTION_BYTES / 1024 / 1024} MB unzipped` };
+  }
+  // Newer packages also hold a collection.anki2, which only asks to update Anki
+  if (!files['collection.anki21'] && files['collection.anki21b']) {
+    return { error: NEWER_FORMAT_ERROR };
+  }
+  const collection = files['collection.anki21'] || files['collection.anki2'];
+  if (!collection) {
+    return { error: NOT_A_PACKAGE_ERROR };
+  }
+
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(collection);
+  let col, notes, cards, lastReviews;
+  try {
+    [col] = queryRows(db, 'SELECT crt, models, decks FROM col');
+    notes = queryRows(db, 'SELECT id, mid, flds, tags FROM notes ORDER BY id');
+    cards = queryRows(db, 'SELECT id, nid, did, odid, ord, type, queue, due, odue, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord');
+    lastReviews = new Map(queryRows(db, 'SELECT cid, MAX(id) as reviewed_at FROM revlog GROUP BY cid')
+      .map(row => [row.cid, row.reviewed_at]));
+  } catch (err) {
+    return { error: 'The Anki collection in this package can\'t be read' };
+  } finally {
+    db.close();
+  }
+
+  let models, decks;
+  try {
+    models = JSON.parse(col?.models || '{}');
+    decks = JSON.parse(col?.decks || '{}');
+  } catch (err) {
+    return { error: NOT_A_PACKAGE_ERROR };
+  }
+  if (!models || typeof models !== 'object' || !decks || typeof decks !== 'object') {
+    return { error: NOT_A_PACKAGE_ERROR };
+  }
+  if (Object.keys(models).length === 0) {
+    return { error: NEWER_FORMAT_ERROR };
+  }
+  if (notes.length > MAX_APKG_NOTES) {
+    return { error: `Packages can have at most ${MAX_APKG_NOTES} notes` };
+  }
+
+  const notesById = new Map(notes.map(note => [note.id, {
+    id: note.id,
+    mid: String(note.mid),
+    fields: String(note.flds).split(FIELD_SEPARATOR),
+    tags: String(note.tags).trim().split(/\s+/).filter(Boolean),
+    cards: []
+  }]));
+  for (const card of cards) {
+    // Cards in a filtered deck keep their home deck and due date in odid/odue
+    notesById.get(card.nid)?.cards.push({
+      ord: card.ord,
+      deckId: String(card.odid || card.did),
+      type: card.type,
+      queue: card.queue,
+      due: card.odid ? card.odue : card.due,
+      ivl: card.ivl,
+      factor: card.factor,
+      reps: card.reps,
+      lapses: card.lapses,
+      lastReview: lastReviews.get(card.id) || null
+    });
+  }
+
+  return {
+    collectionStart: col.crt,
+    models,
+    decks,
+    notes: [...notesById.values()].filter(note => note.cards.length > 0)
+  };
+}
+
+/**
+ * Convert an Anki card's scheduling into user_progress values
+ * Review cards keep their interval, ease and due date, relearning cards become
+ * review cards due now. New and learning cards start as new cards; suspended
+ * ones get progress so they stay suspended.
+ * @returns {Object|null} Progress values, or null for a new card
+ */
+function convertScheduling(card, collectionStart, isLeech) {
+  const suspended = card.queue === QUEUE.SUSPENDED;
+  const now = new Date();
+
+  if (card.type === CARD_TYPE.REVIEW || card.type === CARD_TYPE.RELEARNING) {
+    const interval = Math.max(1, card.ivl);
+    // Review cards are due on a day counted from the collection's creation
+    const dueDate = card.type === CARD_TYPE.REVIEW
+      ? new Date((collectionStart + card.due * DAY_SECONDS) * 1000)
+      : now;
+    return {
+      interval,
+      ease_factor: card.factor ? Math.max(1.3, card.factor / 1000) : 2.5,
+      repetitions: Math.max(1, card.reps - card.lapses),
+      due_date: dueDate,
+      last_review: card.lastReview
+        ? new Date(card.lastReview)
+        : new Date(dueDate.getTime() - interval * DAY_SECONDS * 1000),
+      learning_step: -1,
+      lapses: card.lapses,
+      is_leech: isLeech,
+      suspended
+    };
+  }
+
+  if (suspended) {
+    return {
+      interval: 0,
+      ease_factor: 2.5,
+      repetitions: 0,
+      due_date: now,
+      last_review: null,
+      learning_step: 0,
+      lapses: 0,
+      is_leech: false,
+      suspended: true
+    };
+  }
+  return null;
+}
+
+/**
+ * Find or create the Kardo note type of each Anki model used by the notes
+ * (see findOrCreateNoteType); models that don't fit Kardo's note types are
+ * imported as Basic notes.
+ * @returns {Promise<Map>} Model ID => { noteType, fields } (fields null for Basic fallbacks)
+ */
+async function resolveNoteTypes(db, userId, pkg) {
+  const noteTypes = await getNoteTypes(db, userId);
+  const basic = noteTypes.find(noteType => noteType.user_id === null && noteType.name === BUILT_IN_NOTE_TYPES.BASIC);
+  const resolved = new Map();
+
+  for (const mid of new Set(pkg.notes.map(note => note.mid))) {
+    const model = pkg.models[mid];
+    const definition = model ? convertModel(model) : null;
+    if (!definition) {
+      resolved.set(mid, { noteType: basic, fields: null });
+      continue;
+    }
+    const noteType = await findOrCreateNoteType(db, userId, definition, noteTypes);
+    resolved.set(mid, { noteType, fields: definition.fields });
+  }
+  return resolved;
+}
+
+/**
+ * Import a package read by readAnkiPackage: one new deck per Anki deck with notes
+ * (a note goes to the deck of its first card), owned by the user, with the user's progress
+ * @param {Object} db - pg client in a transaction
+ * @param {string} userId - User ID
+ * @param {Object} pkg - Package read by readAnkiPackage
+ * @param {Object} options - { language } of the new decks
+ * @returns {Promise<Object>} { decks: [{ id, name, card_count }], notes, cards, progress, skipped_notes,
+ *   media_skipped: media files the imported notes use, which were dropped from them }
+ */
+export async function importAnkiPackage(db, userId, pkg, { language = 'English' } = {}) {
+  const noteTypes = await resolveNoteTypes(db, userId, pkg);
+  const side = (content) => ({ content, align: 'center', verticalAlign: 'middle', fontSize: '18' });
+
+  // Work out each note's fields and cards first; notes without any card are skipped
+  const notes = [];
+  for (const note of pkg.notes) {
+    const { noteType, fields } = noteTypes.get(note.mid);
+    if (!noteType) {
+      continue;
+    }
+    const values = fields
+      ? Object.fromEntries(fields.map((name, index) => [name, htmlToText(note.fields[index])]))
+      : {
+          Front: htmlToText(note.fields[0]),
+          Back: note.fields.slice(1).map(htmlToText).filter(Boolean).join('\n\n')
+        };
+    const ords = getCardOrds(noteType, values);
+    if (ords.length > 0) {
+      // A Basic fallback only has the first template's card
+      notes.push({ ...note, noteType, values, ords, fallback: !fields });
+    }
+  }
+  if (notes.length === 0) {
+    return { decks: [], notes: 0, cards: 0, progress: 0, skipped_notes: pkg.notes.length, media_skipped: 0 };
+  }
+  const mediaFiles = new Set(notes.flatMap(note => note.fields.flatMap(getMediaReferences)));
+
+  const deckIds = new Map();
+  for (const note of notes) {
+    const ankiDeckId = note.cards[0].deckId;
+    if (!deckIds.has(ankiDeckId)) {
+      const name = String(pkg.decks[ankiDeckId]?.name || 'Anki deck').slice(0, 255);
+      const deckResult = await db.query(
+        'INSERT INTO decks (user_id, name, description, language, cards) VALUES ($1, $2, $3, $4, $5::jsonb) RETURNING id',
+        [userId, name, 'Imported from Anki', language, JSON.stringify([])]
+      );
+      deckIds.set(ankiDeckId, deckResult.rows[0].id);
+    }
+    note.deck_id = deckIds.get(ankiDeckId);
+  }
+
+  // Reserve the note ids up front so notes and cards can each be inserted in one statement
+  const idsResult = await db.query(
+    `SELECT nextval(pg_get_serial_sequence('notes', 'id'))::int as id FROM generate_series(1, $1)`,
+    [notes.length]
+  );
+  notes.forEach((note, index) => {
+    note.note_id = idsResult.rows[index].id;
+  });
+
+  await db.query(
+    `INSERT INTO notes (id, deck_id, note_type_id, fields)
+     SELECT r.note_id, r.deck_id, r.note_type_id, r.fields
+     FROM jsonb_to_recordset($1::jsonb) AS r(note_id int, deck_id int, note_type_id int, fields jsonb)`,
+    [JSON.stringify(notes.map(note => ({
+      note_id: note.note_id,
+      deck_id: note.deck_id,
+      note_type_id: note.noteType.id,
+      fields: note.values
+    })))]
+  );
+
+  const cardsResult = await db.query(
+    `INSERT INTO cards (deck_id, front, back, difficulty, tags, note_id, template_ord)
+     SELECT r.deck_id, r.front, r.back, 'medium', r.tags, r.note_id, r.template_ord
+     FROM jsonb_to_recordset($1::jsonb) AS r(deck_id int, front jsonb, back jsonb, tags text[], note_id int, template_ord int)
+     RETURNING id, note_id, template_ord`,
+    [JSON.stringify(notes.flatMap(note => {
+      const tags = limitTags(normalizeTags(note.tags));
+      return note.ords.map(ord => {
+        const rendered = renderCard(note.noteType, note.values, ord);
+        return {
+          deck_id: note.deck_id,
+          front: side(rendered.front),
+          back: side(rendered.back),
+          tags,
+          note_id: note.note_id,
+          template_ord: ord
+        };
+      });
+    }))]
+  );
+
+  // Cards of "Basic (and reversed card)" notes are linked like in notes.js
+  const reversedNoteIds = notes
+    .filter(note => note.noteType.user_id === null && note.noteType.name === BUILT_IN_NOTE_TYPES.BASIC_REVERSED)
+    .map(note => note.note_id);
+  if (reversedNoteIds.length > 0) {
+    await db.query(
+      `UPDATE cards c SET reverse_of = first.id
+       FROM cards first
+       WHERE first.note_id = c.note_id AND first.template_ord = 0
+         AND c.template_ord > 0 AND c.note_id = ANY($1::int[])`,
+      [reversedNoteIds]
+    );
+  }
+
+  const cardIds = new Map(cardsResult.rows.map(card => [`${card.note_id}:${card.template_ord}`, card.id]));
+  const progress = [];
+  for (const note of notes) {
+    const isLeech = note.tags.some(tag => tag.toLowerCase() === 'leech');
+    for (const card of note.cards) {
+      const cardId = note.fallback && card.ord > 0 ? undefined : cardIds.get(`${note.note_id}:${card.ord}`);
+      const scheduling = cardId ? convertScheduling(card, pkg.collectionStart, isLeech) : null;
+      if (scheduling) {
+        progress.push({ user_id: userId, card_id: cardId, ...scheduling });
+      }
+    }
+  }
+  if (progress.length > 0) {
+    // jsonb_populate_recordset casts each value to the user_progress column type (user_id may be a UUID)
+    await db.query(
+      `INSERT INTO user_progress (user_id, card_id, interval, ease_factor, repetitions, due_date, last_review, learning_step, lapses, is_leech, suspended)
+       SELECT user_id, card_id, interval, ease_factor, repetitions, due_date, last_review, learning_step, lapses, is_leech, suspended
+       FROM jsonb_populate_recordset(NULL::user_progress, $1::jsonb)`,
+      [JSON.stringify(progress)]
+    );
+  }
+
+  const decksResult = await db.query(
+    `UPDATE decks d SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = d.id)
+     WHERE d.id = ANY($1::int[])
+     RETURNING id, name, card_count`,
+    [[...deckIds.values()]]
+  );
+
+  return {
+    decks: decksResult.rows,
+    notes: notes.length,
+    cards: cardsResult.rows.length,
+    progress: progress.length,
+    skipped_notes: pkg.notes.length - notes.length,
+    media_skipped: mediaFiles.size
+  };
+}
+
+/**
+ * Build the Anki model (note type) of a Kardo note type
+ */
+function buildAnkiModel(noteType, modelId, deckId, mod) {
+  const cloze = isClozeNoteType(noteType);
+  const templates = cloze ? noteType.templates.slice(0, 1) : noteType.templates;
+  return {
+    id: modelId,
+    name: noteType.name,
+    type: cloze ? MODEL_TYPE.CLOZE : MODEL_TYPE.STANDARD,
+    mod,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    flds: noteType.fields.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    tmpls: templates.map((template, ord) => ({
+      name: template.name,
+      ord,
+      qfmt: textToHtml(template.front),
+      // Anki shows only the answer side, so it repeats the front (Kardo flips to the back)
+      afmt: cloze || template.back.includes(`{{${FRONT_SIDE}}}`)
+        ? textToHtml(template.back)
+        : `{{${FRONT_SIDE}}}\n\n<hr id=answer>\n\n${textToHtml(template.back)}`,
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    })),
+    css: ANKI_CSS,
+    latexPre: ANKI_LATEX_PRE,
+    latexPost: ANKI_LATEX_POST,
+    tags: [],
+    vers: [],
+    req: templates.map((template, ord) => [
+      ord,
+      'any',
+      getTemplateFields(template.front).map(name => noteType.fields.indexOf(name)).filter(index => index >= 0)
+    ])
+  };
+}
+
+function buildAnkiDeck(id, name, mod) {
+  return {
+    id,
+    name,
+    mod,
+    usn: -1,
+    desc: '',
+    dyn: 0,
+    conf: 1,
+    collapsed: false,
+    browserCollapsed: false,
+    extendNew: 0,
+    extendRev: 0,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0]
+  };
+}
+
+const ANKI_DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    dyn: false,
+    maxTaken: 60,
+    timer: 0,
+    autoplay: true,
+    replayq: true,
+    new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+    lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 },
+    rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 }
+  }
+};
+
+/**
+ * Get the Anki scheduling of a card from the user's progress (new without progress)
+ * @param {Object} card - Card row with the progress columns
+ * @param {number} collectionStart - Collection creation (seconds), day 0 of review due dates
+ * @param {number} position - Position of the card among new cards
+ */
+function getAnkiScheduling(card, collectionStart, position) {
+  const queue = (defaultQueue) => (card.suspended ? QUEUE.SUSPENDED : defaultQueue);
+  const lapses = card.lapses || 0;
+
+  if (!card.last_review) {
+    return { type: CARD_TYPE.NEW, queue: queue(QUEUE.NEW), due: position, ivl: 0, factor: 0, reps: 0, lapses: 0, left: 0 };
+  }
+  const dueSeconds = Math.floor(new Date(card.due_date).getTime() / 1000);
+  const factor = Math.round((card.ease_factor || 2.5) * 1000);
+  const reps = (card.repetitions || 0) + lapses;
+
+  if ((card.learning_step !== null && card.learning_step >= 0) || card.interval < 1) {
+    // Learning cards are due at a time; one step is left
+    return { type: CARD_TYPE.LEARNING, queue: queue(QUEUE.LEARNING), due: dueSeconds, ivl: 0, factor, reps, lapses, left: 1001 };
+  }
+  return {
+    type: CARD_TYPE.REVIEW,
+    queue: queue(QUEUE.REVIEW),
+    due: Math.floor((dueSeconds - collectionStart) / DAY_SECONDS),
+    ivl: Math.max(1, Math.round(card.interval)),
+    factor,
+    reps,
+    lapses,
+    left: 0
+  };
+}
+
+/**
+ * Checksum Anki uses to find duplicate notes: the first 8 hex digits of the SHA-1 of the sort field
+ */
+function getFieldChecksum(text) {
+  return parseInt(createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+}
+
+/**
+ * Build an .apkg of a deck, with the user's progress as the cards' scheduling
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User whose progress is exported
+ * @returns {Promise<Object|null>} { name, data } (data: zip bytes), or null if the deck doesn't exist
+ */
+export async function buildAnkiPackage(db, deckId, userId) {
+  const deckResult = await db.query('SELECT id, name FROM decks WHERE id = $1', [deckId]);
+  const deck = deckResult.rows[0];
+  if (!deck) {
+    return null;
+  }
+
+  const cardsResult = await db.query(
+    `SELECT c.id, c.front, c.back, c.tags, c.note_id, c.template_ord,
+            n.fields as note_fields, to_jsonb(nt) as note_type,
+            up.interval::FLOAT as interval, up.ease_factor, up.repetitions, up.due_date,
+            up.last_review, up.learning_step, up.lapses, up.suspended
+     FROM cards c
+     LEFT JOIN notes n ON n.id = c.note_id
+     LEFT JOIN note_types nt ON nt.id = n.note_type_id
+     LEFT JOIN user_progress up ON up.card_id = c.id AND up.user_id::text = $2::text
+     WHERE c.deck_id = $1
+     ORDER BY c.note_id NULLS LAST, c.template_ord, c.id`,
+    [deckId, userId]
+  );
+
+  const now = Date.now();
+  const mod = Math.floor(now / 1000);
+  const ankiDeckId = EXPORT_ID_BASE + Number(deck.id);
+  // Cards without a note (stored before note types) are exported as Basic notes
+  const basicNoteType = {
+    id: 0,
+    name: BUILT_IN_NOTE_TYPES.BASIC,
+    fields: ['Front', 'Back'],
+    templates: [{ name: 'Card 1', front: '{{Front}}', back: '{{Back}}' }]
+  };
+
+  // Group the cards into notes
+  const notes = new Map();
+  for (const card of cardsResult.rows) {
+    const key = card.note_id && card.note_type ? `note-${card.note_id}` : `card-${card.id}`;
+    if (!notes.has(key)) {
+      notes.set(key, card.note_id && card.note_type
+        ? { guid: `kardo-${key}`, noteType: card.note_type, fields: card.note_fields || {}, cards: [] }
+        : {
+            guid: `kardo-${key}`,
+            noteType: basicNoteType,
+            fields: { Front: card.front?.content || '', Back: card.back?.content || '' },
+            cards: []
+          });
+    }
+    notes.get(key).cards.push(card);
+  }
+
+  // Review due dates count days from the collection's creation: the start of the earliest due day
+  const earliestDue = cardsResult.rows.reduce(
+    (earliest, card) => (card.due_date ? Math.min(earliest, new Date(card.due_date).getTime()) : earliest),
+    now
+  );
+  const collectionStart = Math.floor(earliestDue / 1000 / DAY_SECONDS) * DAY_SECONDS;
+
+  const models = {};
+  const SQL = await loadSqlJs();
+  const collection = new SQL.Database();
+  try {
+    collection.run(ANKI_SCHEMA);
+    const insertNote = collection.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = collection.prepare('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, \'\')');
+    let noteId = now;
+    let cardId = now;
+    let newPosition = 0;
+
+    for (const note of notes.values()) {
+      const modelId = EXPORT_ID_BASE - 1 - Number(note.noteType.id);
+      if (!models[modelId]) {
+        models[modelId] = buildAnkiModel(note.noteType, modelId, ankiDeckId, mod);
+      }
+      const fields = note.noteType.fields.map(name => textToHtml(note.fields[name]));
+      const sortField = htmlToText(fields[0] || '');
+      const tags = [...new Set(note.cards.flatMap(card => card.tags || []))];
+
+      noteId++;
+      insertNote.run([
+        noteId,
+        note.guid,
+        modelId,
+        mod,
+        tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+        fields.join(FIELD_SEPARATOR),
+        sortField,
+        getFieldChecksum(sortField)
+      ]);
+      for (const card of note.cards) {
+        const scheduling = getAnkiScheduling(card, collectionStart, ++newPosition);
+        insertCard.run([
+          ++cardId,
+          noteId,
+          ankiDeckId,
+          card.template_ord || 0,
+          mod,
+          scheduling.type,
+          scheduling.queue,
+          scheduling.due,
+          scheduling.ivl,
+          scheduling.factor,
+          scheduling.reps,
+          scheduling.lapses,
+          scheduling.left
+        ]);
+      }
+    }
+    insertNote.free();
+    insertCard.free();
+
+    const conf = {
+      activeDecks: [ankiDeckId],
+      curDeck: ankiDeckId,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: Object.keys(models)[0] || null,
+      nextPos: newPosition + 1,
+      sortType: 'noteFld',
+      sortBackwards: false,
+      addToCur: true
+    };
+    const decks = {
+      1: buildAnkiDeck(1, 'Default', mod),
+      [ankiDeckId]: buildAnkiDeck(ankiDeckId, deck.name, mod)
+    };
+    collection.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, \'{}\')',
+      [collectionStart, now, now, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(ANKI_DECK_CONFIG)]
+    );
+
+    const data = zipSync({
+      'collection.anki2': collection.export(),
+      media: strToU8('{}')
+    });
+    return { name: deck.name, data };
+  } finally {
+    collection.close();
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Authentication Middleware
+ * Verifies Supabase access tokens and derives the caller's identity from them
+ */
+
+import jwt from 'jsonwebtoken';
+import { createPublicKey } from 'crypto';
+
+const TOKEN_AUDIENCE = 'authenticated';
+const JWKS_CACHE_MS = 10 * 60 * 1000; // Re-fetch Supabase signing keys every 10 minutes
+
+let jwksCache = { keys: null, fetchedAt: 0 };
+
+/**
+ * Get the symmetric (HS256) keys that may have signed an access token
+ * - SUPABASE_JWT_SECRET: the project's JWT secret (Supabase Dashboard > Settings > API)
+ * - AUTH_LOCAL_SIGNING_KEY: a local key for tests and scripts, no Supabase project needed
+ * @returns {string[]} Configured secrets
+ */
+function getSharedSecrets() {
+  return [process.env.SUPABASE_JWT_SECRET, process.env.AUTH_LOCAL_SIGNING_KEY].filter(Boolean);
+}
+
+/**
+ * Fetch (and cache) the project's public signing keys for asymmetric tokens
+ * @returns {Promise<Array>} JSON Web Keys
+ */
+async function getSupabaseSigningKeys() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  if (!supabaseUrl) {
+    return [];
+  }
+
+  if (jwksCache.keys && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_MS) {
+    return jwksCache.keys;
+  }
+
+  const response = await fetch(`${supabaseUrl.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Supabase signing keys: ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache = { keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+/**
+ * Verify an access token and return its claims
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {Promise<Object>} Verified JWT payload
+ */
+export async function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed access token');
+  }
+
+  const { alg, kid } = decoded.header;
+  const verifyOptions = { audience: TOKEN_AUDIENCE, algorithms: [alg] };
+
+  if (alg === 'HS256') {
+    const secrets = getSharedSecrets();
+    if (secrets.length === 0) {
+      throw new Error('No JWT secret configured (set SUPABASE_JWT_SECRET or AUTH_LOCAL_SIGNING_KEY)');
+    }
+
+    let lastError;
+    for (const secret of secrets) {
+      try {
+        return jwt.verify(token, secret, verifyOptions);
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  if (alg === 'RS256' || alg === 'ES256') {
+    const keys = await getSupabaseSigningKeys();
+    const jwk = keys.find(key => key.kid === kid);
+    if (!jwk) {
+      throw new Error(`Unknown signing key: ${kid}`);
+    }
+    return jwt.verify(token, createPublicKey({ key: jwk, format: 'jwk' }), verifyOptions);
+  }
+
+  throw new Error(`Unsupported token algorithm: ${alg}`);
+}
+
+/**
+ * Mint an access token with the local signing key (for tests and scripts)
+ * @param {string} userId - User ID to put in the "sub" claim
+ * @param {Object} options - { email, expiresIn }
+ * @returns {string} Signed JWT
+ */
+export function signLocalAccessToken(userId, { email = null, expiresIn = '1h' } = {}) {
+  const key = process.env.AUTH_LOCAL_SIGNING_KEY;
+  if (!key) {
+    throw new Error('AUTH_LOCAL_SIGNING_KEY is not set');
+  }
+  return jwt.sign(
+    { sub: userId, email, role: 'authenticated' },
+    key,
+    { algorithm: 'HS256', audience: TOKEN_AUDIENCE, expiresIn }
+  );
+}
+
+/**
+ * Check whether a user ID claimed by the client belongs to the authenticated user
+ * (the client identifies users by id, falling back to email)
+ * @param {Object} user - req.user
+ * @param {string} claimedId - User ID from the URL, query string, body or header
+ * @returns {boolean}
+ */
+function isSameUser(user, claimedId) {
+  return claimedId === user.id || (user.email && claimedId === user.email);
+}
+
+/**
+ * Express middleware: require a valid Supabase access token
+ * Sets req.user = { id, email } from the token claims
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = await verifyAccessToken(token);
+    if (!payload.sub) {
+      return res.status(401).json({ error: 'Access token has no subject' });
+    }
+    req.user = { id: payload.sub, email: payload.email || null };
+    next();
+  } catch (err) {
+    console.warn('Rejected access token:', err.message);
+    res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+}
+
+/**
+ * Express middleware: reject requests whose query string, body or x-user-id header
+ * names a different user than the one in the access token
+ */
+export function rejectUserMismatch(req, res, next) {
+  const claimedIds = [req.query?.userId, req.body?.userId, req.headers['x-user-id']].filter(Boolean);
+
+  if (claimedIds.some(claimedId => !isSameUser(req.user, String(claimedId)))) {
+    return res.status(403).json({ error: 'User ID does not match the authenticated user' });
+  }
+  next();
+}
+
+/**
+ * Express middleware factory: require a route param (e.g. /api/users/:userId) to be the caller
+ * @param {string} paramName - Name of the route param holding the user ID
+ */
+export function requireSameUser(paramName = 'userId') {
+  return (req, res, next) => {
+    if (!isSameUser(req.user, req.params[paramName])) {
+      return res.status(403).json({ error: 'You can only access your own data' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Deck Authorization
+ * Resolves the caller's role on a deck and guards every deck/card route with it
+ */
+
+/**
+ * Roles a user can have on a deck
+ * (collaborator roles plug in here once decks can be shared for editing)
+ */
+export const DECK_ROLES = {
+  OWNER: 'owner',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Which roles satisfy each access level a route can ask for
+ * - read: view cards, study, get statistics
+ * - write: add/edit/delete cards, edit deck details
+ * - owner: delete the deck, change its visibility
+ */
+const ACCESS_LEVELS = {
+  read: [DECK_ROLES.OWNER, DECK_ROLES.VIEWER],
+  write: [DECK_ROLES.OWNER],
+  owner: [DECK_ROLES.OWNER]
+};
+
+/**
+ * Get the user IDs the decks of the authenticated user are stored under: the token's,
+ * and that of their users row found by email (legacy decks are keyed by that ID)
+ * @param {Object} db - pg Pool or client
+ * @param {Object} user - req.user { id, email }
+ * @returns {Promise<string[]>} Owner IDs, the token's first
+ */
+export async function getOwnerIds(db, user) {
+  if (!user.email) {
+    return [String(user.id)];
+  }
+  const result = await db.query('SELECT user_id FROM users WHERE email = $1', [user.email]);
+  return [...new Set([String(user.id), ...result.rows.map(row => String(row.user_id))])];
+}
+
+/**
+ * Determine a user's role on a deck
+ * @param {Object} deck - Deck row (needs user_id and is_public)
+ * @param {string|string[]} userId - Authenticated user ID, or all their owner IDs (getOwnerIds)
+ * @returns {string|null} Role, or null if the user has no access
+ */
+export function resolveDeckRole(deck, userId) {
+  const ownerIds = Array.isArray(userId) ? userId : [userId];
+  if (ownerIds.some(id => String(deck.user_id) === String(id))) {
+    return DECK_ROLES.OWNER;
+  }
+  if (deck.is_public) {
+    return DECK_ROLES.VIEWER;
+  }
+  return null;
+}
+
+/**
+ * Check whether a role satisfies an access level
+ * @param {string|null} role - Role from resolveDeckRole
+ * @param {string} access - "read", "write" or "owner"
+ * @returns {boolean}
+ */
+export function hasDeckAccess(role, access) {
+  return Boolean(role) && (ACCESS_LEVELS[access] || []).includes(role);
+}
+
+// Route params are SERIAL ids; anything else can't match a row
+const isValidId = (value) => /^\d+$/.test(String(value));
+
+/**
+ * Create deck/card authorization helpers bound to a database pool
+ * @param {Object} db - pg Pool (or client) used to look up decks and cards
+ * @returns {Object} { getDeckAccess, getCardAccess, getNoteAccess, requireDeckAccess, requireCardAccess, requireNoteAccess }
+ */
+export function createDeckAuthorization(db) {
+  /**
+   * Determine the user's role on a deck, looking up their legacy owner IDs only for
+   * decks not stored under the token's
+   */
+  async function getRole(deck, user) {
+    const role = resolveDeckRole(deck, user.id);
+    if (role === DECK_ROLES.OWNER || !user.email) {
+      return role;
+    }
+    return resolveDeckRole(deck, await getOwnerIds(db, user));
+  }
+
+  /**
+   * Look up a deck and the user's role on it
+   * @returns {Promise<Object|null>} { deck, role } or null if the deck doesn't exist
+   */
+  async function getDeckAccess(deckId, user) {
+    if (!isValidId(deckId)) {
+      return null;
+    }
+    const result = await db.query(
+      'SELECT id, user_id, is_public FROM decks WHERE id = $1',
+      [deckId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const deck = result.rows[0];
+    return { deck, role: await getRole(deck, user) };
+  }
+
+  /**
+   * Look up a card, its deck, and the user's role on that deck
+   * @returns {Promise<Object|null>} { card, deck, role } or null if the card doesn't exist
+   */
+  async function getCardAccess(cardId, user) {
+    if (!isValidId(cardId)) {
+      return null;
+    }
+    const result = await db.query(
+      `SELECT c.id AS card_id, d.id, d.user_id, d.is_public
+       FROM cards c
+       JOIN decks d ON d.id = c.deck_id
+       WHERE c.id = $1`,
+      [cardId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const { card_id, ...deck } = result.rows[0];
+    return { card: { id: card_id, deck_id: deck.id }, deck, role: await getRole(deck, user) };
+  }
+
+  /**
+   * Look up a note, its deck, and the user's role on that deck
+   * @returns {Promise<Object|null>} { note, deck, role } or null if the note doesn't exist
+   */
+  async function getNoteAccess(noteId, user) {
+    if (!isValidId(noteId)) {
+      return null;
+    }
+    const result = await db.query(
+      `SELECT n.id AS note_id, d.id, d.user_id, d.is_public
+       FROM notes n
+       JOIN decks d ON d.id = n.deck_id
+       WHERE n.id = $1`,
+      [noteId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const { note_id, ...deck } = result.rows[0];
+    return { note: { id: note_id, deck_id: deck.id }, deck, role: await getRole(deck, user) };
+  }
+
+  /**
+   * Express middleware factory: require an access level on the deck named by a route param
+   * Sets req.deck and req.deckRole. Responds 404 if the deck doesn't exist, 403 if access is denied.
+   * @param {string} access - "read", "write" or "owner"
+   * @param {string} paramName - Route param holding the deck ID
+   */
+  function requireDeckAccess(access, paramName = 'deckId') {
+    return async (req, res, next) => {
+      try {
+        const result = await getDeckAccess(req.params[paramName], req.user);
+        if (!result) {
+          return res.status(404).json({ error: 'Deck not found' });
+        }
+        if (!hasDeckAccess(result.role, access)) {
+          return res.status(403).json({ error: 'You do not have permission to access this deck' });
+        }
+        req.deck = result.deck;
+        req.deckRole = result.role;
+        next();
+      } catch (err) {
+        console.error('Error checking deck access:', err);
+        res.status(500).json({ error: err.message });
+      }
+    };
+  }
+
+  /**
+   * Express middleware factory: require an access level on the deck that owns the card named by a route param
+   * Sets req.card, req.deck and req.deckRole. Responds 404 if the card doesn't exist, 403 if access is denied.
+   * @param {string} access - "read", "write" or "owner"
+   * @param {string} paramName - Route param holding the card ID
+   */
+  function requireCardAccess(access, paramName = 'cardId') {
+    return async (req, res, next) => {
+      try {
+        const result = await getCardAccess(req.params[paramName], req.user);
+        if (!result) {
+          return res.status(404).json({ error: 'Card not found' });
+        }
+        if (!hasDeckAccess(result.role, access)) {
+          return res.status(403).json({ error: 'You do not have permission to access this card' });
+        }
+        req.card = result.card;
+        req.deck = result.deck;
+        req.deckRole = result.role;
+        next();
+      } catch (err) {
+        console.error('Error checking card access:', err);
+        res.status(500).json({ error: err.message });
+      }
+    };
+  }
+
+  /**
+   * Express middleware factory: require an access level on the deck that owns the note named by a route param
+   * Sets req.note, req.deck and req.deckRole. Responds 404 if the note doesn't exist, 403 if access is denied.
+   * @param {string} access - "read", "write" or "owner"
+   * @param {string} paramName - Route param holding the note ID
+   */
+  function requireNoteAccess(access, paramName = 'noteId') {
+    return async (req, res, next) => {
+      try {
+        const result = await getNoteAccess(req.params[paramName], req.user);
+        if (!result) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        if (!hasDeckAccess(result.role, access)) {
+          return res.status(403).json({ error: 'You do not have permission to access this note' });
+        }
+        req.note = result.note;
+        req.deck = result.deck;
+        req.deckRole = result.role;
+        next();
+      } catch (err) {
+        console.error('Error checking note access:', err);
+        res.status(500).json({ error: err.message });
+      }
+    };
+  }
+
+  return { getDeckAccess, getCardAccess, getNoteAccess, requireDeckAccess, requireCardAccess, requireNoteAccess };
+}
@@ -0,0 +1,203 @@
+/**
+ * Card State
+ * Per-user actions on a single card outside of reviewing it: suspend/unsuspend,
+ * bury until the next study day, and forget (start over as a new card).
+ * A card the user never studied gets a progress row (the same one init-progress
+ * creates), so its state can be stored.
+ */
+
+import { addStudyDays } from '@kardo/srs';
+import { getSiblingIds } from './reverse-cards.js';
+
+// SQL condition for progress rows that are in learning steps (same rule as getReviewType)
+const IN_LEARNING = 'user_progress.last_review IS NOT NULL AND (COALESCE(user_progress.learning_step, -1) >= 0 OR user_progress.interval < 1)';
+
+/**
+ * Insert a new-card progress row, or update the given columns of the existing one
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number|string} cardId - Card ID
+ * @param {Object} settings - Resolved user settings (starting_ease_factor)
+ * @param {Object} changes - Column values to set (column names are not user input)
+ * @param {string} onlyIf - SQL condition an existing row must meet to be updated (optional)
+ * @returns {Promise<Object|undefined>} Updated progress row (undefined if the condition failed)
+ */
+async function upsertProgress(db, userId, cardId, settings, changes, onlyIf = null) {
+  // A card never studied starts out like init-progress creates it
+  const inserted = {
+    interval: 0,
+    ease_factor: settings.starting_ease_factor,
+    repetitions: 0,
+    due_date: new Date(),
+    last_review: null,
+    learning_step: 0,
+    ...changes
+  };
+  const columns = Object.keys(inserted);
+  const placeholders = columns.map((_, index) => `$${index + 3}`);
+  const updates = Object.keys(changes).map(column => `${column} = EXCLUDED.${column}`);
+
+  const result = await db.query(
+    `INSERT INTO user_progress (user_id, card_id, ${columns.join(', ')})
+     VALUES ($1, $2, ${placeholders.join(', ')})
+     ON CONFLICT (user_id, card_id)
+     DO UPDATE SET
+       ${updates.join(',\n       ')},
+       updated_at = CURRENT_TIMESTAMP
+     ${onlyIf ? `WHERE ${onlyIf}` : ''}
+     RETURNING *`,
+    [userId, cardId, ...columns.map(column => inserted[column])]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Suspend or unsuspend a card (suspended cards are never shown in practice)
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number|string} cardId - Card ID
+ * @param {boolean} suspended - New state
+ * @param {Object} settings - Resolved user settings
+ * @returns {Promise<Object>} Updated progress row
+ */
+export function setCardSuspended(db, userId, cardId, suspended, settings) {
+  return upsertProgress(db, userId, cardId, settings, { suspended });
+}
+
+/**
+ * Bury a card until the next study day starts
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number|string} cardId - Card ID
+ * @param {Object} settings - Resolved user settings (timezone, day_starts_at)
+ * @returns {Promise<Object>} Updated progress row
+ */
+export function buryCard(db, userId, cardId, settings) {
+  return upsertProgress(db, userId, cardId, settings, {
+    buried_until: addStudyDays(new Date(), 1, settings)
+  });
+}
+
+/**
+ * Bury the siblings of a reviewed card (e.g. its reverse) until the next study day,
+ * so both directions aren't shown on the same day. Siblings in learning steps are
+ * left alone - burying them would break the learning steps.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number|string} cardId - Reviewed card ID
+ * @param {Object} settings - Resolved user settings (timezone, day_starts_at)
+ * @returns {Promise<Object>} { buried, created }: IDs of the siblings that were buried, and of
+ *   those among them that had no progress before (burying them created their progress row)
+ */
+export async function burySiblings(db, userId, cardId, settings) {
+  const siblingIds = await getSiblingIds(db, cardId);
+  if (siblingIds.length === 0) {
+    return { buried: [], created: [] };
+  }
+  const existingResult = await db.query(
+    'SELECT card_id FROM user_progress WHERE user_id::text = $1::text AND card_id = ANY($2::int[])',
+    [userId, siblingIds]
+  );
+  const existing = new Set(existingResult.rows.map(row => row.card_id));
+
+  const buriedUntil = addStudyDays(new Date(), 1, settings);
+  const buried = [];
+  for (const siblingId of siblingIds) {
+    const row = await upsertProgress(db, userId, siblingId, settings, { buried_until: buriedUntil }, `NOT (${IN_LEARNING})`);
+    if (row) {
+      buried.push(siblingId);
+    }
+  }
+  return { buried, created: buried.filter(siblingId => !existing.has(siblingId)) };
+}
+
+/**
+ * Delete the progress of cards that were never studied (e.g. the siblings a review
+ * buried before they had progress, when the review is undone), so they are new again
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number[]} cardIds - Card IDs
+ * @returns {Promise<number[]>} IDs of the cards whose progress was deleted
+ */
+export async function deleteUnstudiedProgress(db, userId, cardIds) {
+  if (cardIds.length === 0) {
+    return [];
+  }
+  const result = await db.query(
+    `DELETE FROM user_progress
+     WHERE user_id::text = $1::text AND card_id = ANY($2::int[]) AND last_review IS NULL
+     RETURNING card_id`,
+    [userId, cardIds]
+  );
+  return result.rows.map(row => row.card_id);
+}
+
+/**
+ * Unbury cards (e.g. the siblings a review buried, when the review is undone)
+ * Cards whose burial already ended are left as they are.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number[]} cardIds - Card IDs
+ * @returns {Promise<number[]>} IDs of the cards that were unburied
+ */
+export async function unburyCards(db, userId, cardIds) {
+  if (cardIds.length === 0) {
+    return [];
+  }
+  const result = await db.query(
+    `UPDATE user_progress SET buried_until = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id::text = $1::text AND card_id = ANY($2::int[]) AND buried_until > CURRENT_TIMESTAMP
+     RETURNING card_id`,
+    [userId, cardIds]
+  );
+  return result.rows.map(row => row.card_id);
+}
+
+/**
+ * Reset a card to new: scheduling, FSRS memory state and lapses start over
+ * (the review log is kept, and a suspended card stays suspended)
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {number|string} cardId - Card ID
+ * @param {Object} settings - Resolved user settings (starting_ease_factor)
+ * @returns {Promise<Object>} Updated progress row
+ */
+export function forgetCard(db, userId, cardId, settings) {
+  return upsertProgress(db, userId, cardId, settings, {
+    interval: 0,
+    ease_factor: settings.starting_ease_factor,
+    repetitions: 0,
+    due_date: new Date(),
+    last_review: null,
+    learning_step: 0,
+    stability: null,
+    difficulty: null,
+    lapses: 0,
+    is_leech: false,
+    buried_until: null
+  });
+}
+
+/**
+ * Get the user's suspended/buried state for the cards of a deck
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Map of card ID to { suspended, buried_until }
+ */
+export async function getDeckCardStates(db, deckId, userId) {
+  const result = await db.query(
+    `SELECT up.card_id, up.suspended, up.buried_until
+     FROM user_progress up
+     INNER JOIN cards c ON c.id = up.card_id
+     WHERE c.deck_id = $1 AND up.user_id::text = $2::text
+       AND (up.suspended = true OR up.buried_until > CURRENT_TIMESTAMP)`,
+    [deckId, userId]
+  );
+
+  const states = {};
+  for (const row of result.rows) {
+    states[row.card_id] = { suspended: row.suspended === true, buried_until: row.buried_until };
+  }
+  return states;
+}
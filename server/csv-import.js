@@ -0,0 +1,376 @@
+/**
+ * CSV/TSV Import
+ * Turns an uploaded CSV/TSV file into cards: detects the text encoding and the
+ * delimiter, parses the rows, maps columns to card fields (front, back, hint,
+ * tags, difficulty) and validates every row. importCards then inserts all valid
+ * rows in one go, as Basic notes like cards added in the editor.
+ */
+
+import { renderCard } from '@kardo/notes';
+import { validateTags, normalizeTags } from './tags.js';
+import { addMissingReverseCards } from './reverse-cards.js';
+
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 5000;
+export const IMPORT_FIELDS = ['front', 'back', 'hint', 'tags', 'difficulty'];
+
+// Delimiters by the name the API uses for them
+const DELIMITERS = { comma: ',', tab: '\t', semicolon: ';', pipe: '|' };
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_FIELD_LENGTH = 10000;
+const MAX_HINT_LENGTH = 500;
+
+// Header names recognized for each card field (lowercase)
+const HEADER_NAMES = {
+  front: ['front', 'question', 'term', 'word', 'prompt'],
+  back: ['back', 'answer', 'definition', 'translation', 'meaning'],
+  hint: ['hint', 'clue'],
+  tags: ['tags', 'tag', 'labels'],
+  difficulty: ['difficulty', 'level']
+};
+
+/**
+ * Decode an uploaded file
+ * Byte order marks decide the encoding; otherwise UTF-8 is tried first and
+ * Windows-1252 (what spreadsheet programs often export) is the fallback.
+ * @param {Buffer} buffer - File contents
+ * @param {string} encoding - Encoding to use instead of detecting it (optional)
+ * @returns {{ text: string, encoding: string }}
+ */
+export function decodeFile(buffer, encoding = null) {
+  let detected = encoding;
+  let offset = 0;
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    detected = detected || 'utf-8';
+    offset = detected === 'utf-8' ? 3 : 0;
+  } else if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    detected = detected || 'utf-16le';
+    offset = detected === 'utf-16le' ? 2 : 0;
+  } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    detected = detected || 'utf-16be';
+    offset = detected === 'utf-16be' ? 2 : 0;
+  }
+
+  const bytes = buffer.subarray(offset);
+  if (!detected) {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch {
+      detected = 'windows-1252';
+    }
+  }
+  return { text: new TextDecoder(detected).decode(bytes), encoding: detected };
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a, b" and "say ""hi""", line breaks inside quotes)
+ * @param {string} text - File text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Rows of fields (blank lines are skipped)
+ */
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the most columns, consistently
+ * @param {string} text - File text
+ * @returns {string} Delimiter name (comma, tab, semicolon or pipe)
+ */
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10).join('\n');
+  let best = text.includes('\t') ? 'tab' : 'comma';
+  let bestScore = 0;
+  for (const [name, delimiter] of Object.entries(DELIMITERS)) {
+    const counts = parseDelimited(sample, delimiter).map(row => row.length);
+    if (counts.length === 0 || counts[0] < 2) {
+      continue;
+    }
+    // Rows with the same column count as the first one, weighted by that count
+    const score = counts.filter(count => count === counts[0]).length * counts[0];
+    if (score > bestScore) {
+      best = name;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Guess which column holds each card field from the header row
+ * Without a header, the first two columns are front and back.
+ * @param {string[]|null} headers - Header row (null if the file has none)
+ * @returns {Object} Column index (or null) by field
+ */
+export function guessMapping(headers) {
+  const mapping = { front: null, back: null, hint: null, tags: null, difficulty: null };
+  if (!headers) {
+    return { ...mapping, front: 0, back: 1 };
+  }
+  const names = headers.map(header => header.trim().toLowerCase());
+  for (const field of IMPORT_FIELDS) {
+    const index = names.findIndex(name => HEADER_NAMES[field].includes(name));
+    mapping[field] = index >= 0 ? index : null;
+  }
+  if (mapping.front === null && mapping.back === null) {
+    return { ...mapping, front: 0, back: 1 };
+  }
+  return mapping;
+}
+
+/**
+ * Guess whether the first row is a header (its cells name card fields)
+ * @param {string[]} firstRow - First parsed row
+ * @returns {boolean}
+ */
+export function looksLikeHeader(firstRow) {
+  return firstRow.some(cell => {
+    const name = cell.trim().toLowerCase();
+    return IMPORT_FIELDS.some(field => HEADER_NAMES[field].includes(name));
+  });
+}
+
+/**
+ * Turn a parsed row into card values, with the reasons it can't be imported
+ * Tags in a cell are separated by spaces or commas.
+ * @param {string[]} row - Parsed row
+ * @param {Object} mapping - Column index (or null) by field
+ * @returns {Object} { front, back, hint, tags, difficulty, errors }
+ */
+export function validateRow(row, mapping) {
+  const cell = (field) => (mapping[field] !== null && mapping[field] !== undefined ? (row[mapping[field]] || '').trim() : '');
+  return validateCardValues({
+    front: cell('front'),
+    back: cell('back'),
+    hint: cell('hint'),
+    tags: cell('tags').split(/[\s,]+/).filter(tag => tag !== ''),
+    difficulty: cell('difficulty').toLowerCase()
+  });
+}
+
+/**
+ * Check the values of a card to import, with the reasons it can't be imported
+ * (shared by file imports and cards added in bulk)
+ * @param {Object} values - { front, back, hint, tags, difficulty } (hint, tags and difficulty optional)
+ * @returns {Object} { front, back, hint, tags, difficulty, errors }
+ */
+export function validateCardValues(values) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const front = text(values.front);
+  const back = text(values.back);
+  const hint = text(values.hint);
+  const difficulty = text(values.difficulty) || 'medium';
+
+  const errors = [];
+  if (!front) {
+    errors.push('Front is empty');
+  }
+  if (!back) {
+    errors.push('Back is empty');
+  }
+  if (front.length > MAX_FIELD_LENGTH || back.length > MAX_FIELD_LENGTH) {
+    errors.push(`Front and back can be at most ${MAX_FIELD_LENGTH} characters`);
+  }
+  if (hint.length > MAX_HINT_LENGTH) {
+    errors.push(`Hint can be at most ${MAX_HINT_LENGTH} characters`);
+  }
+  const tagsError = validateTags(values.tags);
+  if (tagsError) {
+    errors.push(tagsError);
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    errors.push(`Difficulty must be ${DIFFICULTIES.join(', ')}`);
+  }
+
+  return {
+    front,
+    back,
+    hint: hint || null,
+    tags: tagsError ? [] : normalizeTags(values.tags),
+    difficulty,
+    errors
+  };
+}
+
+/**
+ * Read the import options of a request's query string
+ * (?delimiter=tab&encoding=utf-8&header=true&front=0&back=1&hint=&tags=2&difficulty=)
+ * Options left out are detected; without any column parameter the mapping is guessed.
+ * @param {Object} query - Request query
+ * @returns {Object} Options for readImportFile
+ */
+export function parseImportOptions(query) {
+  const options = {
+    delimiter: query.delimiter || null,
+    encoding: query.encoding || null,
+    header: query.header === 'true' ? true : query.header === 'false' ? false : null
+  };
+  if (IMPORT_FIELDS.some(field => query[field] !== undefined)) {
+    options.mapping = {};
+    for (const field of IMPORT_FIELDS) {
+      const value = query[field];
+      options.mapping[field] = value === undefined || value === '' ? null : Number(value);
+    }
+  }
+  return options;
+}
+
+/**
+ * Read an uploaded file with the given (or detected) options and validate its rows
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { delimiter (name), encoding, header, mapping } (each optional)
+ * @returns {Object} { error } or { encoding, delimiter, header, headers, mapping, columns, rows }
+ *   (rows: { row, front, back, hint, tags, difficulty, errors }, row = row number in the file)
+ */
+export function readImportFile(buffer, options = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'The file is empty' };
+  }
+  if (options.encoding && !ENCODINGS.includes(options.encoding)) {
+    return { error: `Encoding must be one of ${ENCODINGS.join(', ')}` };
+  }
+  if (options.delimiter && !DELIMITERS[options.delimiter]) {
+    return { error: `Delimiter must be one of ${Object.keys(DELIMITERS).join(', ')}` };
+  }
+
+  const { text, encoding } = decodeFile(buffer, options.encoding || null);
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const parsed = parseDelimited(text, DELIMITERS[delimiter]);
+  if (parsed.length === 0) {
+    return { error: 'The file has no rows' };
+  }
+
+  const header = typeof options.header === 'boolean' ? options.header : looksLikeHeader(parsed[0]);
+  const headers = header ? parsed[0] : null;
+  const dataRows = header ? parsed.slice(1) : parsed;
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can have at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const columns = Math.max(...parsed.map(row => row.length));
+  const mapping = options.mapping || guessMapping(headers);
+  for (const field of IMPORT_FIELDS) {
+    const index = mapping[field];
+    if (index !== null && index !== undefined && !(Number.isInteger(index) && index >= 0 && index < columns)) {
+      return { error: `Column for ${field} does not exist` };
+    }
+  }
+
+  const firstRow = header ? 2 : 1;
+  const rows = dataRows.map((row, index) => ({ row: firstRow + index, ...validateRow(row, mapping) }));
+  return { encoding, delimiter, header, headers, mapping, columns, rows };
+}
+
+/**
+ * Insert imported rows as cards of a deck (call inside a transaction)
+ * Every card becomes a note of the given Basic note type (or is stored on its own
+ * if notes aren't set up yet); with reverse set, the cards get reverse cards too.
+ * decks.card_count is updated once at the end.
+ * @param {Object} db - pg client in a transaction
+ * @param {number|string} deckId - Deck ID
+ * @param {Object[]} rows - Valid rows from readImportFile
+ * @param {Object} options - { noteType: Basic note type or null, reverse: boolean }
+ * @returns {Promise<number>} Number of cards added (including reverse cards)
+ */
+export async function importCards(db, deckId, rows, { noteType = null, reverse = false } = {}) {
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const side = (content) => ({ content, align: 'center', verticalAlign: 'middle', fontSize: '18' });
+  const countBefore = await db.query('SELECT COUNT(*)::int as count FROM cards WHERE deck_id = $1', [deckId]);
+
+  let cards;
+  if (noteType) {
+    // Reserve the note ids up front so notes and cards can each be inserted in one statement
+    const idsResult = await db.query(
+      `SELECT nextval(pg_get_serial_sequence('notes', 'id'))::int as id FROM generate_series(1, $1)`,
+      [rows.length]
+    );
+    cards = rows.map((row, index) => {
+      const fields = { Front: row.front, Back: row.back };
+      const rendered = renderCard(noteType, fields, 0);
+      return { ...row, fields, front: side(rendered.front), back: side(rendered.back), note_id: idsResult.rows[index].id };
+    });
+
+    await db.query(
+      `INSERT INTO notes (id, deck_id, note_type_id, fields)
+       SELECT r.note_id, $1, $2, r.fields
+       FROM jsonb_to_recordset($3::jsonb) AS r(note_id int, fields jsonb)`,
+      [deckId, noteType.id, JSON.stringify(cards.map(card => ({ note_id: card.note_id, fields: card.fields })))]
+    );
+  } else {
+    cards = rows.map(row => ({ ...row, front: side(row.front), back: side(row.back), note_id: null }));
+  }
+
+  await db.query(
+    `INSERT INTO cards (deck_id, front, back, difficulty, hint, tags, note_id, template_ord)
+     SELECT $1, r.front, r.back, r.difficulty, r.hint, r.tags, r.note_id, 0
+     FROM jsonb_to_recordset($2::jsonb) AS r(front jsonb, back jsonb, difficulty text, hint text, tags text[], note_id int)`,
+    [
+      deckId,
+      JSON.stringify(cards.map(card => ({
+        front: card.front,
+        back: card.back,
+        difficulty: card.difficulty,
+        hint: card.hint,
+        tags: card.tags,
+        note_id: card.note_id
+      })))
+    ]
+  );
+
+  if (reverse) {
+    await addMissingReverseCards(db, deckId);
+  }
+
+  const countResult = await db.query(
+    `UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1
+     RETURNING card_count`,
+    [deckId]
+  );
+  return (countResult.rows[0]?.card_count || 0) - countBefore.rows[0].count;
+}
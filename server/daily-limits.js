@@ -0,0 +1,81 @@
+/**
+ * Daily Study Limits
+ * Counts what a user has already studied today (from the review log) and how
+ * much of their new_cards_per_day / max_reviews_per_day allowance is left.
+ * "Today" is the current study day in the user's timezone (see @kardo/srs).
+ */
+
+import { getStudyDayStart, getStudyDate } from '@kardo/srs';
+
+/**
+ * Count new cards introduced and review cards answered today, across all decks
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} settings - Resolved user settings (timezone, day_starts_at)
+ * @returns {Promise<Object>} { newCardsToday, reviewsToday }
+ */
+export async function getTodayCounts(db, userId, settings) {
+  try {
+    const result = await db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE review_type = 'new') as new_cards,
+         COUNT(*) FILTER (WHERE review_type = 'review') as reviews
+       FROM review_log
+       WHERE user_id::text = $1::text
+         AND reviewed_at >= $2`,
+      [userId, getStudyDayStart(new Date(), settings)]
+    );
+    return {
+      newCardsToday: parseInt(result.rows[0]?.new_cards || 0),
+      reviewsToday: parseInt(result.rows[0]?.reviews || 0)
+    };
+  } catch (err) {
+    // review_log missing (migration not run yet): nothing has been logged today
+    console.warn('Error counting today\'s reviews, assuming none:', err.message);
+    return { newCardsToday: 0, reviewsToday: 0 };
+  }
+}
+
+/**
+ * Get how many new cards and reviews the user may still study today
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} settings - Resolved user settings
+ * @returns {Promise<Object>} { newCardsToday, reviewsToday, newRemaining, reviewsRemaining }
+ */
+export async function getDailyAllowance(db, userId, settings) {
+  const counts = await getTodayCounts(db, userId, settings);
+  return {
+    ...counts,
+    newRemaining: Math.max(0, settings.new_cards_per_day - counts.newCardsToday),
+    reviewsRemaining: Math.max(0, settings.max_reviews_per_day - counts.reviewsToday)
+  };
+}
+
+/**
+ * Count the user's graduated cards due on each upcoming study day (used to load-balance reviews)
+ * Due dates are snapped to study day starts, so grouping by due_date keeps the result small
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} settings - Resolved user settings (timezone, day_starts_at)
+ * @returns {Promise<Object>} Map of study date ("YYYY-MM-DD") to number of cards due
+ */
+export async function getDueForecast(db, userId, settings) {
+  const result = await db.query(
+    `SELECT due_date, COUNT(*) as count
+     FROM user_progress
+     WHERE user_id::text = $1::text
+       AND due_date > CURRENT_TIMESTAMP
+       AND COALESCE(learning_step, -1) < 0
+       AND COALESCE(suspended, false) = false
+     GROUP BY due_date`,
+    [userId]
+  );
+
+  const forecast = {};
+  for (const row of result.rows) {
+    const studyDate = getStudyDate(new Date(row.due_date), settings);
+    forecast[studyDate] = (forecast[studyDate] || 0) + parseInt(row.count);
+  }
+  return forecast;
+}
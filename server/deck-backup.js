@@ -0,0 +1,435 @@
+/**
+ * Deck Backups
+ * A backup is a versioned JSON document with everything needed to restore a deck:
+ * its note types, notes and cards (content with formatting, hint, tags), plus the
+ * exporting user's progress and review history on those cards.
+ *
+ * Restoring is idempotent. The deck and each card have a key: their external_id
+ * once restored, otherwise "kardo-deck-<id>" / "kardo-card-<id>". Restoring looks
+ * for the user's deck with the backup's key (the deck the backup was made from, or
+ * an earlier restore of it) and updates the cards it finds by key instead of adding
+ * them again. Restoring never deletes cards and never replaces progress with older
+ * progress from the backup; reviews that are already logged are skipped.
+ */
+
+import { validateNoteType, normalizeNoteType } from '@kardo/notes';
+import { getNoteTypes, findOrCreateNoteType } from './notes.js';
+import { validateTags, normalizeTags } from './tags.js';
+
+export const BACKUP_FORMAT = 'kardo-deck';
+export const BACKUP_VERSION = 1;
+export const MAX_BACKUP_BYTES = 50 * 1024 * 1024;
+const MAX_BACKUP_CARDS = 20000;
+const MAX_HINT_LENGTH = 500;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const GRADES = ['again', 'hard', 'good', 'easy'];
+const REVIEW_TYPES = ['new', 'learning', 'review', 'relearning'];
+
+// user_progress and review_log columns kept in a backup (besides user and card)
+const PROGRESS_COLUMNS = [
+  'interval', 'ease_factor', 'repetitions', 'due_date', 'last_review', 'learning_step',
+  'stability', 'difficulty', 'lapses', 'is_leech', 'suspended', 'buried_until'
+];
+// previous_progress is left out: it refers to the original card, so restored reviews can't be undone
+const REVIEW_COLUMNS = [
+  'grade', 'review_type', 'time_taken_ms', 'previous_interval', 'next_interval', 'previous_ease_factor',
+  'ease_factor', 'previous_learning_step', 'learning_step', 'due_date', 'reviewed_at', 'hint_used'
+];
+// NUMERIC columns, read as numbers instead of strings
+const NUMERIC_COLUMNS = ['interval', 'previous_interval', 'next_interval'];
+
+const selectColumns = (alias, columns) => columns
+  .map(column => (NUMERIC_COLUMNS.includes(column) ? `${alias}.${column}::FLOAT as ${column}` : `${alias}.${column}`))
+  .join(', ');
+
+/**
+ * Build the backup of a deck
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User whose progress and review history are included
+ * @returns {Promise<Object|null>} Backup document, or null if the deck doesn't exist
+ */
+export async function exportDeckBackup(db, deckId, userId) {
+  const deckResult = await db.query(
+    'SELECT id, name, description, language, generate_reverse, external_id FROM decks WHERE id = $1',
+    [deckId]
+  );
+  const deck = deckResult.rows[0];
+  if (!deck) {
+    return null;
+  }
+
+  const [noteTypesResult, notesResult, cardsResult, progressResult, reviewsResult] = await Promise.all([
+    db.query(
+      `SELECT id, user_id, name, fields, templates FROM note_types
+       WHERE id IN (SELECT note_type_id FROM notes WHERE deck_id = $1)
+       ORDER BY id`,
+      [deckId]
+    ),
+    db.query('SELECT id, note_type_id, fields FROM notes WHERE deck_id = $1 ORDER BY id', [deckId]),
+    db.query(
+      `SELECT id, external_id, note_id, template_ord, reverse_of, front, back, difficulty, hint, tags, created_at
+       FROM cards WHERE deck_id = $1 ORDER BY id`,
+      [deckId]
+    ),
+    db.query(
+      `SELECT up.card_id, ${selectColumns('up', PROGRESS_COLUMNS)}
+       FROM user_progress up
+       INNER JOIN cards c ON c.id = up.card_id
+       WHERE c.deck_id = $1 AND up.user_id::text = $2::text`,
+      [deckId, userId]
+    ),
+    db.query(
+      `SELECT r.card_id, ${selectColumns('r', REVIEW_COLUMNS)}
+       FROM review_log r
+       INNER JOIN cards c ON c.id = r.card_id
+       WHERE c.deck_id = $1 AND r.user_id::text = $2::text
+       ORDER BY r.reviewed_at, r.id`,
+      [deckId, userId]
+    )
+  ]);
+
+  const cardKey = (card) => card.external_id || `kardo-card-${card.id}`;
+  const keysById = new Map(cardsResult.rows.map(card => [card.id, cardKey(card)]));
+  const progressByCard = new Map(progressResult.rows.map(({ card_id, ...progress }) => [card_id, progress]));
+  const reviewsByCard = new Map();
+  for (const { card_id, ...review } of reviewsResult.rows) {
+    if (!reviewsByCard.has(card_id)) {
+      reviewsByCard.set(card_id, []);
+    }
+    reviewsByCard.get(card_id).push(review);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    deck: {
+      key: deck.external_id || `kardo-deck-${deck.id}`,
+      name: deck.name,
+      description: deck.description,
+      language: deck.language,
+      generate_reverse: deck.generate_reverse === true
+    },
+    note_types: noteTypesResult.rows.map(noteType => ({
+      id: noteType.id,
+      name: noteType.name,
+      built_in: noteType.user_id === null,
+      fields: noteType.fields,
+      templates: noteType.templates
+    })),
+    notes: notesResult.rows,
+    cards: cardsResult.rows.map(card => ({
+      key: cardKey(card),
+      note_id: card.note_id,
+      template_ord: card.template_ord || 0,
+      reverse_of: card.reverse_of ? keysById.get(card.reverse_of) || null : null,
+      front: card.front,
+      back: card.back,
+      difficulty: card.difficulty,
+      hint: card.hint || null,
+      tags: card.tags || [],
+      created_at: card.created_at,
+      progress: progressByCard.get(card.id) || null,
+      reviews: reviewsByCard.get(card.id) || []
+    }))
+  };
+}
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isSide = (side) => Boolean(side) && typeof side === 'object' && typeof side.content === 'string';
+
+function validateBackupCard(card, noteIds, cardKeys) {
+  if (!card || typeof card !== 'object' || typeof card.key !== 'string' || !card.key) {
+    return 'missing key';
+  }
+  if (card.note_id !== null && card.note_id !== undefined && !noteIds.has(card.note_id)) {
+    return 'unknown note';
+  }
+  if (!Number.isInteger(card.template_ord) || card.template_ord < 0) {
+    return 'invalid template_ord';
+  }
+  if (card.reverse_of !== null && card.reverse_of !== undefined && !cardKeys.has(card.reverse_of)) {
+    return 'reverse_of is not a card of the backup';
+  }
+  if (!isSide(card.front) || !isSide(card.back)) {
+    return 'front and back need a content string';
+  }
+  if (!DIFFICULTIES.includes(card.difficulty)) {
+    return `difficulty must be one of ${DIFFICULTIES.join(', ')}`;
+  }
+  if (card.hint !== null && card.hint !== undefined && (typeof card.hint !== 'string' || card.hint.length > MAX_HINT_LENGTH)) {
+    return `hint must be text of up to ${MAX_HINT_LENGTH} characters`;
+  }
+  const tagsError = validateTags(card.tags);
+  if (tagsError) {
+    return tagsError;
+  }
+  if (card.progress !== null && card.progress !== undefined
+      && (typeof card.progress !== 'object' || !isDate(card.progress.due_date))) {
+    return 'progress needs a due_date';
+  }
+  if (card.reviews !== undefined && !Array.isArray(card.reviews)) {
+    return 'reviews must be a list';
+  }
+  const invalidReview = (card.reviews || []).find(review => !review
+    || !GRADES.includes(review.grade) || !REVIEW_TYPES.includes(review.review_type)
+    || !isDate(review.reviewed_at) || !isDate(review.due_date)
+    || typeof review.next_interval !== 'number' || typeof review.ease_factor !== 'number');
+  if (invalidReview !== undefined) {
+    return 'invalid review';
+  }
+  return null;
+}
+
+/**
+ * Validate a backup document
+ * @param {Object} backup - Parsed backup
+ * @returns {string|null} Error message, or null if the backup can be restored
+ */
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return 'The file is not a Kardo deck backup';
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return 'The backup has no valid version';
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return `This backup was made by a newer version of Kardo (version ${backup.version}); this server can restore up to version ${BACKUP_VERSION}`;
+  }
+
+  const { deck, note_types: noteTypes, notes, cards } = backup;
+  if (!deck || typeof deck.key !== 'string' || !deck.key
+      || typeof deck.name !== 'string' || !deck.name.trim() || deck.name.length > 255) {
+    return 'The backup\'s deck needs a key and a name of up to 255 characters';
+  }
+  if (!Array.isArray(noteTypes) || !Array.isArray(notes) || !Array.isArray(cards)) {
+    return 'The backup needs note_types, notes and cards lists';
+  }
+  if (cards.length > MAX_BACKUP_CARDS) {
+    return `Backups can have at most ${MAX_BACKUP_CARDS} cards`;
+  }
+
+  for (const noteType of noteTypes) {
+    const error = noteType && !noteType.built_in ? validateNoteType(noteType) : null;
+    if (!noteType || noteType.id === undefined || error) {
+      return `Note type "${noteType?.name}": ${error || 'missing id'}`;
+    }
+  }
+  const noteTypeIds = new Set(noteTypes.map(noteType => noteType.id));
+  const invalidNote = notes.find(note => !note || note.id === undefined || !noteTypeIds.has(note.note_type_id)
+    || !note.fields || typeof note.fields !== 'object');
+  if (invalidNote !== undefined) {
+    return `Note ${invalidNote?.id}: needs an id, a note type of the backup and fields`;
+  }
+
+  const noteIds = new Set(notes.map(note => note.id));
+  const cardKeys = new Set(cards.map(card => card?.key));
+  if (cardKeys.size !== cards.length) {
+    return 'Card keys must be unique';
+  }
+  for (let index = 0; index < cards.length; index++) {
+    const error = validateBackupCard(cards[index], noteIds, cardKeys);
+    if (error) {
+      return `Card ${index + 1}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Restore a validated backup for a user
+ * @param {Object} db - pg client in a transaction
+ * @param {string} userId - User ID (owner of the restored deck, and of the restored progress)
+ * @param {Object} backup - Backup that passed validateBackup
+ * @returns {Promise<Object>} { error } (nothing was written) or
+ *   { deck_id, created, cards_added, cards_updated, progress_restored, reviews_restored }
+ */
+export async function restoreDeckBackup(db, userId, backup) {
+  // Note types first: a built-in type the backup needs must exist before anything is written
+  const available = await getNoteTypes(db, userId);
+  const missing = backup.note_types.find(noteType => noteType.built_in
+    && !available.some(existing => existing.user_id === null && existing.name === noteType.name));
+  if (missing) {
+    return { error: `The built-in note type "${missing.name}" is missing (run the note type migrations)` };
+  }
+  const noteTypeIds = new Map();
+  for (const noteType of backup.note_types) {
+    const resolved = noteType.built_in
+      ? available.find(existing => existing.user_id === null && existing.name === noteType.name)
+      : await findOrCreateNoteType(db, userId, normalizeNoteType(noteType), available);
+    noteTypeIds.set(noteType.id, resolved.id);
+  }
+
+  // The deck the backup was made from, or an earlier restore of it
+  const { deck } = backup;
+  const deckResult = await db.query(
+    `SELECT id FROM decks
+     WHERE user_id::text = $1::text AND (external_id = $2 OR 'kardo-deck-' || id = $2)
+     ORDER BY id LIMIT 1`,
+    [userId, deck.key]
+  );
+  let deckId = deckResult.rows[0]?.id;
+  const created = !deckId;
+  if (created) {
+    const insertResult = await db.query(
+      `INSERT INTO decks (user_id, name, description, language, cards, generate_reverse, external_id)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7)
+       RETURNING id`,
+      [userId, deck.name.trim(), deck.description || null, deck.language || 'English', JSON.stringify([]), deck.generate_reverse === true, deck.key]
+    );
+    deckId = insertResult.rows[0].id;
+  } else {
+    await db.query(
+      'UPDATE decks SET name = $1, description = $2, language = $3 WHERE id = $4',
+      [deck.name.trim(), deck.description || null, deck.language || 'English', deckId]
+    );
+  }
+
+  const existingResult = await db.query(
+    `SELECT id, note_id, COALESCE(external_id, 'kardo-card-' || id) as key FROM cards WHERE deck_id = $1`,
+    [deckId]
+  );
+  const existingCards = new Map(existingResult.rows.map(card => [card.key, card]));
+
+  // Notes: a note whose cards were restored before is updated, the others are added
+  const noteIds = new Map();
+  for (const card of backup.cards) {
+    const existing = existingCards.get(card.key);
+    if (existing?.note_id && card.note_id !== null && card.note_id !== undefined && !noteIds.has(card.note_id)) {
+      noteIds.set(card.note_id, existing.note_id);
+    }
+  }
+  const usedNotes = new Set(backup.cards.map(card => card.note_id));
+  const newNotes = backup.notes.filter(note => usedNotes.has(note.id) && !noteIds.has(note.id));
+  if (newNotes.length > 0) {
+    // Reserve the note ids up front so the notes can be inserted in one statement
+    const idsResult = await db.query(
+      `SELECT nextval(pg_get_serial_sequence('notes', 'id'))::int as id FROM generate_series(1, $1)`,
+      [newNotes.length]
+    );
+    newNotes.forEach((note, index) => noteIds.set(note.id, idsResult.rows[index].id));
+  }
+  const notesById = new Map(backup.notes.map(note => [note.id, note]));
+  const noteRows = [...noteIds].map(([backupId, id]) => ({
+    id,
+    note_type_id: noteTypeIds.get(notesById.get(backupId).note_type_id),
+    fields: notesById.get(backupId).fields
+  }));
+  if (noteRows.length > 0) {
+    await db.query(
+      `INSERT INTO notes (id, deck_id, note_type_id, fields)
+       SELECT r.id, $1, r.note_type_id, r.fields
+       FROM jsonb_to_recordset($2::jsonb) AS r(id int, note_type_id int, fields jsonb)
+       ON CONFLICT (id) DO UPDATE SET
+         note_type_id = EXCLUDED.note_type_id,
+         fields = EXCLUDED.fields,
+         updated_at = CURRENT_TIMESTAMP`,
+      [deckId, JSON.stringify(noteRows)]
+    );
+  }
+
+  // Cards: restored cards are updated in place, the others are added with their key
+  const cardRows = backup.cards.map(card => ({
+    id: existingCards.get(card.key)?.id || null,
+    key: card.key,
+    front: card.front,
+    back: card.back,
+    difficulty: card.difficulty,
+    hint: card.hint || null,
+    tags: normalizeTags(card.tags),
+    note_id: card.note_id !== null && card.note_id !== undefined ? noteIds.get(card.note_id) : null,
+    template_ord: card.template_ord
+  }));
+  const updatedRows = cardRows.filter(card => card.id);
+  const addedRows = cardRows.filter(card => !card.id);
+  if (updatedRows.length > 0) {
+    await db.query(
+      `UPDATE cards c SET
+         front = r.front, back = r.back, difficulty = r.difficulty, hint = r.hint, tags = r.tags,
+         note_id = r.note_id, template_ord = r.template_ord, updated_at = CURRENT_TIMESTAMP
+       FROM jsonb_to_recordset($1::jsonb) AS r(id int, front jsonb, back jsonb, difficulty text, hint text, tags text[], note_id int, template_ord int)
+       WHERE c.id = r.id`,
+      [JSON.stringify(updatedRows)]
+    );
+  }
+  const cardIds = new Map(updatedRows.map(card => [card.key, card.id]));
+  if (addedRows.length > 0) {
+    const insertResult = await db.query(
+      `INSERT INTO cards (deck_id, external_id, front, back, difficulty, hint, tags, note_id, template_ord)
+       SELECT $1, r.key, r.front, r.back, r.difficulty, r.hint, r.tags, r.note_id, r.template_ord
+       FROM jsonb_to_recordset($2::jsonb) AS r(key text, front jsonb, back jsonb, difficulty text, hint text, tags text[], note_id int, template_ord int)
+       RETURNING id, external_id`,
+      [deckId, JSON.stringify(addedRows)]
+    );
+    insertResult.rows.forEach(card => cardIds.set(card.external_id, card.id));
+  }
+
+  const reverseLinks = backup.cards
+    .filter(card => card.reverse_of)
+    .map(card => ({ id: cardIds.get(card.key), reverse_of: cardIds.get(card.reverse_of) }));
+  if (reverseLinks.length > 0) {
+    await db.query(
+      `UPDATE cards c SET reverse_of = r.reverse_of
+       FROM jsonb_to_recordset($1::jsonb) AS r(id int, reverse_of int)
+       WHERE c.id = r.id`,
+      [JSON.stringify(reverseLinks)]
+    );
+  }
+
+  // Progress: kept when the user's current progress on the card is more recent
+  const progressRows = backup.cards
+    .filter(card => card.progress)
+    .map(card => ({ ...card.progress, user_id: userId, card_id: cardIds.get(card.key) }));
+  let progressRestored = 0;
+  if (progressRows.length > 0) {
+    const progressResult = await db.query(
+      `INSERT INTO user_progress (user_id, card_id, ${PROGRESS_COLUMNS.join(', ')})
+       SELECT user_id, card_id, ${PROGRESS_COLUMNS.join(', ')}
+       FROM jsonb_populate_recordset(NULL::user_progress, $1::jsonb)
+       ON CONFLICT (user_id, card_id) DO UPDATE SET
+         ${PROGRESS_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_progress.last_review IS NULL
+          OR (EXCLUDED.last_review IS NOT NULL AND user_progress.last_review <= EXCLUDED.last_review)`,
+      [JSON.stringify(progressRows)]
+    );
+    progressRestored = progressResult.rowCount;
+  }
+
+  // Reviews: skipped when the card already has a review at the same time
+  // (backups keep milliseconds, the log microseconds)
+  const reviewRows = backup.cards.flatMap(card => (card.reviews || [])
+    .map(review => ({ ...review, user_id: userId, card_id: cardIds.get(card.key) })));
+  let reviewsRestored = 0;
+  if (reviewRows.length > 0) {
+    const reviewColumns = REVIEW_COLUMNS.filter(column => column !== 'hint_used');
+    const reviewsResult = await db.query(
+      `INSERT INTO review_log (user_id, card_id, ${REVIEW_COLUMNS.join(', ')})
+       SELECT r.user_id, r.card_id, ${reviewColumns.map(column => `r.${column}`).join(', ')}, COALESCE(r.hint_used, false)
+       FROM jsonb_populate_recordset(NULL::review_log, $1::jsonb) r
+       WHERE NOT EXISTS (
+         SELECT 1 FROM review_log l
+         WHERE l.card_id = r.card_id AND l.user_id = r.user_id
+           AND date_trunc('milliseconds', l.reviewed_at) = r.reviewed_at
+       )`,
+      [JSON.stringify(reviewRows)]
+    );
+    reviewsRestored = reviewsResult.rowCount;
+  }
+
+  await db.query(
+    'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+    [deckId]
+  );
+
+  return {
+    deck_id: deckId,
+    created,
+    cards_added: addedRows.length,
+    cards_updated: updatedRows.length,
+    progress_restored: progressRestored,
+    reviews_restored: reviewsRestored
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Deck Cloning
+ * Copies a deck into another user's account (downloading a public deck): the deck,
+ * its notes and every card with its formatting, hint, tags and reverse-card links.
+ * Progress is not copied, so the copy starts with every card new. The copy records
+ * the deck it came from in decks.source_deck_id, and each copied card and note the
+ * one it was copied from, so a subscribed copy can be synced later (deck-sync.js).
+ *
+ * Note types the cloning user can't use (another user's own types) are copied to
+ * their account, or matched with one of theirs that has the same fields and templates.
+ */
+
+import { normalizeNoteType } from '@kardo/notes';
+import { getNoteTypes, findOrCreateNoteType } from './notes.js';
+import { importCards } from './csv-import.js';
+
+export const DECK_COLUMNS = 'id, user_id, name, description, language, is_public, download_count, card_count, generate_reverse, source_deck_id, subscribed, keep_local_edits, last_synced_at, created_at, updated_at';
+
+/**
+ * Read the cards of a deck that still keeps them in the legacy decks.cards column
+ * @param {Array} cards - decks.cards
+ * @returns {Object[]} Rows for importCards
+ */
+function getLegacyRows(cards) {
+  const content = (side) => (typeof side === 'string' ? side : side?.content || '').trim();
+  return (Array.isArray(cards) ? cards : [])
+    .map(card => ({
+      front: content(card.front),
+      back: content(card.back),
+      hint: null,
+      tags: [],
+      difficulty: ['easy', 'medium', 'hard'].includes(card.difficulty) ? card.difficulty : 'medium'
+    }))
+    .filter(row => row.front && row.back);
+}
+
+/**
+ * Get the cards of a deck to copy
+ * @param {Object} db - pg Pool or client
+ * @param {number} deckId - Source deck ID
+ * @returns {Promise<Object[]>} Cards in id order
+ */
+export async function getSourceCards(db, deckId) {
+  const result = await db.query(
+    `SELECT id, note_id, template_ord, reverse_of, front, back, difficulty, hint, tags
+     FROM cards WHERE deck_id = $1
+     ORDER BY id`,
+    [deckId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the notes of a deck to copy, each with its note type
+ * @param {Object} db - pg Pool or client
+ * @param {number} deckId - Source deck ID
+ * @returns {Promise<Object[]>} { id, fields, note_type }
+ */
+export async function getSourceNotes(db, deckId) {
+  const result = await db.query(
+    `SELECT n.id, n.fields, to_jsonb(nt) as note_type
+     FROM notes n
+     INNER JOIN note_types nt ON nt.id = n.note_type_id
+     WHERE n.deck_id = $1`,
+    [deckId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find the note type the user should use for each note type of the source's notes
+ * Built-in types and the user's own are used as they are; other users' types are copied.
+ * @param {Object} db - pg client in a transaction
+ * @param {string} userId - Owner of the copy
+ * @param {Object[]} notes - Notes from getSourceNotes
+ * @returns {Promise<Map>} Note type ID of the user's by source note type ID
+ */
+export async function resolveNoteTypeIds(db, userId, notes) {
+  const available = await getNoteTypes(db, userId);
+  const noteTypeIds = new Map();
+  for (const { note_type: noteType } of notes) {
+    if (noteTypeIds.has(noteType.id)) {
+      continue;
+    }
+    const usable = available.some(existing => existing.id === noteType.id);
+    noteTypeIds.set(
+      noteType.id,
+      usable ? noteType.id : (await findOrCreateNoteType(db, userId, normalizeNoteType(noteType), available)).id
+    );
+  }
+  return noteTypeIds;
+}
+
+/**
+ * Insert copies of notes into a deck
+ * Note ids are reserved up front so the notes can be inserted in one statement.
+ * @param {Object} db - pg client in a transaction
+ * @param {number} deckId - Deck copied to
+ * @param {Object[]} notes - Notes from getSourceNotes
+ * @param {Map} noteTypeIds - From resolveNoteTypeIds
+ * @param {Map} noteIds - Copy's note ID by source note ID; the new notes are added to it
+ * @returns {Promise<void>}
+ */
+export async function insertNoteCopies(db, deckId, notes, noteTypeIds, noteIds) {
+  if (notes.length === 0) {
+    return;
+  }
+  const idsResult = await db.query(
+    `SELECT nextval(pg_get_serial_sequence('notes', 'id'))::int as id FROM generate_series(1, $1)`,
+    [notes.length]
+  );
+  notes.forEach((note, index) => noteIds.set(note.id, idsResult.rows[index].id));
+  await db.query(
+    `INSERT INTO notes (id, deck_id, note_type_id, fields, source_note_id)
+     SELECT r.id, $1, r.note_type_id, r.fields, r.source_note_id
+     FROM jsonb_to_recordset($2::jsonb) AS r(id int, note_type_id int, fields jsonb, source_note_id int)`,
+    [
+      deckId,
+      JSON.stringify(notes.map(note => ({
+        id: noteIds.get(note.id),
+        note_type_id: noteTypeIds.get(note.note_type.id),
+        fields: note.fields,
+        source_note_id: note.id
+      })))
+    ]
+  );
+}
+
+/**
+ * Insert copies of cards into a deck
+ * Card ids are reserved up front, so cards and their reverse_of links are written
+ * in one statement. Each copy is linked to its source card and takes its version.
+ * @param {Object} db - pg client in a transaction
+ * @param {number} deckId - Deck copied to
+ * @param {Object[]} cards - Cards from getSourceCards
+ * @param {Map} noteIds - Copy's note ID by source note ID
+ * @param {Map} cardIds - Copy's card ID by source card ID; the new cards are added to it
+ * @returns {Promise<void>}
+ */
+export async function insertCardCopies(db, deckId, cards, noteIds, cardIds) {
+  if (cards.length === 0) {
+    return;
+  }
+  const idsResult = await db.query(
+    `SELECT nextval(pg_get_serial_sequence('cards', 'id'))::int as id FROM generate_series(1, $1)`,
+    [cards.length]
+  );
+  cards.forEach((card, index) => cardIds.set(card.id, idsResult.rows[index].id));
+  await db.query(
+    `INSERT INTO cards (id, deck_id, front, back, difficulty, hint, tags, note_id, template_ord, reverse_of,
+                        source_card_id, source_version, synced_at, updated_at)
+     SELECT r.id, $1, r.front, r.back, r.difficulty, r.hint, r.tags, r.note_id, r.template_ord, r.reverse_of,
+            s.id, s.updated_at, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+     FROM jsonb_to_recordset($2::jsonb)
+       AS r(id int, front jsonb, back jsonb, difficulty text, hint text, tags text[], note_id int, template_ord int, reverse_of int, source_card_id int)
+     INNER JOIN cards s ON s.id = r.source_card_id`,
+    [
+      deckId,
+      JSON.stringify(cards.map(card => ({
+        id: cardIds.get(card.id),
+        front: card.front,
+        back: card.back,
+        difficulty: card.difficulty,
+        hint: card.hint,
+        tags: card.tags || [],
+        note_id: card.note_id ? noteIds.get(card.note_id) ?? null : null,
+        template_ord: card.template_ord ?? 0,
+        reverse_of: card.reverse_of ? cardIds.get(card.reverse_of) ?? null : null,
+        source_card_id: card.id
+      })))
+    ]
+  );
+}
+
+/**
+ * Copy a deck with all its cards into a user's account (call inside a transaction)
+ * The source's download count goes up when the copy is for someone else.
+ * @param {Object} db - pg client in a transaction
+ * @param {number|string} sourceDeckId - Deck to copy
+ * @param {string} userId - User receiving the copy
+ * @param {Object} options - { basicNoteType: Basic note type or null (for decks with legacy cards only),
+ *   subscribe: follow the source's changes, keepLocalEdits }
+ * @returns {Promise<Object|null>} The new deck, or null if the source doesn't exist
+ */
+export async function cloneDeck(db, sourceDeckId, userId, { basicNoteType = null, subscribe = false, keepLocalEdits = false } = {}) {
+  const sourceResult = await db.query(
+    'SELECT id, user_id, name, description, language, generate_reverse, cards FROM decks WHERE id = $1',
+    [sourceDeckId]
+  );
+  if (sourceResult.rows.length === 0) {
+    return null;
+  }
+  const source = sourceResult.rows[0];
+  const ownCopy = String(source.user_id) === String(userId);
+
+  const deckResult = await db.query(
+    `INSERT INTO decks (user_id, name, description, language, cards, is_public, generate_reverse, source_deck_id,
+                        subscribed, keep_local_edits, last_synced_at)
+     VALUES ($1, $2, $3, $4, $5::jsonb, false, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [
+      userId,
+      `${source.name} (${ownCopy ? 'Copy' : 'Downloaded'})`,
+      source.description || (ownCopy ? null : 'Downloaded from community'),
+      source.language,
+      JSON.stringify([]),
+      source.generate_reverse === true,
+      source.id,
+      subscribe,
+      keepLocalEdits
+    ]
+  );
+  const deckId = deckResult.rows[0].id;
+
+  const cards = await getSourceCards(db, source.id);
+  if (cards.length === 0) {
+    await importCards(db, deckId, getLegacyRows(source.cards), {
+      noteType: basicNoteType,
+      reverse: source.generate_reverse === true
+    });
+  } else {
+    const notes = await getSourceNotes(db, source.id);
+    const noteIds = new Map();
+    await insertNoteCopies(db, deckId, notes, await resolveNoteTypeIds(db, userId, notes), noteIds);
+    await insertCardCopies(db, deckId, cards, noteIds, new Map());
+    await db.query(
+      'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+      [deckId]
+    );
+  }
+
+  if (!ownCopy) {
+    await db.query('UPDATE decks SET download_count = download_count + 1 WHERE id = $1', [source.id]);
+  }
+
+  const result = await db.query(`SELECT ${DECK_COLUMNS} FROM decks WHERE id = $1`, [deckId]);
+  return result.rows[0];
+}
@@ -0,0 +1,150 @@
+/**
+ * Deck Ratings
+ * Users rate public decks 1-5 stars with an optional short review, one rating per
+ * user and deck (rating again replaces it). The public decks list shows each deck's
+ * average and count, and can rank by them:
+ * - popular: most downloaded first
+ * - rating: highest average first, then most ratings
+ * - trending: most ratings given in the last TRENDING_DAYS days, then highest average
+ */
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+export const MAX_REVIEW_LENGTH = 1000;
+export const TRENDING_DAYS = 30;
+
+/**
+ * Sort keys of the public decks list for each sort, all descending (then id descending)
+ * Each is a column of the list (see RATING_SUMMARY_JOIN) and its SQL type; unrated decks
+ * have an average of 0, so they come last.
+ */
+export const PUBLIC_DECK_SORTS = {
+  popular: [
+    { sql: 'download_count', type: 'int' },
+    { sql: 'created_at', type: 'timestamp' }
+  ],
+  rating: [
+    { sql: 'COALESCE(average_rating, 0)', type: 'float' },
+    { sql: 'rating_count', type: 'int' },
+    { sql: 'download_count', type: 'int' }
+  ],
+  trending: [
+    { sql: 'recent_rating_count', type: 'int' },
+    { sql: 'COALESCE(average_rating, 0)', type: 'float' },
+    { sql: 'download_count', type: 'int' }
+  ]
+};
+
+/**
+ * Join adding average_rating, rating_count and recent_rating_count to decks d
+ */
+export const RATING_SUMMARY_JOIN = `
+  LEFT JOIN (
+    SELECT deck_id,
+           ROUND(AVG(rating), 2)::float as average_rating,
+           COUNT(*)::int as rating_count,
+           (COUNT(*) FILTER (WHERE updated_at > CURRENT_TIMESTAMP - INTERVAL '${TRENDING_DAYS} days'))::int as recent_rating_count
+    FROM deck_ratings
+    GROUP BY deck_id
+  ) r ON r.deck_id = d.id`;
+
+/**
+ * Short handle for a reviewer that doesn't reveal their email address
+ * @param {string|null} email - Reviewer's email
+ * @returns {string} The first two characters of the address, masked (e.g. "jo***")
+ */
+function maskReviewer(email) {
+  const name = String(email || '').split('@')[0];
+  return name ? `${name.slice(0, 2)}***` : 'Anonymous';
+}
+
+/**
+ * Validate a rating
+ * @param {Object} body - { rating, review }
+ * @returns {string|null} Error message, or null if the rating is valid
+ */
+export function validateRating({ rating, review }) {
+  if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+    return `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`;
+  }
+  if (review !== undefined && review !== null && typeof review !== 'string') {
+    return 'review must be text';
+  }
+  if (typeof review === 'string' && review.trim().length > MAX_REVIEW_LENGTH) {
+    return `review must be at most ${MAX_REVIEW_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Rate a deck, replacing the user's earlier rating of it
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User rating the deck
+ * @param {Object} body - Validated { rating, review }
+ * @returns {Promise<Object>} The rating { id, deck_id, rating, review, created_at, updated_at }
+ */
+export async function rateDeck(db, deckId, userId, { rating, review }) {
+  const result = await db.query(
+    `INSERT INTO deck_ratings (deck_id, user_id, rating, review)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (deck_id, user_id) DO UPDATE SET
+       rating = EXCLUDED.rating,
+       review = EXCLUDED.review,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING id, deck_id, rating, review, created_at, updated_at`,
+    [deckId, userId, rating, review?.trim() || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Remove the user's rating of a deck
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User who rated the deck
+ * @returns {Promise<boolean>} Whether there was a rating to remove
+ */
+export async function deleteRating(db, deckId, userId) {
+  const result = await db.query(
+    'DELETE FROM deck_ratings WHERE deck_id = $1 AND user_id = $2',
+    [deckId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Get the ratings of a deck: its summary, the user's own rating and the latest reviews
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User asking (for user_rating)
+ * @param {number} limit - Most reviews to return
+ * @returns {Promise<Object>} { average_rating, rating_count, user_rating, reviews }
+ *   (reviews: { id, rating, review, created_at, updated_at, reviewer }, reviewer masked by maskReviewer)
+ */
+export async function getDeckRatings(db, deckId, userId, limit = 50) {
+  const summaryResult = await db.query(
+    `SELECT ROUND(AVG(rating), 2)::float as average_rating, COUNT(*)::int as rating_count
+     FROM deck_ratings WHERE deck_id = $1`,
+    [deckId]
+  );
+  const userResult = await db.query(
+    `SELECT id, rating, review, created_at, updated_at
+     FROM deck_ratings WHERE deck_id = $1 AND user_id = $2`,
+    [deckId, userId]
+  );
+  const reviewsResult = await db.query(
+    `SELECT r.id, r.rating, r.review, r.created_at, r.updated_at, u.email as reviewer_email
+     FROM deck_ratings r
+     LEFT JOIN users u ON u.user_id = r.user_id
+     WHERE r.deck_id = $1 AND r.review IS NOT NULL
+     ORDER BY r.updated_at DESC, r.id DESC
+     LIMIT $2`,
+    [deckId, limit]
+  );
+  return {
+    ...summaryResult.rows[0],
+    user_rating: userResult.rows[0] || null,
+    reviews: reviewsResult.rows.map(({ reviewer_email, ...review }) => ({ ...review, reviewer: maskReviewer(reviewer_email) }))
+  };
+}
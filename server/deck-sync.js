@@ -0,0 +1,342 @@
+/**
+ * Deck Subscriptions
+ * A copy of a public deck (deck-clone.js) can subscribe to its source. Syncing
+ * brings the source's changes into the copy:
+ * - cards added to the source are added to the copy
+ * - cards changed in the source (updated_at past the copy's source_version) are
+ *   updated in place, so the subscriber's progress on them is kept
+ * - cards deleted from the source are deleted from the copy
+ * A copied card edited by the subscriber (updated_at past its synced_at) is a
+ * conflict: with keep_local_edits the local version stays (and a deleted card stays
+ * as the subscriber's own), otherwise the source version replaces it. With
+ * keep_local_edits a note with an edited card keeps its local fields too, and so do
+ * its other cards, as their content comes from the note. A copied card the
+ * subscriber deleted (deck_sync_deleted_cards) is a local edit as well: it is not
+ * added again, unless the source changes it and keep_local_edits is off. Cards the
+ * subscriber added themselves are never touched. Every change is written to
+ * deck_sync_log, the copy's changelog.
+ *
+ * Timestamps are compared in SQL, as they have more precision than JS dates.
+ */
+
+import { resolveDeckRole, hasDeckAccess } from './authorization.js';
+import { deleteNoteIfEmpty } from './notes.js';
+import { getSourceCards, getSourceNotes, resolveNoteTypeIds, insertNoteCopies, insertCardCopies } from './deck-clone.js';
+
+export const CHANGE_TYPES = ['added', 'updated', 'deleted', 'local_kept', 'local_replaced'];
+const MAX_LOG_FRONT_LENGTH = 200;
+
+/**
+ * Validate subscription settings
+ * @param {Object} settings - { subscribed, keepLocalEdits } (each optional)
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+export function validateSubscription({ subscribed, keepLocalEdits }) {
+  if (subscribed === undefined && keepLocalEdits === undefined) {
+    return 'Nothing to update';
+  }
+  if (subscribed !== undefined && typeof subscribed !== 'boolean') {
+    return 'subscribed must be true or false';
+  }
+  if (keepLocalEdits !== undefined && typeof keepLocalEdits !== 'boolean') {
+    return 'keepLocalEdits must be true or false';
+  }
+  return null;
+}
+
+/**
+ * Change the subscription settings of a copy
+ * A copy made before subscriptions existed has no links to the source's cards, so
+ * syncing it would add every card again; it can't be subscribed.
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID of the copy
+ * @param {Object} settings - Validated { subscribed, keepLocalEdits }
+ * @returns {Promise<Object>} { error } or the deck's { subscribed, keep_local_edits, source_deck_id }
+ */
+export async function setSubscription(db, deckId, { subscribed, keepLocalEdits }) {
+  const deckResult = await db.query(
+    `SELECT source_deck_id,
+            EXISTS (SELECT 1 FROM cards WHERE deck_id = $1) as has_cards,
+            EXISTS (SELECT 1 FROM cards WHERE deck_id = $1 AND source_card_id IS NOT NULL) as has_links
+     FROM decks WHERE id = $1`,
+    [deckId]
+  );
+  const deck = deckResult.rows[0];
+  if (subscribed === true) {
+    if (!deck.source_deck_id) {
+      return { error: 'Only a downloaded deck whose source still exists can be subscribed to' };
+    }
+    if (deck.has_cards && !deck.has_links) {
+      return { error: 'This deck was downloaded before subscriptions existed. Download it again to subscribe.' };
+    }
+  }
+
+  const result = await db.query(
+    `UPDATE decks SET
+       subscribed = COALESCE($1, subscribed),
+       keep_local_edits = COALESCE($2, keep_local_edits)
+     WHERE id = $3
+     RETURNING subscribed, keep_local_edits, source_deck_id, last_synced_at`,
+    [subscribed ?? null, keepLocalEdits ?? null, deckId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Remember that the subscriber deleted a card copied from the source, so sync doesn't add it again
+ * @param {Object} db - pg Pool or client
+ * @param {Object} card - The deleted card's { deck_id, source_card_id, source_version }
+ * @returns {Promise<void>}
+ */
+export async function recordDeletedCard(db, card) {
+  if (!card.source_card_id) {
+    return;
+  }
+  await db.query(
+    `INSERT INTO deck_sync_deleted_cards (deck_id, source_card_id, source_version)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (deck_id, source_card_id) DO NOTHING`,
+    [card.deck_id, card.source_card_id, card.source_version]
+  );
+}
+
+/**
+ * Sync a subscribed copy with its source (call inside a transaction)
+ * @param {Object} db - pg client in a transaction
+ * @param {number|string} deckId - Deck ID of the copy
+ * @param {string} userId - Owner of the copy
+ * @returns {Promise<Object>} { error } or { synced_at, added, updated, deleted, local_kept, local_replaced, changes }
+ */
+export async function syncDeck(db, deckId, userId) {
+  const deckResult = await db.query(
+    'SELECT id, source_deck_id, subscribed, keep_local_edits FROM decks WHERE id = $1 FOR UPDATE',
+    [deckId]
+  );
+  const deck = deckResult.rows[0];
+  if (!deck.subscribed) {
+    return { error: 'This deck is not subscribed to its source' };
+  }
+  const sourceResult = deck.source_deck_id
+    ? await db.query('SELECT id, user_id, is_public FROM decks WHERE id = $1', [deck.source_deck_id])
+    : { rows: [] };
+  const source = sourceResult.rows[0];
+  if (!source) {
+    return { error: 'The source deck was deleted' };
+  }
+  if (!hasDeckAccess(resolveDeckRole(source, userId), 'read')) {
+    return { error: 'The source deck is no longer public' };
+  }
+
+  // Source cards with their copy (if any): changed upstream since the copy last synced,
+  // and edited in the copy since then. Without a copy: deleted by the subscriber, and
+  // changed upstream since then
+  const matchResult = await db.query(
+    `SELECT s.id as source_id, l.id as local_id, l.note_id as local_note_id,
+            l.id IS NOT NULL AND (l.source_version IS NULL OR s.updated_at > l.source_version) as changed,
+            l.id IS NOT NULL AND l.updated_at > l.synced_at as edited,
+            l.id IS NULL AND d.source_card_id IS NOT NULL as deleted_locally,
+            l.id IS NULL AND d.source_card_id IS NOT NULL
+              AND (d.source_version IS NULL OR s.updated_at > d.source_version) as changed_since_deleted
+     FROM cards s
+     LEFT JOIN cards l ON l.deck_id = $2 AND l.source_card_id = s.id
+     LEFT JOIN deck_sync_deleted_cards d ON d.deck_id = $2 AND d.source_card_id = s.id
+     WHERE s.deck_id = $1`,
+    [source.id, deck.id]
+  );
+  // Copied cards whose source card is gone
+  const goneResult = await db.query(
+    `SELECT l.id, l.note_id, l.source_card_id, l.front->>'content' as front, l.updated_at > l.synced_at as edited
+     FROM cards l
+     WHERE l.deck_id = $1 AND l.source_card_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM cards s WHERE s.id = l.source_card_id AND s.deck_id = $2)`,
+    [deck.id, source.id]
+  );
+
+  const keepLocal = deck.keep_local_edits === true;
+  // Notes of the copy with an edited card, whose fields are kept with keep_local_edits
+  const editedNoteCardsResult = keepLocal
+    ? await db.query(
+      `SELECT id, note_id, source_card_id, front->>'content' as front
+       FROM cards
+       WHERE deck_id = $1 AND note_id IS NOT NULL AND updated_at > synced_at`,
+      [deck.id]
+    )
+    : { rows: [] };
+  const keptNoteIds = new Set(editedNoteCardsResult.rows.map(card => card.note_id));
+  const isKept = (match) => keepLocal && (match.edited || keptNoteIds.has(match.local_note_id));
+
+  const matches = matchResult.rows;
+  // Cards the subscriber deleted come back only for a source change without keep_local_edits
+  const added = matches.filter(match => !match.local_id
+    && (!match.deleted_locally || (match.changed_since_deleted && !keepLocal)));
+  const keptDeletions = matches.filter(match => match.changed_since_deleted && keepLocal);
+  const changed = matches.filter(match => match.changed);
+  const applied = changed.filter(match => !isKept(match));
+  const skipped = changed.filter(isKept);
+  const detached = goneResult.rows.filter(card => card.edited && keepLocal);
+  const deleted = goneResult.rows.filter(card => !(card.edited && keepLocal));
+
+  const sourceCards = new Map((await getSourceCards(db, source.id)).map(card => [card.id, card]));
+  const cardIds = new Map(matches.filter(match => match.local_id).map(match => [match.source_id, match.local_id]));
+
+  // Notes of the added and updated cards: updated if the copy has them, added otherwise
+  const written = [...added, ...applied].map(match => sourceCards.get(match.source_id));
+  const neededNotes = new Set(written.map(card => card.note_id).filter(Boolean));
+  const notes = (await getSourceNotes(db, source.id)).filter(note => neededNotes.has(note.id));
+  const localNotesResult = await db.query(
+    'SELECT id, source_note_id FROM notes WHERE deck_id = $1 AND source_note_id IS NOT NULL',
+    [deck.id]
+  );
+  const noteIds = new Map(localNotesResult.rows.map(note => [note.source_note_id, note.id]));
+  const noteTypeIds = await resolveNoteTypeIds(db, userId, notes);
+  const updatedNotes = notes.filter(note => noteIds.has(note.id) && !keptNoteIds.has(noteIds.get(note.id)));
+  // Kept notes still needed by added cards: their edited cards are logged as kept
+  const keptNotes = new Set(notes.filter(note => keptNoteIds.has(noteIds.get(note.id))).map(note => noteIds.get(note.id)));
+  const loggedIds = new Set([...skipped.map(match => match.local_id), ...goneResult.rows.map(card => card.id)]);
+  const keptNoteCards = editedNoteCardsResult.rows.filter(card => keptNotes.has(card.note_id) && !loggedIds.has(card.id));
+  if (updatedNotes.length > 0) {
+    await db.query(
+      `UPDATE notes n SET note_type_id = r.note_type_id, fields = r.fields, updated_at = CURRENT_TIMESTAMP
+       FROM jsonb_to_recordset($1::jsonb) AS r(id int, note_type_id int, fields jsonb)
+       WHERE n.id = r.id`,
+      [JSON.stringify(updatedNotes.map(note => ({
+        id: noteIds.get(note.id),
+        note_type_id: noteTypeIds.get(note.note_type.id),
+        fields: note.fields
+      })))]
+    );
+  }
+  await insertNoteCopies(db, deck.id, notes.filter(note => !noteIds.has(note.id)), noteTypeIds, noteIds);
+
+  await insertCardCopies(db, deck.id, added.map(match => sourceCards.get(match.source_id)), noteIds, cardIds);
+
+  if (applied.length > 0) {
+    await db.query(
+      `UPDATE cards c SET
+         front = s.front, back = s.back, difficulty = s.difficulty, hint = s.hint, tags = s.tags,
+         note_id = r.note_id, template_ord = s.template_ord, reverse_of = r.reverse_of,
+         source_version = s.updated_at, synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       FROM jsonb_to_recordset($1::jsonb) AS r(id int, note_id int, reverse_of int), cards s
+       WHERE c.id = r.id AND s.id = c.source_card_id`,
+      [JSON.stringify(applied.map(match => {
+        const card = sourceCards.get(match.source_id);
+        return {
+          id: match.local_id,
+          note_id: card.note_id ? noteIds.get(card.note_id) ?? null : null,
+          reverse_of: card.reverse_of ? cardIds.get(card.reverse_of) ?? null : null
+        };
+      }))]
+    );
+  }
+  // Source changes skipped for local edits count as seen, so they're reported once
+  if (skipped.length > 0) {
+    await db.query(
+      `UPDATE cards c SET source_version = s.updated_at
+       FROM cards s
+       WHERE c.id = ANY($1::int[]) AND s.id = c.source_card_id`,
+      [skipped.map(match => match.local_id)]
+    );
+  }
+  const restored = added.filter(match => match.deleted_locally);
+  if (restored.length > 0) {
+    await db.query(
+      'DELETE FROM deck_sync_deleted_cards WHERE deck_id = $1 AND source_card_id = ANY($2::int[])',
+      [deck.id, restored.map(match => match.source_id)]
+    );
+  }
+  if (keptDeletions.length > 0) {
+    await db.query(
+      `UPDATE deck_sync_deleted_cards d SET source_version = s.updated_at
+       FROM cards s
+       WHERE d.deck_id = $1 AND d.source_card_id = ANY($2::int[]) AND s.id = d.source_card_id`,
+      [deck.id, keptDeletions.map(match => match.source_id)]
+    );
+  }
+  // Deleted cards whose source card is gone too don't need remembering
+  await db.query(
+    `DELETE FROM deck_sync_deleted_cards d
+     WHERE d.deck_id = $1 AND NOT EXISTS (SELECT 1 FROM cards s WHERE s.id = d.source_card_id AND s.deck_id = $2)`,
+    [deck.id, source.id]
+  );
+  if (detached.length > 0) {
+    await db.query(
+      'UPDATE cards SET source_card_id = NULL, source_version = NULL WHERE id = ANY($1::int[])',
+      [detached.map(card => card.id)]
+    );
+  }
+  if (deleted.length > 0) {
+    await db.query('DELETE FROM cards WHERE id = ANY($1::int[])', [deleted.map(card => card.id)]);
+    for (const noteId of new Set(deleted.map(card => card.note_id))) {
+      await deleteNoteIfEmpty(db, noteId);
+    }
+  }
+
+  const front = (content) => (content || '').slice(0, MAX_LOG_FRONT_LENGTH);
+  const sourceFront = (match) => front(sourceCards.get(match.source_id).front?.content);
+  const changes = [
+    ...added.map(match => ({
+      change_type: match.deleted_locally ? 'local_replaced' : 'added',
+      card_id: cardIds.get(match.source_id),
+      source_card_id: match.source_id,
+      front: sourceFront(match)
+    })),
+    ...applied.map(match => ({
+      change_type: match.edited ? 'local_replaced' : 'updated',
+      card_id: match.local_id,
+      source_card_id: match.source_id,
+      front: sourceFront(match)
+    })),
+    ...skipped.map(match => ({ change_type: 'local_kept', card_id: match.local_id, source_card_id: match.source_id, front: sourceFront(match) })),
+    ...keptDeletions.map(match => ({ change_type: 'local_kept', card_id: null, source_card_id: match.source_id, front: sourceFront(match) })),
+    ...detached.map(card => ({ change_type: 'local_kept', card_id: card.id, source_card_id: card.source_card_id, front: front(card.front) })),
+    ...keptNoteCards.map(card => ({ change_type: 'local_kept', card_id: card.id, source_card_id: card.source_card_id, front: front(card.front) })),
+    ...deleted.map(card => ({ change_type: 'deleted', card_id: null, source_card_id: card.source_card_id, front: front(card.front) }))
+  ];
+  if (changes.length > 0) {
+    await db.query(
+      `INSERT INTO deck_sync_log (deck_id, change_type, card_id, source_card_id, front)
+       SELECT $1, r.change_type, r.card_id, r.source_card_id, r.front
+       FROM jsonb_to_recordset($2::jsonb) AS r(change_type text, card_id int, source_card_id int, front text)`,
+      [deck.id, JSON.stringify(changes)]
+    );
+  }
+
+  const syncResult = await db.query(
+    `UPDATE decks SET
+       last_synced_at = CURRENT_TIMESTAMP,
+       card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1)
+     WHERE id = $1
+     RETURNING last_synced_at`,
+    [deck.id]
+  );
+
+  const count = (type) => changes.filter(change => change.change_type === type).length;
+  return {
+    synced_at: syncResult.rows[0].last_synced_at,
+    added: count('added'),
+    updated: count('updated'),
+    deleted: count('deleted'),
+    local_kept: count('local_kept'),
+    local_replaced: count('local_replaced'),
+    changes
+  };
+}
+
+/**
+ * Get the changelog of a copy, newest first
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID of the copy
+ * @param {number} limit - Most entries to return
+ * @returns {Promise<Object[]>} { id, synced_at, change_type, card_id, source_card_id, front }
+ */
+export async function getSyncLog(db, deckId, limit = 100) {
+  const result = await db.query(
+    `SELECT id, synced_at, change_type, card_id, source_card_id, front
+     FROM deck_sync_log
+     WHERE deck_id = $1
+     ORDER BY synced_at DESC, id
+     LIMIT $2`,
+    [deckId, limit]
+  );
+  return result.rows;
+}
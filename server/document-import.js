@@ -0,0 +1,187 @@
+/**
+ * Cards from Documents
+ * Reads the text of an uploaded document (plain text, Markdown or PDF), splits it
+ * into passages small enough for the AI model, and asks the model for cards on
+ * each passage. The cards are only suggestions: the user picks the ones to keep,
+ * which are then added in bulk like a CSV import.
+ */
+
+import { extractText, getDocumentProxy } from 'unpdf';
+import { decodeFile } from './csv-import.js';
+import { getCardsFromText } from './ai-service.js';
+
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_GENERATED_CARDS = 50;
+export const DEFAULT_GENERATED_CARDS = 20;
+// Documents longer than this many passages are only read up to there
+export const MAX_DOCUMENT_CHUNKS = 10;
+const MAX_CHUNK_LENGTH = 6000;
+
+// Document types by file extension
+const DOCUMENT_TYPES = { txt: 'text', text: 'text', md: 'markdown', markdown: 'markdown', pdf: 'pdf' };
+
+/**
+ * Work out the type of an uploaded document from its name and contents
+ * PDFs are recognized by their header, whatever their name.
+ * @param {Buffer} buffer - File contents
+ * @param {string} name - File name (optional)
+ * @returns {string|null} 'text', 'markdown' or 'pdf', or null if the type isn't supported
+ */
+export function getDocumentType(buffer, name = '') {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  const extension = /\.([a-z0-9]+)$/i.exec(name || '')?.[1]?.toLowerCase();
+  if (!extension) {
+    return 'text';
+  }
+  return DOCUMENT_TYPES[extension] || null;
+}
+
+/**
+ * Reduce Markdown to its text: front matter, comments, images and link targets go
+ * (headings and lists stay, as they tell the model how the text is organized)
+ * @param {string} text - Markdown
+ * @returns {string} Text
+ */
+export function markdownToText(text) {
+  return text
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<\/?[a-z][^>\n]*>/gi, '');
+}
+
+/**
+ * Tidy extracted text: one kind of line break, no trailing spaces, at most one
+ * blank line in a row, and words hyphenated across PDF lines joined again
+ * @param {string} text - Extracted text
+ * @returns {string} Text
+ */
+export function cleanText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '')
+    .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read the text of an uploaded document
+ * @param {Buffer} buffer - File contents
+ * @param {string} name - File name (optional)
+ * @returns {Promise<Object>} { error } or { type, text }
+ */
+export async function readDocument(buffer, name = '') {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'The file is empty' };
+  }
+  const type = getDocumentType(buffer, name);
+  if (!type) {
+    return { error: 'Only text (.txt), Markdown (.md) and PDF (.pdf) files are supported' };
+  }
+
+  let text;
+  if (type === 'pdf') {
+    try {
+      const pdf = await getDocumentProxy(new Uint8Array(buffer));
+      const result = await extractText(pdf, { mergePages: false });
+      text = result.text.join('\n\n');
+    } catch (err) {
+      return { error: `The PDF can't be read: ${err.message}` };
+    }
+  } else {
+    text = decodeFile(buffer).text;
+    if (text.includes('\u0000')) {
+      return { error: 'The file is not a text file' };
+    }
+    if (type === 'markdown') {
+      text = markdownToText(text);
+    }
+  }
+
+  text = cleanText(text);
+  if (!text) {
+    return {
+      error: type === 'pdf'
+        ? 'No text found in the PDF (scanned pages have no text to read)'
+        : 'No text found in the file'
+    };
+  }
+  return { type, text };
+}
+
+/**
+ * Split text into passages of at most maxLength characters
+ * Passages end between paragraphs where possible, then between sentences; only a
+ * single sentence longer than maxLength is cut mid-sentence.
+ * @param {string} text - Cleaned text
+ * @param {number} maxLength - Longest passage
+ * @returns {string[]} Passages
+ */
+export function chunkText(text, maxLength = MAX_CHUNK_LENGTH) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (paragraph.length <= maxLength) {
+      pieces.push(paragraph);
+      continue;
+    }
+    for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+      for (let start = 0; start < sentence.length; start += maxLength) {
+        pieces.push(sentence.slice(start, start + maxLength));
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current.trim()) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Ask the AI model for cards on the passages of a document
+ * Passages are sent one after another, each asking for its share of the cards.
+ * Cards whose front is already in the deck (or was suggested for an earlier
+ * passage) are left out.
+ * @param {string[]} chunks - Passages from chunkText
+ * @param {Object} deck - { name, language }
+ * @param {Object} options - { numCards, existingFronts: fronts of the deck's cards }
+ * @returns {Promise<Object>} { suggestions: [{ front, back }], chunks, chunks_used }
+ */
+export async function generateCardsFromChunks(chunks, deck, { numCards = DEFAULT_GENERATED_CARDS, existingFronts = [] } = {}) {
+  const used = chunks.slice(0, MAX_DOCUMENT_CHUNKS);
+  const perChunk = Math.max(1, Math.ceil(numCards / used.length));
+  const key = (front) => front.toLowerCase().replace(/\s+/g, ' ').trim();
+  const seen = new Set(existingFronts.map(key));
+
+  const suggestions = [];
+  let read = 0;
+  for (const chunk of used) {
+    if (suggestions.length >= numCards) {
+      break;
+    }
+    read++;
+    const cards = await getCardsFromText(chunk, deck.name, deck.language, perChunk);
+    for (const card of cards) {
+      if (suggestions.length < numCards && !seen.has(key(card.front))) {
+        seen.add(key(card.front));
+        suggestions.push(card);
+      }
+    }
+  }
+
+  return { suggestions, chunks: chunks.length, chunks_used: read };
+}
@@ -0,0 +1,67 @@
+/**
+ * Leech Detection
+ * A lapse is an "again" on a graduated (review) card. When a card's lapses reach
+ * the user's leech_threshold - and again every half threshold after that, so a
+ * card that keeps failing is flagged again - it is marked as a leech and, with
+ * leech_action "suspend", taken out of the study queue until the user rewrites it.
+ */
+
+/**
+ * Check whether a lapse count triggers the leech action
+ * @param {number} lapses - Lapses including the current one
+ * @param {number} threshold - User's leech threshold (0 = off)
+ * @returns {boolean}
+ */
+export function isLeechTrigger(lapses, threshold) {
+  if (!threshold || threshold <= 0 || lapses < threshold) {
+    return false;
+  }
+  const repeatEvery = Math.max(1, Math.ceil(threshold / 2));
+  return (lapses - threshold) % repeatEvery === 0;
+}
+
+/**
+ * Update a card's lapse count and leech state for a review
+ * @param {Object} previousProgress - Progress before the review (null for new cards)
+ * @param {string} reviewType - "new", "learning" or "review" (see getReviewType)
+ * @param {string} grade - "again", "hard", "good", or "easy"
+ * @param {Object} settings - Resolved user settings (leech_threshold, leech_action)
+ * @returns {Object} { lapses, is_leech, suspended, leeched } - leeched is true when this review triggered the action
+ */
+export function applyLeechRules(previousProgress, reviewType, grade, settings) {
+  const previousLapses = previousProgress ? parseInt(previousProgress.lapses) || 0 : 0;
+  const lapses = reviewType === 'review' && grade === 'again' ? previousLapses + 1 : previousLapses;
+  const leeched = lapses > previousLapses && isLeechTrigger(lapses, parseInt(settings.leech_threshold));
+
+  return {
+    lapses,
+    is_leech: leeched || (previousProgress ? previousProgress.is_leech === true : false),
+    suspended: (leeched && settings.leech_action === 'suspend') || (previousProgress ? previousProgress.suspended === true : false),
+    leeched
+  };
+}
+
+/**
+ * Get the cards of a deck the user has marked as leeches (most lapses first)
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Cards with lapses and suspended
+ */
+export async function getDeckLeeches(db, deckId, userId) {
+  const result = await db.query(
+    `SELECT c.id, c.deck_id, c.front, c.back, c.difficulty, c.hint, c.note_id, c.template_ord,
+            up.lapses, up.suspended, up.due_date, up.last_review
+     FROM cards c
+     INNER JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
+     WHERE c.deck_id = $2 AND up.is_leech = true
+     ORDER BY up.lapses DESC, c.id ASC`,
+    [userId, deckId]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    front: typeof row.front === 'string' ? JSON.parse(row.front) : row.front,
+    back: typeof row.back === 'string' ? JSON.parse(row.back) : row.back
+  }));
+}
@@ -0,0 +1,287 @@
+/**
+ * Notes
+ * Stores notes and keeps their cards in step with them: one card per template
+ * that produces a card (see @kardo/notes), with the rendered content in
+ * cards.front/back so everything that reads cards keeps working. Formatting
+ * (alignment, font size) and difficulty stay per card.
+ */
+
+import { BUILT_IN_NOTE_TYPES, renderCard, getCardOrds, pickNoteFields } from '@kardo/notes';
+
+const NOTE_TYPE_COLUMNS = 'id, user_id, name, fields, templates, created_at, updated_at';
+
+/**
+ * Get the note types a user can use: the built-in ones, then their own
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Note type rows
+ */
+export async function getNoteTypes(db, userId) {
+  const result = await db.query(
+    `SELECT ${NOTE_TYPE_COLUMNS}
+     FROM note_types
+     WHERE user_id IS NULL OR user_id::text = $1::text
+     ORDER BY user_id NULLS FIRST, id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a note type if the user can use it (built-in or their own)
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} noteTypeId - Note type ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Note type row
+ */
+export async function getNoteType(db, noteTypeId, userId) {
+  if (!/^\d+$/.test(String(noteTypeId))) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT ${NOTE_TYPE_COLUMNS}
+     FROM note_types
+     WHERE id = $1 AND (user_id IS NULL OR user_id::text = $2::text)`,
+    [noteTypeId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a built-in note type by name
+ * @param {Object} db - pg Pool or client
+ * @param {string} name - One of BUILT_IN_NOTE_TYPES
+ * @returns {Promise<Object|null>} Note type row (null if the migration hasn't been run)
+ */
+export async function getBuiltInNoteType(db, name) {
+  try {
+    const result = await db.query(
+      `SELECT ${NOTE_TYPE_COLUMNS} FROM note_types WHERE user_id IS NULL AND name = $1`,
+      [name]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    // note_types missing (migration not run yet): cards are stored without notes
+    console.warn('Error reading built-in note type, assuming none:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Create a note type owned by a user
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} noteType - Validated { name, fields, templates }
+ * @returns {Promise<Object>} Note type row
+ */
+export async function createNoteType(db, userId, { name, fields, templates }) {
+  const result = await db.query(
+    `INSERT INTO note_types (user_id, name, fields, templates)
+     VALUES ($1, $2, $3::jsonb, $4::jsonb)
+     RETURNING ${NOTE_TYPE_COLUMNS}`,
+    [userId, name, JSON.stringify(fields), JSON.stringify(templates)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find a note type the user can use with the same fields and templates, or create it
+ * A built-in type matches on its fields and templates alone; one of the user's own
+ * also needs the same name. Imports use this so that importing again adds no duplicates.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} definition - Validated { name, fields, templates }
+ * @param {Object[]} noteTypes - The user's note types (getNoteTypes); a created type is added to it
+ * @returns {Promise<Object>} Note type row
+ */
+export async function findOrCreateNoteType(db, userId, definition, noteTypes) {
+  const sameTemplates = (templates) => templates.length === definition.templates.length
+    && templates.every((template, index) => (
+      template.front === definition.templates[index].front && template.back === definition.templates[index].back
+    ));
+  const existing = noteTypes.find(noteType => (noteType.user_id === null || noteType.name === definition.name)
+    && JSON.stringify(noteType.fields) === JSON.stringify(definition.fields)
+    && sameTemplates(noteType.templates));
+  if (existing) {
+    return existing;
+  }
+  const created = await createNoteType(db, userId, definition);
+  noteTypes.push(created);
+  return created;
+}
+
+/**
+ * Get a note with its note type
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} noteId - Note ID
+ * @returns {Promise<Object|null>} { note, noteType }
+ */
+export async function getNote(db, noteId) {
+  const result = await db.query(
+    `SELECT n.id, n.deck_id, n.note_type_id, n.fields, n.created_at, n.updated_at,
+            to_jsonb(nt) as note_type
+     FROM notes n
+     INNER JOIN note_types nt ON nt.id = n.note_type_id
+     WHERE n.id = $1`,
+    [noteId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { note_type, ...note } = result.rows[0];
+  return { note, noteType: note_type };
+}
+
+/**
+ * Get the cards of a note, in template order
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} noteId - Note ID
+ * @returns {Promise<Object[]>} Card rows
+ */
+export async function getNoteCards(db, noteId) {
+  const result = await db.query(
+    `SELECT id, deck_id, front, back, difficulty, reverse_of, note_id, template_ord, tags, created_at, updated_at
+     FROM cards
+     WHERE note_id = $1
+     ORDER BY template_ord, id`,
+    [noteId]
+  );
+  return result.rows;
+}
+
+/**
+ * Build a card side: rendered content with the side's formatting
+ * @param {string} content - Rendered content
+ * @param {Object} formatting - Existing side or { align, verticalAlign, fontSize } (optional)
+ * @returns {Object} { content, align, verticalAlign, fontSize }
+ */
+function buildSide(content, formatting) {
+  const side = formatting && typeof formatting === 'object' ? formatting : {};
+  return {
+    content,
+    align: side.align || 'center',
+    verticalAlign: side.verticalAlign || 'middle',
+    fontSize: side.fontSize || '18'
+  };
+}
+
+/**
+ * Insert the card a note's template produces
+ * In a "Basic (and reversed card)" note the second card is also linked to the
+ * first through reverse_of, like the reverse cards of reverse-cards.js
+ */
+async function insertNoteCard(db, note, noteType, ord, options, firstCardId) {
+  const rendered = renderCard(noteType, note.fields, ord);
+  const isReverse = ord > 0 && firstCardId && noteType.user_id === null
+    && noteType.name === BUILT_IN_NOTE_TYPES.BASIC_REVERSED;
+
+  const result = await db.query(
+    `INSERT INTO cards (deck_id, front, back, difficulty, note_id, template_ord, reverse_of, tags)
+     VALUES ($1, $2::jsonb, $3::jsonb, $4, $5, $6, $7, $8)
+     RETURNING id, deck_id, front, back, difficulty, reverse_of, note_id, template_ord, tags, created_at, updated_at`,
+    [
+      note.deck_id,
+      JSON.stringify(buildSide(rendered.front, options.formatting?.front)),
+      JSON.stringify(buildSide(rendered.back, options.formatting?.back)),
+      options.difficulty || 'medium',
+      note.id,
+      ord,
+      isReverse ? firstCardId : null,
+      options.tags || []
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Create a note and its cards
+ * @param {Object} db - pg Pool or client (use a client in a transaction)
+ * @param {number|string} deckId - Deck ID
+ * @param {Object} noteType - Note type row
+ * @param {Object} values - Field values by name (fields the note type doesn't have are dropped)
+ * @param {Object} options - { difficulty, formatting: { front, back }, tags } for the cards (optional)
+ * @returns {Promise<Object>} { note, cards }
+ */
+export async function createNote(db, deckId, noteType, values, options = {}) {
+  const fields = pickNoteFields(noteType, values);
+  const noteResult = await db.query(
+    `INSERT INTO notes (deck_id, note_type_id, fields)
+     VALUES ($1, $2, $3::jsonb)
+     RETURNING id, deck_id, note_type_id, fields, created_at, updated_at`,
+    [deckId, noteType.id, JSON.stringify(fields)]
+  );
+  const note = noteResult.rows[0];
+
+  const cards = [];
+  for (const ord of getCardOrds(noteType, fields)) {
+    cards.push(await insertNoteCard(db, note, noteType, ord, options, cards[0]?.id));
+  }
+  return { note, cards };
+}
+
+/**
+ * Update a note's fields and re-render its cards
+ * Templates that now produce a card get one (with the formatting and tags of
+ * the note's first card); existing cards are kept even if their template no
+ * longer would produce them, so their progress isn't lost.
+ * @param {Object} db - pg Pool or client (use a client in a transaction)
+ * @param {Object} note - Note row
+ * @param {Object} noteType - Note type row
+ * @param {Object} values - Field values by name (fields not sent keep their current value)
+ * @returns {Promise<Object>} { note, cards, added }
+ */
+export async function updateNote(db, note, noteType, values) {
+  const fields = pickNoteFields(noteType, { ...note.fields, ...values });
+  const noteResult = await db.query(
+    `UPDATE notes SET fields = $1::jsonb, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, deck_id, note_type_id, fields, created_at, updated_at`,
+    [JSON.stringify(fields), note.id]
+  );
+  const updatedNote = noteResult.rows[0];
+
+  const existingCards = await getNoteCards(db, note.id);
+  for (const card of existingCards) {
+    const rendered = renderCard(noteType, fields, card.template_ord);
+    if (!rendered) {
+      continue;
+    }
+    await db.query(
+      `UPDATE cards SET front = $1::jsonb, back = $2::jsonb, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [JSON.stringify(buildSide(rendered.front, card.front)), JSON.stringify(buildSide(rendered.back, card.back)), card.id]
+    );
+  }
+
+  const existingOrds = existingCards.map(card => card.template_ord);
+  const firstCard = existingCards[0];
+  const options = firstCard
+    ? { difficulty: firstCard.difficulty, formatting: { front: firstCard.front, back: firstCard.back }, tags: firstCard.tags }
+    : {};
+  let added = 0;
+  for (const ord of getCardOrds(noteType, fields)) {
+    if (!existingOrds.includes(ord)) {
+      const firstCardId = existingCards.find(card => card.template_ord === 0)?.id;
+      await insertNoteCard(db, updatedNote, noteType, ord, options, firstCardId);
+      added++;
+    }
+  }
+
+  return { note: updatedNote, cards: await getNoteCards(db, note.id), added };
+}
+
+/**
+ * Delete a note once its last card has been deleted
+ * @param {Object} db - pg Pool or client
+ * @param {number|string|null} noteId - Note ID of a deleted card
+ * @returns {Promise<void>}
+ */
+export async function deleteNoteIfEmpty(db, noteId) {
+  if (!noteId) {
+    return;
+  }
+  await db.query(
+    'DELETE FROM notes WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM cards WHERE note_id = $1)',
+    [noteId]
+  );
+}
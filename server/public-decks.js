@@ -0,0 +1,264 @@
+/**
+ * Public Decks
+ * Lists the community's public decks, filtered by language and searched with
+ * PostgreSQL full-text search over deck names, descriptions and card contents
+ * (migration_search.sql). Each deck is matched in the text search configuration
+ * of its own language. Search results are ranked by relevance, name matches
+ * first, and come with highlighted snippets of the name, description and the
+ * best matching card.
+ *
+ * The list is paged with cursors: a page ends with the sort keys of its last deck,
+ * and the next page starts after them, so decks added or re-ranked meanwhile don't
+ * shift the pages (as an offset would).
+ */
+
+import { PUBLIC_DECK_SORTS, RATING_SUMMARY_JOIN } from './deck-ratings.js';
+
+export const RELEVANCE_SORT = 'relevance';
+export const MAX_SEARCH_LENGTH = 200;
+export const MAX_PUBLIC_DECKS_LIMIT = 100;
+
+const RELEVANCE_KEYS = [
+  { sql: 'rank', type: 'float' },
+  { sql: 'download_count', type: 'int' }
+];
+
+// ts_headline marks matches with these; toSnippet splits on them
+const START_SEL = '\u0001';
+const STOP_SEL = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}`;
+const FRAGMENT_OPTIONS = `${HEADLINE_OPTIONS}, MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const PUBLIC_DECK_COLUMNS = `d.id, d.user_id, d.name, d.description, d.language, d.card_count, d.download_count,
+       d.created_at, d.updated_at, u.email as creator_email,
+       r.average_rating, COALESCE(r.rating_count, 0) as rating_count,
+       COALESCE(r.recent_rating_count, 0) as recent_rating_count, ur.rating as user_rating`;
+
+// Text a cursor key of each SQL type must match, so a tampered cursor can't reach the casts
+const MAX_INT = 2147483647;
+const KEY_PATTERNS = {
+  int: /^-?\d{1,10}$/,
+  float: /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i,
+  timestamp: /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/
+};
+
+/**
+ * Check a cursor key value against the SQL type it is cast to
+ * @param {string} value - Key value (as text)
+ * @param {string} type - "int", "float" or "timestamp"
+ * @returns {boolean}
+ */
+function isValidKey(value, type) {
+  if (typeof value !== 'string' || !KEY_PATTERNS[type].test(value)) {
+    return false;
+  }
+  if (type === 'int') {
+    return Math.abs(Number(value)) <= MAX_INT;
+  }
+  if (type === 'timestamp') {
+    return !isNaN(new Date(`${value.replace(' ', 'T')}Z`).getTime());
+  }
+  return Number.isFinite(Number(value));
+}
+
+/**
+ * Encode the position after a deck as a page cursor
+ * @param {string} sort - Sort of the list
+ * @param {string[]} sortKey - The deck's sort key values (as text), then its id
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, sortKey) {
+  return Buffer.from(JSON.stringify({ sort, key: sortKey })).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @param {string} cursor - From encodeCursor
+ * @param {string} sort - Sort of the list being paged
+ * @returns {string[]|null} Sort key values, then the deck id; null if the cursor isn't valid for the sort
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const { sort: cursorSort, key } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    // The sort keys, then the deck id
+    const types = [...(sort === RELEVANCE_SORT ? RELEVANCE_KEYS : PUBLIC_DECK_SORTS[sort]).map(({ type }) => type), 'int'];
+    if (cursorSort !== sort || !Array.isArray(key) || key.length !== types.length ||
+        !key.every((value, index) => isValidKey(value, types[index]))) {
+      return null;
+    }
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and validate the public decks query string
+ * @param {Object} query - req.query: { search, language, sort, limit, cursor }
+ * @returns {Object} { error } or { search, language, sort, limit, after }
+ */
+export function parsePublicDecksQuery({ search = '', language = 'all', sort, limit = 20, cursor }) {
+  const term = String(search).trim();
+  if (term.length > MAX_SEARCH_LENGTH) {
+    return { error: `search must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+  const sorts = [...Object.keys(PUBLIC_DECK_SORTS), ...(term ? [RELEVANCE_SORT] : [])];
+  const resolvedSort = sort || (term ? RELEVANCE_SORT : 'popular');
+  if (!sorts.includes(resolvedSort)) {
+    return { error: `sort must be one of: ${sorts.join(', ')}` };
+  }
+  const parsedLimit = parseInt(limit);
+  if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PUBLIC_DECKS_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_PUBLIC_DECKS_LIMIT}` };
+  }
+  const after = cursor ? decodeCursor(cursor, resolvedSort) : null;
+  if (cursor && !after) {
+    return { error: 'Invalid cursor (it must come from the same search and sort)' };
+  }
+  return {
+    search: term,
+    language: language && language !== 'all' ? String(language) : null,
+    sort: resolvedSort,
+    limit: parsedLimit,
+    after
+  };
+}
+
+/**
+ * Split a ts_headline result into text segments
+ * @param {string|null} headline - Text with matches between START_SEL and STOP_SEL
+ * @returns {Object[]|null} [{ text, highlight }], or null if there is no text
+ */
+export function toSnippet(headline) {
+  if (!headline) {
+    return null;
+  }
+  const segments = [];
+  for (const part of headline.split(START_SEL)) {
+    const [highlighted, rest] = part.includes(STOP_SEL) ? part.split(STOP_SEL, 2) : [null, part];
+    if (highlighted) {
+      segments.push({ text: highlighted, highlight: true });
+    }
+    if (rest) {
+      segments.push({ text: rest, highlight: false });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Highlighted snippets of the decks found by a search
+ * @param {Object} db - pg Pool or client
+ * @param {number[]} deckIds - Decks to make snippets for
+ * @param {string} search - Search text
+ * @returns {Promise<Map>} { name, description, card } by deck ID
+ */
+async function getSnippets(db, deckIds, search) {
+  const result = await db.query(
+    `SELECT d.id,
+            ts_headline(d.search_config, d.name, q.query, $3) as name,
+            CASE WHEN d.description IS NOT NULL AND d.search_vector @@ q.query
+                 THEN ts_headline(d.search_config, d.description, q.query, $4) END as description,
+            (SELECT ts_headline(d.search_config, card_search_text(c.front, c.back, c.hint), q.query, $4)
+             FROM card_search cs
+             INNER JOIN cards c ON c.id = cs.card_id
+             WHERE cs.deck_id = d.id AND cs.search_vector @@ q.query
+             ORDER BY ts_rank(cs.search_vector, q.query) DESC, c.id
+             LIMIT 1) as card
+     FROM decks d
+     CROSS JOIN LATERAL (SELECT websearch_to_tsquery(d.search_config, $2) as query) q
+     WHERE d.id = ANY($1::int[])`,
+    [deckIds, search, `${HEADLINE_OPTIONS}, HighlightAll=true`, FRAGMENT_OPTIONS]
+  );
+  return new Map(result.rows.map(row => [row.id, {
+    name: toSnippet(row.name),
+    description: toSnippet(row.description),
+    card: toSnippet(row.card)
+  }]));
+}
+
+/**
+ * List a page of public decks, searched and sorted
+ * A search matches a deck whose name or description matches, or any of whose cards
+ * does; card_matches counts the matching cards.
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User asking (for user_rating)
+ * @param {Object} options - From parsePublicDecksQuery
+ * @returns {Promise<Object>} { decks, total, next_cursor }: with a search, each deck also has rank,
+ *   card_matches and snippets; total counts every deck found; next_cursor is null on the last page
+ */
+export async function listPublicDecks(db, userId, { search, language, sort, limit, after }) {
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  let query;
+  if (search) {
+    const searchParam = addParam(search);
+    // One query per search configuration in use, so the card index can be used
+    query = `
+      WITH queries AS (
+        SELECT config, websearch_to_tsquery(config, ${searchParam}) as query
+        FROM (SELECT DISTINCT search_config as config FROM decks WHERE is_public = true) configs
+      ),
+      card_matches AS (
+        SELECT cs.deck_id, MAX(ts_rank(cs.search_vector, q.query)) as rank, COUNT(*)::int as card_matches
+        FROM queries q
+        INNER JOIN card_search cs ON cs.search_vector @@ q.query
+        INNER JOIN decks cd ON cd.id = cs.deck_id AND cd.search_config = q.config AND cd.is_public = true
+        GROUP BY cs.deck_id
+      )
+      SELECT ${PUBLIC_DECK_COLUMNS},
+             (ts_rank(d.search_vector, q.query) + COALESCE(cm.rank, 0))::float as rank,
+             COALESCE(cm.card_matches, 0) as card_matches
+      FROM decks d
+      JOIN users u ON d.user_id = u.user_id
+      INNER JOIN queries q ON q.config = d.search_config
+      LEFT JOIN card_matches cm ON cm.deck_id = d.id
+      ${RATING_SUMMARY_JOIN}
+      LEFT JOIN deck_ratings ur ON ur.deck_id = d.id AND ur.user_id = $1
+      WHERE d.is_public = true
+        AND (d.search_vector @@ q.query OR cm.deck_id IS NOT NULL)
+    `;
+  } else {
+    query = `
+      SELECT ${PUBLIC_DECK_COLUMNS}
+      FROM decks d
+      JOIN users u ON d.user_id = u.user_id
+      ${RATING_SUMMARY_JOIN}
+      LEFT JOIN deck_ratings ur ON ur.deck_id = d.id AND ur.user_id = $1
+      WHERE d.is_public = true
+    `;
+  }
+
+  if (language) {
+    query += ` AND d.language = ${addParam(language)}`;
+  }
+
+  const countResult = await db.query(`SELECT COUNT(*)::int as total FROM (${query}) p`, params);
+
+  // Keyset paging: every key is descending, so the next page is the rows after the cursor's
+  const keys = sort === RELEVANCE_SORT ? RELEVANCE_KEYS : PUBLIC_DECK_SORTS[sort];
+  let page = `
+    SELECT p.*, ARRAY[${keys.map(key => `(${key.sql})::text`).join(', ')}, p.id::text] as sort_key
+    FROM (${query}) p
+  `;
+  if (after) {
+    const values = keys.map((key, index) => `${addParam(after[index])}::${key.type}`);
+    page += ` WHERE (${keys.map(key => key.sql).join(', ')}, p.id) < (${values.join(', ')}, ${addParam(after[keys.length])}::int)`;
+  }
+  page += ` ORDER BY ${keys.map(key => `${key.sql} DESC`).join(', ')}, p.id DESC LIMIT ${addParam(limit + 1)}`;
+
+  const result = await db.query(page, params);
+  const rows = result.rows.slice(0, limit);
+  const nextCursor = result.rows.length > limit ? encodeCursor(sort, rows[rows.length - 1].sort_key) : null;
+  let decks = rows.map(({ sort_key, ...deck }) => deck);
+
+  if (search && decks.length > 0) {
+    const snippets = await getSnippets(db, decks.map(deck => deck.id), search);
+    decks = decks.map(deck => ({ ...deck, snippets: snippets.get(deck.id) }));
+  }
+  return { decks, total: countResult.rows[0].total, next_cursor: nextCursor };
+}
@@ -0,0 +1,131 @@
+/**
+ * Reverse Cards
+ * A reverse card shows an original card's back as its front. It is its own row in
+ * cards (reverse_of = original's ID) so it gets its own user_progress, and holds a
+ * swapped copy of the original's content that is kept in sync on every edit.
+ * Cards linked this way are siblings: reviewing one buries the others (card-state.js).
+ * Cards of a "Basic (and reversed card)" note are linked the same way (see notes.js);
+ * content edits then go through the note instead of syncReverseContent.
+ */
+
+import { BUILT_IN_NOTE_TYPES } from '@kardo/notes';
+
+/**
+ * Check whether a deck adds a reverse card for every new card
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @returns {Promise<boolean>}
+ */
+export async function isReverseDeck(db, deckId) {
+  try {
+    const result = await db.query('SELECT generate_reverse FROM decks WHERE id = $1', [deckId]);
+    return result.rows[0]?.generate_reverse === true;
+  } catch (err) {
+    // generate_reverse missing (migration not run yet): decks don't add reverse cards
+    console.warn('Error reading deck reverse setting, assuming off:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Add the reverse card of a card
+ * @param {Object} db - pg Pool or client
+ * @param {Object} card - Original card row (id, deck_id, front, back, difficulty)
+ * @returns {Promise<Object>} Reverse card row
+ */
+export async function createReverseCard(db, card) {
+  const result = await db.query(
+    `INSERT INTO cards (deck_id, front, back, difficulty, reverse_of)
+     VALUES ($1, $2::jsonb, $3::jsonb, $4, $5)
+     RETURNING id, front, back, difficulty, reverse_of, created_at, updated_at`,
+    [card.deck_id, JSON.stringify(card.back), JSON.stringify(card.front), card.difficulty || 'medium', card.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Add a reverse card for every card of a deck that doesn't have one yet
+ * (reverse cards themselves are never reversed again). Cards of "Basic" notes get
+ * the second card of "Basic (and reversed card)" and their note switches to that
+ * type; cards of other note types are left alone.
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} deckId - Deck ID
+ * @returns {Promise<number>} Number of reverse cards added
+ */
+export async function addMissingReverseCards(db, deckId) {
+  const result = await db.query(
+    `INSERT INTO cards (deck_id, front, back, difficulty, reverse_of, note_id, template_ord)
+     SELECT c.deck_id, c.back, c.front, c.difficulty, c.id, c.note_id, 1
+     FROM cards c
+     LEFT JOIN notes n ON n.id = c.note_id
+     LEFT JOIN note_types nt ON nt.id = n.note_type_id
+     WHERE c.deck_id = $1
+       AND c.reverse_of IS NULL
+       AND NOT EXISTS (SELECT 1 FROM cards r WHERE r.reverse_of = c.id)
+       AND (c.note_id IS NULL OR (nt.user_id IS NULL AND nt.name IN ($2, $3) AND c.template_ord = 0))`,
+    [deckId, BUILT_IN_NOTE_TYPES.BASIC, BUILT_IN_NOTE_TYPES.BASIC_REVERSED]
+  );
+
+  await db.query(
+    `UPDATE notes
+     SET note_type_id = (SELECT id FROM note_types WHERE user_id IS NULL AND name = $3),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE deck_id = $1
+       AND note_type_id = (SELECT id FROM note_types WHERE user_id IS NULL AND name = $2)
+       AND EXISTS (SELECT 1 FROM cards c WHERE c.note_id = notes.id AND c.template_ord = 1)`,
+    [deckId, BUILT_IN_NOTE_TYPES.BASIC, BUILT_IN_NOTE_TYPES.BASIC_REVERSED]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Copy an edited card's content to its siblings (swapped for the other direction)
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} cardId - Edited card ID
+ * @param {Object} front - Edited card's front
+ * @param {Object} back - Edited card's back
+ * @returns {Promise<void>}
+ */
+export async function syncReverseContent(db, cardId, front, back) {
+  const cardResult = await db.query('SELECT reverse_of FROM cards WHERE id = $1', [cardId]);
+  if (cardResult.rows.length === 0) {
+    return;
+  }
+
+  // Content as seen from the original card
+  const reverseOf = cardResult.rows[0].reverse_of;
+  const originalId = reverseOf || cardId;
+  const originalFront = reverseOf ? back : front;
+  const originalBack = reverseOf ? front : back;
+
+  await db.query(
+    `UPDATE cards SET front = $1::jsonb, back = $2::jsonb, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND id <> $4`,
+    [JSON.stringify(originalFront), JSON.stringify(originalBack), originalId, cardId]
+  );
+  await db.query(
+    `UPDATE cards SET front = $1::jsonb, back = $2::jsonb, updated_at = CURRENT_TIMESTAMP
+     WHERE reverse_of = $3 AND id <> $4`,
+    [JSON.stringify(originalBack), JSON.stringify(originalFront), originalId, cardId]
+  );
+}
+
+/**
+ * Get the IDs of a card's siblings (its original and/or other directions, and the other cards of its note)
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} cardId - Card ID
+ * @returns {Promise<number[]>}
+ */
+export async function getSiblingIds(db, cardId) {
+  const result = await db.query(
+    `SELECT s.id
+     FROM cards c
+     INNER JOIN cards s ON s.id <> c.id
+       AND (s.id = c.reverse_of
+         OR s.reverse_of = COALESCE(c.reverse_of, c.id)
+         OR s.note_id = c.note_id)
+     WHERE c.id = $1`,
+    [cardId]
+  );
+  return result.rows.map(row => row.id);
+}
@@ -3,13 +3,33 @@ import { Pool } from 'pg';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { getAISuggestions, getCardExplanation } from './ai-service.js';
-import { reviewCard } from './srs-algorithm.js';
-import { getDefaultSettings, validateSettings, parseLearningSteps } from './user-settings.js';
+import { reviewCard, getReviewType, getDefaultSettings, resolveSettings, getFuzzSeed } from '@kardo/srs';
+import { validateSettings, loadUserSettings } from './user-settings.js';
+import { getDailyAllowance, getDueForecast } from './daily-limits.js';
+import { getStudyStats } from './study-stats.js';
+import { applyLeechRules, getDeckLeeches } from './leeches.js';
+import { setCardSuspended, buryCard, burySiblings, unburyCards, deleteUnstudiedProgress, forgetCard, getDeckCardStates } from './card-state.js';
+import { isReverseDeck, createReverseCard, addMissingReverseCards, syncReverseContent } from './reverse-cards.js';
+import { getNoteTypes, getNoteType, getBuiltInNoteType, createNoteType, getNote, getNoteCards, createNote, updateNote, deleteNoteIfEmpty } from './notes.js';
+import { BUILT_IN_NOTE_TYPES, validateNoteType, normalizeNoteType, getCardOrds, isClozeNoteType, pickNoteFields, getFieldsFromCardEdit } from '@kardo/notes';
+import { validateTags, normalizeTags, getTagFilter, setCardTags, setNoteTags } from './tags.js';
+import { MAX_IMPORT_BYTES, MAX_IMPORT_ROWS, parseImportOptions, readImportFile, validateCardValues, importCards } from './csv-import.js';
+import { MAX_APKG_BYTES, readAnkiPackage, importAnkiPackage, buildAnkiPackage } from './anki-package.js';
+import { MAX_BACKUP_BYTES, exportDeckBackup, validateBackup, restoreDeckBackup } from './deck-backup.js';
+import { MAX_DOCUMENT_BYTES, MAX_GENERATED_CARDS, DEFAULT_GENERATED_CARDS, readDocument, chunkText, generateCardsFromChunks } from './document-import.js';
+import { cloneDeck } from './deck-clone.js';
+import { validateSubscription, setSubscription, syncDeck, getSyncLog, recordDeletedCard } from './deck-sync.js';
+import { validateRating, rateDeck, deleteRating, getDeckRatings } from './deck-ratings.js';
+import { parsePublicDecksQuery, listPublicDecks } from './public-decks.js';
+import { requireAuth, rejectUserMismatch, requireSameUser } from './auth.js';
+import { createDeckAuthorization, getOwnerIds, DECK_ROLES } from './authorization.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const MAX_REVIEW_TIME_MS = 60 * 60 * 1000; // Longest answer time recorded in the review log
+const MAX_HINT_LENGTH = 500; // Longest hint a card can have
 
 // Middleware
 app.use(cors());
@@ -48,6 +68,8 @@ pool.connect((err, client, release) => {
   release();
 });
 
+const { requireDeckAccess, requireCardAccess, requireNoteAccess } = createDeckAuthorization(pool);
+
 // Routes
 
 // Health check
@@ -55,44 +77,25 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
 });
 
+// Every other API route requires a verified Supabase access token;
+// the user ID always comes from the token, never from the request
+app.use('/api', requireAuth, rejectUserMismatch);
+
 // Get all decks for a user
-app.get('/api/decks/:userId', async (req, res) => {
-  const userId = req.params.userId;
+app.get('/api/decks/:userId', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   
   console.log('GET /api/decks/:userId - userId:', userId);
   
   try {
-    // Try to find decks by user_id
-    let result = await pool.query(
-      'SELECT * FROM decks WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+    // Decks stored under the token's user ID or a legacy one (the same owners the deck guards accept)
+    const ownerIds = await getOwnerIds(pool, req.user);
+    const result = await pool.query(
+      'SELECT * FROM decks WHERE user_id::text = ANY($1::text[]) ORDER BY created_at DESC',
+      [ownerIds]
     );
     
-    console.log(`Found ${result.rows.length} decks for user_id: ${userId}`);
-    
-    // If no decks found, try by email (if userId is an email)
-    if (result.rows.length === 0 && userId.includes('@')) {
-      console.log('No decks found by user_id, trying email:', userId);
-      const userResult = await pool.query(
-        'SELECT user_id FROM users WHERE email = $1',
-        [userId]
-      );
-      if (userResult.rows.length > 0) {
-        const actualUserId = userResult.rows[0].user_id;
-        console.log('Found user by email, user_id:', actualUserId);
-        result = await pool.query(
-          'SELECT * FROM decks WHERE user_id = $1 ORDER BY created_at DESC',
-          [actualUserId]
-        );
-        console.log(`Found ${result.rows.length} decks for user_id: ${actualUserId}`);
-      }
-    }
-    
-    // Also check all decks to see what user_ids exist
-    if (result.rows.length === 0) {
-      const allDecks = await pool.query('SELECT user_id, name FROM decks LIMIT 10');
-      console.log('Sample decks in database (first 10):', allDecks.rows.map(d => ({ user_id: d.user_id, name: d.name })));
-    }
+    console.log(`Found ${result.rows.length} decks for user_ids: ${ownerIds.join(', ')}`);
     
     // Parse cards JSON from each deck
     const decks = result.rows.map(deck => ({
@@ -126,11 +129,12 @@ const ensureUserExists = async (userId, email = null) => {
 
 // Create a new deck
 app.post('/api/decks', async (req, res) => {
-  const { userId, name, description, language } = req.body;
+  const { name, description, language } = req.body;
+  const userId = req.user.id;
   
   try {
     // Ensure user exists in database
-    await ensureUserExists(userId, req.body.email);
+    await ensureUserExists(userId, req.user.email);
     
     const result = await pool.query(
       'INSERT INTO decks (user_id, name, description, language, cards) VALUES ($1, $2, $3, $4, $5::jsonb) RETURNING id',
@@ -143,7 +147,7 @@ app.post('/api/decks', async (req, res) => {
 });
 
 // Update a deck
-app.put('/api/decks/:id', async (req, res) => {
+app.put('/api/decks/:id', requireDeckAccess('write', 'id'), async (req, res) => {
   const { name, description, language } = req.body;
   const deckId = req.params.id;
   
@@ -159,7 +163,7 @@ app.put('/api/decks/:id', async (req, res) => {
 });
 
 // Delete a deck
-app.delete('/api/decks/:id', async (req, res) => {
+app.delete('/api/decks/:id', requireDeckAccess('owner', 'id'), async (req, res) => {
   const deckId = req.params.id;
   
   try {
@@ -171,28 +175,52 @@ app.delete('/api/decks/:id', async (req, res) => {
 });
 
 // Get cards for a deck (using new cards table, with fallback to old JSONB)
-app.get('/api/decks/:deckId/cards', async (req, res) => {
+// ?tag=... only returns the cards with that tag
+app.get('/api/decks/:deckId/cards', requireDeckAccess('read'), async (req, res) => {
   const deckId = req.params.deckId;
+  const userId = req.user.id;
+  const tag = getTagFilter(req.query.tag);
   
   try {
     // Try to get cards from new cards table first
     const cardsResult = await pool.query(
-      'SELECT id, front, back, difficulty, created_at, updated_at FROM cards WHERE deck_id = $1 ORDER BY id',
-      [deckId]
+      `SELECT id, front, back, difficulty, hint, reverse_of, note_id, template_ord, tags, created_at, updated_at
+       FROM cards
+       WHERE deck_id = $1 AND ($2::text IS NULL OR $2 = ANY(tags))
+       ORDER BY id`,
+      [deckId, tag]
     );
     
     if (cardsResult.rows.length > 0) {
+      // The current user's suspended/buried cards (empty until the migrations have been run)
+      let cardStates = {};
+      try {
+        cardStates = await getDeckCardStates(pool, deckId, userId);
+      } catch (stateError) {
+        console.warn('Error loading card states, assuming none:', stateError.message);
+      }
+      
       // Return cards from new table
       const cards = cardsResult.rows.map(row => ({
         id: row.id,
         front: typeof row.front === 'string' ? JSON.parse(row.front) : row.front,
         back: typeof row.back === 'string' ? JSON.parse(row.back) : row.back,
         difficulty: row.difficulty,
+        hint: row.hint,
+        reverse_of: row.reverse_of,
+        note_id: row.note_id,
+        template_ord: row.template_ord,
+        tags: row.tags || [],
         created_at: row.created_at,
-        updated_at: row.updated_at
+        updated_at: row.updated_at,
+        suspended: cardStates[row.id] ? cardStates[row.id].suspended : false,
+        buried_until: cardStates[row.id] ? cardStates[row.id].buried_until : null
       }));
       return res.json(cards);
     }
+    if (tag) {
+      return res.json([]);
+    }
     
     // Fallback to old JSONB structure (for backward compatibility during migration)
     const deckResult = await pool.query(
@@ -208,9 +236,18 @@ app.get('/api/decks/:deckId/cards', async (req, res) => {
 });
 
 // Add a card to a deck (using new cards table, preserving all formatting)
-app.post('/api/decks/:deckId/cards', async (req, res) => {
+app.post('/api/decks/:deckId/cards', requireDeckAccess('write'), async (req, res) => {
   const deckId = req.params.deckId;
-  const { front, back, frontAlign, backAlign, frontVerticalAlign, backVerticalAlign, frontFontSize, backFontSize, difficulty } = req.body;
+  const { front, back, frontAlign, backAlign, frontVerticalAlign, backVerticalAlign, frontFontSize, backFontSize, difficulty, reverse, tags, hint } = req.body;
+  
+  const tagsError = validateTags(tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+  if (hint !== undefined && hint !== null && (typeof hint !== 'string' || hint.length > MAX_HINT_LENGTH)) {
+    return res.status(400).json({ error: `Hint must be text of up to ${MAX_HINT_LENGTH} characters` });
+  }
+  const hintText = typeof hint === 'string' && hint.trim() ? hint.trim() : null;
   
   try {
     // Build front and back JSONB objects with all formatting
@@ -228,22 +265,60 @@ app.post('/api/decks/:deckId/cards', async (req, res) => {
       fontSize: backFontSize || '18'
     };
     
-    // Insert into new cards table
-    const result = await pool.query(
-      `INSERT INTO cards (deck_id, front, back, difficulty) 
-       VALUES ($1, $2::jsonb, $3::jsonb, $4) 
-       RETURNING id, front, back, difficulty, created_at, updated_at`,
-      [deckId, JSON.stringify(frontObj), JSON.stringify(backObj), difficulty || 'medium']
+    // Every card belongs to a note: "Basic", or "Basic (and reversed card)" when a reverse
+    // card (back -> front) is asked for or the deck reverses every card
+    const withReverse = reverse === true || await isReverseDeck(pool, deckId);
+    const noteType = await getBuiltInNoteType(
+      pool,
+      withReverse ? BUILT_IN_NOTE_TYPES.BASIC_REVERSED : BUILT_IN_NOTE_TYPES.BASIC
     );
     
-    const newCard = {
-      id: result.rows[0].id,
-      front: result.rows[0].front,
-      back: result.rows[0].back,
-      difficulty: result.rows[0].difficulty,
-      created_at: result.rows[0].created_at,
-      updated_at: result.rows[0].updated_at
-    };
+    let newCard;
+    if (noteType) {
+      const values = { Front: frontObj.content, Back: backObj.content };
+      if (getCardOrds(noteType, pickNoteFields(noteType, values)).length === 0) {
+        return res.status(400).json({ error: 'Card front cannot be empty' });
+      }
+      
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const { cards } = await createNote(client, deckId, noteType, values, {
+          difficulty,
+          formatting: { front: frontObj, back: backObj },
+          tags: normalizeTags(tags)
+        });
+        // The hint belongs to the card that asks the front (not to its reverse card)
+        if (hintText) {
+          await client.query('UPDATE cards SET hint = $1 WHERE id = $2', [hintText, cards[0].id]);
+          cards[0].hint = hintText;
+        }
+        await client.query('COMMIT');
+        
+        newCard = cards[0];
+        if (cards[1]) {
+          newCard.reverse_card = cards[1];
+        }
+      } catch (noteError) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw noteError;
+      } finally {
+        client.release();
+      }
+    } else {
+      // Notes not set up yet (migration_note_types.sql not run): store the card on its own
+      const result = await pool.query(
+        `INSERT INTO cards (deck_id, front, back, difficulty, hint) 
+         VALUES ($1, $2::jsonb, $3::jsonb, $4, $5) 
+         RETURNING id, front, back, difficulty, hint, created_at, updated_at`,
+        [deckId, JSON.stringify(frontObj), JSON.stringify(backObj), difficulty || 'medium', hintText]
+      );
+      newCard = result.rows[0];
+      
+      if (withReverse) {
+        newCard.reverse_card = await createReverseCard(pool, { ...newCard, deck_id: deckId });
+      }
+    }
     
     // Update deck card_count
     await pool.query(
@@ -259,13 +334,21 @@ app.post('/api/decks/:deckId/cards', async (req, res) => {
 });
 
 // Update a card (preserving formatting)
-app.put('/api/cards/:id', async (req, res) => {
+app.put('/api/cards/:id', requireCardAccess('write', 'id'), async (req, res) => {
   const cardId = req.params.id;
-  const { front, back, frontAlign, backAlign, frontVerticalAlign, backVerticalAlign, frontFontSize, backFontSize, difficulty, deckId } = req.body;
+  const { front, back, frontAlign, backAlign, frontVerticalAlign, backVerticalAlign, frontFontSize, backFontSize, difficulty, tags, hint } = req.body;
+  
+  const tagsError = validateTags(tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+  if (hint !== undefined && hint !== null && (typeof hint !== 'string' || hint.length > MAX_HINT_LENGTH)) {
+    return res.status(400).json({ error: `Hint must be text of up to ${MAX_HINT_LENGTH} characters` });
+  }
   
   try {
     // Get existing card to preserve formatting if not provided
-    const existingResult = await pool.query('SELECT front, back FROM cards WHERE id = $1', [cardId]);
+    const existingResult = await pool.query('SELECT front, back, note_id, template_ord FROM cards WHERE id = $1', [cardId]);
     
     let frontObj, backObj;
     
@@ -304,13 +387,61 @@ app.put('/api/cards/:id', async (req, res) => {
       };
     }
     
-    // Update card in new table
-    await pool.query(
-      `UPDATE cards 
-       SET front = $1::jsonb, back = $2::jsonb, difficulty = $3, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4`,
-      [JSON.stringify(frontObj), JSON.stringify(backObj), difficulty || 'medium', cardId]
-    );
+    // A card rendered from a note is edited through the note's fields, so its other cards follow
+    const noteId = existingResult.rows[0]?.note_id;
+    const noteData = noteId ? await getNote(pool, noteId) : null;
+    let noteFields = null;
+    if (noteData) {
+      noteFields = getFieldsFromCardEdit(
+        noteData.noteType,
+        noteData.note.fields,
+        existingResult.rows[0].template_ord,
+        frontObj.content,
+        backObj.content
+      );
+      if (!noteFields) {
+        return res.status(400).json({ error: 'This card is generated from a note template; edit the note fields instead' });
+      }
+    }
+    
+    // The card, its note (or reverse card), tags and hint change together
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Update card in new table
+      await client.query(
+        `UPDATE cards 
+         SET front = $1::jsonb, back = $2::jsonb, difficulty = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [JSON.stringify(frontObj), JSON.stringify(backObj), difficulty || 'medium', cardId]
+      );
+      
+      if (noteData) {
+        await updateNote(client, noteData.note, noteData.noteType, noteFields);
+      } else {
+        // Keep the reverse card (or the original, when editing a reverse card) in sync
+        await syncReverseContent(client, cardId, frontObj, backObj);
+      }
+      
+      // Tags and the hint are only changed when they are sent ('' clears the hint)
+      if (tags !== undefined) {
+        await setCardTags(client, cardId, normalizeTags(tags));
+      }
+      if (hint !== undefined) {
+        await client.query(
+          'UPDATE cards SET hint = $1 WHERE id = $2',
+          [typeof hint === 'string' && hint.trim() ? hint.trim() : null, cardId]
+        );
+      }
+      
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
     
     res.json({ message: 'Card updated successfully' });
   } catch (err) {
@@ -320,22 +451,42 @@ app.put('/api/cards/:id', async (req, res) => {
 });
 
 // Delete a card
-app.delete('/api/cards/:id', async (req, res) => {
+app.delete('/api/cards/:id', requireCardAccess('write', 'id'), async (req, res) => {
   const cardId = req.params.id;
-  const { deckId } = req.query;
   
   try {
-    // Delete from new cards table
-    const result = await pool.query('DELETE FROM cards WHERE id = $1 RETURNING deck_id', [cardId]);
-    
-    if (result.rows.length > 0) {
-      const deletedDeckId = result.rows[0].deck_id;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
       
-      // Update deck card_count
-      await pool.query(
-        'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
-        [deletedDeckId]
+      // Delete from new cards table
+      const result = await client.query(
+        'DELETE FROM cards WHERE id = $1 RETURNING deck_id, note_id, source_card_id, source_version',
+        [cardId]
       );
+      
+      if (result.rows.length > 0) {
+        const deletedDeckId = result.rows[0].deck_id;
+        
+        // A note goes with its last card
+        await deleteNoteIfEmpty(client, result.rows[0].note_id);
+        
+        // A card copied from a subscribed source isn't added back by the next sync
+        await recordDeletedCard(client, result.rows[0]);
+        
+        // Update deck card_count
+        await client.query(
+          'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+          [deletedDeckId]
+        );
+      }
+      
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
     
     res.json({ message: 'Card deleted successfully' });
@@ -345,16 +496,428 @@ app.delete('/api/cards/:id', async (req, res) => {
   }
 });
 
-// ==================== SRS (Spaced Repetition System) Endpoints ====================
+// Replace the tags of a card
+app.put('/api/cards/:id/tags', requireCardAccess('write', 'id'), async (req, res) => {
+  const { tags } = req.body;
 
-// Get due cards for a user in a deck (cards that need to be reviewed)
-app.get('/api/decks/:deckId/due-cards', async (req, res) => {
+  const tagsError = validateTags(tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+
+  try {
+    res.json(await setCardTags(pool, req.params.id, normalizeTags(tags)));
+  } catch (err) {
+    console.error('Error updating card tags:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== Note Endpoints ====================
+
+// Get the note types the current user can use (built-in ones first)
+app.get('/api/note-types', async (req, res) => {
+  try {
+    res.json(await getNoteTypes(pool, req.user.id));
+  } catch (err) {
+    console.error('Error fetching note types:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a note type (fields and card templates) for the current user
+app.post('/api/note-types', async (req, res) => {
+  const definition = {
+    name: req.body.name,
+    fields: req.body.fields,
+    templates: req.body.templates
+  };
+  
+  const error = validateNoteType(definition);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const noteType = await createNoteType(pool, req.user.id, normalizeNoteType(definition));
+    res.json(noteType);
+  } catch (err) {
+    console.error('Error creating note type:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Error for note fields that produce no card
+const noCardsError = (noteType) => (isClozeNoteType(noteType)
+  ? 'Add at least one cloze deletion, e.g. {{c1::answer}}'
+  : 'Fill in the fields shown on the front of at least one card');
+
+// Add a note to a deck: creates one card per template that has something to show
+app.post('/api/decks/:deckId/notes', requireDeckAccess('write'), async (req, res) => {
+  const deckId = req.params.deckId;
+  const { noteTypeId, fields, frontAlign, backAlign, frontVerticalAlign, backVerticalAlign, frontFontSize, backFontSize, difficulty, tags } = req.body;
+  
+  const tagsError = validateTags(tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+  
+  try {
+    const noteType = await getNoteType(pool, noteTypeId, req.user.id);
+    if (!noteType) {
+      return res.status(404).json({ error: 'Note type not found' });
+    }
+    if (getCardOrds(noteType, pickNoteFields(noteType, fields)).length === 0) {
+      return res.status(400).json({ error: noCardsError(noteType) });
+    }
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const created = await createNote(client, deckId, noteType, fields, {
+        difficulty,
+        formatting: {
+          front: { align: frontAlign, verticalAlign: frontVerticalAlign, fontSize: frontFontSize },
+          back: { align: backAlign, verticalAlign: backVerticalAlign, fontSize: backFontSize }
+        },
+        tags: normalizeTags(tags)
+      });
+      await client.query(
+        'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+        [deckId]
+      );
+      await client.query('COMMIT');
+      
+      res.json(created);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error adding note:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a note with its note type and cards
+app.get('/api/notes/:noteId', requireNoteAccess('read'), async (req, res) => {
+  try {
+    const { note, noteType } = await getNote(pool, req.params.noteId);
+    const cards = await getNoteCards(pool, note.id);
+    res.json({ note, note_type: noteType, cards });
+  } catch (err) {
+    console.error('Error fetching note:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a note's fields: re-renders its cards and adds cards for templates that now have something to show
+// Fields not sent keep their value. Tags, when sent, replace the tags of all of the note's cards
+app.put('/api/notes/:noteId', requireNoteAccess('write'), async (req, res) => {
+  const { fields, tags } = req.body;
+  
+  if (fields !== undefined && (fields === null || typeof fields !== 'object' || Array.isArray(fields))) {
+    return res.status(400).json({ error: 'fields must be an object of field values by name' });
+  }
+  const tagsError = validateTags(tags);
+  if (tagsError) {
+    return res.status(400).json({ error: tagsError });
+  }
+  
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { note, noteType } = await getNote(client, req.params.noteId);
+      if (fields !== undefined && getCardOrds(noteType, pickNoteFields(noteType, { ...note.fields, ...fields })).length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: noCardsError(noteType) });
+      }
+      if (tags !== undefined) {
+        await setNoteTags(client, note.id, normalizeTags(tags));
+      }
+      // Only tags sent: the cards' content stays as it is
+      const updated = fields !== undefined
+        ? await updateNote(client, note, noteType, fields)
+        : { note, cards: await getNoteCards(client, note.id), added: 0 };
+      if (updated.added > 0) {
+        await client.query(
+          'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+          [note.deck_id]
+        );
+      }
+      await client.query('COMMIT');
+      
+      res.json(updated);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error updating note:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== Import Endpoints ====================
+
+// Imported files are sent as the raw request body; options go in the query string
+const rawUploadBody = (limit) => {
+  const parseBody = express.raw({ type: ['text/*', 'application/octet-stream', 'application/zip'], limit });
+  return (req, res, next) => {
+    parseBody(req, res, (err) => {
+      if (err) {
+        return res.status(err.status || 400).json({
+          error: err.type === 'entity.too.large' ? `Files can be at most ${limit / (1024 * 1024)} MB` : err.message
+        });
+      }
+      next();
+    });
+  };
+};
+const importBody = rawUploadBody(MAX_IMPORT_BYTES);
+const apkgBody = rawUploadBody(MAX_APKG_BYTES);
+const backupBody = rawUploadBody(MAX_BACKUP_BYTES);
+const documentBody = rawUploadBody(MAX_DOCUMENT_BYTES);
+
+// Preview a CSV/TSV import: detected encoding/delimiter/header, the column mapping,
+// the first rows and every row that can't be imported (with the reasons)
+app.post('/api/decks/:deckId/import/csv/preview', requireDeckAccess('write'), importBody, (req, res) => {
+  try {
+    const file = readImportFile(req.body, parseImportOptions(req.query));
+    if (file.error) {
+      return res.status(400).json({ error: file.error });
+    }
+    
+    const invalidRows = file.rows.filter(row => row.errors.length > 0);
+    res.json({
+      encoding: file.encoding,
+      delimiter: file.delimiter,
+      header: file.header,
+      headers: file.headers,
+      columns: file.columns,
+      mapping: file.mapping,
+      total: file.rows.length,
+      valid: file.rows.length - invalidRows.length,
+      rows: file.rows.slice(0, 20),
+      invalid_rows: invalidRows.map(row => ({ row: row.row, errors: row.errors }))
+    });
+  } catch (err) {
+    console.error('Error previewing import:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import a CSV/TSV file: all valid rows are added in one transaction, invalid rows are skipped
+app.post('/api/decks/:deckId/import/csv', requireDeckAccess('write'), importBody, async (req, res) => {
+  const deckId = req.params.deckId;
+  
+  try {
+    const file = readImportFile(req.body, parseImportOptions(req.query));
+    if (file.error) {
+      return res.status(400).json({ error: file.error });
+    }
+    const validRows = file.rows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) {
+      return res.status(400).json({ error: 'No rows can be imported' });
+    }
+    
+    // Looked up before the transaction: both fall back quietly if their migration wasn't run
+    const noteType = await getBuiltInNoteType(pool, BUILT_IN_NOTE_TYPES.BASIC);
+    const reverse = await isReverseDeck(pool, deckId);
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const imported = await importCards(client, deckId, validRows, { noteType, reverse });
+      await client.query('COMMIT');
+      
+      res.json({
+        imported,
+        skipped: file.rows.length - validRows.length,
+        skipped_rows: file.rows
+          .filter(row => row.errors.length > 0)
+          .map(row => ({ row: row.row, errors: row.errors }))
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error importing cards:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add several cards at once (e.g. the AI suggestions a user accepted): { cards: [{ front, back, hint, tags, difficulty }] }
+// Nothing is added if any card is invalid
+app.post('/api/decks/:deckId/cards/bulk', requireDeckAccess('write'), async (req, res) => {
   const deckId = req.params.deckId;
-  const userId = req.query.userId || req.headers['x-user-id'];
+  const { cards } = req.body;
+  
+  if (!Array.isArray(cards) || cards.length === 0) {
+    return res.status(400).json({ error: 'Cards must be a non-empty list' });
+  }
+  if (cards.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} cards can be added at once` });
+  }
+  const rows = cards.map(card => validateCardValues(card && typeof card === 'object' ? card : {}));
+  const invalid = rows.findIndex(row => row.errors.length > 0);
+  if (invalid !== -1) {
+    return res.status(400).json({ error: `Card ${invalid + 1}: ${rows[invalid].errors.join(', ')}` });
+  }
+  
+  try {
+    // Looked up before the transaction: both fall back quietly if their migration wasn't run
+    const noteType = await getBuiltInNoteType(pool, BUILT_IN_NOTE_TYPES.BASIC);
+    const reverse = await isReverseDeck(pool, deckId);
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const added = await importCards(client, deckId, rows, { noteType, reverse });
+      await client.query('COMMIT');
+      res.status(201).json({ added });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error adding cards:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import an Anki package (.apkg): every Anki deck with notes becomes a new deck,
+// with the Anki scheduling as the user's progress (?language=... for the new decks)
+app.post('/api/decks/import/apkg', apkgBody, async (req, res) => {
+  const userId = req.user.id;
+  
+  try {
+    const pkg = await readAnkiPackage(req.body);
+    if (pkg.error) {
+      return res.status(400).json({ error: pkg.error });
+    }
+    if (pkg.notes.length === 0) {
+      return res.status(400).json({ error: 'The package has no cards' });
+    }
+    
+    await ensureUserExists(userId, req.user.email);
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await importAnkiPackage(client, userId, pkg, { language: req.query.language || 'English' });
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error importing Anki package:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export a deck as an Anki package, with the user's progress as the scheduling
+app.get('/api/decks/:deckId/export/apkg', requireDeckAccess('read'), async (req, res) => {
+  try {
+    const pkg = await buildAnkiPackage(pool, req.params.deckId, req.user.id);
+    if (!pkg) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    
+    const fileName = pkg.name.replace(/[^\w\- ]+/g, '').trim() || 'deck';
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.apkg"`);
+    res.send(Buffer.from(pkg.data));
+  } catch (err) {
+    console.error('Error exporting Anki package:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Back up a deck: a versioned JSON document with the deck, its note types, notes and
+// cards, and the user's progress and review history on them
+app.get('/api/decks/:id/export', requireDeckAccess('read', 'id'), async (req, res) => {
+  try {
+    const backup = await exportDeckBackup(pool, req.params.id, req.user.id);
+    if (!backup) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    
+    const fileName = backup.deck.name.replace(/[^\w\- ]+/g, '').trim() || 'deck';
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.kardo.json"`);
+    res.json(backup);
+  } catch (err) {
+    console.error('Error exporting deck backup:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Restore a deck backup (the file as the raw request body). Restoring the same backup
+// again updates the deck and cards it restored before instead of copying them
+app.post('/api/decks/import', backupBody, async (req, res) => {
+  const userId = req.user.id;
   
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
+  try {
+    // Small backups may also be sent as application/json (already parsed)
+    let backup = req.body;
+    if (Buffer.isBuffer(req.body)) {
+      try {
+        backup = JSON.parse(req.body.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({ error: 'The file is not valid JSON' });
+      }
+    }
+    const validationError = validateBackup(backup);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    await ensureUserExists(userId, req.user.email);
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await restoreDeckBackup(client, userId, backup);
+      if (result.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: result.error });
+      }
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error restoring deck backup:', err);
+    res.status(500).json({ error: err.message });
   }
+});
+
+// ==================== SRS (Spaced Repetition System) Endpoints ====================
+
+// Get due cards for a user in a deck (cards that need to be reviewed)
+// ?tag=... limits practice to the cards with that tag
+app.get('/api/decks/:deckId/due-cards', requireDeckAccess('read'), async (req, res) => {
+  const deckId = req.params.deckId;
+  const userId = req.user.id;
+  const tag = getTagFilter(req.query.tag);
   
   try {
     // First, check if there are any cards in the deck at all (new table)
@@ -386,52 +949,89 @@ app.get('/api/decks/:deckId/due-cards', async (req, res) => {
       return res.json([]);
     }
     
+    // Daily limits: only serve what's left of today's new card / review allowance
+    const settings = await loadUserSettings(pool, userId);
+    const allowance = await getDailyAllowance(pool, userId, settings);
+    
             // Get cards in priority order: Due (red) → Learning (green) → New (blue)
             // Priority 0: Due cards (due_date <= now()) - REVIEW cards and learning cards that are DUE
             // Priority 1: Learning cards (interval < 1 day, has been reviewed, NOT due yet)
             // Priority 2: New cards (no user_progress OR never reviewed) - SEPARATE from due cards
+            // Each card is also put in a queue (new / learning / review); the new and review
+            // queues are cut off at the remaining daily allowance, learning cards never are
             const result = await pool.query(
-              `SELECT 
-                c.id,
-                c.deck_id,
-                c.front,
-                c.back,
-                c.difficulty,
-                c.hint,
-                COALESCE(up.interval::FLOAT, 0) as interval,
-                COALESCE(up.ease_factor, 2.5) as ease_factor,
-                COALESCE(up.repetitions, 0) as repetitions,
-                COALESCE(up.due_date, CURRENT_TIMESTAMP) as due_date,
-                up.last_review,
-                up.learning_step,
-                CASE 
-                  WHEN up.user_id IS NULL THEN true 
-                  WHEN up.repetitions = 0 AND up.last_review IS NULL THEN true
-                  ELSE false 
-                END as is_new,
-                CASE 
-                  WHEN up.user_id IS NULL THEN 0  -- New cards (priority 0 - FIRST)
-                  WHEN up.repetitions = 0 THEN 0  -- New cards (priority 0 - FIRST)
-                  WHEN up.due_date <= CURRENT_TIMESTAMP AND up.repetitions != 0 THEN 1  -- Due cards (priority 1)
-                  WHEN up.due_date > CURRENT_TIMESTAMP 
-                    AND EXTRACT(EPOCH FROM (up.due_date - CURRENT_TIMESTAMP)) / 86400.0 <= 60 
-                    AND up.repetitions != 0 THEN 2  -- Review cards (priority 2)
-                  ELSE 3  -- Other cards (mature or shouldn't appear)
-                END as priority
-              FROM cards c
-              LEFT JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
-              WHERE c.deck_id = $2
-                AND (
-                  up.user_id IS NULL  -- New cards (no progress)
-                  OR up.repetitions = 0  -- New cards (never reviewed)
-                  OR (up.due_date <= CURRENT_TIMESTAMP AND up.repetitions != 0)  -- Due cards
-                  OR (up.due_date > CURRENT_TIMESTAMP 
+              `WITH candidates AS (
+                SELECT 
+                  c.id,
+                  c.deck_id,
+                  c.front,
+                  c.back,
+                  c.difficulty,
+                  c.hint,
+                  c.reverse_of,
+                  c.note_id,
+                  c.template_ord,
+                  c.tags,
+                  n.fields as note_fields,
+                  nt.templates as note_templates,
+                  COALESCE(up.interval::FLOAT, 0) as interval,
+                  COALESCE(up.ease_factor, 2.5) as ease_factor,
+                  COALESCE(up.repetitions, 0) as repetitions,
+                  COALESCE(up.due_date, CURRENT_TIMESTAMP) as due_date,
+                  up.due_date as progress_due_date,
+                  up.last_review,
+                  up.learning_step,
+                  up.stability,
+                  up.difficulty as memory_difficulty,
+                  CASE 
+                    WHEN up.user_id IS NULL THEN true 
+                    WHEN up.repetitions = 0 AND up.last_review IS NULL THEN true
+                    ELSE false 
+                  END as is_new,
+                  CASE 
+                    WHEN up.user_id IS NULL OR up.last_review IS NULL THEN 'new'
+                    WHEN up.learning_step >= 0 OR up.interval < 1 THEN 'learning'
+                    ELSE 'review'
+                  END as queue,
+                  CASE 
+                    WHEN up.user_id IS NULL THEN 0  -- New cards (priority 0 - FIRST)
+                    WHEN up.repetitions = 0 THEN 0  -- New cards (priority 0 - FIRST)
+                    WHEN up.due_date <= CURRENT_TIMESTAMP AND up.repetitions != 0 THEN 1  -- Due cards (priority 1)
+                    WHEN up.due_date > CURRENT_TIMESTAMP 
                       AND EXTRACT(EPOCH FROM (up.due_date - CURRENT_TIMESTAMP)) / 86400.0 <= 60 
-                      AND up.repetitions != 0)  -- Review cards (due in <= 60 days)
-                )
-              ORDER BY priority ASC, up.due_date ASC NULLS FIRST, c.id ASC
+                      AND up.repetitions != 0 THEN 2  -- Review cards (priority 2)
+                    ELSE 3  -- Other cards (mature or shouldn't appear)
+                  END as priority
+                FROM cards c
+                LEFT JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
+                LEFT JOIN notes n ON n.id = c.note_id
+                LEFT JOIN note_types nt ON nt.id = n.note_type_id
+                WHERE c.deck_id = $2
+                  AND ($5::text IS NULL OR $5 = ANY(c.tags))  -- Only the chosen tag, if any
+                  AND COALESCE(up.suspended, false) = false  -- Suspended cards (e.g. leeches) are never shown
+                  AND (up.buried_until IS NULL OR up.buried_until <= CURRENT_TIMESTAMP)  -- Buried until the next study day
+                  AND (
+                    up.user_id IS NULL  -- New cards (no progress)
+                    OR up.repetitions = 0  -- New cards (never reviewed)
+                    OR (up.due_date <= CURRENT_TIMESTAMP AND up.repetitions != 0)  -- Due cards
+                    OR (up.due_date > CURRENT_TIMESTAMP 
+                        AND EXTRACT(EPOCH FROM (up.due_date - CURRENT_TIMESTAMP)) / 86400.0 <= 60 
+                        AND up.repetitions != 0)  -- Review cards (due in <= 60 days)
+                  )
+              ),
+              ranked AS (
+                SELECT *, ROW_NUMBER() OVER (
+                  PARTITION BY queue
+                  ORDER BY priority ASC, progress_due_date ASC NULLS FIRST, id ASC
+                ) as queue_position
+                FROM candidates
+              )
+              SELECT * FROM ranked
+              WHERE (queue != 'new' OR queue_position <= $3)
+                AND (queue != 'review' OR queue_position <= $4)
+              ORDER BY priority ASC, progress_due_date ASC NULLS FIRST, id ASC
               LIMIT 50`,
-              [userId, deckId]
+              [userId, deckId, allowance.newRemaining, allowance.reviewsRemaining, tag]
             );
     
     const newCardsCount = result.rows.filter(r => r.is_new).length;
@@ -439,6 +1039,7 @@ app.get('/api/decks/:deckId/due-cards', async (req, res) => {
     console.log(`  - Total cards in deck: ${totalCards}`);
     console.log(`  - New cards (no progress): ${newCardsCount}`);
     console.log(`  - Cards with progress: ${result.rows.length - newCardsCount}`);
+    console.log(`  - Daily allowance left: ${allowance.newRemaining} new, ${allowance.reviewsRemaining} reviews`);
     
             const cards = result.rows.map(row => ({
               id: row.id,
@@ -447,13 +1048,22 @@ app.get('/api/decks/:deckId/due-cards', async (req, res) => {
               back: typeof row.back === 'string' ? JSON.parse(row.back) : row.back,
               difficulty: row.difficulty,
               hint: row.hint,
+              reverse_of: row.reverse_of,
+              note_id: row.note_id,
+              tags: row.tags || [],
+              // Note fields and templates, so the client renders the card from its note
+              note: row.note_fields && row.note_templates
+                ? { fields: row.note_fields, templates: row.note_templates, ord: row.template_ord || 0 }
+                : null,
               progress: {
                 interval: parseFloat(row.interval) || 0,
                 ease_factor: parseFloat(row.ease_factor),
                 repetitions: row.repetitions,
                 due_date: row.due_date,
                 last_review: row.last_review,
-                learning_step: row.learning_step !== null && row.learning_step !== undefined ? row.learning_step : undefined
+                learning_step: row.learning_step !== null && row.learning_step !== undefined ? row.learning_step : undefined,
+                stability: row.stability,
+                difficulty: row.memory_difficulty
               }
             }));
     
@@ -465,98 +1075,388 @@ app.get('/api/decks/:deckId/due-cards', async (req, res) => {
 });
 
 // Review a card (update progress based on SRS algorithm)
-app.post('/api/cards/:cardId/review', async (req, res) => {
+// The progress upsert and the review_log entry are written in one transaction
+app.post('/api/cards/:cardId/review', requireCardAccess('read'), async (req, res) => {
   const cardId = req.params.cardId;
-  const { userId, grade } = req.body; // grade: "again", "hard", "good", "easy"
+  const userId = req.user.id;
+  const { grade, timeTakenMs, hintUsed } = req.body; // grade: "again", "hard", "good", "easy"
   
-  if (!userId || !grade) {
-    return res.status(400).json({ error: 'User ID and grade are required' });
+  if (!grade) {
+    return res.status(400).json({ error: 'Grade is required' });
   }
   
   if (!['again', 'hard', 'good', 'easy'].includes(grade)) {
     return res.status(400).json({ error: 'Grade must be "again", "hard", "good", or "easy"' });
   }
   
+  // Time spent on the card (capped so an abandoned tab doesn't skew stats)
+  const timeTaken = typeof timeTakenMs === 'number' && Number.isFinite(timeTakenMs)
+    ? Math.min(Math.max(0, Math.round(timeTakenMs)), MAX_REVIEW_TIME_MS)
+    : null;
+  
+  // Get user settings (or use defaults) - outside the transaction so a missing
+  // user_settings table doesn't abort it
+  const userSettings = await loadUserSettings(pool, userId);
+  
+  // Reviews already scheduled per day, when the user has load balancing on
+  let dueCounts = null;
+  if (userSettings.load_balance) {
+    try {
+      dueCounts = await getDueForecast(pool, userId, userSettings);
+    } catch (forecastError) {
+      console.warn('Error loading due forecast, skipping load balancing:', forecastError.message);
+    }
+  }
+  
   try {
-    // Get current progress or create new (cast user_id to text for comparison)
-    const progressResult = await pool.query(
-      'SELECT * FROM user_progress WHERE user_id::text = $1::text AND card_id = $2',
-      [userId, cardId]
-    );
-    
-    let currentProgress = null;
-    if (progressResult.rows.length > 0) {
-      const row = progressResult.rows[0];
-      currentProgress = {
-        interval: parseFloat(row.interval) || 0,
-        ease_factor: parseFloat(row.ease_factor),
-        repetitions: row.repetitions,
-        due_date: row.due_date,
-        last_review: row.last_review,
-        learning_step: row.learning_step !== null ? row.learning_step : undefined
-      };
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Get current progress or create new (cast user_id to text for comparison)
+      // Lock the row so concurrent reviews of the same card are serialized
+      // The row is also snapshotted as JSON for undo (timestamps round-trip unchanged)
+      const progressResult = await client.query(
+        'SELECT *, to_jsonb(user_progress) as snapshot FROM user_progress WHERE user_id::text = $1::text AND card_id = $2 FOR UPDATE',
+        [userId, cardId]
+      );
+      
+      let currentProgress = null;
+      if (progressResult.rows.length > 0) {
+        const row = progressResult.rows[0];
+        currentProgress = {
+          interval: parseFloat(row.interval) || 0,
+          ease_factor: parseFloat(row.ease_factor),
+          repetitions: row.repetitions,
+          due_date: row.due_date,
+          last_review: row.last_review,
+          learning_step: row.learning_step !== null ? row.learning_step : undefined,
+          stability: row.stability,
+          difficulty: row.difficulty,
+          lapses: row.lapses,
+          is_leech: row.is_leech,
+          suspended: row.suspended
+        };
+      }
+      
+      // Snapshot the state before the review (reviewCard updates the object in place)
+      const reviewType = getReviewType(currentProgress);
+      const previousProgress = currentProgress ? { ...currentProgress } : null;
+      const progressSnapshot = progressResult.rows.length > 0 ? progressResult.rows[0].snapshot : null;
+      
+      // Apply SRS algorithm with user settings (fuzz is seeded per card and review,
+      // so the interval matches the preview the client showed on the grade button)
+      const updatedProgress = reviewCard(currentProgress, grade, userSettings, new Date(), {
+        seed: getFuzzSeed(cardId, currentProgress),
+        dueCounts
+      });
+      
+      // Count lapses and mark (or suspend) the card once it becomes a leech
+      const leech = applyLeechRules(previousProgress, reviewType, grade, userSettings);
+      updatedProgress.lapses = leech.lapses;
+      updatedProgress.is_leech = leech.is_leech;
+      updatedProgress.suspended = leech.suspended;
+      
+      // Insert or update progress (including learning_step, FSRS memory state and leech state)
+      await client.query(
+        `INSERT INTO user_progress (user_id, card_id, interval, ease_factor, repetitions, due_date, last_review, learning_step, stability, difficulty, lapses, is_leech, suspended)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (user_id, card_id)
+         DO UPDATE SET
+           interval = EXCLUDED.interval,
+           ease_factor = EXCLUDED.ease_factor,
+           repetitions = EXCLUDED.repetitions,
+           due_date = EXCLUDED.due_date,
+           last_review = EXCLUDED.last_review,
+           learning_step = EXCLUDED.learning_step,
+           stability = EXCLUDED.stability,
+           difficulty = EXCLUDED.difficulty,
+           lapses = EXCLUDED.lapses,
+           is_leech = EXCLUDED.is_leech,
+           suspended = EXCLUDED.suspended,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          userId,
+          cardId,
+          parseFloat(updatedProgress.interval),
+          updatedProgress.ease_factor,
+          updatedProgress.repetitions,
+          updatedProgress.due_date,
+          updatedProgress.last_review,
+          updatedProgress.learning_step !== undefined ? updatedProgress.learning_step : null,
+          updatedProgress.stability !== undefined ? updatedProgress.stability : null,
+          updatedProgress.difficulty !== undefined ? updatedProgress.difficulty : null,
+          updatedProgress.lapses,
+          updatedProgress.is_leech,
+          updatedProgress.suspended
+        ]
+      );
+      
+      // Don't show the other direction of this card again today (undo unburies them)
+      const siblings = await burySiblings(client, userId, cardId, userSettings);
+      
+      // Append to the review log
+      await client.query(
+        `INSERT INTO review_log (
+          user_id, card_id, grade, review_type, time_taken_ms,
+          previous_interval, next_interval, previous_ease_factor, ease_factor,
+          previous_learning_step, learning_step, due_date, reviewed_at, previous_progress, hint_used, buried_siblings,
+          created_siblings
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+        [
+          userId,
+          cardId,
+          grade,
+          reviewType,
+          timeTaken,
+          previousProgress ? previousProgress.interval : null,
+          parseFloat(updatedProgress.interval),
+          previousProgress ? previousProgress.ease_factor : null,
+          updatedProgress.ease_factor,
+          previousProgress && previousProgress.learning_step !== undefined ? previousProgress.learning_step : null,
+          updatedProgress.learning_step !== undefined ? updatedProgress.learning_step : null,
+          updatedProgress.due_date,
+          updatedProgress.last_review,
+          JSON.stringify(progressSnapshot), // "null" when the card had no progress row
+          hintUsed === true, // The hint was revealed before answering
+          siblings.buried,
+          siblings.created
+        ]
+      );
+      
+      await client.query('COMMIT');
+      
+      if (leech.leeched) {
+        console.log(`Card ${cardId} became a leech for user ${userId} after ${leech.lapses} lapses`);
+      }
+      
+      res.json({
+        message: 'Card reviewed successfully',
+        progress: updatedProgress,
+        leech: leech.leeched
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
-    
-    // Get user settings (or use defaults)
-    let userSettings = null;
+  } catch (err) {
+    console.error('Error reviewing card:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Undo the current user's latest review of a card
+// Puts user_progress back the way it was before the review, unburies the siblings it buried
+// and removes the log entry, so daily limits, streaks and lapses no longer count it
+app.post('/api/cards/:cardId/undo-review', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const client = await pool.connect();
     try {
-      const settingsResult = await pool.query(
-        'SELECT * FROM user_settings WHERE user_id::text = $1::text',
-        [userId]
+      await client.query('BEGIN');
+      
+      // Lock the progress row first (same order as reviews) so an undo can't interleave with one
+      await client.query(
+        'SELECT card_id FROM user_progress WHERE user_id::text = $1::text AND card_id = $2 FOR UPDATE',
+        [userId, cardId]
       );
-      if (settingsResult.rows.length > 0) {
-        userSettings = settingsResult.rows[0];
+      
+      // SQL NULL = logged before snapshots were stored; JSON null = the card had no progress row
+      const logResult = await client.query(
+        `SELECT id, previous_progress, buried_siblings, created_siblings,
+                previous_progress IS NULL as missing_snapshot,
+                jsonb_typeof(previous_progress) = 'null' as had_no_progress
+         FROM review_log
+         WHERE user_id::text = $1::text AND card_id = $2
+         ORDER BY reviewed_at DESC, id DESC
+         LIMIT 1`,
+        [userId, cardId]
+      );
+      
+      if (logResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'No review to undo' });
       }
-    } catch (settingsError) {
-      console.warn('Error fetching user settings, using defaults:', settingsError);
+      
+      const review = logResult.rows[0];
+      if (review.missing_snapshot) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'This review cannot be undone' });
+      }
+      
+      await client.query(
+        'DELETE FROM user_progress WHERE user_id::text = $1::text AND card_id = $2',
+        [userId, cardId]
+      );
+      
+      // Restore the snapshot as it was (a card without progress before the review stays without it)
+      let progress = null;
+      if (!review.had_no_progress) {
+        const restored = await client.query(
+          `INSERT INTO user_progress
+           SELECT * FROM jsonb_populate_record(NULL::user_progress, $1::jsonb)
+           RETURNING *`,
+          [JSON.stringify(review.previous_progress)]
+        );
+        progress = restored.rows[0];
+      }
+      
+      // Siblings the review gave progress to are new again; the others are only unburied
+      const created = await deleteUnstudiedProgress(client, userId, review.created_siblings || []);
+      await unburyCards(client, userId, (review.buried_siblings || []).filter(siblingId => !created.includes(siblingId)));
+      
+      await client.query('DELETE FROM review_log WHERE id = $1', [review.id]);
+      
+      await client.query('COMMIT');
+      
+      res.json({ message: 'Review undone', progress });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
-    
-    // Apply SRS algorithm with user settings
-    const updatedProgress = reviewCard(currentProgress, grade, userSettings);
-    
-    // Insert or update progress (including learning_step)
-    await pool.query(
-      `INSERT INTO user_progress (user_id, card_id, interval, ease_factor, repetitions, due_date, last_review, learning_step)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       ON CONFLICT (user_id, card_id)
-       DO UPDATE SET
-         interval = EXCLUDED.interval,
-         ease_factor = EXCLUDED.ease_factor,
-         repetitions = EXCLUDED.repetitions,
-         due_date = EXCLUDED.due_date,
-         last_review = EXCLUDED.last_review,
-         learning_step = EXCLUDED.learning_step,
-         updated_at = CURRENT_TIMESTAMP`,
-      [
-        userId,
-        cardId,
-        parseFloat(updatedProgress.interval),
-        updatedProgress.ease_factor,
-        updatedProgress.repetitions,
-        updatedProgress.due_date,
-        updatedProgress.last_review,
-        updatedProgress.learning_step !== undefined ? updatedProgress.learning_step : null
-      ]
+  } catch (err) {
+    console.error('Error undoing review:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the review history of a card for the current user (most recent first)
+app.get('/api/cards/:cardId/reviews', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const result = await pool.query(
+      `SELECT id, grade, review_type, time_taken_ms, previous_interval, next_interval,
+              previous_ease_factor, ease_factor, previous_learning_step, learning_step,
+              due_date, reviewed_at, hint_used
+       FROM review_log
+       WHERE user_id::text = $1::text AND card_id = $2
+       ORDER BY reviewed_at DESC, id DESC`,
+      [userId, cardId]
     );
     
-    res.json({
-      message: 'Card reviewed successfully',
-      progress: updatedProgress
-    });
+    res.json(result.rows.map(row => ({
+      ...row,
+      previous_interval: row.previous_interval !== null ? parseFloat(row.previous_interval) : null,
+      next_interval: parseFloat(row.next_interval)
+    })));
   } catch (err) {
-    console.error('Error reviewing card:', err);
+    console.error('Error fetching review history:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Initialize progress for all cards in a deck (when user starts practicing)
-app.post('/api/decks/:deckId/init-progress', async (req, res) => {
+// Get the cards of a deck that became leeches for the current user
+app.get('/api/decks/:deckId/leeches', requireDeckAccess('read'), async (req, res) => {
   const deckId = req.params.deckId;
-  const userId = req.body.userId || req.headers['x-user-id'];
+  const userId = req.user.id;
+  
+  try {
+    res.json(await getDeckLeeches(pool, deckId, userId));
+  } catch (err) {
+    console.error('Error fetching leeches:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Clear a card's leech mark (after the user rewrote it) and put it back in the queue
+// The lapse count is kept, so the card is flagged again if it keeps failing
+app.delete('/api/cards/:cardId/leech', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const result = await pool.query(
+      `UPDATE user_progress
+       SET is_leech = false, suspended = false, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id::text = $1::text AND card_id = $2
+       RETURNING card_id`,
+      [userId, cardId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No progress found for this card' });
+    }
+    
+    res.json({ message: 'Leech cleared' });
+  } catch (err) {
+    console.error('Error clearing leech:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Suspend a card for the current user (left out of practice until unsuspended)
+app.post('/api/cards/:cardId/suspend', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const settings = await loadUserSettings(pool, userId);
+    const progress = await setCardSuspended(pool, userId, cardId, true, settings);
+    res.json({ message: 'Card suspended', progress });
+  } catch (err) {
+    console.error('Error suspending card:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unsuspend a card for the current user
+app.post('/api/cards/:cardId/unsuspend', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const settings = await loadUserSettings(pool, userId);
+    const progress = await setCardSuspended(pool, userId, cardId, false, settings);
+    res.json({ message: 'Card unsuspended', progress });
+  } catch (err) {
+    console.error('Error unsuspending card:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Bury a card for the current user until the next study day
+app.post('/api/cards/:cardId/bury', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
   
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
+  try {
+    const settings = await loadUserSettings(pool, userId);
+    const progress = await buryCard(pool, userId, cardId, settings);
+    res.json({ message: 'Card buried', progress });
+  } catch (err) {
+    console.error('Error burying card:', err);
+    res.status(500).json({ error: err.message });
   }
+});
+
+// Reset a card to new for the current user (the review history is kept)
+app.post('/api/cards/:cardId/forget', requireCardAccess('read'), async (req, res) => {
+  const cardId = req.params.cardId;
+  const userId = req.user.id;
+  
+  try {
+    const settings = await loadUserSettings(pool, userId);
+    const progress = await forgetCard(pool, userId, cardId, settings);
+    res.json({ message: 'Card reset to new', progress });
+  } catch (err) {
+    console.error('Error resetting card:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Initialize progress for all cards in a deck (when user starts practicing)
+app.post('/api/decks/:deckId/init-progress', requireDeckAccess('read'), async (req, res) => {
+  const deckId = req.params.deckId;
+  const userId = req.user.id;
   
   try {
     // Get all cards in deck that don't have progress yet
@@ -630,13 +1530,9 @@ app.post('/api/decks/:deckId/init-progress', async (req, res) => {
 });
 
 // Get deck statistics (new, learning, due counts)
-app.get('/api/decks/:deckId/statistics', async (req, res) => {
+app.get('/api/decks/:deckId/statistics', requireDeckAccess('read'), async (req, res) => {
   const deckId = req.params.deckId;
-  const userId = req.query.userId || req.headers['x-user-id'];
-  
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
-  }
+  const userId = req.user.id;
   
   try {
     // Count total cards in deck
@@ -653,32 +1549,46 @@ app.get('/api/decks/:deckId/statistics', async (req, res) => {
         due: 0,
         review: 0,
         mature: 0,
-        total: 0
+        total: 0,
+        new_total: 0,
+        due_total: 0,
+        suspended: 0,
+        buried: 0,
+        leeches: 0
       });
     }
     
-    // NEW = repetitions = 0
+    // NEW = repetitions = 0 (unseen = never reviewed, these count against new_cards_per_day)
     const newCardsResult = await pool.query(
-      `SELECT COUNT(*) as count
+      `SELECT COUNT(*) as count,
+              COUNT(*) FILTER (WHERE up.user_id IS NULL OR up.last_review IS NULL) as unseen
        FROM cards c
        LEFT JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
        WHERE c.deck_id = $2 
-         AND (up.user_id IS NULL OR up.repetitions = 0)`,
+         AND (up.user_id IS NULL OR up.repetitions = 0)
+         AND COALESCE(up.suspended, false) = false
+         AND (up.buried_until IS NULL OR up.buried_until <= CURRENT_TIMESTAMP)`,
       [userId, deckId]
     );
     const newCards = parseInt(newCardsResult.rows[0]?.count || 0);
+    const unseenNewCards = parseInt(newCardsResult.rows[0]?.unseen || 0);
     
     // DUE = due_date <= now() AND repetitions != 0
+    // (graduated cards among them count against max_reviews_per_day)
     const dueCardsResult = await pool.query(
-      `SELECT COUNT(*) as count
+      `SELECT COUNT(*) as count,
+              COUNT(*) FILTER (WHERE COALESCE(up.learning_step, -1) < 0 AND up.interval >= 1) as reviews
        FROM cards c
        INNER JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
        WHERE c.deck_id = $2
          AND up.due_date <= CURRENT_TIMESTAMP
-         AND up.repetitions != 0`,
+         AND up.repetitions != 0
+         AND COALESCE(up.suspended, false) = false
+         AND (up.buried_until IS NULL OR up.buried_until <= CURRENT_TIMESTAMP)`,
       [userId, deckId]
     );
     const dueCards = parseInt(dueCardsResult.rows[0]?.count || 0);
+    const dueReviewCards = parseInt(dueCardsResult.rows[0]?.reviews || 0);
     
     // Review = due_date > now() AND (due_date - now()) <= 60 days AND repetitions != 0
     // Cards that are due in the next 60 days (but not due yet)
@@ -689,7 +1599,9 @@ app.get('/api/decks/:deckId/statistics', async (req, res) => {
        WHERE c.deck_id = $2
          AND up.due_date > CURRENT_TIMESTAMP
          AND EXTRACT(EPOCH FROM (up.due_date - CURRENT_TIMESTAMP)) / 86400.0 <= 60
-         AND up.repetitions != 0`,
+         AND up.repetitions != 0
+         AND COALESCE(up.suspended, false) = false
+         AND (up.buried_until IS NULL OR up.buried_until <= CURRENT_TIMESTAMP)`,
       [userId, deckId]
     );
     const reviewCards = parseInt(reviewCardsResult.rows[0]?.count || 0);
@@ -703,13 +1615,29 @@ app.get('/api/decks/:deckId/statistics', async (req, res) => {
        WHERE c.deck_id = $2
          AND up.due_date > CURRENT_TIMESTAMP
          AND EXTRACT(EPOCH FROM (up.due_date - CURRENT_TIMESTAMP)) / 86400.0 >= 60
-         AND up.repetitions != 0`,
+         AND up.repetitions != 0
+         AND COALESCE(up.suspended, false) = false
+         AND (up.buried_until IS NULL OR up.buried_until <= CURRENT_TIMESTAMP)`,
       [userId, deckId]
     );
     const matureCards = parseInt(matureCardsResult.rows[0]?.count || 0);
     
-    // Verify: new + due + review + mature should equal total
-    const accountedFor = newCards + dueCards + reviewCards + matureCards;
+    // Suspended and buried cards are left out of every count above; leeches may or may not be suspended
+    const leechCardsResult = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE up.suspended = true) as suspended,
+              COUNT(*) FILTER (WHERE COALESCE(up.suspended, false) = false AND up.buried_until > CURRENT_TIMESTAMP) as buried,
+              COUNT(*) FILTER (WHERE up.is_leech = true) as leeches
+       FROM cards c
+       INNER JOIN user_progress up ON c.id = up.card_id AND up.user_id::text = $1::text
+       WHERE c.deck_id = $2`,
+      [userId, deckId]
+    );
+    const suspendedCards = parseInt(leechCardsResult.rows[0]?.suspended || 0);
+    const buriedCards = parseInt(leechCardsResult.rows[0]?.buried || 0);
+    const leechCards = parseInt(leechCardsResult.rows[0]?.leeches || 0);
+    
+    // Verify: new + due + review + mature + suspended + buried should equal total
+    const accountedFor = newCards + dueCards + reviewCards + matureCards + suspendedCards + buriedCards;
     const unaccounted = totalCards - accountedFor;
     
     console.log(`Deck ${deckId} statistics for user ${userId}:`);
@@ -717,19 +1645,38 @@ app.get('/api/decks/:deckId/statistics', async (req, res) => {
     console.log(`  - Due (due_date <= now): ${dueCards}`);
     console.log(`  - Review/Learning (due in <= 60 days): ${reviewCards}`);
     console.log(`  - Mature (due in >= 60 days): ${matureCards}`);
+    console.log(`  - Suspended: ${suspendedCards} (leeches: ${leechCards}), buried: ${buriedCards}`);
     console.log(`  - Total: ${totalCards}`);
     console.log(`  - Accounted for: ${accountedFor}`);
     if (unaccounted > 0) {
       console.warn(`  - Unaccounted cards: ${unaccounted} (may be cards with invalid progress data)`);
     }
     
+    // Apply today's remaining allowance (the same limits as the due-cards queue)
+    const settings = await loadUserSettings(pool, userId);
+    const allowance = await getDailyAllowance(pool, userId, settings);
+    const availableNew = (newCards - unseenNewCards) + Math.min(unseenNewCards, allowance.newRemaining);
+    const availableDue = (dueCards - dueReviewCards) + Math.min(dueReviewCards, allowance.reviewsRemaining);
+    console.log(`  - Available today: ${availableNew} new, ${availableDue} due`);
+    
     res.json({
-      new: newCards,
+      new: availableNew,
       learning: reviewCards, // Keep "learning" for backward compatibility
-      due: dueCards,
+      due: availableDue,
       review: reviewCards,
       mature: matureCards,
-      total: totalCards
+      total: totalCards,
+      new_total: newCards, // Before daily limits
+      due_total: dueCards,
+      suspended: suspendedCards,
+      buried: buriedCards,
+      leeches: leechCards,
+      daily_limits: {
+        new_cards_today: allowance.newCardsToday,
+        reviews_today: allowance.reviewsToday,
+        new_remaining: allowance.newRemaining,
+        reviews_remaining: allowance.reviewsRemaining
+      }
     });
   } catch (err) {
     console.error('Error fetching deck statistics:', err);
@@ -738,8 +1685,8 @@ app.get('/api/decks/:deckId/statistics', async (req, res) => {
 });
 
 // Get user settings
-app.get('/api/users/:userId/settings', async (req, res) => {
-  const userId = req.params.userId;
+app.get('/api/users/:userId/settings', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   
   try {
     const result = await pool.query(
@@ -748,7 +1695,8 @@ app.get('/api/users/:userId/settings', async (req, res) => {
     );
     
     if (result.rows.length > 0) {
-      res.json(result.rows[0]);
+      // Fill in defaults for settings added after the row was saved
+      res.json(resolveSettings(result.rows[0]));
     } else {
       // Return default settings if none exist
       res.json(getDefaultSettings());
@@ -765,8 +1713,8 @@ app.get('/api/users/:userId/settings', async (req, res) => {
 });
 
 // Update user settings
-app.put('/api/users/:userId/settings', async (req, res) => {
-  const userId = req.params.userId;
+app.put('/api/users/:userId/settings', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   const settings = req.body;
   
   try {
@@ -778,9 +1726,11 @@ app.put('/api/users/:userId/settings', async (req, res) => {
     await pool.query(
       `INSERT INTO user_settings (
         user_id, max_interval, starting_ease_factor, easy_bonus, 
-        interval_modifier, hard_interval_factor, new_cards_per_day, learning_steps
+        interval_modifier, hard_interval_factor, new_cards_per_day, learning_steps,
+        scheduler, desired_retention, max_reviews_per_day, timezone, day_starts_at,
+        fuzz_percent, load_balance, leech_threshold, leech_action
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       ON CONFLICT (user_id)
       DO UPDATE SET
         max_interval = EXCLUDED.max_interval,
@@ -790,6 +1740,15 @@ app.put('/api/users/:userId/settings', async (req, res) => {
         hard_interval_factor = EXCLUDED.hard_interval_factor,
         new_cards_per_day = EXCLUDED.new_cards_per_day,
         learning_steps = EXCLUDED.learning_steps,
+        scheduler = EXCLUDED.scheduler,
+        desired_retention = EXCLUDED.desired_retention,
+        max_reviews_per_day = EXCLUDED.max_reviews_per_day,
+        timezone = EXCLUDED.timezone,
+        day_starts_at = EXCLUDED.day_starts_at,
+        fuzz_percent = EXCLUDED.fuzz_percent,
+        load_balance = EXCLUDED.load_balance,
+        leech_threshold = EXCLUDED.leech_threshold,
+        leech_action = EXCLUDED.leech_action,
         updated_at = CURRENT_TIMESTAMP`,
       [
         validatedSettings.user_id,
@@ -799,7 +1758,16 @@ app.put('/api/users/:userId/settings', async (req, res) => {
         validatedSettings.interval_modifier,
         validatedSettings.hard_interval_factor,
         validatedSettings.new_cards_per_day,
-        validatedSettings.learning_steps
+        validatedSettings.learning_steps,
+        validatedSettings.scheduler,
+        validatedSettings.desired_retention,
+        validatedSettings.max_reviews_per_day,
+        validatedSettings.timezone,
+        validatedSettings.day_starts_at,
+        validatedSettings.fuzz_percent,
+        validatedSettings.load_balance,
+        validatedSettings.leech_threshold,
+        validatedSettings.leech_action
       ]
     );
     
@@ -810,7 +1778,7 @@ app.put('/api/users/:userId/settings', async (req, res) => {
     if (err.message && err.message.includes('does not exist')) {
       res.status(500).json({ 
         error: 'Database migration required',
-        message: 'Please run: database/run_migration_learning_steps.sql'
+        message: 'Please run the migrations in database/ (see database/README_MIGRATION.md)'
       });
     } else {
       res.status(500).json({ error: err.message });
@@ -819,8 +1787,8 @@ app.put('/api/users/:userId/settings', async (req, res) => {
 });
 
 // Get study progress for a user (legacy endpoint - kept for compatibility)
-app.get('/api/progress/:userId', async (req, res) => {
-  const userId = req.params.userId;
+app.get('/api/progress/:userId', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   
   try {
     const result = await pool.query(
@@ -834,23 +1802,35 @@ app.get('/api/progress/:userId', async (req, res) => {
 });
 
 // Get user stats
-app.get('/api/stats/:userId', async (req, res) => {
-  const userId = req.params.userId;
+app.get('/api/stats/:userId', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   
   try {
-    const result = await pool.query(
-      'SELECT cards_studied_today, streak FROM users WHERE user_id = $1',
-      [userId]
-    );
-    res.json(result.rows[0] || { user_id: userId, cards_studied_today: 0, streak: 0 });
+    // Computed from the review log using the user's day boundary
+    const settings = await loadUserSettings(pool, userId);
+    const stats = await getStudyStats(pool, userId, settings);
+    res.json({ user_id: userId, ...stats });
   } catch (err) {
+    // review_log missing (migration not run yet): fall back to the stored counters
+    if (err.message && err.message.includes('does not exist')) {
+      try {
+        const result = await pool.query(
+          'SELECT cards_studied_today, streak FROM users WHERE user_id = $1',
+          [userId]
+        );
+        return res.json(result.rows[0] || { user_id: userId, cards_studied_today: 0, streak: 0 });
+      } catch (fallbackErr) {
+        return res.status(500).json({ error: fallbackErr.message });
+      }
+    }
+    console.error('Error fetching user stats:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Update user stats
-app.put('/api/stats/:userId', async (req, res) => {
-  const userId = req.params.userId;
+app.put('/api/stats/:userId', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
   const { cardsStudiedToday, streak } = req.body;
   
   try {
@@ -864,84 +1844,184 @@ app.put('/api/stats/:userId', async (req, res) => {
   }
 });
 
+// Get the number of review cards due on each upcoming study day
+app.get('/api/users/:userId/due-forecast', requireSameUser('userId'), async (req, res) => {
+  const userId = req.user.id;
+  
+  try {
+    const settings = await loadUserSettings(pool, userId);
+    res.json(await getDueForecast(pool, userId, settings));
+  } catch (err) {
+    console.error('Error fetching due forecast:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get public decks (for community browsing)
+// ?search= full-text searches names, descriptions and card contents (ranked, with snippets)
+// ?sort=popular (default), rating, trending, or relevance (the default with a search);
+// each deck has its average rating, rating count and the caller's own rating (user_rating)
+// Paged with ?limit= and ?cursor= (the next_cursor of the previous page): { decks, total, next_cursor }
 app.get('/api/public-decks', async (req, res) => {
-  const { language, search, limit = 20, offset = 0 } = req.query;
+  const options = parsePublicDecksQuery(req.query);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
   
   try {
-    let query = `
-      SELECT d.*, u.email as creator_email
-      FROM decks d
-      JOIN users u ON d.user_id = u.user_id
-      WHERE d.is_public = true
-    `;
-    const params = [];
-    let paramCount = 0;
-    
-    if (language && language !== 'all') {
-      paramCount++;
-      query += ` AND d.language = $${paramCount}`;
-      params.push(language);
-    }
-    
-    if (search) {
-      paramCount++;
-      query += ` AND (d.name ILIKE $${paramCount} OR d.description ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
-    
-    query += ` ORDER BY d.download_count DESC, d.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(parseInt(limit), parseInt(offset));
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await listPublicDecks(pool, req.user.id, options));
   } catch (err) {
+    console.error('Error fetching public decks:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Download a public deck (increment download count)
-app.post('/api/decks/:deckId/download', async (req, res) => {
+// Copy a deck into the caller's account: a public deck (downloading it) or one of their own
+// The copy is private, has every card with its formatting, hint and tags, and starts with no progress
+// Body (optional): { subscribe, keepLocalEdits } to follow the source's changes
+app.post('/api/decks/:deckId/clone', requireDeckAccess('read'), async (req, res) => {
   const deckId = req.params.deckId;
+  const userId = req.user.id;
+  const { subscribe = false, keepLocalEdits = false } = req.body || {};
+  
+  const subscriptionError = validateSubscription({ subscribed: subscribe, keepLocalEdits });
+  if (subscriptionError) {
+    return res.status(400).json({ error: subscriptionError });
+  }
   
   try {
-    // Check if deck is public
-    const deckResult = await pool.query(
-      'SELECT is_public FROM decks WHERE id = $1',
-      [deckId]
-    );
+    await ensureUserExists(userId, req.user.email);
+    // Looked up before the transaction: falls back quietly if the note type migration wasn't run
+    const basicNoteType = await getBuiltInNoteType(pool, BUILT_IN_NOTE_TYPES.BASIC);
     
-    if (deckResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Deck not found' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const deck = await cloneDeck(client, deckId, userId, { basicNoteType, subscribe, keepLocalEdits });
+      if (!deck) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Deck not found' });
+      }
+      await client.query('COMMIT');
+      res.status(201).json(deck);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
     }
-    
-    if (!deckResult.rows[0].is_public) {
-      return res.status(403).json({ error: 'Deck is not public' });
+  } catch (err) {
+    console.error('Error cloning deck:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the ratings of a deck: average, count, the caller's rating and the latest reviews
+app.get('/api/decks/:deckId/ratings', requireDeckAccess('read'), async (req, res) => {
+  try {
+    res.json(await getDeckRatings(pool, req.params.deckId, req.user.id));
+  } catch (err) {
+    console.error('Error fetching deck ratings:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rate a public deck 1-5 stars with an optional review: { rating, review }
+// Rating the same deck again replaces the earlier rating
+app.put('/api/decks/:deckId/rating', requireDeckAccess('read'), async (req, res) => {
+  const { rating, review } = req.body;
+  
+  if (req.deckRole === DECK_ROLES.OWNER) {
+    return res.status(400).json({ error: 'You cannot rate your own deck' });
+  }
+  const validationError = validateRating({ rating, review });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  try {
+    await ensureUserExists(req.user.id, req.user.email);
+    res.json(await rateDeck(pool, req.params.deckId, req.user.id, { rating, review }));
+  } catch (err) {
+    console.error('Error rating deck:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove the caller's rating of a deck
+app.delete('/api/decks/:deckId/rating', requireDeckAccess('read'), async (req, res) => {
+  try {
+    const deleted = await deleteRating(pool, req.params.deckId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'You have not rated this deck' });
     }
-    
-    // Increment download count
-    await pool.query(
-      'UPDATE decks SET download_count = download_count + 1 WHERE id = $1',
-      [deckId]
-    );
-    
-    // Get deck with cards
-    const deckResult2 = await pool.query(
-      'SELECT * FROM decks WHERE id = $1',
-      [deckId]
-    );
-    
-    const deck = deckResult2.rows[0];
-    deck.cards = deck.cards || [];
-    
-    res.json(deck);
+    res.json({ message: 'Rating removed' });
+  } catch (err) {
+    console.error('Error removing deck rating:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscribe a downloaded deck to its source (or stop): { subscribed, keepLocalEdits }
+app.put('/api/decks/:id/subscription', requireDeckAccess('owner', 'id'), async (req, res) => {
+  const { subscribed, keepLocalEdits } = req.body;
+  
+  const validationError = validateSubscription({ subscribed, keepLocalEdits });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  try {
+    const result = await setSubscription(pool, req.params.id, { subscribed, keepLocalEdits });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
   } catch (err) {
+    console.error('Error updating deck subscription:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sync a subscribed deck with its source: returns what changed (also added to the changelog)
+app.post('/api/decks/:id/sync', requireDeckAccess('owner', 'id'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await syncDeck(client, req.params.id, req.user.id);
+      if (result.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: result.error });
+      }
+      await client.query('COMMIT');
+      res.json(result);
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Error syncing deck:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Changelog of a subscribed deck, newest first (?limit=100)
+app.get('/api/decks/:id/sync-log', requireDeckAccess('owner', 'id'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+  
+  try {
+    res.json(await getSyncLog(pool, req.params.id, limit));
+  } catch (err) {
+    console.error('Error fetching deck changelog:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Update deck public status
-app.put('/api/decks/:id/public', async (req, res) => {
+app.put('/api/decks/:id/public', requireDeckAccess('owner', 'id'), async (req, res) => {
   const deckId = req.params.id;
   const { isPublic } = req.body;
   
@@ -956,8 +2036,36 @@ app.put('/api/decks/:id/public', async (req, res) => {
   }
 });
 
+// Turn automatic reverse cards on or off for a deck
+// Turning it on also adds a reverse card for every existing card that has none
+app.put('/api/decks/:id/reverse', requireDeckAccess('write', 'id'), async (req, res) => {
+  const deckId = req.params.id;
+  const { enabled } = req.body;
+  
+  try {
+    await pool.query(
+      'UPDATE decks SET generate_reverse = $1 WHERE id = $2',
+      [enabled === true, deckId]
+    );
+    
+    let added = 0;
+    if (enabled === true) {
+      added = await addMissingReverseCards(pool, deckId);
+      await pool.query(
+        'UPDATE decks SET card_count = (SELECT COUNT(*) FROM cards WHERE deck_id = $1) WHERE id = $1',
+        [deckId]
+      );
+    }
+    
+    res.json({ message: 'Deck reverse cards updated', added });
+  } catch (err) {
+    console.error('Error updating deck reverse cards:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // AI Suggestions endpoint
-app.post('/api/decks/:deckId/ai-suggestions', async (req, res) => {
+app.post('/api/decks/:deckId/ai-suggestions', requireDeckAccess('write'), async (req, res) => {
   const deckId = req.params.deckId;
   const { numSuggestions = 5 } = req.body;
   
@@ -993,6 +2101,46 @@ app.post('/api/decks/:deckId/ai-suggestions', async (req, res) => {
   }
 });
 
+// Generate cards from a document (text, Markdown or PDF as the raw request body, ?name=file name&numCards=20)
+// Returns suggestions only; accepted cards are added with POST /api/decks/:deckId/cards/bulk
+app.post('/api/decks/:deckId/generate-cards', requireDeckAccess('write'), documentBody, async (req, res) => {
+  const deckId = req.params.deckId;
+  const numCards = req.query.numCards === undefined ? DEFAULT_GENERATED_CARDS : Number(req.query.numCards);
+  
+  if (!Number.isInteger(numCards) || numCards < 1 || numCards > MAX_GENERATED_CARDS) {
+    return res.status(400).json({ error: `Number of cards must be between 1 and ${MAX_GENERATED_CARDS}` });
+  }
+  
+  try {
+    const document = await readDocument(req.body, req.query.name);
+    if (document.error) {
+      return res.status(400).json({ error: document.error });
+    }
+    
+    const deckResult = await pool.query('SELECT name, language FROM decks WHERE id = $1', [deckId]);
+    if (deckResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    const existingResult = await pool.query(
+      "SELECT front->>'content' as front FROM cards WHERE deck_id = $1",
+      [deckId]
+    );
+    
+    const result = await generateCardsFromChunks(chunkText(document.text), deckResult.rows[0], {
+      numCards,
+      existingFronts: existingResult.rows.map(row => row.front || '')
+    });
+    
+    res.json({ type: document.type, ...result });
+  } catch (err) {
+    console.error('Error generating cards from document:', err);
+    res.status(500).json({ 
+      error: err.message || 'Failed to generate cards',
+      details: err.toString()
+    });
+  }
+});
+
 // AI Card Explanation endpoint
 app.post('/api/cards/explain', async (req, res) => {
   const { front, back, language } = req.body;
@@ -0,0 +1,73 @@
+/**
+ * Study Statistics
+ * Cards studied today and the study streak, computed from the review log using
+ * the user's study day boundary (timezone + "next day starts at" hour)
+ */
+
+import { getStudyDate, getStudyDayStart, isValidTimezone } from '@kardo/srs';
+
+/**
+ * Get the study date before a given one
+ * @param {string} studyDate - "YYYY-MM-DD"
+ * @returns {string} "YYYY-MM-DD"
+ */
+function previousStudyDate(studyDate) {
+  const [year, month, day] = studyDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Count consecutive study days ending today (or yesterday, if the user
+ * hasn't studied yet today - the streak isn't broken until the day is over)
+ * @param {string[]} studyDates - Distinct study dates with reviews, most recent first
+ * @param {string} today - Current study date
+ * @returns {number} Streak in days
+ */
+export function countStreak(studyDates, today) {
+  let expected = studyDates[0] === today ? today : previousStudyDate(today);
+  let streak = 0;
+  for (const studyDate of studyDates) {
+    if (studyDate !== expected) {
+      break;
+    }
+    streak++;
+    expected = previousStudyDate(expected);
+  }
+  return streak;
+}
+
+/**
+ * Get a user's study statistics
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @param {Object} settings - Resolved user settings (timezone, day_starts_at)
+ * @returns {Promise<Object>} { cards_studied_today, streak, last_study_date }
+ */
+export async function getStudyStats(db, userId, settings) {
+  const now = new Date();
+  const timeZone = isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+
+  const todayResult = await db.query(
+    `SELECT COUNT(DISTINCT card_id) as count
+     FROM review_log
+     WHERE user_id::text = $1::text AND reviewed_at >= $2`,
+    [userId, getStudyDayStart(now, settings)]
+  );
+
+  // Study dates with at least one review: local time in the user's timezone,
+  // shifted back by the day start hour (same rule as getStudyDate)
+  const daysResult = await db.query(
+    `SELECT DISTINCT to_char((reviewed_at AT TIME ZONE $2) - make_interval(hours => $3::int), 'YYYY-MM-DD') as study_date
+     FROM review_log
+     WHERE user_id::text = $1::text
+     ORDER BY study_date DESC`,
+    [userId, timeZone, settings.day_starts_at]
+  );
+  const studyDates = daysResult.rows.map(row => row.study_date);
+
+  return {
+    cards_studied_today: parseInt(todayResult.rows[0]?.count || 0),
+    streak: countStreak(studyDates, getStudyDate(now, settings)),
+    last_study_date: studyDates[0] || null
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Card Tags
+ * Tags group the cards of a deck (e.g. "verbs", "chapter-3"). They are stored
+ * on each card (cards.tags) in a normalized form, so filters can compare them
+ * exactly: lowercase, trimmed, inner whitespace replaced by "-".
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a single tag
+ * @param {*} tag - Submitted tag
+ * @returns {string} Normalized tag ('' if there is nothing left)
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    return '';
+  }
+  return tag.trim().toLowerCase().replace(/\s+/g, '-').replace(/,/g, '');
+}
+
+/**
+ * Split submitted tags (an array, or a comma-separated string) into unique normalized tags
+ * @param {string[]|string|undefined} input - Submitted tags
+ * @returns {string[]} Normalized tags (call validateTags first)
+ */
+export function normalizeTags(input) {
+  if (input === undefined || input === null) {
+    return [];
+  }
+  const list = typeof input === 'string' ? input.split(',') : input;
+  return [...new Set(list.map(normalizeTag).filter(tag => tag !== ''))];
+}
+
+/**
+ * Validate submitted tags
+ * @param {string[]|string|undefined} input - Submitted tags
+ * @returns {string|null} Error message, or null if the tags are valid
+ */
+export function validateTags(input) {
+  if (input !== undefined && input !== null && typeof input !== 'string' && !Array.isArray(input)) {
+    return 'Tags must be a list of strings';
+  }
+  const tags = normalizeTags(input);
+  if (tags.length > MAX_TAGS) {
+    return `A card can have at most ${MAX_TAGS} tags`;
+  }
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return `Tags can be at most ${MAX_TAG_LENGTH} characters: "${tooLong}"`;
+  }
+  return null;
+}
+
+/**
+ * Keep the normalized tags a card can have, dropping the rest
+ * (for tags from other apps, which are imported instead of rejected)
+ * @param {string[]} tags - Normalized tags
+ * @returns {string[]} At most MAX_TAGS tags of up to MAX_TAG_LENGTH characters
+ */
+export function limitTags(tags) {
+  return tags.filter(tag => tag.length <= MAX_TAG_LENGTH).slice(0, MAX_TAGS);
+}
+
+/**
+ * Read the tag filter of a request (?tag=...)
+ * @param {*} value - Query parameter value
+ * @returns {string|null} Normalized tag, or null for no filter
+ */
+export function getTagFilter(value) {
+  return normalizeTag(value) || null;
+}
+
+/**
+ * Replace the tags of a card
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} cardId - Card ID
+ * @param {string[]} tags - Normalized tags
+ * @returns {Promise<Object|undefined>} { id, tags } of the updated card
+ */
+export async function setCardTags(db, cardId, tags) {
+  const result = await db.query(
+    `UPDATE cards SET tags = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, tags`,
+    [tags, cardId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Replace the tags of every card of a note
+ * @param {Object} db - pg Pool or client
+ * @param {number|string} noteId - Note ID
+ * @param {string[]} tags - Normalized tags
+ * @returns {Promise<void>}
+ */
+export async function setNoteTags(db, noteId, tags) {
+  await db.query(
+    'UPDATE cards SET tags = $1, updated_at = CURRENT_TIMESTAMP WHERE note_id = $2',
+    [tags, noteId]
+  );
+}
@@ -0,0 +1,78 @@
+/**
+ * Anki Package reading tests
+ * Packages are built here with sql.js and fflate, like the ones Anki exports.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { zipSync, strToU8 } from 'fflate';
+import { readAnkiPackage } from '../anki-package.js';
+
+const NOT_A_PACKAGE_ERROR = 'The file is not an Anki package (.apkg)';
+
+const MODELS = JSON.stringify({
+  1: {
+    id: 1,
+    name: 'Basic',
+    type: 0,
+    flds: [{ name: 'Front', ord: 0 }, { name: 'Back', ord: 1 }],
+    tmpls: [{ name: 'Card 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}<hr id=answer>{{Back}}' }]
+  }
+});
+const DECKS = JSON.stringify({ 1: { id: 1, name: 'Spanish' } });
+
+/**
+ * Build an .apkg holding one Basic note, with the given col row values
+ * @param {Object} col - { models, decks } as stored in the col table (JSON text)
+ * @returns {Promise<Buffer>} Package bytes
+ */
+async function buildPackage({ models = MODELS, decks = DECKS } = {}) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(`
+    CREATE TABLE col (id integer primary key, crt integer, models text, decks text);
+    CREATE TABLE notes (id integer primary key, mid integer, flds text, tags text);
+    CREATE TABLE cards (id integer primary key, nid integer, did integer, odid integer, ord integer, type integer,
+                        queue integer, due integer, odue integer, ivl integer, factor integer, reps integer, lapses integer);
+    CREATE TABLE revlog (id integer primary key, cid integer);
+  `);
+  db.run('INSERT INTO col VALUES (1, 1700000000, ?, ?)', [models, decks]);
+  db.run('INSERT INTO notes VALUES (1, 1, ?, \'\')', ['hola\x1fhello']);
+  db.run('INSERT INTO cards VALUES (1, 1, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0)');
+  const collection = db.export();
+  db.close();
+  return Buffer.from(zipSync({ 'collection.anki2': collection, media: strToU8('{}') }));
+}
+
+test('reads the models, decks and notes of a package', async () => {
+  const pkg = await readAnkiPackage(await buildPackage());
+  assert.equal(pkg.error, undefined);
+  assert.equal(pkg.models[1].name, 'Basic');
+  assert.equal(pkg.decks[1].name, 'Spanish');
+  assert.equal(pkg.notes.length, 1);
+  assert.deepEqual(pkg.notes[0].fields, ['hola', 'hello']);
+  assert.equal(pkg.notes[0].cards[0].deckId, '1');
+});
+
+test('a col row with corrupt models is not a package', async () => {
+  const pkg = await readAnkiPackage(await buildPackage({ models: '{"1": {"name": "Basic"' }));
+  assert.deepEqual(pkg, { error: NOT_A_PACKAGE_ERROR });
+});
+
+test('a col row with corrupt decks is not a package', async () => {
+  const pkg = await readAnkiPackage(await buildPackage({ decks: 'not json' }));
+  assert.deepEqual(pkg, { error: NOT_A_PACKAGE_ERROR });
+});
+
+test('a col row whose models or decks are not objects is not a package', async () => {
+  for (const col of [{ models: 'null' }, { decks: '42' }]) {
+    const pkg = await readAnkiPackage(await buildPackage(col));
+    assert.deepEqual(pkg, { error: NOT_A_PACKAGE_ERROR });
+  }
+});
+
+test('a file that is not a zip is not a package', async () => {
+  const pkg = await readAnkiPackage(Buffer.from('hello'));
+  assert.deepEqual(pkg, { error: NOT_A_PACKAGE_ERROR });
+});
@@ -0,0 +1,176 @@
+/**
+ * Deck Authorization tests
+ * Runs requireDeckAccess, requireCardAccess and requireNoteAccess behind requireAuth
+ * in a small Express app, with tokens from the local signing key and a stubbed pool.
+ * Deck 3 is a legacy deck, stored under the ID of the owner's users row (found by email).
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { requireAuth, signLocalAccessToken } from '../auth.js';
+import { createDeckAuthorization, getOwnerIds, DECK_ROLES } from '../authorization.js';
+
+const OWNER_ID = '11111111-1111-1111-1111-111111111111';
+const OTHER_ID = '22222222-2222-2222-2222-222222222222';
+const LEGACY_ID = 'legacy-owner';
+const OWNER_EMAIL = 'owner@example.com';
+
+const USERS = [{ user_id: LEGACY_ID, email: OWNER_EMAIL }];
+const DECKS = [
+  { id: 1, user_id: OWNER_ID, is_public: false },
+  { id: 2, user_id: OWNER_ID, is_public: true },
+  { id: 3, user_id: LEGACY_ID, is_public: false }
+];
+// Each card and note is in the deck with its own ID
+const CARDS = [{ id: 1, deck_id: 1 }, { id: 2, deck_id: 2 }, { id: 3, deck_id: 3 }];
+const NOTES = [{ id: 1, deck_id: 1 }, { id: 2, deck_id: 2 }, { id: 3, deck_id: 3 }];
+
+/**
+ * Pool answering the lookups of authorization.js from the fixtures above
+ */
+const stubPool = {
+  async query(sql, [id]) {
+    const deckRow = (deckId) => ({ ...DECKS.find(deck => deck.id === deckId) });
+    if (/FROM cards c/.test(sql)) {
+      const card = CARDS.find(row => row.id === Number(id));
+      return { rows: card ? [{ card_id: card.id, ...deckRow(card.deck_id) }] : [] };
+    }
+    if (/FROM notes n/.test(sql)) {
+      const note = NOTES.find(row => row.id === Number(id));
+      return { rows: note ? [{ note_id: note.id, ...deckRow(note.deck_id) }] : [] };
+    }
+    if (/FROM users WHERE email/.test(sql)) {
+      return { rows: USERS.filter(user => user.email === id).map(({ user_id }) => ({ user_id })) };
+    }
+    if (/FROM decks/.test(sql)) {
+      const deck = DECKS.find(row => row.id === Number(id));
+      return { rows: deck ? [{ ...deck }] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+
+const ACCESS_LEVELS = ['read', 'write', 'owner'];
+const RESOURCES = {
+  decks: { guard: 'requireDeckAccess', param: 'deckId', label: 'deck', notFound: 'Deck not found' },
+  cards: { guard: 'requireCardAccess', param: 'cardId', label: 'card', notFound: 'Card not found' },
+  notes: { guard: 'requireNoteAccess', param: 'noteId', label: 'note', notFound: 'Note not found' }
+};
+
+let server;
+let baseUrl;
+let ownerToken;
+let ownerEmailToken;
+let otherToken;
+
+before(async () => {
+  process.env.AUTH_LOCAL_SIGNING_KEY = 'authorization-test-key';
+  ownerToken = signLocalAccessToken(OWNER_ID);
+  ownerEmailToken = signLocalAccessToken(OWNER_ID, { email: OWNER_EMAIL });
+  otherToken = signLocalAccessToken(OTHER_ID);
+
+  const authorization = createDeckAuthorization(stubPool);
+  const app = express();
+  for (const [resource, { guard, param }] of Object.entries(RESOURCES)) {
+    for (const access of ACCESS_LEVELS) {
+      app.get(`/${resource}/:${param}/${access}`, requireAuth, authorization[guard](access), (req, res) => {
+        res.json({ deck_id: req.deck.id, role: req.deckRole, card: req.card, note: req.note });
+      });
+    }
+  }
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Request a guarded route
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(resource, id, access, token) {
+  const response = await fetch(`${baseUrl}/${resource}/${id}/${access}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+for (const [resource, { label, notFound }] of Object.entries(RESOURCES)) {
+  const forbidden = `You do not have permission to access this ${label}`;
+
+  test(`${resource}: the owner has every access level`, async () => {
+    for (const id of [1, 2]) {
+      for (const access of ACCESS_LEVELS) {
+        const { status, body } = await request(resource, id, access, ownerToken);
+        assert.equal(status, 200, `${access} on ${label} ${id}`);
+        assert.equal(body.role, DECK_ROLES.OWNER);
+        assert.equal(body.deck_id, id);
+      }
+    }
+  });
+
+  test(`${resource}: a viewer of a public deck can read but not write`, async () => {
+    const read = await request(resource, 2, 'read', otherToken);
+    assert.equal(read.status, 200);
+    assert.equal(read.body.role, DECK_ROLES.VIEWER);
+
+    for (const access of ['write', 'owner']) {
+      const { status, body } = await request(resource, 2, access, otherToken);
+      assert.equal(status, 403, access);
+      assert.equal(body.error, forbidden);
+    }
+  });
+
+  test(`${resource}: a non-owner of a private deck is forbidden`, async () => {
+    for (const access of ACCESS_LEVELS) {
+      const { status, body } = await request(resource, 1, access, otherToken);
+      assert.equal(status, 403, access);
+      assert.equal(body.error, forbidden);
+    }
+  });
+
+  test(`${resource}: the owner of a legacy deck (found by email) has every access level`, async () => {
+    for (const access of ACCESS_LEVELS) {
+      const { status, body } = await request(resource, 3, access, ownerEmailToken);
+      assert.equal(status, 200, access);
+      assert.equal(body.role, DECK_ROLES.OWNER);
+    }
+    // Without the email in the token, the legacy deck is someone else's private deck
+    for (const token of [ownerToken, otherToken]) {
+      const { status, body } = await request(resource, 3, 'read', token);
+      assert.equal(status, 403);
+      assert.equal(body.error, forbidden);
+    }
+  });
+
+  test(`${resource}: a missing or invalid ID is not found`, async () => {
+    for (const id of [999, 'abc']) {
+      for (const token of [ownerToken, otherToken]) {
+        const { status, body } = await request(resource, id, 'read', token);
+        assert.equal(status, 404, String(id));
+        assert.equal(body.error, notFound);
+      }
+    }
+  });
+
+  test(`${resource}: a request without a token is rejected before the guard`, async () => {
+    const { status } = await request(resource, 1, 'read', null);
+    assert.equal(status, 401);
+  });
+}
+
+test('cards and notes: the guard sets the card or note it checked', async () => {
+  const card = await request('cards', 2, 'read', otherToken);
+  assert.deepEqual(card.body.card, { id: 2, deck_id: 2 });
+  const note = await request('notes', 2, 'read', otherToken);
+  assert.deepEqual(note.body.note, { id: 2, deck_id: 2 });
+});
+
+test('the owner IDs are the token\'s, and that of the users row with the token\'s email', async () => {
+  assert.deepEqual(await getOwnerIds(stubPool, { id: OWNER_ID, email: OWNER_EMAIL }), [OWNER_ID, LEGACY_ID]);
+  assert.deepEqual(await getOwnerIds(stubPool, { id: OWNER_ID, email: null }), [OWNER_ID]);
+  assert.deepEqual(await getOwnerIds(stubPool, { id: OTHER_ID, email: 'other@example.com' }), [OTHER_ID]);
+});
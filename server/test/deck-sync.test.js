@@ -0,0 +1,219 @@
+/**
+ * Deck Subscription sync tests
+ * Runs syncDeck on a stubbed database holding a source deck and a subscribed copy
+ * of it, with cards only (no notes). Timestamps are counted up from a clock.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { syncDeck, recordDeletedCard } from '../deck-sync.js';
+
+const OWNER_ID = '11111111-1111-1111-1111-111111111111';
+const SUBSCRIBER_ID = '22222222-2222-2222-2222-222222222222';
+const SOURCE_DECK = 1;
+const COPY_DECK = 2;
+
+/**
+ * Database with a public source deck of three cards, copied and synced once
+ * @param {boolean} keepLocalEdits - keep_local_edits of the copy
+ * @returns {Object} { db, clock, cards, deletedCards, log }
+ */
+function createDatabase(keepLocalEdits) {
+  let time = 1;
+  const clock = () => time++;
+  const decks = [
+    { id: SOURCE_DECK, user_id: OWNER_ID, is_public: true, source_deck_id: null },
+    { id: COPY_DECK, user_id: SUBSCRIBER_ID, is_public: false, source_deck_id: SOURCE_DECK, subscribed: true, keep_local_edits: keepLocalEdits }
+  ];
+  const cards = [];
+  for (const id of [1, 2, 3]) {
+    const updatedAt = clock();
+    cards.push({ id, deck_id: SOURCE_DECK, front: { content: `Source ${id}` }, updated_at: updatedAt });
+    cards.push({
+      id: id + 10, deck_id: COPY_DECK, front: { content: `Source ${id}` },
+      source_card_id: id, source_version: updatedAt, synced_at: updatedAt, updated_at: updatedAt
+    });
+  }
+  const deletedCards = [];
+  const log = [];
+  let nextCardId = 100;
+
+  const sourceOf = (card) => cards.find(row => row.id === card.source_card_id && row.deck_id === SOURCE_DECK);
+  const copyOf = (source) => cards.find(row => row.deck_id === COPY_DECK && row.source_card_id === source.id);
+  const rows = (list) => ({ rows: list });
+
+  const db = {
+    async query(sql, params = []) {
+      if (/FROM decks WHERE id = \$1/.test(sql)) {
+        return rows(decks.filter(deck => deck.id === Number(params[0])).map(deck => ({ ...deck })));
+      }
+      if (/LEFT JOIN deck_sync_deleted_cards/.test(sql)) {
+        return rows(cards.filter(card => card.deck_id === SOURCE_DECK).map(source => {
+          const local = copyOf(source);
+          const deleted = deletedCards.find(row => row.source_card_id === source.id);
+          return {
+            source_id: source.id,
+            local_id: local ? local.id : null,
+            local_note_id: null,
+            changed: Boolean(local) && (local.source_version === null || source.updated_at > local.source_version),
+            edited: Boolean(local) && local.updated_at > local.synced_at,
+            deleted_locally: !local && Boolean(deleted),
+            changed_since_deleted: !local && Boolean(deleted)
+              && (deleted.source_version === null || source.updated_at > deleted.source_version)
+          };
+        }));
+      }
+      if (/FROM cards l\s+WHERE l.deck_id = \$1 AND l.source_card_id IS NOT NULL/.test(sql)) {
+        return rows(cards.filter(card => card.deck_id === COPY_DECK && card.source_card_id && !sourceOf(card))
+          .map(card => ({ ...card, note_id: null, front: card.front.content, edited: card.updated_at > card.synced_at })));
+      }
+      if (/SELECT id, note_id, template_ord, reverse_of, front/.test(sql)) {
+        return rows(cards.filter(card => card.deck_id === SOURCE_DECK).map(card => ({ ...card, note_id: null, reverse_of: null })));
+      }
+      if (/FROM notes|FROM note_types|note_id IS NOT NULL AND updated_at > synced_at/.test(sql)) {
+        return rows([]);
+      }
+      if (/nextval\(pg_get_serial_sequence\('cards'/.test(sql)) {
+        return rows(Array.from({ length: params[0] }, () => ({ id: nextCardId++ })));
+      }
+      if (/INSERT INTO cards/.test(sql)) {
+        const now = clock();
+        for (const row of JSON.parse(params[1])) {
+          const source = cards.find(card => card.id === row.source_card_id);
+          cards.push({
+            id: row.id, deck_id: params[0], front: row.front,
+            source_card_id: source.id, source_version: source.updated_at, synced_at: now, updated_at: now
+          });
+        }
+        return rows([]);
+      }
+      if (/UPDATE cards c SET\s+front = s.front/.test(sql)) {
+        const now = clock();
+        for (const { id } of JSON.parse(params[0])) {
+          const card = cards.find(row => row.id === id);
+          Object.assign(card, { front: sourceOf(card).front, source_version: sourceOf(card).updated_at, synced_at: now, updated_at: now });
+        }
+        return rows([]);
+      }
+      if (/UPDATE cards c SET source_version = s.updated_at/.test(sql)) {
+        for (const card of cards.filter(row => params[0].includes(row.id))) {
+          card.source_version = sourceOf(card).updated_at;
+        }
+        return rows([]);
+      }
+      if (/INSERT INTO deck_sync_deleted_cards/.test(sql)) {
+        if (!deletedCards.some(row => row.source_card_id === params[1])) {
+          deletedCards.push({ deck_id: params[0], source_card_id: params[1], source_version: params[2] });
+        }
+        return rows([]);
+      }
+      if (/DELETE FROM deck_sync_deleted_cards WHERE deck_id = \$1 AND source_card_id = ANY/.test(sql)) {
+        deletedCards.splice(0, deletedCards.length, ...deletedCards.filter(row => !params[1].includes(row.source_card_id)));
+        return rows([]);
+      }
+      if (/UPDATE deck_sync_deleted_cards d SET source_version/.test(sql)) {
+        for (const row of deletedCards.filter(deleted => params[1].includes(deleted.source_card_id))) {
+          row.source_version = cards.find(card => card.id === row.source_card_id).updated_at;
+        }
+        return rows([]);
+      }
+      if (/DELETE FROM deck_sync_deleted_cards d/.test(sql)) {
+        deletedCards.splice(0, deletedCards.length, ...deletedCards.filter(row => sourceOf(row)));
+        return rows([]);
+      }
+      if (/DELETE FROM cards WHERE id = ANY/.test(sql)) {
+        cards.splice(0, cards.length, ...cards.filter(card => !params[0].includes(card.id)));
+        return rows([]);
+      }
+      if (/INSERT INTO deck_sync_log/.test(sql)) {
+        log.push(...JSON.parse(params[1]));
+        return rows([]);
+      }
+      if (/UPDATE decks SET\s+last_synced_at/.test(sql)) {
+        return rows([{ last_synced_at: clock() }]);
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+
+  /**
+   * Change a card of the source deck, as its author
+   */
+  const editSource = (id) => {
+    Object.assign(cards.find(card => card.id === id), { front: { content: `Source ${id} (edited)` }, updated_at: clock() });
+  };
+
+  /**
+   * Delete a card of the copy, as DELETE /api/cards/:id does
+   */
+  const deleteLocal = async (id) => {
+    const [card] = cards.splice(cards.findIndex(row => row.id === id), 1);
+    await recordDeletedCard(db, card);
+  };
+
+  /**
+   * Delete a card of the source deck, as its author
+   */
+  const deleteSource = (id) => {
+    cards.splice(cards.findIndex(card => card.id === id), 1);
+  };
+
+  const copyCards = () => cards.filter(card => card.deck_id === COPY_DECK).map(card => card.source_card_id).sort();
+
+  return { db, log, deletedCards, editSource, deleteLocal, deleteSource, copyCards };
+}
+
+for (const keepLocalEdits of [false, true]) {
+  test(`keep_local_edits ${keepLocalEdits}: a card the subscriber deleted is not added back by sync`, async () => {
+    const { db, log, deleteLocal, copyCards } = createDatabase(keepLocalEdits);
+    await deleteLocal(12);
+
+    for (let sync = 0; sync < 2; sync++) {
+      const result = await syncDeck(db, COPY_DECK, SUBSCRIBER_ID);
+      assert.equal(result.added, 0);
+      assert.deepEqual(copyCards(), [1, 3]);
+    }
+    assert.deepEqual(log, []);
+  });
+}
+
+test('keep_local_edits: a deleted card stays deleted when the source changes it, and that is logged once', async () => {
+  const { db, log, editSource, deleteLocal, copyCards } = createDatabase(true);
+  await deleteLocal(12);
+  editSource(2);
+
+  const result = await syncDeck(db, COPY_DECK, SUBSCRIBER_ID);
+  assert.equal(result.added, 0);
+  assert.equal(result.local_kept, 1);
+  assert.deepEqual(copyCards(), [1, 3]);
+  assert.deepEqual(log.map(change => [change.change_type, change.card_id, change.source_card_id]), [['local_kept', null, 2]]);
+
+  const again = await syncDeck(db, COPY_DECK, SUBSCRIBER_ID);
+  assert.equal(again.local_kept, 0);
+  assert.equal(log.length, 1);
+});
+
+test('without keep_local_edits, a deleted card comes back once the source changes it', async () => {
+  const { db, log, deletedCards, editSource, deleteLocal, copyCards } = createDatabase(false);
+  await deleteLocal(12);
+  editSource(2);
+
+  const result = await syncDeck(db, COPY_DECK, SUBSCRIBER_ID);
+  assert.equal(result.added, 0);
+  assert.equal(result.local_replaced, 1);
+  assert.deepEqual(copyCards(), [1, 2, 3]);
+  assert.deepEqual(log.map(change => [change.change_type, change.source_card_id, change.front]), [['local_replaced', 2, 'Source 2 (edited)']]);
+  assert.deepEqual(deletedCards, []);
+});
+
+test('a deleted card is forgotten once the source deletes it too', async () => {
+  const { db, log, deletedCards, deleteLocal, deleteSource, copyCards } = createDatabase(true);
+  await deleteLocal(12);
+  deleteSource(2);
+
+  const result = await syncDeck(db, COPY_DECK, SUBSCRIBER_ID);
+  assert.equal(result.deleted, 0);
+  assert.deepEqual(copyCards(), [1, 3]);
+  assert.deepEqual(deletedCards, []);
+  assert.deepEqual(log, []);
+});
@@ -0,0 +1,50 @@
+/**
+ * Public Decks query tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePublicDecksQuery } from '../public-decks.js';
+
+const INVALID_CURSOR_ERROR = 'Invalid cursor (it must come from the same search and sort)';
+
+const cursor = (sort, key) => Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+
+test('a cursor with keys of the sort\'s types is read back', () => {
+  const cases = [
+    ['popular', ['12', '2026-01-02 03:04:05.123456', '7']],
+    ['rating', ['4.5', '3', '120', '8']],
+    ['trending', ['0', '0', '0', '9']]
+  ];
+  for (const [sort, key] of cases) {
+    const query = parsePublicDecksQuery({ sort, cursor: cursor(sort, key) });
+    assert.deepEqual(query.after, key, sort);
+  }
+  const search = parsePublicDecksQuery({ search: 'verbs', cursor: cursor('relevance', ['0.0607927', '3', '10']) });
+  assert.deepEqual(search.after, ['0.0607927', '3', '10']);
+});
+
+test('a cursor whose keys don\'t match their types is rejected', () => {
+  const cases = [
+    ['popular', ['abc', '2026-01-02 03:04:05', '7']],
+    ['popular', ['12', 'yesterday', '7']],
+    ['popular', ['12', '2026-13-45 03:04:05', '7']],
+    ['popular', ['12', '2026-01-02 03:04:05', '7; DROP TABLE decks']],
+    ['popular', ['99999999999', '2026-01-02 03:04:05', '7']],
+    ['rating', ['NaN', '3', '120', '8']],
+    ['rating', ['4.5', '3.5', '120', '8']],
+    ['rating', ['4.5', '3', '120', null]],
+    ['trending', ['0', '0', '0']]
+  ];
+  for (const [sort, key] of cases) {
+    assert.deepEqual(parsePublicDecksQuery({ sort, cursor: cursor(sort, key) }), { error: INVALID_CURSOR_ERROR }, JSON.stringify(key));
+  }
+});
+
+test('a cursor from another sort or not a cursor at all is rejected', () => {
+  assert.deepEqual(
+    parsePublicDecksQuery({ sort: 'rating', cursor: cursor('popular', ['12', '2026-01-02 03:04:05', '7']) }),
+    { error: INVALID_CURSOR_ERROR }
+  );
+  assert.deepEqual(parsePublicDecksQuery({ cursor: 'not-a-cursor' }), { error: INVALID_CURSOR_ERROR });
+});
@@ -1,94 +1,28 @@
 /**
  * User Settings Utilities
- * Handles parsing and validation of SRS settings
+ * Handles validation of SRS settings (defaults and parsing live in @kardo/srs)
  */
 
-/**
- * Default learning steps queue
- */
-const DEFAULT_LEARNING_STEPS = [
-  1 / (24 * 60),      // 1 minute
-  6 / (24 * 60),      // 6 minutes
-  10 / (24 * 60),     // 10 minutes
-  12                  // 12 days
-];
+import { getDefaultSettings, parseLearningSteps, resolveSettings, isValidTimezone, SCHEDULERS, LEECH_ACTIONS } from '@kardo/srs';
 
 /**
- * Parse learning steps string (e.g., "1m,6m,10m,12d") to array of days
- * @param {string} stepsString - Comma-separated steps like "1m,6m,10m,12d"
- * @returns {number[]} Array of intervals in days
+ * Load a user's settings, falling back to defaults for anything not stored
+ * (no row yet, or the user_settings migration hasn't been run)
+ * @param {Object} db - pg Pool or client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Complete settings object
  */
-export function parseLearningSteps(stepsString) {
-  if (!stepsString) {
-    return DEFAULT_LEARNING_STEPS;
+export async function loadUserSettings(db, userId) {
+  try {
+    const result = await db.query(
+      'SELECT * FROM user_settings WHERE user_id::text = $1::text',
+      [userId]
+    );
+    return resolveSettings(result.rows[0] || null);
+  } catch (err) {
+    console.warn('Error fetching user settings, using defaults:', err.message);
+    return resolveSettings(null);
   }
-  
-  const steps = stepsString.split(',').map(step => step.trim());
-  const parsedSteps = [];
-  
-  for (const step of steps) {
-    const match = step.match(/^(\d+)([mhd])$/i);
-    if (!match) {
-      console.warn(`Invalid learning step format: ${step}, using default`);
-      return DEFAULT_LEARNING_STEPS;
-    }
-    
-    const value = parseInt(match[1]);
-    const unit = match[2].toLowerCase();
-    
-    let days;
-    if (unit === 'm') {
-      days = value / (24 * 60); // minutes to days
-    } else if (unit === 'h') {
-      days = value / 24; // hours to days
-    } else if (unit === 'd') {
-      days = value; // days
-    } else {
-      console.warn(`Unknown unit: ${unit}, using default`);
-      return DEFAULT_LEARNING_STEPS;
-    }
-    
-    parsedSteps.push(days);
-  }
-  
-  return parsedSteps.length > 0 ? parsedSteps : DEFAULT_LEARNING_STEPS;
-}
-
-/**
- * Format learning steps array to string (e.g., [0.000694, 0.004167, 0.006944, 12] → "1m,6m,10m,12d")
- * @param {number[]} steps - Array of intervals in days
- * @returns {string} Formatted string
- */
-export function formatLearningSteps(steps) {
-  return steps.map(step => {
-    if (step < 1 / 24) {
-      // Less than 1 hour, show as minutes
-      const minutes = Math.round(step * 24 * 60);
-      return `${minutes}m`;
-    } else if (step < 1) {
-      // Less than 1 day, show as hours
-      const hours = Math.round(step * 24);
-      return `${hours}h`;
-    } else {
-      // Days
-      return `${Math.round(step)}d`;
-    }
-  }).join(',');
-}
-
-/**
- * Get default user settings
- */
-export function getDefaultSettings() {
-  return {
-    max_interval: 36500,
-    starting_ease_factor: 2.5,
-    easy_bonus: 1.3,
-    interval_modifier: 1.0,
-    hard_interval_factor: 1.0, // Default to 1.0 (unchanged) per requirements
-    new_cards_per_day: 20,
-    learning_steps: '1m,6m,10m,12d'
-  };
 }
 
 /**
@@ -128,6 +62,12 @@ export function validateSettings(settings) {
     validated.new_cards_per_day = Math.max(1, Math.min(200, parseInt(settings.new_cards_per_day) || defaults.new_cards_per_day));
   }
   
+  // Max reviews per day
+  if (settings.max_reviews_per_day !== undefined) {
+    const maxReviews = parseInt(settings.max_reviews_per_day);
+    validated.max_reviews_per_day = Math.max(0, Math.min(9999, Number.isNaN(maxReviews) ? defaults.max_reviews_per_day : maxReviews));
+  }
+  
   // Learning steps
   if (settings.learning_steps !== undefined) {
     validated.learning_steps = settings.learning_steps || defaults.learning_steps;
@@ -138,6 +78,49 @@ export function validateSettings(settings) {
     }
   }
   
+  // Scheduler
+  if (settings.scheduler !== undefined) {
+    validated.scheduler = SCHEDULERS.includes(settings.scheduler) ? settings.scheduler : defaults.scheduler;
+  }
+  
+  // Desired retention (FSRS)
+  if (settings.desired_retention !== undefined) {
+    validated.desired_retention = Math.max(0.7, Math.min(0.97, parseFloat(settings.desired_retention) || defaults.desired_retention));
+  }
+  
+  // Timezone
+  if (settings.timezone !== undefined) {
+    validated.timezone = isValidTimezone(settings.timezone) ? settings.timezone : defaults.timezone;
+  }
+  
+  // Next day starts at (hour)
+  if (settings.day_starts_at !== undefined) {
+    const hour = parseInt(settings.day_starts_at);
+    validated.day_starts_at = Math.max(0, Math.min(23, Number.isNaN(hour) ? defaults.day_starts_at : hour));
+  }
+  
+  // Interval fuzz
+  if (settings.fuzz_percent !== undefined) {
+    const fuzzPercent = parseFloat(settings.fuzz_percent);
+    validated.fuzz_percent = Math.max(0, Math.min(25, Number.isNaN(fuzzPercent) ? defaults.fuzz_percent : fuzzPercent));
+  }
+  
+  // Load balancing
+  if (settings.load_balance !== undefined) {
+    validated.load_balance = settings.load_balance === true || settings.load_balance === 'true';
+  }
+  
+  // Leech threshold (0 = never mark leeches)
+  if (settings.leech_threshold !== undefined) {
+    const threshold = parseInt(settings.leech_threshold);
+    validated.leech_threshold = Math.max(0, Math.min(99, Number.isNaN(threshold) ? defaults.leech_threshold : threshold));
+  }
+  
+  // Leech action
+  if (settings.leech_action !== undefined) {
+    validated.leech_action = LEECH_ACTIONS.includes(settings.leech_action) ? settings.leech_action : defaults.leech_action;
+  }
+  
   return validated;
 }
 
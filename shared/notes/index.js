@@ -0,0 +1,27 @@
+/**
+ * Notes and Card Templates
+ * Shared by the server (to store each card's rendered content) and the client
+ * (to show cards and preview them in the editor), so both render notes alike.
+ * A note holds field values; its note type's templates turn it into one or more cards.
+ */
+
+export {
+  FRONT_SIDE,
+  renderTemplate,
+  renderCardTemplate,
+  renderCard,
+  getCardName,
+  getCardOrds,
+  getClozeNumbers,
+  getClozeFields,
+  isClozeNoteType,
+  getTemplateFields,
+  getSingleField,
+  getFieldsFromCardEdit
+} from './templates.js';
+export {
+  BUILT_IN_NOTE_TYPES,
+  validateNoteType,
+  normalizeNoteType,
+  pickNoteFields
+} from './note-types.js';
@@ -0,0 +1,104 @@
+/**
+ * Note Types
+ * A note type names a note's fields and lists the templates that turn a note
+ * into cards. Built-in types are shared by everyone (created by
+ * migration_note_types.sql and migration_cloze.sql); users can add their own.
+ */
+
+import { FRONT_SIDE, getTemplateFields, isClozeNoteType } from './templates.js';
+
+/**
+ * Names of the built-in note types
+ */
+export const BUILT_IN_NOTE_TYPES = {
+  BASIC: 'Basic',
+  BASIC_REVERSED: 'Basic (and reversed card)',
+  VOCABULARY: 'Vocabulary',
+  CLOZE: 'Cloze'
+};
+
+const MAX_FIELDS = 20;
+const MAX_TEMPLATES = 10;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate a note type definition
+ * @param {Object} noteType - { name, fields: string[], templates: [{ name, front, back }] }
+ * @returns {string|null} Error message, or null if the note type is valid
+ */
+export function validateNoteType(noteType) {
+  const { name, fields, templates } = noteType || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    return `Note type name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+    return `Note types need 1-${MAX_FIELDS} fields`;
+  }
+  const fieldNames = fields.map(field => (typeof field === 'string' ? field.trim() : ''));
+  for (const fieldName of fieldNames) {
+    if (!fieldName || /[{}#^/]/.test(fieldName) || fieldName === FRONT_SIDE) {
+      return `Invalid field name: "${fieldName}"`;
+    }
+  }
+  if (new Set(fieldNames).size !== fieldNames.length) {
+    return 'Field names must be unique';
+  }
+
+  if (!Array.isArray(templates) || templates.length === 0 || templates.length > MAX_TEMPLATES) {
+    return `Note types need 1-${MAX_TEMPLATES} templates`;
+  }
+  for (const template of templates) {
+    if (!template || typeof template.name !== 'string' || !template.name.trim()
+        || typeof template.front !== 'string' || typeof template.back !== 'string') {
+      return 'Each template needs a name, a front and a back';
+    }
+    const frontFields = getTemplateFields(template.front);
+    if (frontFields.length === 0) {
+      return `Template "${template.name}" must show at least one field on the front`;
+    }
+    const unknown = [...frontFields, ...getTemplateFields(template.back)]
+      .find(fieldName => !fieldNames.includes(fieldName));
+    if (unknown) {
+      return `Template "${template.name}" uses unknown field "${unknown}"`;
+    }
+  }
+  if (isClozeNoteType({ templates }) && templates.length > 1) {
+    return 'Cloze note types have a single template (each cloze number makes its own card)';
+  }
+
+  return null;
+}
+
+/**
+ * Trim a note type's names (call after validateNoteType)
+ * @param {Object} noteType - Valid note type definition
+ * @returns {Object} { name, fields, templates }
+ */
+export function normalizeNoteType(noteType) {
+  return {
+    name: noteType.name.trim(),
+    fields: noteType.fields.map(field => field.trim()),
+    templates: noteType.templates.map(template => ({
+      name: template.name.trim(),
+      front: template.front,
+      back: template.back
+    }))
+  };
+}
+
+/**
+ * Keep only a note type's fields from submitted field values (missing fields become '')
+ * @param {Object} noteType - Note type
+ * @param {Object} values - Submitted field values by name
+ * @returns {Object} Field values by name
+ */
+export function pickNoteFields(noteType, values) {
+  const fields = {};
+  for (const fieldName of noteType?.fields || []) {
+    const value = values ? values[fieldName] : undefined;
+    fields[fieldName] = value === undefined || value === null ? '' : String(value);
+  }
+  return fields;
+}
@@ -0,0 +1,305 @@
+/**
+ * Card Templates
+ * Renders a note's fields into card content. Templates use a small subset of
+ * Anki's syntax:
+ * - {{Field}}                 - the field's value
+ * - {{#Field}}...{{/Field}}   - only shown when the field is not empty
+ * - {{^Field}}...{{/Field}}   - only shown when the field is empty
+ * - {{FrontSide}}             - the rendered front (back templates only)
+ * - {{cloze:Field}}           - the field's cloze deletions (see below)
+ * Field values are inserted as-is (markdown), and never parsed as template syntax.
+ *
+ * Cloze deletions are written in a field as {{c1::answer}} or {{c1::answer::hint}}.
+ * A note type whose first template shows a cloze field is a cloze note type: it
+ * gets one card per cloze number instead of one per template, all rendered with
+ * that first template. Card N shows cloze N as a blank on the front and
+ * highlighted on the back; the other clozes are shown as plain text.
+ */
+
+export const FRONT_SIDE = 'FrontSide';
+
+const CLOZE_FILTER = 'cloze';
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * Parse a template into text, field and section nodes
+ * (a closing tag without a matching opening tag is ignored, unclosed sections run to the end)
+ * @param {string} template - Template source
+ * @returns {Array} Nodes: strings, { field, filter } and { section, inverted, children }
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of String(template || '').matchAll(TAG_PATTERN)) {
+    const [tag, type, name] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > position) {
+      parent.children.push(template.slice(position, match.index));
+    }
+    position = match.index + tag.length;
+
+    if (type === '#' || type === '^') {
+      const section = { section: name, inverted: type === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].section === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else {
+      // "filter:Field" (only the cloze filter is supported, others show the field as-is)
+      const separator = name.indexOf(':');
+      parent.children.push(separator === -1
+        ? { field: name, filter: null }
+        : { field: name.slice(separator + 1).trim(), filter: name.slice(0, separator).trim() });
+    }
+  }
+
+  if (position < String(template || '').length) {
+    stack[stack.length - 1].children.push(template.slice(position));
+  }
+  return root.children;
+}
+
+/**
+ * Get a field's value as a string ('' for missing fields)
+ */
+function getFieldValue(fields, name) {
+  const value = fields ? fields[name] : undefined;
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Get the cloze numbers used in a text
+ * @param {string} text - Field value
+ * @returns {number[]} Distinct cloze numbers, ascending
+ */
+export function getClozeNumbers(text) {
+  const numbers = new Set();
+  for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+    const number = parseInt(match[1]);
+    if (number >= 1) {
+      numbers.add(number);
+    }
+  }
+  return [...numbers].sort((a, b) => a - b);
+}
+
+/**
+ * Render a text's cloze deletions for one card
+ * @param {string} text - Field value
+ * @param {Object} cloze - { number, side }: the card's cloze number and "front" or "back"
+ * @returns {string}
+ */
+function renderCloze(text, cloze) {
+  return text.replace(CLOZE_PATTERN, (match, number, answer, hint) => {
+    if (!cloze || parseInt(number) !== cloze.number) {
+      return answer;
+    }
+    if (cloze.side === 'front') {
+      return `**[${hint ? hint : '...'}]**`;
+    }
+    return `**${answer}**`;
+  });
+}
+
+function renderNodes(nodes, fields, cloze) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+    if (node.field !== undefined) {
+      const value = getFieldValue(fields, node.field);
+      return node.filter === CLOZE_FILTER ? renderCloze(value, cloze) : value;
+    }
+    const filled = getFieldValue(fields, node.section).trim() !== '';
+    return filled !== node.inverted ? renderNodes(node.children, fields, cloze) : '';
+  }).join('');
+}
+
+/**
+ * Render a template with a note's fields
+ * @param {string} template - Template source
+ * @param {Object} fields - Field values by name
+ * @param {Object} cloze - { number, side } when rendering a cloze card (optional)
+ * @returns {string} Rendered content (trimmed)
+ */
+export function renderTemplate(template, fields, cloze = null) {
+  return renderNodes(parseTemplate(template), fields, cloze).trim();
+}
+
+/**
+ * Get the names of the fields a template uses (including section names, excluding FrontSide)
+ * @param {string} template - Template source
+ * @returns {string[]} Distinct field names
+ */
+export function getTemplateFields(template) {
+  const names = new Set();
+  const collect = (nodes) => {
+    for (const node of nodes) {
+      if (typeof node === 'string') {
+        continue;
+      }
+      if (node.field !== undefined) {
+        names.add(node.field);
+      } else {
+        names.add(node.section);
+        collect(node.children);
+      }
+    }
+  };
+  collect(parseTemplate(template));
+  names.delete(FRONT_SIDE);
+  return [...names];
+}
+
+/**
+ * Get the field a template side shows on its own, if it is nothing but "{{Field}}"
+ * (cards of such templates can be edited directly, see getFieldsFromCardEdit)
+ * @param {string} template - Template source
+ * @returns {string|null} Field name
+ */
+export function getSingleField(template) {
+  const nodes = parseTemplate(String(template || '').trim());
+  if (nodes.length === 1 && nodes[0].field !== undefined && !nodes[0].filter && nodes[0].field !== FRONT_SIDE) {
+    return nodes[0].field;
+  }
+  return null;
+}
+
+/**
+ * Get the fields a template side shows through the cloze filter
+ * @param {string} template - Template source
+ * @returns {string[]} Field names
+ */
+export function getClozeFields(template) {
+  const names = new Set();
+  const collect = (nodes) => {
+    for (const node of nodes) {
+      if (typeof node === 'string') {
+        continue;
+      }
+      if (node.field !== undefined) {
+        if (node.filter === CLOZE_FILTER) {
+          names.add(node.field);
+        }
+      } else {
+        collect(node.children);
+      }
+    }
+  };
+  collect(parseTemplate(template));
+  return [...names];
+}
+
+/**
+ * Check whether a note type makes one card per cloze number (its first template shows a cloze field)
+ * @param {Object} noteType - Note type
+ * @returns {boolean}
+ */
+export function isClozeNoteType(noteType) {
+  const template = noteType?.templates?.[0];
+  return Boolean(template) && getClozeFields(template.front).length > 0;
+}
+
+/**
+ * Render both sides of a card template
+ * @param {Object} template - { front, back }
+ * @param {Object} fields - Note field values by name
+ * @param {number} clozeNumber - Cloze number of the card, for cloze note types (optional)
+ * @returns {Object} { front, back }
+ */
+export function renderCardTemplate(template, fields, clozeNumber = null) {
+  const front = renderTemplate(template.front, fields, clozeNumber ? { number: clozeNumber, side: 'front' } : null);
+  const back = renderTemplate(
+    template.back,
+    { ...fields, [FRONT_SIDE]: front },
+    clozeNumber ? { number: clozeNumber, side: 'back' } : null
+  );
+  return { front, back };
+}
+
+/**
+ * Render one card of a note
+ * @param {Object} noteType - Note type ({ templates: [{ name, front, back }] })
+ * @param {Object} fields - Note field values by name
+ * @param {number} ord - Template index (cloze note types: cloze number - 1)
+ * @returns {Object|null} { front, back }, or null if the note type has no such template
+ */
+export function renderCard(noteType, fields, ord = 0) {
+  if (isClozeNoteType(noteType)) {
+    return renderCardTemplate(noteType.templates[0], fields, ord + 1);
+  }
+  const template = noteType?.templates?.[ord];
+  return template ? renderCardTemplate(template, fields) : null;
+}
+
+/**
+ * Get a display name for one card of a note type ("Cloze 2" for cloze note types, else the template name)
+ * @param {Object} noteType - Note type
+ * @param {number} ord - Template index
+ * @returns {string}
+ */
+export function getCardName(noteType, ord) {
+  if (isClozeNoteType(noteType)) {
+    return `Cloze ${ord + 1}`;
+  }
+  return noteType?.templates?.[ord]?.name || `Card ${ord + 1}`;
+}
+
+/**
+ * Get the templates that produce a card for a note
+ * A template produces a card when its front shows at least one of the note's fields
+ * (e.g. a "production" template is skipped while the translation is empty).
+ * Cloze note types produce one card per cloze number instead.
+ * @param {Object} noteType - Note type
+ * @param {Object} fields - Note field values by name
+ * @returns {number[]} Template indexes
+ */
+export function getCardOrds(noteType, fields) {
+  if (isClozeNoteType(noteType)) {
+    // One card per cloze number used in the cloze fields of the front
+    const numbers = new Set();
+    for (const fieldName of getClozeFields(noteType.templates[0].front)) {
+      getClozeNumbers(getFieldValue(fields, fieldName)).forEach(number => numbers.add(number));
+    }
+    return [...numbers].sort((a, b) => a - b).map(number => number - 1);
+  }
+
+  const ords = [];
+  (noteType?.templates || []).forEach((template, ord) => {
+    const front = renderTemplate(template.front, fields);
+    if (front !== '' && front !== renderTemplate(template.front, {})) {
+      ords.push(ord);
+    }
+  });
+  return ords;
+}
+
+/**
+ * Work out the note fields behind a direct edit of one card's front and back
+ * Only possible when both sides of the card's template show a single field
+ * (e.g. "Basic" and both cards of "Basic (and reversed card)")
+ * @param {Object} noteType - Note type
+ * @param {Object} fields - Current note field values
+ * @param {number} ord - Template index of the edited card
+ * @param {string} front - New front content
+ * @param {string} back - New back content
+ * @returns {Object|null} Updated field values, or null if the card can't be edited this way
+ */
+export function getFieldsFromCardEdit(noteType, fields, ord, front, back) {
+  const template = noteType?.templates?.[ord];
+  const frontField = template ? getSingleField(template.front) : null;
+  const backField = template ? getSingleField(template.back) : null;
+  if (!frontField || !backField || frontField === backField) {
+    return null;
+  }
+  return { ...fields, [frontField]: front, [backField]: back };
+}
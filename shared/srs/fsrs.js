@@ -0,0 +1,214 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler)
+ * FSRS-4.5 memory model: every card has a stability (days until the chance of
+ * recalling it drops to 90%) and a difficulty (1-10), updated after each review.
+ * Intervals are chosen so the card is shown when recall probability reaches the
+ * user's desired retention.
+ */
+
+import { parseLearningSteps, getDefaultSettings } from './settings.js';
+
+/**
+ * Default FSRS-4.5 model weights
+ */
+const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // Chosen so that retrievability(S, S) = 0.9
+const MIN_STABILITY = 0.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Grade buttons mapped to FSRS ratings
+ */
+const RATINGS = {
+  again: 1,
+  hard: 2,
+  good: 3,
+  easy: 4
+};
+
+function clampDifficulty(difficulty) {
+  return Math.min(10, Math.max(1, difficulty));
+}
+
+function initialStability(rating) {
+  return Math.max(MIN_STABILITY, DEFAULT_WEIGHTS[rating - 1]);
+}
+
+function initialDifficulty(rating) {
+  const w = DEFAULT_WEIGHTS;
+  return clampDifficulty(w[4] - (rating - 3) * w[5]);
+}
+
+function nextDifficulty(difficulty, rating) {
+  const w = DEFAULT_WEIGHTS;
+  const next = difficulty - w[6] * (rating - 3);
+  // Mean reversion towards the difficulty of a card first answered "easy"
+  return clampDifficulty(w[7] * initialDifficulty(RATINGS.easy) + (1 - w[7]) * next);
+}
+
+function nextRecallStability(difficulty, stability, recall, rating) {
+  const w = DEFAULT_WEIGHTS;
+  const hardPenalty = rating === RATINGS.hard ? w[15] : 1;
+  const easyBonus = rating === RATINGS.easy ? w[16] : 1;
+  return stability * (
+    1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(stability, -w[9])
+      * (Math.exp(w[10] * (1 - recall)) - 1) * hardPenalty * easyBonus
+  );
+}
+
+function nextForgetStability(difficulty, stability, recall) {
+  const w = DEFAULT_WEIGHTS;
+  const forgotten = w[11] * Math.pow(difficulty, -w[12])
+    * (Math.pow(stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - recall));
+  // Forgetting a card never makes it more stable
+  return Math.max(MIN_STABILITY, Math.min(stability, forgotten));
+}
+
+/**
+ * Probability of recalling a card after some time
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Card stability in days
+ * @returns {number} Recall probability (0-1)
+ */
+export function retrievability(elapsedDays, stability) {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+}
+
+/**
+ * Convert SM-2 state (ease_factor/interval) into an initial FSRS memory state
+ * Used for cards reviewed before the user switched schedulers; mirrors the
+ * conversion in database/migration_fsrs.sql
+ * @param {Object} cardProgress - Progress object with interval and ease_factor
+ * @returns {Object} { stability, difficulty }
+ */
+export function memoryStateFromSM2(cardProgress) {
+  const easeFactor = parseFloat(cardProgress.ease_factor) || 2.5;
+  return {
+    // The SM-2 interval is the best estimate of how long the card is remembered
+    stability: Math.max(MIN_STABILITY, parseFloat(cardProgress.interval) || 0),
+    // Ease 1.3 (hardest) maps to difficulty 10, ease 3.0 (easiest) to difficulty 1
+    difficulty: clampDifficulty(10 - (easeFactor - 1.3) * 9 / 1.7)
+  };
+}
+
+/**
+ * Get the FSRS memory state of a card
+ * @param {Object} cardProgress - Current progress object
+ * @returns {Object|null} { stability, difficulty }, or null for a card never reviewed
+ */
+export function getMemoryState(cardProgress) {
+  if (!cardProgress || !cardProgress.last_review) {
+    return null;
+  }
+  if (cardProgress.stability > 0 && cardProgress.difficulty > 0) {
+    return {
+      stability: parseFloat(cardProgress.stability),
+      difficulty: parseFloat(cardProgress.difficulty)
+    };
+  }
+  return memoryStateFromSM2(cardProgress);
+}
+
+/**
+ * Interval (in whole days) at which recall probability falls to the desired retention
+ * @param {number} stability - Card stability in days
+ * @param {Object} settings - User settings
+ * @returns {number} Interval in days
+ */
+function intervalFromStability(stability, settings) {
+  const desiredRetention = parseFloat(settings.desired_retention) || getDefaultSettings().desired_retention;
+  const interval = stability / FACTOR * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return Math.min(Math.max(1, Math.round(interval)), settings.max_interval);
+}
+
+/**
+ * Review a card with FSRS and update its progress based on the grade
+ * New and forgotten cards go through the sub-day learning steps (e.g. 1m,6m,10m)
+ * before being scheduled from their stability
+ * @param {Object} cardProgress - Current progress object
+ * @param {string} grade - "again", "hard", "good", or "easy"
+ * @param {Object} userSettings - User settings (optional, uses defaults if not provided)
+ * @param {Date} now - Time of the review
+ * @returns {Object} Updated progress object
+ */
+export function reviewCard(cardProgress, grade, userSettings = null, now = new Date()) {
+  const settings = userSettings || getDefaultSettings();
+  const rating = RATINGS[grade];
+  // Multi-day steps are replaced by the stability-based interval
+  const learningSteps = parseLearningSteps(settings.learning_steps).filter(step => step < 1);
+
+  // Initialize progress if it's null (new card for this user)
+  if (!cardProgress) {
+    cardProgress = {
+      interval: 0,
+      ease_factor: settings.starting_ease_factor,
+      repetitions: 0,
+      due_date: now,
+      last_review: null,
+      learning_step: 0
+    };
+  }
+
+  // Update the memory state
+  const memory = getMemoryState(cardProgress);
+  let stability;
+  let difficulty;
+  if (!memory) {
+    stability = initialStability(rating);
+    difficulty = initialDifficulty(rating);
+  } else {
+    const elapsedDays = Math.max(0, (now.getTime() - new Date(cardProgress.last_review).getTime()) / DAY_MS);
+    const recall = retrievability(elapsedDays, memory.stability);
+    stability = rating === RATINGS.again
+      ? nextForgetStability(memory.difficulty, memory.stability, recall)
+      : nextRecallStability(memory.difficulty, memory.stability, recall, rating);
+    difficulty = nextDifficulty(memory.difficulty, rating);
+  }
+
+  // Card is learning if it was never reviewed, is on a learning step,
+  // or is a legacy card with a sub-day interval
+  const learningStep = cardProgress.learning_step;
+  const isLearning = !cardProgress.last_review
+    || (learningStep !== undefined && learningStep !== null && learningStep >= 0)
+    || ((learningStep === undefined || learningStep === null) && cardProgress.interval < 1);
+  const currentStep = Math.min(Math.max(0, learningStep || 0), Math.max(0, learningSteps.length - 1));
+
+  if (grade === 'again') {
+    // Back to the first learning step (or straight to the next day without steps)
+    cardProgress.repetitions = 0;
+    if (learningSteps.length > 0) {
+      cardProgress.learning_step = 0;
+      cardProgress.interval = learningSteps[0];
+    } else {
+      cardProgress.learning_step = -1;
+      cardProgress.interval = intervalFromStability(stability, settings);
+    }
+
+  } else if (isLearning && grade !== 'easy' && learningSteps.length > 0
+             && (grade === 'hard' || currentStep < learningSteps.length - 1)) {
+    // Learning phase: hard repeats the current step, good moves to the next one
+    cardProgress.learning_step = grade === 'hard' ? currentStep : currentStep + 1;
+    cardProgress.interval = learningSteps[cardProgress.learning_step];
+    if (!cardProgress.last_review) {
+      cardProgress.repetitions = 1; // First review
+    }
+
+  } else {
+    // Graduating or reviewing: schedule from stability
+    cardProgress.learning_step = -1;
+    cardProgress.interval = intervalFromStability(stability, settings);
+    cardProgress.repetitions = (cardProgress.repetitions || 0) + 1;
+  }
+
+  cardProgress.stability = stability;
+  cardProgress.difficulty = difficulty;
+  cardProgress.due_date = new Date(now.getTime() + cardProgress.interval * DAY_MS);
+  cardProgress.last_review = now;
+
+  return cardProgress;
+}
@@ -0,0 +1,100 @@
+/**
+ * Interval Fuzz and Load Balancing
+ * Spreads graduated intervals over a small window of days so cards learned
+ * together don't keep coming due on the same day. With load balancing on, the
+ * day in the window with the fewest reviews already scheduled is preferred.
+ */
+
+import { getStudyDates } from './study-day.js';
+
+// Intervals shorter than this are never fuzzed
+const MIN_FUZZ_INTERVAL = 3;
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the fuzz seed for a review, so the preview and the stored review pick the same day
+ * (changes with every successful review of the card)
+ * @param {number|string} cardId - Card ID
+ * @param {Object} cardProgress - Progress before the review (null for new cards)
+ * @returns {number} 32-bit seed
+ */
+export function getFuzzSeed(cardId, cardProgress) {
+  const key = `${cardId}:${cardProgress ? parseInt(cardProgress.repetitions) || 0 : 0}`;
+  // FNV-1a hash
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Get the window of days an interval may be moved to
+ * @param {number} interval - Interval in whole days
+ * @param {Object} settings - User settings (fuzz_percent, max_interval)
+ * @returns {number[]} [min, max] in days (equal when no fuzz applies)
+ */
+export function getFuzzRange(interval, settings) {
+  const percent = parseFloat(settings.fuzz_percent) || 0;
+  if (percent <= 0 || interval < MIN_FUZZ_INTERVAL) {
+    return [interval, interval];
+  }
+  const delta = Math.max(1, Math.round(interval * percent / 100));
+  return [
+    Math.max(1, interval - delta),
+    Math.max(1, Math.min(interval + delta, settings.max_interval))
+  ];
+}
+
+/**
+ * Pick the fuzzed interval for a review
+ * @param {number} interval - Interval in whole days
+ * @param {Object} settings - User settings (fuzz_percent, load_balance, timezone, day_starts_at)
+ * @param {Date} now - Time of the review
+ * @param {Object} options - { seed, dueCounts } - seed for the random pick (random if omitted),
+ *   dueCounts maps study dates ("YYYY-MM-DD") to reviews already due that day (for load balancing)
+ * @returns {number} Interval in days
+ */
+export function fuzzInterval(interval, settings, now, { seed, dueCounts } = {}) {
+  const [min, max] = getFuzzRange(interval, settings);
+  if (min === max) {
+    return interval;
+  }
+
+  const random = seed !== undefined && seed !== null ? createRandom(seed) : Math.random;
+
+  if (settings.load_balance && dueCounts) {
+    // Least busy days in the window; ties are broken randomly
+    let fewest = Infinity;
+    let candidates = [];
+    const dates = getStudyDates(now, min, max - min + 1, settings);
+    for (let days = min; days <= max; days++) {
+      const count = dueCounts[dates[days - min]] || 0;
+      if (count < fewest) {
+        fewest = count;
+        candidates = [days];
+      } else if (count === fewest) {
+        candidates.push(days);
+      }
+    }
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  return min + Math.floor(random() * (max - min + 1));
+}
@@ -0,0 +1,125 @@
+/**
+ * Spaced Repetition System (SRS) Scheduling
+ * Shared by the server (to store reviews) and the client (to preview the
+ * next review time on each grade button), so both always agree.
+ * Users pick SM-2 (sm2.js) or FSRS (fsrs.js) in their settings.
+ */
+
+import { getDefaultSettings } from './settings.js';
+import { reviewCard as reviewCardSM2 } from './sm2.js';
+import { reviewCard as reviewCardFSRS } from './fsrs.js';
+import { addStudyDays } from './study-day.js';
+import { fuzzInterval } from './fuzz.js';
+
+export {
+  SCHEDULERS,
+  LEECH_ACTIONS,
+  parseLearningSteps,
+  formatLearningSteps,
+  getDefaultSettings
+} from './settings.js';
+export { retrievability, memoryStateFromSM2, getMemoryState } from './fsrs.js';
+export { isValidTimezone, getStudyDate, getStudyDayStart, addStudyDays } from './study-day.js';
+export { createRandom, getFuzzSeed, getFuzzRange } from './fuzz.js';
+
+/**
+ * Fill in defaults for any setting that is missing (e.g. columns added by a
+ * migration the user hasn't run yet)
+ * @param {Object} userSettings - User settings (optional)
+ * @returns {Object} Complete settings object
+ */
+export function resolveSettings(userSettings = null) {
+  const settings = getDefaultSettings();
+  if (userSettings) {
+    for (const [key, value] of Object.entries(userSettings)) {
+      if (value !== null && value !== undefined) {
+        settings[key] = value;
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Normalize a progress object coming from the database or the API
+ * (NUMERIC columns arrive as strings, a NULL learning_step means "infer it")
+ * @param {Object} cardProgress - Progress object (null for a card never seen by this user)
+ * @returns {Object|null} A copy that is safe for the schedulers to update
+ */
+function normalizeProgress(cardProgress) {
+  if (!cardProgress) {
+    return null;
+  }
+  return {
+    ...cardProgress,
+    interval: parseFloat(cardProgress.interval) || 0,
+    ease_factor: parseFloat(cardProgress.ease_factor) || getDefaultSettings().starting_ease_factor,
+    repetitions: parseInt(cardProgress.repetitions) || 0,
+    learning_step: cardProgress.learning_step !== null ? cardProgress.learning_step : undefined
+  };
+}
+
+/**
+ * Classify a card's state before it is answered (recorded in the review log)
+ * @param {Object} cardProgress - Current progress object (null for a card never seen by this user)
+ * @returns {string} "new", "learning" or "review"
+ */
+export function getReviewType(cardProgress) {
+  if (!cardProgress || !cardProgress.last_review) {
+    return 'new';
+  }
+  const learningStep = cardProgress.learning_step;
+  if ((learningStep !== undefined && learningStep !== null && learningStep >= 0) || cardProgress.interval < 1) {
+    return 'learning';
+  }
+  return 'review';
+}
+
+/**
+ * Review a card and return its updated progress based on the grade
+ * @param {Object} cardProgress - Current progress object (not modified)
+ * @param {string} grade - "again", "hard", "good", or "easy"
+ * @param {Object} userSettings - User settings (optional, uses defaults if not provided)
+ * @param {Date} now - Time of the review (defaults to the current time)
+ * @param {Object} options - { seed, dueCounts } for interval fuzz (see fuzz.js)
+ * @returns {Object} Updated progress object
+ */
+export function reviewCard(cardProgress, grade, userSettings = null, now = new Date(), options = {}) {
+  const settings = resolveSettings(userSettings);
+  const progress = normalizeProgress(cardProgress);
+  const updated = settings.scheduler === 'fsrs'
+    ? reviewCardFSRS(progress, grade, settings, now)
+    : reviewCardSM2(progress, grade, settings, now);
+  
+  // Intervals of a day or more are due when that study day starts in the user's
+  // timezone, not at the time of day the card happened to be reviewed
+  if (updated.interval >= 1) {
+    // Spread graduated cards over nearby days (the interval is only replaced if fuzz moved it).
+    // Learning steps of a day or more keep their exact length, like the due forecast ignores them
+    const days = Math.round(updated.interval);
+    const fuzzedDays = updated.learning_step < 0 ? fuzzInterval(days, settings, now, options) : days;
+    if (fuzzedDays !== days) {
+      updated.interval = fuzzedDays;
+    }
+    updated.due_date = addStudyDays(now, fuzzedDays, settings);
+  }
+  return updated;
+}
+
+/**
+ * Calculate the next review time for a card based on a grade, without modifying progress
+ * Runs the real review on a copy, so the preview is exactly what would be stored
+ * @param {Object} cardProgress - Current progress object (can be null for new cards)
+ * @param {string} grade - "again", "hard", "good", or "easy"
+ * @param {Object} userSettings - User settings (optional)
+ * @param {Date} now - Time of the review (defaults to the current time)
+ * @param {Object} options - { seed, dueCounts } - pass the same values as the real review
+ * @returns {Object} Object with nextDueDate and interval
+ */
+export function calculateNextReviewTime(cardProgress, grade, userSettings = null, now = new Date(), options = {}) {
+  const preview = reviewCard(cardProgress, grade, userSettings, now, options);
+  return {
+    nextDueDate: preview.due_date,
+    interval: preview.interval
+  };
+}
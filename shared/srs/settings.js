@@ -0,0 +1,111 @@
+/**
+ * SRS Settings
+ * Default settings and learning steps parsing shared by both schedulers
+ */
+
+/**
+ * Default learning steps queue
+ */
+const DEFAULT_LEARNING_STEPS = [
+  1 / (24 * 60),      // 1 minute
+  6 / (24 * 60),      // 6 minutes
+  10 / (24 * 60),     // 10 minutes
+  12                  // 12 days
+];
+
+/**
+ * Available scheduling algorithms
+ */
+export const SCHEDULERS = ['sm2', 'fsrs'];
+
+/**
+ * What happens to a card once it becomes a leech
+ */
+export const LEECH_ACTIONS = ['tag', 'suspend'];
+
+/**
+ * Parse learning steps string (e.g., "1m,6m,10m,12d") to array of days
+ * @param {string} stepsString - Comma-separated steps like "1m,6m,10m,12d"
+ * @returns {number[]} Array of intervals in days
+ */
+export function parseLearningSteps(stepsString) {
+  if (!stepsString) {
+    return DEFAULT_LEARNING_STEPS;
+  }
+  
+  const steps = stepsString.split(',').map(step => step.trim());
+  const parsedSteps = [];
+  
+  for (const step of steps) {
+    const match = step.match(/^(\d+)([mhd])$/i);
+    if (!match) {
+      console.warn(`Invalid learning step format: ${step}, using default`);
+      return DEFAULT_LEARNING_STEPS;
+    }
+    
+    const value = parseInt(match[1]);
+    const unit = match[2].toLowerCase();
+    
+    let days;
+    if (unit === 'm') {
+      days = value / (24 * 60); // minutes to days
+    } else if (unit === 'h') {
+      days = value / 24; // hours to days
+    } else if (unit === 'd') {
+      days = value; // days
+    } else {
+      console.warn(`Unknown unit: ${unit}, using default`);
+      return DEFAULT_LEARNING_STEPS;
+    }
+    
+    parsedSteps.push(days);
+  }
+  
+  return parsedSteps.length > 0 ? parsedSteps : DEFAULT_LEARNING_STEPS;
+}
+
+/**
+ * Format learning steps array to string (e.g., [0.000694, 0.004167, 0.006944, 12] → "1m,6m,10m,12d")
+ * @param {number[]} steps - Array of intervals in days
+ * @returns {string} Formatted string
+ */
+export function formatLearningSteps(steps) {
+  return steps.map(step => {
+    if (step < 1 / 24) {
+      // Less than 1 hour, show as minutes
+      const minutes = Math.round(step * 24 * 60);
+      return `${minutes}m`;
+    } else if (step < 1) {
+      // Less than 1 day, show as hours
+      const hours = Math.round(step * 24);
+      return `${hours}h`;
+    } else {
+      // Days
+      return `${Math.round(step)}d`;
+    }
+  }).join(',');
+}
+
+/**
+ * Get default user settings
+ */
+export function getDefaultSettings() {
+  return {
+    max_interval: 36500,
+    starting_ease_factor: 2.5,
+    easy_bonus: 1.3,
+    interval_modifier: 1.0,
+    hard_interval_factor: 1.0, // Default to 1.0 (unchanged) per requirements
+    new_cards_per_day: 20,
+    max_reviews_per_day: 200,
+    learning_steps: '1m,6m,10m,12d',
+    scheduler: 'sm2', // "sm2" or "fsrs"
+    desired_retention: 0.9, // FSRS only: target probability of recalling a card when it is due
+    timezone: 'UTC', // IANA timezone used for day boundaries
+    day_starts_at: 4, // Hour (0-23) at which the next study day starts
+    fuzz_percent: 5, // Graduated intervals are moved by up to this % (0 = off)
+    load_balance: false, // Within the fuzz window, prefer the day with the fewest reviews due
+    leech_threshold: 8, // Lapses before a card is marked as a leech (0 = off)
+    leech_action: 'tag' // "tag" (only mark it) or "suspend" (also take it out of the queue)
+  };
+}
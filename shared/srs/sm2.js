@@ -1,9 +1,9 @@
 /**
- * Spaced Repetition System (SRS) Algorithm
+ * SM-2 Scheduler
  * Full Anki-style implementation with learning steps queues
  */
 
-import { parseLearningSteps, getDefaultSettings } from './user-settings.js';
+import { parseLearningSteps, getDefaultSettings } from './settings.js';
 
 /**
  * Get learning steps queue for a card
@@ -22,10 +22,10 @@ function getLearningSteps(userSettings) {
  * @param {Object} cardProgress - Current progress object
  * @param {string} grade - "again", "hard", "good", or "easy"
  * @param {Object} userSettings - User settings (optional, uses defaults if not provided)
+ * @param {Date} now - Time of the review
  * @returns {Object} Updated progress object
  */
-export function reviewCard(cardProgress, grade, userSettings = null) {
-  const now = new Date();
+export function reviewCard(cardProgress, grade, userSettings = null, now = new Date()) {
   const settings = userSettings || getDefaultSettings();
   const learningSteps = getLearningSteps(settings);
   
@@ -65,6 +65,11 @@ export function reviewCard(cardProgress, grade, userSettings = null) {
     }
   }
   
+  // The user may have shortened their learning steps since this card was last seen
+  if (cardProgress.learning_step >= learningSteps.length) {
+    cardProgress.learning_step = learningSteps.length - 1;
+  }
+  
   if (grade === "again") {
     // Reset to first learning step
     cardProgress.learning_step = 0;
@@ -81,8 +86,9 @@ export function reviewCard(cardProgress, grade, userSettings = null) {
       // For learning cards: stay at current step
       if (!cardProgress.last_review) {
         // New card - advance one step in queue (step 0 → step 1 = 6m)
-        cardProgress.learning_step = 1;
-        cardProgress.interval = learningSteps[1]; // 6 minutes
+        // (clamped for queues shorter than the default 4 steps)
+        cardProgress.learning_step = Math.min(1, learningSteps.length - 1);
+        cardProgress.interval = learningSteps[cardProgress.learning_step]; // 6 minutes
         cardProgress.last_review = now; // Mark as reviewed
         cardProgress.repetitions = 1; // First review
       } else {
@@ -97,8 +103,8 @@ export function reviewCard(cardProgress, grade, userSettings = null) {
       // For learning cards: advance appropriately
       if (!cardProgress.last_review) {
         // New card - skip to step 2 (10m) - optimize forward
-        cardProgress.learning_step = 2;
-        cardProgress.interval = learningSteps[2]; // 10 minutes
+        cardProgress.learning_step = Math.min(2, learningSteps.length - 1);
+        cardProgress.interval = learningSteps[cardProgress.learning_step]; // 10 minutes
         cardProgress.last_review = now;
         cardProgress.repetitions = 1;
       } else if (cardProgress.learning_step < learningSteps.length - 2) {
@@ -183,119 +189,10 @@ export function reviewCard(cardProgress, grade, userSettings = null) {
   cardProgress.due_date = nextDueDate;
   cardProgress.last_review = now;
   
-  return cardProgress;
-}
-
-/**
- * Calculate the next review time for a card based on a grade, without modifying progress
- * This is used to preview what the next review time would be
- * @param {Object} cardProgress - Current progress object (can be null for new cards)
- * @param {string} grade - "again", "hard", "good", or "easy"
- * @param {Object} userSettings - User settings (optional)
- * @returns {Object} Object with nextDueDate and interval
- */
-export function calculateNextReviewTime(cardProgress, grade, userSettings = null) {
-  const now = new Date();
-  const settings = userSettings || getDefaultSettings();
-  const learningSteps = getLearningSteps(settings);
-  
-  // Initialize progress if it doesn't exist (new card)
-  let tempProgress = cardProgress ? { ...cardProgress } : {
-    interval: 0,
-    ease_factor: settings.starting_ease_factor,
-    repetitions: 0,
-    due_date: now,
-    last_review: null,
-    learning_step: 0
-  };
-  
-  // Infer learning_step if not set (legacy cards)
-  if (tempProgress.learning_step === undefined) {
-    if (tempProgress.interval < 1) {
-      // Find closest learning step
-      let closestStep = 0;
-      for (let i = 0; i < learningSteps.length; i++) {
-        if (Math.abs(tempProgress.interval - learningSteps[i]) < Math.abs(tempProgress.interval - learningSteps[closestStep])) {
-          closestStep = i;
-        }
-      }
-      tempProgress.learning_step = closestStep;
-    } else {
-      tempProgress.learning_step = -1; // Graduated
-    }
-  }
-  
-  // Determine if card is in learning phase
-  const isLearning = tempProgress.learning_step >= 0;
-  
-  // Apply the same logic as reviewCard but don't modify the original
-  if (grade === "again") {
-    tempProgress.learning_step = 0;
-    tempProgress.repetitions = 0;
-    tempProgress.interval = learningSteps[0];
-    tempProgress.ease_factor = Math.max(1.3, tempProgress.ease_factor - 0.15);
-    
-  } else if (isLearning && tempProgress.learning_step >= 0) {
-    // Learning phase
-    
-    if (grade === "hard") {
-      // Hard: keep current step
-      tempProgress.interval = learningSteps[tempProgress.learning_step];
-      
-    } else if (grade === "good") {
-      // Good: advance to next step
-      if (tempProgress.learning_step < learningSteps.length - 1) {
-        tempProgress.learning_step += 1;
-        tempProgress.interval = learningSteps[tempProgress.learning_step];
-      } else {
-        // Graduate
-        tempProgress.interval = learningSteps[learningSteps.length - 1];
-      }
-      
-    } else if (grade === "easy") {
-      // Easy: advance with bonus
-      if (tempProgress.learning_step < learningSteps.length - 1) {
-        tempProgress.learning_step = Math.min(tempProgress.learning_step + 1, learningSteps.length - 1);
-        tempProgress.interval = learningSteps[tempProgress.learning_step];
-        
-        if (tempProgress.learning_step === learningSteps.length - 1) {
-          tempProgress.interval = learningSteps[learningSteps.length - 1] * settings.easy_bonus;
-        }
-      } else {
-        tempProgress.interval = learningSteps[learningSteps.length - 1] * settings.easy_bonus;
-      }
-    }
-    
-  } else {
-    // Review phase: SM-2 formula
-    
-    const originalEaseFactor = tempProgress.ease_factor;
-    
-    if (grade === "hard") {
-      tempProgress.ease_factor = Math.max(1.3, tempProgress.ease_factor - 0.15);
-      tempProgress.interval = tempProgress.interval * settings.hard_interval_factor;
-    } else if (grade === "good") {
-      tempProgress.interval = tempProgress.interval * tempProgress.ease_factor;
-    } else if (grade === "easy") {
-      tempProgress.ease_factor = Math.min(3.0, tempProgress.ease_factor + 0.15);
-      tempProgress.interval = tempProgress.interval * tempProgress.ease_factor * settings.easy_bonus;
-    }
-    
-    // Apply interval modifier
-    tempProgress.interval = tempProgress.interval * settings.interval_modifier;
-    
-    // Cap at maximum
-    tempProgress.interval = Math.min(
-      Math.round(tempProgress.interval),
-      settings.max_interval
-    );
-  }
-  
-  // Calculate next due date
-  const nextDueDate = new Date(now.getTime() + tempProgress.interval * 24 * 60 * 60 * 1000);
+  // SM-2 doesn't maintain FSRS memory state; it is re-derived from
+  // ease_factor/interval if the user switches to FSRS
+  cardProgress.stability = null;
+  cardProgress.difficulty = null;
   
-  return {
-    nextDueDate,
-    interval: tempProgress.interval
-  };
+  return cardProgress;
 }
@@ -0,0 +1,171 @@
+/**
+ * Study Days
+ * A study day runs from the user's "next day starts at" hour (e.g. 4 AM) to the
+ * same hour the next day, in the user's timezone. Review intervals, daily limits,
+ * "studied today" and streaks all use this boundary instead of the server clock.
+ */
+
+/**
+ * Check whether a string is an IANA timezone name (e.g. "Europe/Berlin")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone and day start hour from settings (invalid values fall back to UTC / midnight)
+ * @param {Object} settings - User settings
+ * @returns {Object} { timeZone, dayStartsAt }
+ */
+function getDayBoundary(settings) {
+  const timeZone = settings && isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+  const hour = settings ? parseInt(settings.day_starts_at) : 0;
+  return { timeZone, dayStartsAt: hour >= 0 && hour <= 23 ? hour : 0 };
+}
+
+// One formatter per timezone (creating an Intl.DateTimeFormat is slow)
+const zonedFormats = new Map();
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  let format = zonedFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    zonedFormats.set(timeZone, format);
+  }
+  const parts = format.formatToParts(date);
+
+  const values = {};
+  for (const { type, value } of parts) {
+    if (type !== 'literal') {
+      values[type] = parseInt(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which the wall clock in a timezone shows the given date and hour
+ */
+function zonedTimeToDate(year, month, day, hour, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  let instant = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  // Second pass corrects the guess when a DST change falls in between
+  instant = wallClock - getTimezoneOffset(new Date(instant), timeZone);
+  // An hour skipped by a DST change (e.g. 2 AM in spring) starts when the clock jumps past it
+  const shown = instant + getTimezoneOffset(new Date(instant), timeZone);
+  if (shown < wallClock) {
+    instant += wallClock - shown;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Calendar date of the study day containing an instant
+ * @returns {Object} { year, month, day }
+ */
+function getStudyDateParts(date, settings) {
+  const { timeZone, dayStartsAt } = getDayBoundary(settings);
+  const p = getZonedParts(date, timeZone);
+  // Before the day start hour still belongs to the previous study day
+  const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour - dayStartsAt));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  };
+}
+
+/**
+ * Get the study day an instant belongs to
+ * @param {Date} date - Instant
+ * @param {Object} settings - User settings (timezone, day_starts_at)
+ * @returns {string} Study date as "YYYY-MM-DD"
+ */
+export function getStudyDate(date, settings) {
+  const { year, month, day } = getStudyDateParts(date, settings);
+  return formatDate(year, month, day);
+}
+
+/**
+ * Format a calendar date as "YYYY-MM-DD"
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get the study dates of a run of consecutive study days
+ * (same as getStudyDate(addStudyDays(date, days, settings), settings) for each day, with one timezone lookup)
+ * @param {Date} date - Instant
+ * @param {number} fromDays - Study days after the one containing the instant, for the first date
+ * @param {number} count - Number of dates
+ * @param {Object} settings - User settings (timezone, day_starts_at)
+ * @returns {string[]} Study dates as "YYYY-MM-DD"
+ */
+export function getStudyDates(date, fromDays, count, settings) {
+  const { year, month, day } = getStudyDateParts(date, settings);
+  const dates = [];
+  for (let i = 0; i < count; i++) {
+    // Let Date.UTC normalize month/year overflow
+    const target = new Date(Date.UTC(year, month - 1, day + fromDays + i));
+    dates.push(formatDate(target.getUTCFullYear(), target.getUTCMonth() + 1, target.getUTCDate()));
+  }
+  return dates;
+}
+
+/**
+ * Get the start of a study day, a number of days after the one containing an instant
+ * @param {Date} date - Instant
+ * @param {number} days - Study days to move forward (0 = start of the current study day)
+ * @param {Object} settings - User settings (timezone, day_starts_at)
+ * @returns {Date} Instant at which that study day starts
+ */
+export function addStudyDays(date, days, settings) {
+  const { timeZone, dayStartsAt } = getDayBoundary(settings);
+  const { year, month, day } = getStudyDateParts(date, settings);
+  // Let Date.UTC normalize month/year overflow
+  const target = new Date(Date.UTC(year, month - 1, day + days));
+  return zonedTimeToDate(target.getUTCFullYear(), target.getUTCMonth() + 1, target.getUTCDate(), dayStartsAt, timeZone);
+}
+
+/**
+ * Get the start of the study day containing an instant
+ * @param {Date} date - Instant
+ * @param {Object} settings - User settings (timezone, day_starts_at)
+ * @returns {Date}
+ */
+export function getStudyDayStart(date, settings) {
+  return addStudyDays(date, 0, settings);
+}
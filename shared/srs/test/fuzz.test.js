@@ -0,0 +1,142 @@
+/**
+ * Interval Fuzz and Load Balancing tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzInterval, getFuzzSeed, getFuzzRange, createRandom } from '../fuzz.js';
+import { getStudyDate, getStudyDates, addStudyDays } from '../study-day.js';
+import { resolveSettings, reviewCard } from '../index.js';
+
+const NOW = new Date('2026-03-10T15:00:00Z');
+const INTERVALS = [1, 2, 3, 4, 7, 10, 21, 45, 100, 365, 2000];
+
+/**
+ * Due counts for the study days NOW + days, from a map of days to counts
+ */
+function dueCountsFor(settings, countsByDays) {
+  return Object.fromEntries(Object.entries(countsByDays)
+    .map(([days, count]) => [getStudyDate(addStudyDays(NOW, Number(days), settings), settings), count]));
+}
+
+test('the same seed gives the same interval', () => {
+  const settings = resolveSettings({ fuzz_percent: 10 });
+  for (const interval of INTERVALS) {
+    for (const cardId of [1, 42, 99999]) {
+      const seed = getFuzzSeed(cardId, { repetitions: 3 });
+      const first = fuzzInterval(interval, settings, NOW, { seed });
+      for (let i = 0; i < 5; i++) {
+        assert.equal(fuzzInterval(interval, settings, NOW, { seed }), first);
+      }
+    }
+  }
+});
+
+test('the seed is the same for a card ID as text or number, and changes with each review', () => {
+  assert.equal(getFuzzSeed('42', { repetitions: '3' }), getFuzzSeed(42, { repetitions: 3 }));
+  assert.equal(getFuzzSeed(42, null), getFuzzSeed(42, { repetitions: 0 }));
+  assert.notEqual(getFuzzSeed(42, { repetitions: 3 }), getFuzzSeed(42, { repetitions: 4 }));
+  assert.notEqual(getFuzzSeed(42, { repetitions: 3 }), getFuzzSeed(43, { repetitions: 3 }));
+});
+
+test('the fuzzed interval stays within fuzz_percent of the interval', () => {
+  const random = createRandom(8);
+  for (const fuzzPercent of [1, 5, 10, 25]) {
+    const settings = resolveSettings({ fuzz_percent: fuzzPercent });
+    for (const interval of INTERVALS) {
+      const allowed = interval < 3 ? 0 : Math.max(1, Math.round(interval * fuzzPercent / 100));
+      const seen = new Set();
+      for (let i = 0; i < 200; i++) {
+        const seed = Math.floor(random() * 2 ** 32);
+        const fuzzed = fuzzInterval(interval, settings, NOW, { seed });
+        assert.ok(Number.isInteger(fuzzed), `${fuzzed} is a whole number of days`);
+        assert.ok(Math.abs(fuzzed - interval) <= allowed, `${fuzzed} is within ${fuzzPercent}% of ${interval}`);
+        assert.ok(fuzzed >= 1);
+        seen.add(fuzzed);
+      }
+      const [min, max] = getFuzzRange(interval, settings);
+      assert.ok(Math.min(...seen) >= min && Math.max(...seen) <= max);
+      // Intervals that can be fuzzed are spread over more than one day
+      assert.equal(seen.size > 1, allowed > 0);
+    }
+  }
+});
+
+test('no fuzz is applied when fuzz_percent is 0 or past max_interval', () => {
+  const off = resolveSettings({ fuzz_percent: 0 });
+  for (const interval of INTERVALS) {
+    assert.equal(fuzzInterval(interval, off, NOW, { seed: 1 }), interval);
+  }
+  const capped = resolveSettings({ fuzz_percent: 25, max_interval: 100 });
+  for (let seed = 0; seed < 100; seed++) {
+    assert.ok(fuzzInterval(100, capped, NOW, { seed }) <= 100);
+  }
+});
+
+test('the window\'s study dates are the ones addStudyDays reaches, across DST changes', () => {
+  for (const timezone of ['UTC', 'Europe/Berlin', 'America/New_York', 'Australia/Adelaide']) {
+    for (const dayStartsAt of [0, 2, 4, 23]) {
+      const settings = resolveSettings({ timezone, day_starts_at: dayStartsAt });
+      const dates = getStudyDates(NOW, 3, 400, settings);
+      dates.forEach((date, i) => {
+        assert.equal(date, getStudyDate(addStudyDays(NOW, 3 + i, settings), settings), `${timezone} ${dayStartsAt}h +${3 + i}`);
+      });
+    }
+  }
+});
+
+test('load balancing picks the least loaded day in the window', () => {
+  const settings = resolveSettings({ fuzz_percent: 10, load_balance: true, timezone: 'Europe/Berlin', day_starts_at: 4 });
+  // Window of 100 days: 90-110
+  const [min, max] = getFuzzRange(100, settings);
+  for (let quietDay = min; quietDay <= max; quietDay++) {
+    const counts = {};
+    for (let days = min; days <= max; days++) {
+      counts[days] = days === quietDay ? 2 : 10 + (days % 3);
+    }
+    for (let seed = 0; seed < 20; seed++) {
+      assert.equal(fuzzInterval(100, settings, NOW, { seed, dueCounts: dueCountsFor(settings, counts) }), quietDay);
+    }
+  }
+});
+
+test('load balancing picks among the least loaded days when they tie', () => {
+  const settings = resolveSettings({ fuzz_percent: 10, load_balance: true });
+  const [min, max] = getFuzzRange(50, settings);
+  const counts = {};
+  for (let days = min; days <= max; days++) {
+    counts[days] = 5;
+  }
+  // Days missing from the forecast have nothing due
+  delete counts[min + 1];
+  delete counts[max];
+  const picked = new Set();
+  for (let seed = 0; seed < 100; seed++) {
+    picked.add(fuzzInterval(50, settings, NOW, { seed, dueCounts: dueCountsFor(settings, counts) }));
+  }
+  assert.deepEqual([...picked].sort((a, b) => a - b), [min + 1, max]);
+});
+
+test('without load_balance the due counts are ignored', () => {
+  const settings = resolveSettings({ fuzz_percent: 10, load_balance: false });
+  const dueCounts = dueCountsFor(settings, { 48: 0, 49: 100, 50: 100, 51: 100, 52: 100 });
+  for (let seed = 0; seed < 50; seed++) {
+    assert.equal(fuzzInterval(50, settings, NOW, { seed, dueCounts }), fuzzInterval(50, settings, NOW, { seed }));
+  }
+});
+
+test('learning steps of a day or more are not fuzzed', () => {
+  // SM-2 only: FSRS drops learning steps of a day or more
+  const settings = { scheduler: 'sm2', learning_steps: '10m,4d,7d', fuzz_percent: 25 };
+  // On the 10m step, good moves to the 4d step
+  const progress = {
+    interval: 10 / 1440, ease_factor: 2.5, repetitions: 1, due_date: NOW,
+    last_review: new Date(NOW.getTime() - 10 * 60 * 1000), learning_step: 0, lapses: 0
+  };
+  for (let seed = 0; seed < 50; seed++) {
+    const updated = reviewCard({ ...progress }, 'good', settings, NOW, { seed });
+    assert.equal(updated.learning_step, 1);
+    assert.equal(updated.interval, 4);
+    assert.equal(updated.due_date.getTime(), addStudyDays(NOW, 4, resolveSettings(settings)).getTime());
+  }
+});
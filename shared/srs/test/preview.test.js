@@ -0,0 +1,118 @@
+/**
+ * Preview vs stored review
+ * The client previews each grade with calculateNextReviewTime on the progress the API
+ * sent it (JSON); the server stores reviewCard on the database row. For many generated
+ * cards and settings, under both schedulers, both must give the same interval and due date.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewCard, calculateNextReviewTime, getFuzzSeed, createRandom } from '../index.js';
+import { getStudyDates } from '../study-day.js';
+
+const GRADES = ['again', 'hard', 'good', 'easy'];
+const TIMEZONES = ['UTC', 'America/New_York', 'Asia/Tokyo', 'Australia/Adelaide'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUNS = 200;
+
+const pick = (random, values) => values[Math.floor(random() * values.length)];
+const between = (random, min, max) => min + random() * (max - min);
+const intBetween = (random, min, max) => Math.floor(between(random, min, max + 1));
+
+/**
+ * Generate a user_progress row as pg returns it (NUMERIC as text, timestamps as Dates),
+ * or null for a card the user has never seen
+ */
+function generateProgress(random, now) {
+  const kind = pick(random, ['new', 'learning', 'review', 'relearning']);
+  if (kind === 'new') {
+    return null;
+  }
+  if (kind === 'learning') {
+    const lastReview = new Date(now.getTime() - between(random, 0, 20) * 60 * 1000);
+    return {
+      interval: String(pick(random, [0, 1 / 1440, 6 / 1440, 10 / 1440])),
+      ease_factor: '2.50',
+      repetitions: 0,
+      due_date: lastReview,
+      last_review: lastReview,
+      learning_step: intBetween(random, 0, 2),
+      stability: random() < 0.5 ? null : between(random, 0.1, 5),
+      difficulty: random() < 0.5 ? null : between(random, 1, 10),
+      lapses: 0
+    };
+  }
+  const interval = intBetween(random, 1, 400);
+  // Reviewed early, on time or late
+  const elapsed = interval * between(random, 0.5, 2);
+  const lastReview = new Date(now.getTime() - elapsed * DAY_MS);
+  const hasMemoryState = random() < 0.5;
+  return {
+    interval: String(interval),
+    ease_factor: between(random, 1.3, 3.2).toFixed(2),
+    repetitions: intBetween(random, 1, 25),
+    due_date: new Date(lastReview.getTime() + interval * DAY_MS),
+    last_review: lastReview,
+    learning_step: kind === 'relearning' ? 0 : pick(random, [-1, null]),
+    stability: hasMemoryState ? between(random, 1, 500) : null,
+    difficulty: hasMemoryState ? between(random, 1, 10) : null,
+    lapses: intBetween(random, 0, 10)
+  };
+}
+
+/**
+ * Generate user settings (as the settings API returns them)
+ */
+function generateSettings(random, scheduler) {
+  return {
+    scheduler,
+    learning_steps: pick(random, ['1m,6m,10m,12d', '1m,10m', '10m,1d,3d']),
+    max_interval: pick(random, [36500, 180, 30]),
+    starting_ease_factor: 2.5,
+    easy_bonus: pick(random, [1.3, 1.5]),
+    interval_modifier: pick(random, [1, 0.8, 1.2]),
+    hard_interval_factor: pick(random, [1, 1.2]),
+    desired_retention: pick(random, [0.8, 0.9, 0.95]),
+    timezone: pick(random, TIMEZONES),
+    day_starts_at: intBetween(random, 0, 23),
+    fuzz_percent: pick(random, [0, 5, 10, 25]),
+    load_balance: random() < 0.5
+  };
+}
+
+/**
+ * Generate the reviews already due on the coming study days (getDueForecast)
+ */
+function generateDueCounts(random, now, settings) {
+  return Object.fromEntries(getStudyDates(now, 1, 500, settings).map(date => [date, intBetween(random, 0, 30)]));
+}
+
+for (const scheduler of ['sm2', 'fsrs']) {
+  test(`${scheduler}: the preview of every grade is the review the server stores`, () => {
+    const random = createRandom(scheduler === 'sm2' ? 2 : 5);
+    for (let run = 0; run < RUNS; run++) {
+      const now = new Date(Date.UTC(2026, 0, 1) + between(random, 0, 365) * DAY_MS);
+      const settings = generateSettings(random, scheduler);
+      const cardId = intBetween(random, 1, 100000);
+      const row = generateProgress(random, now);
+      const dueCounts = settings.load_balance ? generateDueCounts(random, now, settings) : null;
+      // The client gets the progress, settings and forecast as JSON, and the card ID as a number
+      const sent = JSON.parse(JSON.stringify({ row, settings, dueCounts }));
+
+      for (const grade of GRADES) {
+        // As in POST /api/cards/:cardId/review (the card ID is a route param there)
+        const stored = reviewCard(row && { ...row }, grade, settings, now, {
+          seed: getFuzzSeed(String(cardId), row),
+          dueCounts
+        });
+        const preview = calculateNextReviewTime(sent.row, grade, sent.settings, now, {
+          seed: getFuzzSeed(cardId, sent.row),
+          dueCounts: sent.dueCounts
+        });
+        const context = `${grade} of ${JSON.stringify(row)} with ${JSON.stringify(settings)}`;
+        assert.equal(preview.interval, stored.interval, context);
+        assert.equal(preview.nextDueDate.getTime(), new Date(stored.due_date).getTime(), context);
+      }
+    }
+  });
+}